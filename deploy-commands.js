@@ -0,0 +1,57 @@
+// deploy-commands.js — registers QamBOT slash commands with Discord
+//
+// Usage:
+//   npm run deploy-commands                    -> guild set from GUILD_ID, else global
+//   npm run deploy-commands -- --guild <id>    -> one guild (updates instantly)
+//   npm run deploy-commands -- --global        -> every guild (may take up to an hour)
+import "dotenv/config";
+import { REST, Routes } from "discord.js";
+import { commandData } from "./src/commands/index.js";
+
+const TOKEN = process.env.TOKEN;
+if (!TOKEN) {
+  console.error("Missing TOKEN in .env");
+  process.exit(1);
+}
+
+// The application id is the first segment of the bot token (base64 user id)
+function clientIdFromToken(token) {
+  try {
+    return Buffer.from(token.split(".")[0], "base64").toString("utf8");
+  } catch (e) {
+    return null;
+  }
+}
+
+const CLIENT_ID = process.env.CLIENT_ID || clientIdFromToken(TOKEN);
+if (!CLIENT_ID || !/^\d+$/.test(CLIENT_ID)) {
+  console.error("Missing CLIENT_ID in .env (application id of the bot)");
+  process.exit(1);
+}
+
+const args = process.argv.slice(2);
+const globalFlag = args.includes("--global");
+const guildFlagIdx = args.indexOf("--guild");
+const guildId = globalFlag
+  ? null
+  : (guildFlagIdx !== -1 ? args[guildFlagIdx + 1] : null) ||
+    process.env.GUILD_ID ||
+    null;
+
+const body = commandData();
+const rest = new REST({ version: "10" }).setToken(TOKEN);
+
+try {
+  const route = guildId
+    ? Routes.applicationGuildCommands(CLIENT_ID, guildId)
+    : Routes.applicationCommands(CLIENT_ID);
+  const result = await rest.put(route, { body });
+  console.log(
+    `[DEPLOY] registered ${result.length} commands ${
+      guildId ? `in guild ${guildId}` : "globally"
+    }`
+  );
+} catch (e) {
+  console.error("[DEPLOY] failed to register commands", e);
+  process.exit(1);
+}
@@ -0,0 +1,28 @@
+// scripts/import-data.js — merge legacy data.json files into the configured store
+//
+// Usage: npm run import-data -- <guild id> path/to/data.json [more.json ...]
+// XP is credited in the given guild. Files already imported into this store are skipped.
+import { importDataJsonOnce } from "../src/store/importJson.js";
+import { store } from "../src/store/index.js";
+
+const [guildId, ...paths] = process.argv.slice(2);
+if (!/^\d+$/.test(guildId || "") || !paths.length) {
+  console.error("Usage: npm run import-data -- <guild id> <data.json> [...]");
+  process.exit(1);
+}
+
+let failed = false;
+for (const path of paths) {
+  try {
+    if (!importDataJsonOnce(store, path, guildId)) {
+      console.log(
+        `[IMPORT] ${path}: nothing imported (missing or already imported)`
+      );
+    }
+  } catch (e) {
+    console.error(`[IMPORT] ${path}: failed`, e);
+    failed = true;
+  }
+}
+store.close();
+process.exit(failed ? 1 : 0);
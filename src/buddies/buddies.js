@@ -0,0 +1,367 @@
+// src/buddies/buddies.js — study buddy matching (goals, time zone, usual focus hours), the
+// pair's private thread and what partners see of each other
+import { ChannelType, PermissionsBitField } from "discord.js";
+import { botMemberOf } from "../client.js";
+import { logDebug } from "../logger.js";
+import { store } from "../store/index.js";
+import {
+  createBuddyPair,
+  getActiveBuddyPair,
+  joinBuddyPool,
+  leaveBuddyPool,
+  listBuddyPairs,
+  listBuddyPool,
+  listUserVoiceIntervals,
+  updateBuddyPair,
+} from "../store/buddies.js";
+import { listGoals } from "../store/goals.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import { onSessionEnd } from "../focus/sessions.js";
+import { onScheduledAttendance } from "../schedules/scheduled.js";
+import { onCheckin } from "../streaks/checkin.js";
+import { timeZoneFor, utcOffsetMinutes } from "../timezones.js";
+
+// focus history used for the usual focus hours
+const HISTORY_DAYS = 28;
+const HOUR_MS = 3600000;
+// how much each similarity weighs in a match
+const WEIGHTS = { hours: 0.4, timeZone: 0.3, goals: 0.3 };
+// a similarity with nothing to compare (no history, no goals) counts as this
+const UNKNOWN = 0.5;
+const ALREADY_PAIRED = "عندك بارتنر ديجا — `/buddy status` باش تشوفو.";
+
+// seconds focused per hour of the day (UTC) over the last HISTORY_DAYS
+function focusHours(guildId, userId, now) {
+  const hours = new Array(24).fill(0);
+  const since = now - HISTORY_DAYS * 24 * HOUR_MS;
+  for (const v of listUserVoiceIntervals(guildId, userId, since)) {
+    const end = v.endedAt ?? v.creditedUntil;
+    let t = v.startedAt;
+    while (t < end) {
+      const next = Math.min(end, (Math.floor(t / HOUR_MS) + 1) * HOUR_MS);
+      hours[new Date(t).getUTCHours()] += (next - t) / 1000;
+      t = next;
+    }
+  }
+  return hours;
+}
+
+// cosine similarity of two hour histograms, null when either is empty
+function hoursSimilarity(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let h = 0; h < 24; h++) {
+    dot += a[h] * b[h];
+    na += a[h] * a[h];
+    nb += b[h] * b[h];
+  }
+  if (!na || !nb) return null;
+  return dot / Math.sqrt(na * nb);
+}
+
+// 1 for the same UTC offset, 0 for 12 hours apart
+function timeZoneSimilarity(offsetA, offsetB) {
+  const diff = Math.abs(offsetA - offsetB) % (24 * 60);
+  return 1 - Math.min(diff, 24 * 60 - diff) / (12 * 60);
+}
+
+// goals of the same period and type, the closer their targets the better; null without goals
+function goalsSimilarity(goalsA, goalsB) {
+  if (!goalsA.length && !goalsB.length) return null;
+  const keys = new Set(
+    [...goalsA, ...goalsB].map((g) => `${g.period}:${g.metric}`)
+  );
+  let total = 0;
+  for (const key of keys) {
+    const a = goalsA.find((g) => `${g.period}:${g.metric}` === key);
+    const b = goalsB.find((g) => `${g.period}:${g.metric}` === key);
+    if (a && b)
+      total += 1 - Math.abs(a.target - b.target) / Math.max(a.target, b.target);
+  }
+  return total / keys.size;
+}
+
+// the hour (in the member's zone) they focus the most, or null without history
+function peakHour(hours, offset) {
+  const max = Math.max(...hours);
+  if (!max) return null;
+  const utcHour = hours.indexOf(max);
+  return (((utcHour + Math.round(offset / 60)) % 24) + 24) % 24;
+}
+
+function profileOf(guildId, userId, now) {
+  const offset = utcOffsetMinutes(timeZoneFor(guildId, userId), now);
+  const hours = focusHours(guildId, userId, now);
+  return {
+    userId,
+    offset,
+    hours,
+    peak: peakHour(hours, offset),
+    goals: listGoals(guildId, userId),
+  };
+}
+
+// { score 0..1, reasons } of pairing two members
+function matchScore(a, b) {
+  const similarities = {
+    hours: hoursSimilarity(a.hours, b.hours),
+    timeZone: timeZoneSimilarity(a.offset, b.offset),
+    goals: goalsSimilarity(a.goals, b.goals),
+  };
+  let score = 0;
+  for (const [key, weight] of Object.entries(WEIGHTS)) {
+    score += weight * (similarities[key] ?? UNKNOWN);
+  }
+  const reasons = [];
+  if (similarities.timeZone >= 0.9) reasons.push("🌍 نفس التوقيت تقريبا");
+  if (similarities.hours >= 0.5) reasons.push("⏰ كتفوكسيو فنفس الأوقات");
+  if (similarities.goals >= 0.5) reasons.push("🎯 أهداف متشابهة");
+  return { score, reasons };
+}
+
+// where private threads of new pairs are created: the buddy channel, else the check-in channel
+function threadParent(guild) {
+  const settings = getGuildSettings(guild.id);
+  const ch =
+    guild.channels.cache.get(settings.buddies.channelId) ||
+    guild.channels.cache.get(settings.checkinChannelId);
+  return ch && ch.type === ChannelType.GuildText ? ch : null;
+}
+
+function describeMember(profile) {
+  const sign = profile.offset < 0 ? "-" : "+";
+  const abs = Math.abs(profile.offset);
+  const zone = `UTC${sign}${Math.floor(abs / 60)}${
+    abs % 60 ? `:${String(abs % 60).padStart(2, "0")}` : ""
+  }`;
+  return `<@${profile.userId}> — ${zone}${
+    profile.peak === null
+      ? ""
+      : ` · وقت الفوكس المعتاد: حوالي ${String(profile.peak).padStart(2, "0")}:00`
+  }`;
+}
+
+async function openThread(guild, pairId, a, b, reasons) {
+  const parent = threadParent(guild);
+  const me = botMemberOf(guild);
+  if (
+    !parent ||
+    !me ||
+    !parent
+      .permissionsFor(me)
+      .has([
+        PermissionsBitField.Flags.CreatePrivateThreads,
+        PermissionsBitField.Flags.SendMessagesInThreads,
+      ])
+  ) {
+    console.warn(
+      `[BUDDIES] guild:${guild.id} no channel where I can create private threads for pair #${pairId}`
+    );
+    return null;
+  }
+  const [memberA, memberB] = await Promise.all(
+    [a, b].map((p) => guild.members.fetch(p.userId).catch(() => null))
+  );
+  try {
+    const thread = await parent.threads.create({
+      name: `🤝 ${memberA?.displayName || a.userId} & ${
+        memberB?.displayName || b.userId
+      }`.slice(0, 100),
+      type: ChannelType.PrivateThread,
+      invitable: false,
+      autoArchiveDuration: 10080,
+      reason: `Study buddy pair #${pairId}`,
+    });
+    await thread.members.add(a.userId).catch(() => {});
+    await thread.members.add(b.userId).catch(() => {});
+    await thread
+      .send({
+        content:
+          `🤝 **مرحبا بيكم، ولّيتو study buddies!**\n${describeMember(
+            a
+          )}\n${describeMember(b)}\n` +
+          (reasons.length ? `${reasons.join(" · ")}\n` : "") +
+          "\nهنا غادي تشوفو الـ check-ins والحضور ديال بعضياتكم، وغادي ننبهكم إلا شي واحد فاتتو جلسة مبرمجة.\n" +
+          "`/buddy status` باش تشوف فين وصل البارتنر ديالك · `/buddy unpair` باش تفكّو الشراكة.",
+        allowedMentions: { users: [a.userId, b.userId] },
+      })
+      .catch(() => {});
+    return thread.id;
+  } catch (e) {
+    console.warn(
+      `[BUDDIES] couldn't create the thread of pair #${pairId}:`,
+      e.message
+    );
+    return null;
+  }
+}
+
+// Opts the member in: pairs them right away with the best match waiting in the pool
+// (never a former partner), else keeps them waiting.
+// returns { error } | { waiting: true } | { pair, partnerId, reasons }
+export async function requestBuddy(guild, userId, now = Date.now()) {
+  if (getActiveBuddyPair(guild.id, userId)) return { error: ALREADY_PAIRED };
+  const former = new Set(
+    listBuddyPairs(guild.id, userId).map((p) =>
+      p.userA === userId ? p.userB : p.userA
+    )
+  );
+  const me = profileOf(guild.id, userId, now);
+  const matches = [];
+  for (const { userId: other } of listBuddyPool(guild.id)) {
+    if (other === userId || former.has(other)) continue;
+    // members who left the server drop out of the pool
+    if (!(await guild.members.fetch(other).catch(() => null))) {
+      leaveBuddyPool(guild.id, other);
+      continue;
+    }
+    const candidate = profileOf(guild.id, other, now);
+    matches.push({ ...matchScore(me, candidate), candidate });
+  }
+  matches.sort((a, b) => b.score - a.score);
+
+  // a concurrent join or leave may have changed either side while the pool was being read
+  const picked = store.transaction(() => {
+    if (getActiveBuddyPair(guild.id, userId)) return { taken: true };
+    const waiting = new Set(listBuddyPool(guild.id).map((e) => e.userId));
+    const best = matches.find(
+      (m) =>
+        waiting.has(m.candidate.userId) &&
+        !getActiveBuddyPair(guild.id, m.candidate.userId)
+    );
+    if (!best) {
+      joinBuddyPool(guild.id, userId);
+      return null;
+    }
+    leaveBuddyPool(guild.id, userId);
+    leaveBuddyPool(guild.id, best.candidate.userId);
+    const id = createBuddyPair({
+      guildId: guild.id,
+      userA: best.candidate.userId,
+      userB: userId,
+    });
+    return { id, best };
+  });
+  if (!picked) return { waiting: true };
+  if (picked.taken) return { error: ALREADY_PAIRED };
+
+  const { id, best } = picked;
+  const partnerId = best.candidate.userId;
+  logDebug(
+    `[BUDDIES] guild:${guild.id} paired ${partnerId} & ${userId} (score ${best.score.toFixed(
+      2
+    )})`
+  );
+  const threadId = await openThread(
+    guild,
+    id,
+    best.candidate,
+    me,
+    best.reasons
+  );
+  if (threadId) updateBuddyPair(id, { threadId });
+  return {
+    pair: getActiveBuddyPair(guild.id, userId),
+    partnerId,
+    reasons: best.reasons,
+  };
+}
+
+export function partnerOf(pair, userId) {
+  return pair.userA === userId ? pair.userB : pair.userA;
+}
+
+async function fetchThread(guild, pair) {
+  if (!pair.threadId) return null;
+  return (
+    guild.channels.cache.get(pair.threadId) ||
+    guild.channels.fetch(pair.threadId).catch(() => null)
+  );
+}
+
+// posts in the pair's thread (archived threads reopen when written to)
+async function postToPair(guild, pair, payload) {
+  const thread = await fetchThread(guild, pair);
+  if (!thread) return;
+  await thread
+    .send({ allowedMentions: { parse: [] }, ...payload })
+    .catch((e) =>
+      logDebug(`[BUDDIES] post to pair #${pair.id} failed:`, e.message)
+    );
+}
+
+// Ends the pair (either side may); the thread is locked and archived
+export async function unpair(guild, pair, by) {
+  updateBuddyPair(pair.id, {
+    status: "ended",
+    endedAt: Date.now(),
+    endedBy: by,
+  });
+  const thread = await fetchThread(guild, pair);
+  if (!thread) return;
+  await thread
+    .send({
+      content: `👋 تفكّات الشراكة (<@${by}>). شكرا على الخدمة مع بعض! تقدرو تلقاو بارتنر جديد بـ \`/buddy join\`.`,
+      allowedMentions: { parse: [] },
+    })
+    .catch(() => {});
+  await thread.setLocked(true).catch(() => {});
+  await thread.setArchived(true).catch(() => {});
+}
+
+const ATTENDANCE_LABELS = {
+  present: "✅ حضور",
+  missed: "⌛ الحضور ما تأكدش",
+  removed: "🚪 خروج من الروم",
+};
+
+// check-ins, session attendance and missed scheduled sessions, shown to the partner
+export function watchBuddies(client) {
+  const guildOf = (guildId) => client.guilds.cache.get(guildId);
+
+  onCheckin(({ guildId, userId, streak }) => {
+    const guild = guildOf(guildId);
+    const pair = guild && getActiveBuddyPair(guildId, userId);
+    if (!pair) return;
+    postToPair(guild, pair, {
+      content: `✅ Check-in ديال اليوم: <@${userId}> — ستريك: **${streak}** يوم.`,
+    }).catch(() => {});
+  });
+
+  onSessionEnd((session, status, attendance) => {
+    const guild = guildOf(session.guildId);
+    if (!guild) return;
+    // one post per pair, even when both partners were in the session
+    const lines = new Map();
+    for (const { userId, status: attended } of attendance) {
+      const pair = getActiveBuddyPair(session.guildId, userId);
+      if (!pair) continue;
+      if (!lines.has(pair.id)) lines.set(pair.id, { pair, lines: [] });
+      lines
+        .get(pair.id)
+        .lines.push(`${ATTENDANCE_LABELS[attended] || attended}: <@${userId}>`);
+    }
+    for (const { pair, lines: rows } of lines.values()) {
+      postToPair(guild, pair, {
+        content: `📋 جلسة فـ <#${session.voiceChannelId}> سالات:\n${rows.join(
+          "\n"
+        )}`,
+      }).catch(() => {});
+    }
+  });
+
+  onScheduledAttendance((guild, schedule, occursAt, { missed }) => {
+    for (const userId of missed) {
+      const pair = getActiveBuddyPair(guild.id, userId);
+      if (!pair) continue;
+      const partnerId = partnerOf(pair, userId);
+      postToPair(guild, pair, {
+        content: `⚠️ <@${partnerId}>، غياب ديال البارتنر ديالك <@${userId}> فالجلسة المبرمجة **${schedule.title}** (<t:${Math.floor(
+          occursAt / 1000
+        )}:f>). صيفط شي رسالة تشجيع!`,
+        allowedMentions: { users: [partnerId] },
+      }).catch(() => {});
+    }
+  });
+}
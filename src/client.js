@@ -0,0 +1,18 @@
+// src/client.js — the shared discord.js client instance
+import { Client, GatewayIntentBits, Partials } from "discord.js";
+
+export const client = new Client({
+  intents: [
+    GatewayIntentBits.Guilds,
+    GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.GuildVoiceStates,
+    GatewayIntentBits.GuildMembers,
+    GatewayIntentBits.MessageContent,
+  ],
+  partials: [Partials.Channel, Partials.Message],
+});
+
+// the bot's own member in a guild (cache fallback for when `me` isn't set yet)
+export function botMemberOf(guild) {
+  return guild.members.me || guild.members.cache.get(client.user.id) || null;
+}
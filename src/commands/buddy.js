@@ -0,0 +1,135 @@
+// src/commands/buddy.js — opt-in study buddies: get matched, see your partner, unpair
+import {
+  SlashCommandBuilder,
+  InteractionContextType,
+  EmbedBuilder,
+} from "discord.js";
+import { partnerOf, requestBuddy, unpair } from "../buddies/buddies.js";
+import { describeGoal, goalProgress } from "../goals/goals.js";
+import { getActiveBuddyPair, leaveBuddyPool } from "../store/buddies.js";
+import { attendanceByUser } from "../store/leaderboards.js";
+import { getMemberStreak } from "../store/checkins.js";
+import { dayKey, timeZoneFor } from "../timezones.js";
+
+// attendance shown in /buddy status
+const STATUS_DAYS = 7;
+
+function partnerEmbed(guild, pair, partnerId) {
+  const s = getMemberStreak(guild.id, partnerId) || {};
+  const now = Date.now();
+  const today = dayKey(now, timeZoneFor(guild.id, partnerId));
+  const week = attendanceByUser(
+    guild.id,
+    now - STATUS_DAYS * 86400000,
+    now
+  ).find((r) => r.userId === partnerId);
+  const goals = goalProgress(guild.id, partnerId);
+  const embed = new EmbedBuilder()
+    .setTitle("🤝 البارتنر ديالك")
+    .setColor(0x9b59b6)
+    .setDescription(
+      `<@${partnerId}>` +
+        (pair.threadId ? ` · <#${pair.threadId}>` : "") +
+        `\nمعاكم من <t:${Math.floor(pair.createdAt / 1000)}:D>`
+    )
+    .addFields(
+      {
+        name: "Check-in ديال اليوم",
+        value: s.lastCheckinDate === today ? "✅ تدار" : "⏳ مازال",
+        inline: true,
+      },
+      { name: "🔥 الستريك", value: `${s.streak || 0} يوم`, inline: true },
+      {
+        name: `الحضور (${STATUS_DAYS} أيام)`,
+        value: week ? `${week.present}/${week.total} جلسات` : "حتى جلسة",
+        inline: true,
+      }
+    );
+  if (goals.length)
+    embed.addFields({
+      name: "🎯 الأهداف",
+      value: goals.map(describeGoal).join("\n"),
+    });
+  return embed;
+}
+
+export default {
+  name: "buddy",
+  aliases: ["buddies"],
+  permissions: [],
+  cooldown: 3,
+  data: new SlashCommandBuilder()
+    .setName("buddy")
+    .setDescription("Study buddy: an accountability partner matched to you")
+    .setContexts(InteractionContextType.Guild)
+    .addSubcommand((s) =>
+      s
+        .setName("join")
+        .setDescription(
+          "Get matched with a partner (similar goals, time zone and focus hours)"
+        )
+    )
+    .addSubcommand((s) =>
+      s.setName("leave").setDescription("Stop waiting for a partner")
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("status")
+        .setDescription("Your partner's check-in, attendance and goals")
+    )
+    .addSubcommand((s) =>
+      s.setName("unpair").setDescription("End your buddy pair")
+    ),
+
+  async execute(ctx) {
+    const { guild, options } = ctx;
+    const userId = ctx.user.id;
+    const reply = (content) => ctx.reply({ content, ephemeral: true });
+
+    switch (options.getSubcommand()) {
+      case "join": {
+        await ctx.defer({ ephemeral: true });
+        const result = await requestBuddy(guild, userId);
+        if (result.error) return reply(`❌ ${result.error}`);
+        if (result.waiting)
+          return reply(
+            "⏳ دخلتي لقائمة الانتظار. غادي نعلموك ملي يتلقى ليك بارتنر مناسب (`/buddy leave` باش تخرج)."
+          );
+        return reply(
+          `🤝 لقينا ليك بارتنر: <@${result.partnerId}>!` +
+            (result.reasons.length ? `\n${result.reasons.join(" · ")}` : "") +
+            (result.pair?.threadId
+              ? `\nتلاقاو فـ <#${result.pair.threadId}>.`
+              : "")
+        );
+      }
+
+      case "leave":
+        return reply(
+          leaveBuddyPool(guild.id, userId)
+            ? "✅ خرجتي من قائمة الانتظار."
+            : "ما كنتيش فقائمة الانتظار."
+        );
+
+      case "status": {
+        const pair = getActiveBuddyPair(guild.id, userId);
+        if (!pair)
+          return reply(
+            "ما عندك حتى بارتنر — `/buddy join` باش نلقاو ليك واحد."
+          );
+        return ctx.reply({
+          embeds: [partnerEmbed(guild, pair, partnerOf(pair, userId))],
+          ephemeral: true,
+        });
+      }
+
+      case "unpair": {
+        const pair = getActiveBuddyPair(guild.id, userId);
+        if (!pair) return reply("ما عندك حتى بارتنر.");
+        await ctx.defer({ ephemeral: true });
+        await unpair(guild, pair, userId);
+        return reply("✅ تفكّات الشراكة. `/buddy join` إلا بغيتي بارتنر جديد.");
+      }
+    }
+  },
+};
@@ -0,0 +1,26 @@
+// src/commands/buyfreeze.js — spend XP on a streak freeze token
+import { SlashCommandBuilder, InteractionContextType } from "discord.js";
+import { buyStreakFreeze } from "../streaks/checkin.js";
+
+export default {
+  name: "buyfreeze",
+  aliases: ["freeze"],
+  permissions: [],
+  cooldown: 5,
+  data: new SlashCommandBuilder()
+    .setName("buyfreeze")
+    .setDescription(
+      "Buy a streak freeze with XP (covers one missed check-in day)"
+    )
+    .setContexts(InteractionContextType.Guild),
+
+  async execute(ctx) {
+    const result = buyStreakFreeze(ctx.guild.id, ctx.user.id);
+    if (result.error)
+      return ctx.reply({ content: `❌ ${result.error}`, ephemeral: true });
+    await ctx.reply({
+      content: `🧊 شريتي Streak Freeze بـ **${result.cost} XP**. عندك دابا **${result.freezes}** — غادي يتستعمل أوتوماتيكياً إلا نسيتي نهار.`,
+      ephemeral: true,
+    });
+  },
+};
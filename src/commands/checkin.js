@@ -0,0 +1,24 @@
+// src/commands/checkin.js — daily check-in and streak
+import { SlashCommandBuilder, InteractionContextType } from "discord.js";
+import {
+  checkinMessage,
+  recordCheckin,
+  refreshCheckinPanels,
+} from "../streaks/checkin.js";
+
+export default {
+  name: "checkin",
+  aliases: [],
+  permissions: [],
+  cooldown: 3,
+  data: new SlashCommandBuilder()
+    .setName("checkin")
+    .setDescription("Record your daily check-in")
+    .setContexts(InteractionContextType.Guild),
+
+  async execute(ctx) {
+    const result = recordCheckin(ctx.guild.id, ctx.user.id);
+    await ctx.reply(checkinMessage(result));
+    if (!result.already) refreshCheckinPanels(ctx.guild);
+  },
+};
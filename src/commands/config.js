@@ -0,0 +1,1639 @@
+// src/commands/config.js — per-guild settings: mappings, check-in, presence, XP, moderation (admins)
+import {
+  SlashCommandBuilder,
+  InteractionContextType,
+  ChannelType,
+  EmbedBuilder,
+  PermissionsBitField,
+} from "discord.js";
+import { botMemberOf } from "../client.js";
+import { roleProblem } from "../levels/rewards.js";
+import { FAILURE_POLICIES, VERIFICATION_MODES } from "../focus/verification.js";
+import { isValidTimeZone } from "../timezones.js";
+import {
+  getGuildSettings,
+  updateGuildSettings,
+} from "../store/guildSettings.js";
+
+const XP_REWARDS = ["present", "checkin"];
+const WEEKDAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+// permissions the bot needs in a channel it posts to
+const TEXT_PERMS = [
+  PermissionsBitField.Flags.ViewChannel,
+  PermissionsBitField.Flags.SendMessages,
+];
+
+// returns an error message when the bot can't use `channel`, else null
+function checkBotAccess(guild, channel, perms) {
+  const me = botMemberOf(guild);
+  if (!me) return null;
+  const missing = channel.permissionsFor(me)?.missing(perms) || perms;
+  if (missing.length === 0) return null;
+  const names = new PermissionsBitField(missing).toArray().join(", ");
+  return `I'm missing ${names} in <#${channel.id}>.`;
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+const REMINDER_CHANNELS = {
+  dm: "DM (ping when DMs are closed)",
+  ping: "Ping in the room's channel",
+};
+
+const choicesOf = (labels) =>
+  Object.entries(labels).map(([value, name]) => ({ name, value }));
+
+function verificationLines(settings) {
+  const { verification, xp } = settings;
+  const lines = Object.entries(verification.modes).map(([mode, m]) => {
+    const parts = [
+      `${mode === "single" ? xp.present : m.xp} XP${
+        mode === "recheck" ? " per check" : ""
+      }`,
+      FAILURE_POLICIES[m.onFail],
+    ];
+    if (m.attempts) parts.push(`${m.attempts} attempt(s)`);
+    if (mode === "recheck")
+      parts.push(
+        `${m.rechecks} re-check(s) every ${m.minGapMinutes}-${m.maxGapMinutes}m`
+      );
+    return `${VERIFICATION_MODES[mode]}: ${parts.join(" · ")}`;
+  });
+  return [
+    `Default: **${VERIFICATION_MODES[verification.mode]}**`,
+    ...Object.entries(verification.rooms).map(
+      ([vcId, mode]) => `<#${vcId}>: **${VERIFICATION_MODES[mode]}**`
+    ),
+    ...lines,
+  ].join("\n");
+}
+
+function goalsSummary(goals) {
+  return [
+    `${goals.dailyXp} XP daily · ${goals.weeklyXp} XP weekly`,
+    `+${goals.streakBonus} XP per streak step (max +${goals.maxStreakBonus})`,
+    goals.closeAt ? `nudge at ${goals.closeAt}%` : "no nudges when close",
+    goals.checkin ? "daily goal counts as check-in" : "no check-in credit",
+  ].join(" · ");
+}
+
+// embed field values are capped at 1024 characters: long lists keep their first lines
+function fieldValue(text, max = 1024) {
+  if (text.length <= max) return text;
+  const lines = text.split("\n");
+  let kept = 0;
+  let length = 0;
+  while (kept < lines.length && length + lines[kept].length + 1 <= max - 24)
+    length += lines[kept++].length + 1;
+  if (!kept) return `${text.slice(0, max - 1)}…`;
+  return `${lines.slice(0, kept).join("\n")}\n… (+${lines.length - kept} more)`;
+}
+
+// a whole embed is capped at 6000 characters: every value gets the same lower cap until it fits
+function fitFields(title, fields) {
+  let max = 1024;
+  let values;
+  do {
+    values = fields.map((field) => fieldValue(field.value, max));
+    max -= 64;
+  } while (
+    max >= 128 &&
+    fields.reduce(
+      (n, field, i) => n + field.name.length + values[i].length,
+      title.length
+    ) > 5900
+  );
+  return fields.map((field, i) => ({ ...field, value: values[i] }));
+}
+
+function settingsEmbed(guild, settings) {
+  const mappings = Object.entries(settings.mappings)
+    .map(([vcId, tId]) => {
+      const stale =
+        guild.channels.cache.has(vcId) && guild.channels.cache.has(tId)
+          ? ""
+          : " ⚠️ channel missing";
+      return `<#${vcId}> → <#${tId}>${stale}`;
+    })
+    .join("\n");
+  const title = `⚙️ QamBOT settings — ${guild.name}`;
+  return new EmbedBuilder()
+    .setTitle(title)
+    .setColor(0x00b0f4)
+    .addFields(
+      ...fitFields(title, [
+        { name: "Voice → text mappings", value: mappings || "— none —" },
+        {
+          name: "Daily check-in",
+          value: `${
+            settings.checkinChannelId
+              ? `<#${settings.checkinChannelId}>`
+              : "mapped text channels"
+          } at ${pad(settings.checkinHour)}:${pad(settings.checkinMinute)} (${
+            settings.timezone
+          })`,
+          inline: true,
+        },
+        {
+          name: "Presence timeout",
+          value: `${settings.presenceTimeout}s`,
+          inline: true,
+        },
+        {
+          name: "Presence reminders",
+          value: settings.reminders.stages.length
+            ? `At ${settings.reminders.stages
+                .map((p) => `${p}%`)
+                .join(", ")} · ${REMINDER_CHANNELS[settings.reminders.via]}`
+            : "off",
+          inline: true,
+        },
+        {
+          name: "Presence verification",
+          value: verificationLines(settings),
+        },
+        {
+          name: "Mod log",
+          value: settings.modLogChannelId
+            ? `<#${settings.modLogChannelId}>`
+            : "— none —",
+          inline: true,
+        },
+        {
+          name: "Trigger rules",
+          value: `${settings.triggers.rules.filter((r) => r.enabled).length} on · ${
+            settings.triggers.rules.length
+          } total (see /trigger list)`,
+          inline: true,
+        },
+        {
+          name: "XP rewards",
+          value: XP_REWARDS.map((r) => `${r}: ${settings.xp[r]}`).join("\n"),
+          inline: true,
+        },
+        {
+          name: "Streak freezes",
+          value: `1 per ${settings.streaks.freezeEvery || "—"} days · max ${
+            settings.streaks.maxFreezes
+          } · costs ${settings.streaks.freezeCost} XP`,
+          inline: true,
+        },
+        {
+          name: "Focus time XP",
+          value: [
+            `${settings.focusXp.perMinute} XP/min, cap ${
+              settings.focusXp.dailyCap || "none"
+            } XP/day`,
+            ...Object.entries(settings.focusXp.roomRates).map(
+              ([vcId, rate]) => `<#${vcId}>: ${rate} XP/min`
+            ),
+          ].join("\n"),
+          inline: true,
+        },
+        {
+          name: "Levels",
+          value: [
+            settings.levels.mode === "thresholds"
+              ? `Thresholds: ${settings.levels.thresholds.join(", ") || "—"}`
+              : `Formula: ${settings.levels.base} × level^${settings.levels.exponent}`,
+            `Announcements: ${
+              !settings.levels.announce
+                ? "off"
+                : settings.levels.announceChannelId
+                  ? `<#${settings.levels.announceChannelId}>`
+                  : "room's text channel"
+            } · ${settings.levels.stackRoles ? "roles stack" : "highest role only"}`,
+            ...Object.entries(settings.levels.roles)
+              .sort((a, b) => Number(a[0]) - Number(b[0]))
+              .map(([lvl, roleId]) => `Level ${lvl} → <@&${roleId}>`),
+          ].join("\n"),
+        },
+        {
+          name: "Infractions",
+          value: [
+            `Expire after ${
+              settings.infractions.expireDays
+                ? `${settings.infractions.expireDays} days`
+                : "never"
+            } · appeals ${
+              settings.infractions.modChannelId
+                ? `in <#${settings.infractions.modChannelId}>`
+                : "off"
+            }`,
+            settings.infractions.timeoutAt
+              ? `At ${settings.infractions.timeoutAt}: timeout ${settings.infractions.timeoutMinutes}m`
+              : null,
+            settings.infractions.removeRoleAt &&
+            settings.infractions.removeRoleId
+              ? `At ${settings.infractions.removeRoleAt}: remove <@&${settings.infractions.removeRoleId}>`
+              : null,
+          ]
+            .filter(Boolean)
+            .join("\n"),
+        },
+        {
+          name: "Recap",
+          value: settings.recap.channelId
+            ? `<#${settings.recap.channelId}> · weekly on ${
+                WEEKDAYS[settings.recap.weekday]
+              } at ${pad(settings.recap.hour)}:${pad(settings.recap.minute)}${
+                settings.recap.monthly ? " · monthly on the 1st" : ""
+              }`
+            : "off",
+        },
+        {
+          name: "Goals",
+          value: goalsSummary(settings.goals),
+        },
+        {
+          name: "Study buddies",
+          value: `Threads in ${
+            settings.buddies.channelId
+              ? `<#${settings.buddies.channelId}>`
+              : "the check-in channel"
+          }`,
+          inline: true,
+        },
+        {
+          name: "Tasks",
+          value:
+            settings.tasks.perSession > 0
+              ? `Up to ${settings.tasks.perSession} per session · +${settings.tasks.xp} XP each`
+              : "off",
+          inline: true,
+        },
+        {
+          name: "Pomodoro",
+          value: `Focus ${settings.pomodoro.focusMinutes}m · short break ${settings.pomodoro.shortBreakMinutes}m · long break ${settings.pomodoro.longBreakMinutes}m · ${settings.pomodoro.cycles} cycles`,
+        },
+      ])
+    );
+}
+
+export default {
+  name: "config",
+  aliases: ["settings"],
+  permissions: [PermissionsBitField.Flags.ManageGuild],
+  cooldown: 0,
+  data: new SlashCommandBuilder()
+    .setName("config")
+    .setDescription("Configure QamBOT for this server (admins)")
+    .setContexts(InteractionContextType.Guild)
+    .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+    .addSubcommand((s) =>
+      s.setName("show").setDescription("Show this server's settings")
+    )
+    .addSubcommandGroup((g) =>
+      g
+        .setName("mapping")
+        .setDescription("Voice channel → text channel mappings")
+        .addSubcommand((s) =>
+          s
+            .setName("set")
+            .setDescription("Map a focus voice channel to its text channel")
+            .addChannelOption((o) =>
+              o
+                .setName("voice")
+                .setDescription("Focus voice channel")
+                .addChannelTypes(
+                  ChannelType.GuildVoice,
+                  ChannelType.GuildStageVoice
+                )
+                .setRequired(true)
+            )
+            .addChannelOption((o) =>
+              o
+                .setName("text")
+                .setDescription("Text channel for its Present messages")
+                .addChannelTypes(ChannelType.GuildText)
+                .setRequired(true)
+            )
+        )
+        .addSubcommand((s) =>
+          s
+            .setName("unset")
+            .setDescription("Remove a voice channel's mapping")
+            .addChannelOption((o) =>
+              o
+                .setName("voice")
+                .setDescription("Mapped voice channel")
+                .addChannelTypes(
+                  ChannelType.GuildVoice,
+                  ChannelType.GuildStageVoice
+                )
+                .setRequired(true)
+            )
+        )
+    )
+    .addSubcommandGroup((g) =>
+      g
+        .setName("checkin")
+        .setDescription("Daily check-in reminder")
+        .addSubcommand((s) =>
+          s
+            .setName("channel")
+            .setDescription(
+              "Channel for the daily reminder (omit to use the mapped text channels)"
+            )
+            .addChannelOption((o) =>
+              o
+                .setName("channel")
+                .setDescription("Text channel")
+                .addChannelTypes(ChannelType.GuildText)
+                .setRequired(false)
+            )
+        )
+        .addSubcommand((s) =>
+          s
+            .setName("time")
+            .setDescription("Time of the daily reminder")
+            .addIntegerOption((o) =>
+              o
+                .setName("hour")
+                .setDescription("Hour (0-23)")
+                .setMinValue(0)
+                .setMaxValue(23)
+                .setRequired(true)
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("minute")
+                .setDescription("Minute (0-59)")
+                .setMinValue(0)
+                .setMaxValue(59)
+                .setRequired(false)
+            )
+        )
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("timezone")
+        .setDescription(
+          "Server time zone for check-in days and the reminder (members can set their own)"
+        )
+        .addStringOption((o) =>
+          o
+            .setName("zone")
+            .setDescription("IANA zone, e.g. Africa/Casablanca")
+            .setRequired(true)
+        )
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("mod-log")
+        .setDescription(
+          "Channel for the audit log of automated actions (omit to turn it off)"
+        )
+        .addChannelOption((o) =>
+          o
+            .setName("channel")
+            .setDescription("Moderators' text channel")
+            .addChannelTypes(ChannelType.GuildText)
+            .setRequired(false)
+        )
+    )
+    .addSubcommandGroup((g) =>
+      g
+        .setName("presence")
+        .setDescription("Presence checks")
+        .addSubcommand((s) =>
+          s
+            .setName("timeout")
+            .setDescription("Seconds members have to press Present")
+            .addIntegerOption((o) =>
+              o
+                .setName("seconds")
+                .setDescription("Timeout in seconds (10-3600)")
+                .setMinValue(10)
+                .setMaxValue(3600)
+                .setRequired(true)
+            )
+        )
+        .addSubcommand((s) =>
+          s
+            .setName("mode")
+            .setDescription(
+              "How members prove they're present (for one room, or the default)"
+            )
+            .addStringOption((o) =>
+              o
+                .setName("mode")
+                .setDescription("Verification mode")
+                .addChoices(...choicesOf(VERIFICATION_MODES))
+                .setRequired(true)
+            )
+            .addChannelOption((o) =>
+              o
+                .setName("voice")
+                .setDescription("Only this room (omit for the default mode)")
+                .addChannelTypes(
+                  ChannelType.GuildVoice,
+                  ChannelType.GuildStageVoice
+                )
+                .setRequired(false)
+            )
+        )
+        .addSubcommand((s) =>
+          s
+            .setName("reset-room")
+            .setDescription("Make a room use the default mode again")
+            .addChannelOption((o) =>
+              o
+                .setName("voice")
+                .setDescription("Room with its own mode")
+                .addChannelTypes(
+                  ChannelType.GuildVoice,
+                  ChannelType.GuildStageVoice
+                )
+                .setRequired(true)
+            )
+        )
+        .addSubcommand((s) =>
+          s
+            .setName("reward")
+            .setDescription("XP for passing a check in a mode")
+            .addStringOption((o) =>
+              o
+                .setName("mode")
+                .setDescription("Verification mode")
+                .addChoices(...choicesOf(VERIFICATION_MODES))
+                .setRequired(true)
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("amount")
+                .setDescription("XP (0-1000)")
+                .setMinValue(0)
+                .setMaxValue(1000)
+                .setRequired(true)
+            )
+        )
+        .addSubcommand((s) =>
+          s
+            .setName("on-fail")
+            .setDescription("What happens to members who fail a mode's check")
+            .addStringOption((o) =>
+              o
+                .setName("mode")
+                .setDescription("Verification mode")
+                .addChoices(...choicesOf(VERIFICATION_MODES))
+                .setRequired(true)
+            )
+            .addStringOption((o) =>
+              o
+                .setName("policy")
+                .setDescription("Failure policy")
+                .addChoices(...choicesOf(FAILURE_POLICIES))
+                .setRequired(true)
+            )
+        )
+        .addSubcommand((s) =>
+          s
+            .setName("rechecks")
+            .setDescription("Re-checks of the random re-checks mode")
+            .addIntegerOption((o) =>
+              o
+                .setName("count")
+                .setDescription("Re-checks after the first check (1-10)")
+                .setMinValue(1)
+                .setMaxValue(10)
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("min_gap")
+                .setDescription("Shortest gap between checks, in minutes")
+                .setMinValue(1)
+                .setMaxValue(240)
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("max_gap")
+                .setDescription("Longest gap between checks, in minutes")
+                .setMinValue(1)
+                .setMaxValue(240)
+            )
+        )
+        .addSubcommand((s) =>
+          s
+            .setName("reminders")
+            .setDescription("Remind pending members before the check closes")
+            .addStringOption((o) =>
+              o
+                .setName("stages")
+                .setDescription(
+                  'Percent of the timeout, e.g. 50, 80 ("off" for none)'
+                )
+                .setRequired(true)
+            )
+            .addStringOption((o) =>
+              o
+                .setName("via")
+                .setDescription("How members are reminded")
+                .addChoices(...choicesOf(REMINDER_CHANNELS))
+                .setRequired(false)
+            )
+        )
+        .addSubcommand((s) =>
+          s
+            .setName("attempts")
+            .setDescription("Wrong answers allowed in the grid / code modes")
+            .addStringOption((o) =>
+              o
+                .setName("mode")
+                .setDescription("Verification mode")
+                .addChoices(
+                  { name: VERIFICATION_MODES.grid, value: "grid" },
+                  { name: VERIFICATION_MODES.code, value: "code" }
+                )
+                .setRequired(true)
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("count")
+                .setDescription("Attempts (1-5)")
+                .setMinValue(1)
+                .setMaxValue(5)
+                .setRequired(true)
+            )
+        )
+    )
+    .addSubcommandGroup((g) =>
+      g
+        .setName("streaks")
+        .setDescription("Streak freeze tokens")
+        .addSubcommand((s) =>
+          s
+            .setName("freezes")
+            .setDescription("How freezes are earned, held and bought")
+            .addIntegerOption((o) =>
+              o
+                .setName("every")
+                .setDescription("Earn one every N streak days (0 = never)")
+                .setMinValue(0)
+                .setMaxValue(365)
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("max")
+                .setDescription("Most freezes a member can hold")
+                .setMinValue(0)
+                .setMaxValue(30)
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("cost")
+                .setDescription("XP price of one freeze")
+                .setMinValue(1)
+                .setMaxValue(100000)
+            )
+        )
+    )
+    .addSubcommandGroup((g) =>
+      g
+        .setName("focus-xp")
+        .setDescription("XP for minutes spent focusing in mapped rooms")
+        .addSubcommand((s) =>
+          s
+            .setName("rate")
+            .setDescription(
+              "XP per focused minute (for one room, or the default)"
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("amount")
+                .setDescription("XP per minute (0-100)")
+                .setMinValue(0)
+                .setMaxValue(100)
+                .setRequired(true)
+            )
+            .addChannelOption((o) =>
+              o
+                .setName("voice")
+                .setDescription("Only this room (omit for the default rate)")
+                .addChannelTypes(
+                  ChannelType.GuildVoice,
+                  ChannelType.GuildStageVoice
+                )
+                .setRequired(false)
+            )
+        )
+        .addSubcommand((s) =>
+          s
+            .setName("reset-room")
+            .setDescription("Make a room use the default rate again")
+            .addChannelOption((o) =>
+              o
+                .setName("voice")
+                .setDescription("Room with its own rate")
+                .addChannelTypes(
+                  ChannelType.GuildVoice,
+                  ChannelType.GuildStageVoice
+                )
+                .setRequired(true)
+            )
+        )
+        .addSubcommand((s) =>
+          s
+            .setName("cap")
+            .setDescription("Most focus-time XP a member can earn per day")
+            .addIntegerOption((o) =>
+              o
+                .setName("amount")
+                .setDescription("XP per day (0 = no cap)")
+                .setMinValue(0)
+                .setMaxValue(100000)
+                .setRequired(true)
+            )
+        )
+    )
+    .addSubcommandGroup((g) =>
+      g
+        .setName("levels")
+        .setDescription("Level curve, announcements and role rewards")
+        .addSubcommand((s) =>
+          s
+            .setName("formula")
+            .setDescription("Level L needs base × L^exponent total XP")
+            .addIntegerOption((o) =>
+              o
+                .setName("base")
+                .setDescription("XP for level 1 (1-100000)")
+                .setMinValue(1)
+                .setMaxValue(100000)
+                .setRequired(true)
+            )
+            .addNumberOption((o) =>
+              o
+                .setName("exponent")
+                .setDescription("Growth (1-3)")
+                .setMinValue(1)
+                .setMaxValue(3)
+                .setRequired(true)
+            )
+        )
+        .addSubcommand((s) =>
+          s
+            .setName("thresholds")
+            .setDescription("Total XP for level 1, 2, 3, … (ascending)")
+            .addStringOption((o) =>
+              o
+                .setName("xp")
+                .setDescription("e.g. 100, 300, 700, 1500")
+                .setRequired(true)
+            )
+        )
+        .addSubcommand((s) =>
+          s
+            .setName("role")
+            .setDescription("Give a role when members reach a level")
+            .addIntegerOption((o) =>
+              o
+                .setName("level")
+                .setDescription("Level")
+                .setMinValue(1)
+                .setMaxValue(1000)
+                .setRequired(true)
+            )
+            .addRoleOption((o) =>
+              o.setName("role").setDescription("Role").setRequired(true)
+            )
+        )
+        .addSubcommand((s) =>
+          s
+            .setName("unrole")
+            .setDescription("Remove a level's role reward")
+            .addIntegerOption((o) =>
+              o
+                .setName("level")
+                .setDescription("Level")
+                .setMinValue(1)
+                .setMaxValue(1000)
+                .setRequired(true)
+            )
+        )
+        .addSubcommand((s) =>
+          s
+            .setName("channel")
+            .setDescription(
+              "Channel for level-ups (omit to use the member's room text channel)"
+            )
+            .addChannelOption((o) =>
+              o
+                .setName("channel")
+                .setDescription("Text channel")
+                .addChannelTypes(ChannelType.GuildText)
+                .setRequired(false)
+            )
+        )
+        .addSubcommand((s) =>
+          s
+            .setName("options")
+            .setDescription("Level-up announcements and role stacking")
+            .addBooleanOption((o) =>
+              o
+                .setName("announce")
+                .setDescription("Post level-up messages")
+                .setRequired(false)
+            )
+            .addBooleanOption((o) =>
+              o
+                .setName("stack")
+                .setDescription(
+                  "Keep every reached reward role (otherwise only the highest)"
+                )
+                .setRequired(false)
+            )
+        )
+    )
+    .addSubcommandGroup((g) =>
+      g
+        .setName("infractions")
+        .setDescription("Infraction expiry, appeals and escalation")
+        .addSubcommand((s) =>
+          s
+            .setName("expiry")
+            .setDescription("Days after which an infraction stops counting")
+            .addIntegerOption((o) =>
+              o
+                .setName("days")
+                .setDescription("Days (0 = never expire)")
+                .setMinValue(0)
+                .setMaxValue(365)
+                .setRequired(true)
+            )
+        )
+        .addSubcommand((s) =>
+          s
+            .setName("mod-channel")
+            .setDescription(
+              "Channel that receives appeals (omit to turn appeals off)"
+            )
+            .addChannelOption((o) =>
+              o
+                .setName("channel")
+                .setDescription("Moderators' text channel")
+                .addChannelTypes(ChannelType.GuildText)
+                .setRequired(false)
+            )
+        )
+        .addSubcommand((s) =>
+          s
+            .setName("timeout")
+            .setDescription(
+              "Time members out when they reach N active infractions"
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("at")
+                .setDescription("Active infractions (0 = off)")
+                .setMinValue(0)
+                .setMaxValue(100)
+                .setRequired(true)
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("minutes")
+                .setDescription("Timeout length")
+                .setMinValue(1)
+                .setMaxValue(40320)
+                .setRequired(false)
+            )
+        )
+        .addSubcommand((s) =>
+          s
+            .setName("role-removal")
+            .setDescription(
+              "Remove a role when members reach N active infractions"
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("at")
+                .setDescription("Active infractions (0 = off)")
+                .setMinValue(0)
+                .setMaxValue(100)
+                .setRequired(true)
+            )
+            .addRoleOption((o) =>
+              o
+                .setName("role")
+                .setDescription("Role to remove")
+                .setRequired(false)
+            )
+        )
+    )
+    .addSubcommandGroup((g) =>
+      g
+        .setName("recap")
+        .setDescription("Weekly / monthly recap posts")
+        .addSubcommand((s) =>
+          s
+            .setName("channel")
+            .setDescription("Channel for recaps (omit to turn recaps off)")
+            .addChannelOption((o) =>
+              o
+                .setName("channel")
+                .setDescription("Text channel")
+                .addChannelTypes(ChannelType.GuildText)
+                .setRequired(false)
+            )
+        )
+        .addSubcommand((s) =>
+          s
+            .setName("schedule")
+            .setDescription("Day and time of the weekly recap")
+            .addIntegerOption((o) =>
+              o
+                .setName("weekday")
+                .setDescription("Day of the week")
+                .addChoices(...WEEKDAYS.map((name, value) => ({ name, value })))
+                .setRequired(true)
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("hour")
+                .setDescription("Hour (0-23)")
+                .setMinValue(0)
+                .setMaxValue(23)
+                .setRequired(true)
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("minute")
+                .setDescription("Minute (0-59)")
+                .setMinValue(0)
+                .setMaxValue(59)
+                .setRequired(false)
+            )
+        )
+        .addSubcommand((s) =>
+          s
+            .setName("monthly")
+            .setDescription("Also post a recap of the past month on the 1st")
+            .addBooleanOption((o) =>
+              o
+                .setName("enabled")
+                .setDescription("Post monthly recaps")
+                .setRequired(true)
+            )
+        )
+    )
+    .addSubcommandGroup((g) =>
+      g
+        .setName("pomodoro")
+        .setDescription("Default pomodoro lengths")
+        .addSubcommand((s) =>
+          s
+            .setName("set")
+            .setDescription("Set the default pomodoro lengths")
+            .addIntegerOption((o) =>
+              o
+                .setName("focus")
+                .setDescription("Focus minutes")
+                .setMinValue(1)
+                .setMaxValue(180)
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("short_break")
+                .setDescription("Short break minutes")
+                .setMinValue(1)
+                .setMaxValue(60)
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("long_break")
+                .setDescription("Long break minutes")
+                .setMinValue(1)
+                .setMaxValue(120)
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("cycles")
+                .setDescription("Focus blocks before the long break")
+                .setMinValue(1)
+                .setMaxValue(12)
+            )
+        )
+    )
+    .addSubcommandGroup((g) =>
+      g
+        .setName("goals")
+        .setDescription("Rewards and nudges of members' study goals")
+        .addSubcommand((s) =>
+          s
+            .setName("set")
+            .setDescription("Set goal rewards and nudges")
+            .addIntegerOption((o) =>
+              o
+                .setName("daily_xp")
+                .setDescription("XP for completing a daily goal")
+                .setMinValue(0)
+                .setMaxValue(1000)
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("weekly_xp")
+                .setDescription("XP for completing a weekly goal")
+                .setMinValue(0)
+                .setMaxValue(5000)
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("streak_bonus")
+                .setDescription("Extra XP per consecutive completion")
+                .setMinValue(0)
+                .setMaxValue(1000)
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("max_bonus")
+                .setDescription("Most extra XP a goal streak adds")
+                .setMinValue(0)
+                .setMaxValue(5000)
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("close_at")
+                .setDescription(
+                  "Nudge members at this % of their goal (0 = off)"
+                )
+                .setMinValue(0)
+                .setMaxValue(99)
+            )
+            .addBooleanOption((o) =>
+              o
+                .setName("checkin")
+                .setDescription(
+                  "A completed daily goal counts as the day's check-in"
+                )
+            )
+        )
+    )
+    .addSubcommandGroup((g) =>
+      g
+        .setName("buddies")
+        .setDescription("Study buddy pairs")
+        .addSubcommand((s) =>
+          s
+            .setName("channel")
+            .setDescription(
+              "Channel for the pairs' private threads (omit = the check-in channel)"
+            )
+            .addChannelOption((o) =>
+              o
+                .setName("channel")
+                .setDescription("Text channel")
+                .addChannelTypes(ChannelType.GuildText)
+                .setRequired(false)
+            )
+        )
+    )
+    .addSubcommandGroup((g) =>
+      g
+        .setName("tasks")
+        .setDescription("Tasks members pick for a focus session")
+        .addSubcommand((s) =>
+          s
+            .setName("set")
+            .setDescription("Change the task settings (omitted = unchanged)")
+            .addIntegerOption((o) =>
+              o
+                .setName("per_session")
+                .setDescription("Tasks a member can pick per session (0 = off)")
+                .setMinValue(0)
+                .setMaxValue(10)
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("xp")
+                .setDescription("XP per task reported done after a session")
+                .setMinValue(0)
+                .setMaxValue(1000)
+            )
+        )
+    )
+    .addSubcommandGroup((g) =>
+      g
+        .setName("xp")
+        .setDescription("XP rewards")
+        .addSubcommand((s) =>
+          s
+            .setName("set")
+            .setDescription("Set the XP given for an action")
+            .addStringOption((o) =>
+              o
+                .setName("reward")
+                .setDescription("Action")
+                .addChoices(...XP_REWARDS.map((r) => ({ name: r, value: r })))
+                .setRequired(true)
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("amount")
+                .setDescription("XP (0-1000)")
+                .setMinValue(0)
+                .setMaxValue(1000)
+                .setRequired(true)
+            )
+        )
+    ),
+
+  async execute(ctx) {
+    const { guild, options } = ctx;
+    const group = options.getSubcommandGroup();
+    const sub = options.getSubcommand();
+    const fail = (content) => ctx.reply({ content, ephemeral: true });
+    const save = (mutate, content) => {
+      updateGuildSettings(guild, mutate, ctx.user.id);
+      return ctx.reply({ content: `✅ ${content}`, ephemeral: true });
+    };
+
+    switch (group ? `${group} ${sub}` : sub) {
+      case "show":
+        return ctx.reply({
+          embeds: [settingsEmbed(guild, getGuildSettings(guild.id))],
+          ephemeral: true,
+        });
+
+      case "mapping set": {
+        const vc = options.getChannel("voice");
+        const text = options.getChannel("text");
+        const problem =
+          checkBotAccess(guild, vc, [PermissionsBitField.Flags.ViewChannel]) ||
+          checkBotAccess(guild, text, TEXT_PERMS);
+        if (problem) return fail(problem);
+        return save((s) => {
+          s.mappings[vc.id] = text.id;
+        }, `<#${vc.id}> is now mapped to <#${text.id}>.`);
+      }
+
+      case "mapping unset": {
+        const vc = options.getChannel("voice");
+        if (!getGuildSettings(guild.id).mappings[vc.id])
+          return fail(`<#${vc.id}> isn't mapped.`);
+        return save((s) => {
+          delete s.mappings[vc.id];
+        }, `Removed the mapping of <#${vc.id}>.`);
+      }
+
+      case "checkin channel": {
+        const ch = options.getChannel("channel");
+        if (ch) {
+          const problem = checkBotAccess(guild, ch, TEXT_PERMS);
+          if (problem) return fail(problem);
+        }
+        return save(
+          (s) => {
+            s.checkinChannelId = ch ? ch.id : null;
+          },
+          ch
+            ? `Daily check-in reminders will be posted in <#${ch.id}>.`
+            : "Daily check-in reminders will be posted in the mapped text channels."
+        );
+      }
+
+      case "checkin time": {
+        const hour = options.getInteger("hour");
+        const minute = options.getInteger("minute") ?? 0;
+        return save(
+          (s) => {
+            s.checkinHour = hour;
+            s.checkinMinute = minute;
+          },
+          `Daily check-in reminder set to ${pad(hour)}:${pad(minute)}.`
+        );
+      }
+
+      case "timezone": {
+        const zone = options.getString("zone").trim();
+        if (!isValidTimeZone(zone))
+          return fail(
+            `\`${zone}\` isn't a known time zone (e.g. \`Africa/Casablanca\`, \`Europe/Paris\`).`
+          );
+        return save((s) => {
+          s.timezone = zone;
+        }, `Server time zone set to ${zone}; the daily reminder was rescheduled.`);
+      }
+
+      case "mod-log": {
+        const ch = options.getChannel("channel");
+        if (ch) {
+          const problem = checkBotAccess(guild, ch, [
+            ...TEXT_PERMS,
+            PermissionsBitField.Flags.EmbedLinks,
+          ]);
+          if (problem) return fail(problem);
+        }
+        return save(
+          (s) => {
+            s.modLogChannelId = ch ? ch.id : null;
+          },
+          ch
+            ? `Automated actions will be logged in <#${ch.id}>.`
+            : "The mod-log channel is off (actions are still written to the audit file)."
+        );
+      }
+
+      case "presence timeout": {
+        const seconds = options.getInteger("seconds");
+        return save((s) => {
+          s.presenceTimeout = seconds;
+        }, `Presence timeout set to ${seconds}s (applies to new sessions).`);
+      }
+
+      case "presence mode": {
+        const mode = options.getString("mode");
+        const vc = options.getChannel("voice");
+        return save(
+          (s) => {
+            if (vc) s.verification.rooms[vc.id] = mode;
+            else s.verification.mode = mode;
+          },
+          `${vc ? `<#${vc.id}>` : "Rooms"} now use **${
+            VERIFICATION_MODES[mode]
+          }** presence checks (applies to new sessions).`
+        );
+      }
+
+      case "presence reset-room": {
+        const vc = options.getChannel("voice");
+        if (!(vc.id in getGuildSettings(guild.id).verification.rooms))
+          return fail(`<#${vc.id}> already uses the default mode.`);
+        return save((s) => {
+          delete s.verification.rooms[vc.id];
+        }, `<#${vc.id}> uses the default mode again.`);
+      }
+
+      case "presence reward": {
+        const mode = options.getString("mode");
+        const amount = options.getInteger("amount");
+        return save((s) => {
+          // the single check keeps using the long-standing Present reward
+          if (mode === "single") s.xp.present = amount;
+          else s.verification.modes[mode].xp = amount;
+        }, `Passing a ${VERIFICATION_MODES[mode]} check now gives ${amount} XP.`);
+      }
+
+      case "presence on-fail": {
+        const mode = options.getString("mode");
+        const policy = options.getString("policy");
+        return save((s) => {
+          s.verification.modes[mode].onFail = policy;
+        }, `Failing a ${VERIFICATION_MODES[mode]} check now means: ${FAILURE_POLICIES[policy]}.`);
+      }
+
+      case "presence rechecks": {
+        const current = getGuildSettings(guild.id).verification.modes.recheck;
+        const count = options.getInteger("count") ?? current.rechecks;
+        const minGap = options.getInteger("min_gap") ?? current.minGapMinutes;
+        const maxGap = options.getInteger("max_gap") ?? current.maxGapMinutes;
+        if (minGap > maxGap)
+          return fail("`min_gap` can't be longer than `max_gap`.");
+        return save((s) => {
+          Object.assign(s.verification.modes.recheck, {
+            rechecks: count,
+            minGapMinutes: minGap,
+            maxGapMinutes: maxGap,
+          });
+        }, `Random re-checks: ${count} after the first check, ${minGap}-${maxGap} minutes apart.`);
+      }
+
+      case "presence reminders": {
+        const raw = options.getString("stages").trim();
+        const via = options.getString("via");
+        const stages = /^(off|none)$/i.test(raw)
+          ? []
+          : raw
+              .split(/[\s,%]+/)
+              .filter(Boolean)
+              .map(Number);
+        if (
+          stages.some(
+            (n, i) =>
+              !Number.isInteger(n) ||
+              n < 1 ||
+              n > 99 ||
+              n <= (stages[i - 1] ?? 0)
+          )
+        )
+          return fail(
+            "Give increasing whole percentages between 1 and 99, e.g. `50, 80`, or `off`."
+          );
+        return save(
+          (s) => {
+            s.reminders.stages = stages;
+            if (via) s.reminders.via = via;
+          },
+          stages.length
+            ? `Pending members are reminded at ${stages
+                .map((p) => `${p}%`)
+                .join(", ")} of the presence timeout.`
+            : "Presence reminders are off."
+        );
+      }
+
+      case "presence attempts": {
+        const mode = options.getString("mode");
+        const count = options.getInteger("count");
+        return save((s) => {
+          s.verification.modes[mode].attempts = count;
+        }, `${VERIFICATION_MODES[mode]} checks now allow ${count} attempt(s).`);
+      }
+
+      case "streaks freezes": {
+        const every = options.getInteger("every");
+        const max = options.getInteger("max");
+        const cost = options.getInteger("cost");
+        if (every === null && max === null && cost === null)
+          return fail("Give at least one of `every`, `max`, `cost`.");
+        const next = updateGuildSettings(
+          guild,
+          (s) => {
+            if (every !== null) s.streaks.freezeEvery = every;
+            if (max !== null) s.streaks.maxFreezes = max;
+            if (cost !== null) s.streaks.freezeCost = cost;
+          },
+          ctx.user.id
+        );
+        const { freezeEvery, maxFreezes, freezeCost } = next.streaks;
+        return ctx.reply({
+          content: `✅ Streak freezes: ${
+            freezeEvery > 0 ? `one every ${freezeEvery} days` : "not earned"
+          }, up to ${maxFreezes} held, ${freezeCost} XP each.`,
+          ephemeral: true,
+        });
+      }
+
+      case "focus-xp rate": {
+        const amount = options.getInteger("amount");
+        const vc = options.getChannel("voice");
+        return save(
+          (s) => {
+            if (vc) s.focusXp.roomRates[vc.id] = amount;
+            else s.focusXp.perMinute = amount;
+          },
+          vc
+            ? `<#${vc.id}> now gives ${amount} XP per focused minute.`
+            : `Focused minutes now give ${amount} XP by default.`
+        );
+      }
+
+      case "focus-xp reset-room": {
+        const vc = options.getChannel("voice");
+        if (!(vc.id in getGuildSettings(guild.id).focusXp.roomRates))
+          return fail(`<#${vc.id}> already uses the default rate.`);
+        return save((s) => {
+          delete s.focusXp.roomRates[vc.id];
+        }, `<#${vc.id}> uses the default rate again.`);
+      }
+
+      case "focus-xp cap": {
+        const amount = options.getInteger("amount");
+        return save(
+          (s) => {
+            s.focusXp.dailyCap = amount;
+          },
+          amount > 0
+            ? `Focus-time XP is capped at ${amount} XP per day.`
+            : "Focus-time XP is no longer capped."
+        );
+      }
+
+      case "levels formula": {
+        const base = options.getInteger("base");
+        const exponent = options.getNumber("exponent");
+        return save((s) => {
+          s.levels.mode = "formula";
+          s.levels.base = base;
+          s.levels.exponent = exponent;
+        }, `Level L now needs ${base} × L^${exponent} XP.`);
+      }
+
+      case "levels thresholds": {
+        const raw = options.getString("xp");
+        const thresholds = raw
+          .split(/[\s,]+/)
+          .filter(Boolean)
+          .map(Number);
+        if (
+          !thresholds.length ||
+          thresholds.some(
+            (n, i) => !Number.isInteger(n) || n <= (thresholds[i - 1] ?? 0)
+          )
+        )
+          return fail(
+            "Give whole, strictly increasing XP amounts, e.g. `100, 300, 700`."
+          );
+        return save(
+          (s) => {
+            s.levels.mode = "thresholds";
+            s.levels.thresholds = thresholds;
+          },
+          `Levels 1-${thresholds.length} now need ${thresholds.join(", ")} XP.`
+        );
+      }
+
+      case "levels role": {
+        const level = options.getInteger("level");
+        const role = options.getRole("role");
+        const problem = roleProblem(guild, role);
+        if (problem) return fail(problem);
+        return save((s) => {
+          s.levels.roles[level] = role.id;
+        }, `Members reaching level ${level} get <@&${role.id}> (applied on their next level change).`);
+      }
+
+      case "levels unrole": {
+        const level = options.getInteger("level");
+        if (!getGuildSettings(guild.id).levels.roles[level])
+          return fail(`Level ${level} has no role reward.`);
+        return save((s) => {
+          delete s.levels.roles[level];
+        }, `Removed the role reward of level ${level}.`);
+      }
+
+      case "levels channel": {
+        const ch = options.getChannel("channel");
+        if (ch) {
+          const problem = checkBotAccess(guild, ch, TEXT_PERMS);
+          if (problem) return fail(problem);
+        }
+        return save(
+          (s) => {
+            s.levels.announceChannelId = ch ? ch.id : null;
+          },
+          ch
+            ? `Level-ups will be announced in <#${ch.id}>.`
+            : "Level-ups will be announced in the member's room text channel."
+        );
+      }
+
+      case "levels options": {
+        const announce = options.getBoolean("announce");
+        const stack = options.getBoolean("stack");
+        if (announce === null && stack === null)
+          return fail("Give `announce` and/or `stack`.");
+        const next = updateGuildSettings(
+          guild,
+          (s) => {
+            if (announce !== null) s.levels.announce = announce;
+            if (stack !== null) s.levels.stackRoles = stack;
+          },
+          ctx.user.id
+        );
+        return ctx.reply({
+          content: `✅ Level-up messages ${
+            next.levels.announce ? "on" : "off"
+          }; ${
+            next.levels.stackRoles
+              ? "members keep every reward role"
+              : "members keep only their highest reward role"
+          }.`,
+          ephemeral: true,
+        });
+      }
+
+      case "infractions expiry": {
+        const days = options.getInteger("days");
+        return save(
+          (s) => {
+            s.infractions.expireDays = days;
+          },
+          days
+            ? `Infractions now stop counting after ${days} days.`
+            : "Infractions no longer expire."
+        );
+      }
+
+      case "infractions mod-channel": {
+        const ch = options.getChannel("channel");
+        if (ch) {
+          const problem = checkBotAccess(guild, ch, [
+            ...TEXT_PERMS,
+            PermissionsBitField.Flags.EmbedLinks,
+          ]);
+          if (problem) return fail(problem);
+        }
+        return save(
+          (s) => {
+            s.infractions.modChannelId = ch ? ch.id : null;
+          },
+          ch
+            ? `Appeals will be sent to <#${ch.id}>.`
+            : "Appeals are off (members won't get an Appeal button)."
+        );
+      }
+
+      case "infractions timeout": {
+        const at = options.getInteger("at");
+        const minutes = options.getInteger("minutes");
+        if (at > 0) {
+          const me = botMemberOf(guild);
+          if (
+            me &&
+            !me.permissions.has(PermissionsBitField.Flags.ModerateMembers)
+          )
+            return fail("I need the Moderate Members permission to time out.");
+        }
+        return save(
+          (s) => {
+            s.infractions.timeoutAt = at;
+            if (minutes !== null) s.infractions.timeoutMinutes = minutes;
+          },
+          at
+            ? `Members reaching ${at} active infractions get a ${
+                minutes ?? getGuildSettings(guild.id).infractions.timeoutMinutes
+              }-minute timeout.`
+            : "Infraction timeouts are off."
+        );
+      }
+
+      case "infractions role-removal": {
+        const at = options.getInteger("at");
+        const role = options.getRole("role");
+        if (at > 0) {
+          if (!role && !getGuildSettings(guild.id).infractions.removeRoleId)
+            return fail("Give the `role` to remove.");
+          if (role) {
+            const problem = roleProblem(guild, role);
+            if (problem) return fail(problem);
+          }
+        }
+        return save(
+          (s) => {
+            s.infractions.removeRoleAt = at;
+            if (role) s.infractions.removeRoleId = role.id;
+          },
+          at
+            ? `Members reaching ${at} active infractions lose <@&${
+                role
+                  ? role.id
+                  : getGuildSettings(guild.id).infractions.removeRoleId
+              }>.`
+            : "Infraction role removal is off."
+        );
+      }
+
+      case "recap channel": {
+        const ch = options.getChannel("channel");
+        if (ch) {
+          const problem = checkBotAccess(guild, ch, [
+            ...TEXT_PERMS,
+            PermissionsBitField.Flags.EmbedLinks,
+          ]);
+          if (problem) return fail(problem);
+        }
+        return save(
+          (s) => {
+            s.recap.channelId = ch ? ch.id : null;
+          },
+          ch ? `Recaps will be posted in <#${ch.id}>.` : "Recaps are off."
+        );
+      }
+
+      case "recap schedule": {
+        const weekday = options.getInteger("weekday");
+        const hour = options.getInteger("hour");
+        const minute = options.getInteger("minute") ?? 0;
+        return save(
+          (s) => {
+            s.recap.weekday = weekday;
+            s.recap.hour = hour;
+            s.recap.minute = minute;
+          },
+          `Weekly recap set to ${WEEKDAYS[weekday]} at ${pad(hour)}:${pad(
+            minute
+          )} (monthly recaps use the same time).`
+        );
+      }
+
+      case "recap monthly": {
+        const enabled = options.getBoolean("enabled");
+        return save(
+          (s) => {
+            s.recap.monthly = enabled;
+          },
+          enabled
+            ? "A recap of the past month will be posted on the 1st."
+            : "Monthly recaps are off."
+        );
+      }
+
+      case "pomodoro set": {
+        const lengths = {
+          focusMinutes: options.getInteger("focus"),
+          shortBreakMinutes: options.getInteger("short_break"),
+          longBreakMinutes: options.getInteger("long_break"),
+          cycles: options.getInteger("cycles"),
+        };
+        if (Object.values(lengths).every((v) => v === null))
+          return fail("Give at least one length to change.");
+        const next = updateGuildSettings(
+          guild,
+          (s) => {
+            for (const [key, value] of Object.entries(lengths)) {
+              if (value !== null) s.pomodoro[key] = value;
+            }
+          },
+          ctx.user.id
+        );
+        const { focusMinutes, shortBreakMinutes, longBreakMinutes, cycles } =
+          next.pomodoro;
+        return ctx.reply({
+          content: `✅ New pomodoros run ${focusMinutes}m focus, ${shortBreakMinutes}m short break, ${longBreakMinutes}m long break, ${cycles} cycles.`,
+          ephemeral: true,
+        });
+      }
+
+      case "goals set": {
+        const values = {
+          dailyXp: options.getInteger("daily_xp"),
+          weeklyXp: options.getInteger("weekly_xp"),
+          streakBonus: options.getInteger("streak_bonus"),
+          maxStreakBonus: options.getInteger("max_bonus"),
+          closeAt: options.getInteger("close_at"),
+          checkin: options.getBoolean("checkin"),
+        };
+        if (Object.values(values).every((v) => v === null))
+          return fail("Give at least one setting to change.");
+        const next = updateGuildSettings(
+          guild,
+          (s) => {
+            for (const [key, value] of Object.entries(values)) {
+              if (value !== null) s.goals[key] = value;
+            }
+          },
+          ctx.user.id
+        );
+        return ctx.reply({
+          content: `✅ Goals: ${goalsSummary(next.goals)}.`,
+          ephemeral: true,
+        });
+      }
+
+      case "buddies channel": {
+        const ch = options.getChannel("channel");
+        if (ch) {
+          const problem = checkBotAccess(guild, ch, [
+            ...TEXT_PERMS,
+            PermissionsBitField.Flags.CreatePrivateThreads,
+            PermissionsBitField.Flags.SendMessagesInThreads,
+          ]);
+          if (problem) return fail(problem);
+        }
+        return save(
+          (s) => {
+            s.buddies.channelId = ch ? ch.id : null;
+          },
+          ch
+            ? `Buddy threads will be created in <#${ch.id}>.`
+            : "Buddy threads will be created in the check-in channel."
+        );
+      }
+
+      case "tasks set": {
+        const perSession = options.getInteger("per_session");
+        const xp = options.getInteger("xp");
+        if (perSession === null && xp === null)
+          return fail("Give at least one setting to change.");
+        const next = updateGuildSettings(
+          guild,
+          (s) => {
+            if (perSession !== null) s.tasks.perSession = perSession;
+            if (xp !== null) s.tasks.xp = xp;
+          },
+          ctx.user.id
+        );
+        return ctx.reply({
+          content:
+            next.tasks.perSession > 0
+              ? `✅ Members can pick up to ${next.tasks.perSession} tasks per session (+${next.tasks.xp} XP each when reported done).`
+              : "✅ Session tasks are off.",
+          ephemeral: true,
+        });
+      }
+
+      case "xp set": {
+        const reward = options.getString("reward");
+        const amount = options.getInteger("amount");
+        return save((s) => {
+          s.xp[reward] = amount;
+        }, `${reward} now gives ${amount} XP.`);
+      }
+
+      default:
+        return fail("Unknown settings command.");
+    }
+  },
+};
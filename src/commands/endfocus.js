@@ -0,0 +1,47 @@
+// src/commands/endfocus.js — end a voice channel's active focus session (admins)
+import {
+  SlashCommandBuilder,
+  InteractionContextType,
+  ChannelType,
+  PermissionsBitField,
+} from "discord.js";
+import { clearSessionMessage, endSession } from "../focus/sessions.js";
+
+export default {
+  name: "endfocus",
+  aliases: [],
+  permissions: [
+    PermissionsBitField.Flags.ManageGuild,
+    PermissionsBitField.Flags.ManageChannels,
+  ],
+  cooldown: 0,
+  data: new SlashCommandBuilder()
+    .setName("endfocus")
+    .setDescription("End the active focus session of a voice channel (admins)")
+    .setContexts(InteractionContextType.Guild)
+    .addChannelOption((o) =>
+      o
+        .setName("channel")
+        .setDescription("Voice channel whose session should end")
+        .addChannelTypes(ChannelType.GuildVoice)
+        .setRequired(true)
+    ),
+
+  async execute(ctx) {
+    const vc = ctx.options.getChannel("channel");
+    if (!vc)
+      return ctx.reply({
+        content:
+          "Usage: `!endfocus <voiceChannelId>` or `/endfocus channel:<voice>`",
+        ephemeral: true,
+      });
+    const session = endSession(vc.id, "ended", ctx.user.id);
+    if (!session)
+      return ctx.reply({
+        content: "No active session for that voice channel.",
+        ephemeral: true,
+      });
+    await clearSessionMessage(ctx.guild, session);
+    return ctx.reply("Session ended.");
+  },
+};
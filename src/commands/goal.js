@@ -0,0 +1,135 @@
+// src/commands/goal.js — personal daily / weekly study goals (focus minutes or sessions)
+import {
+  SlashCommandBuilder,
+  InteractionContextType,
+  EmbedBuilder,
+} from "discord.js";
+import {
+  describeGoal,
+  describeGoalHistory,
+  evaluateMemberGoals,
+  goalProgress,
+  GOAL_METRICS,
+  GOAL_PERIODS,
+  MAX_TARGETS,
+} from "../goals/goals.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import { deleteGoal, listGoals, setGoal } from "../store/goals.js";
+
+const periodOption = (o) =>
+  o
+    .setName("period")
+    .setDescription("Daily or weekly goal")
+    .setRequired(true)
+    .addChoices(
+      { name: "daily", value: "daily" },
+      { name: "weekly", value: "weekly" }
+    );
+
+export default {
+  name: "goal",
+  aliases: ["goals"],
+  permissions: [],
+  cooldown: 3,
+  data: new SlashCommandBuilder()
+    .setName("goal")
+    .setDescription("Your study goals: daily or weekly focus time or sessions")
+    .setContexts(InteractionContextType.Guild)
+    .addSubcommand((s) =>
+      s
+        .setName("set")
+        .setDescription("Set (or change) a goal")
+        .addStringOption(periodOption)
+        .addStringOption((o) =>
+          o
+            .setName("type")
+            .setDescription("What counts")
+            .setRequired(true)
+            .addChoices(
+              { name: "focus minutes", value: "minutes" },
+              { name: "sessions attended", value: "sessions" }
+            )
+        )
+        .addIntegerOption((o) =>
+          o
+            .setName("target")
+            .setDescription("How many minutes / sessions")
+            .setMinValue(1)
+            .setMaxValue(MAX_TARGETS.weekly.minutes)
+            .setRequired(true)
+        )
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("clear")
+        .setDescription("Remove a goal")
+        .addStringOption(periodOption)
+    )
+    .addSubcommand((s) =>
+      s.setName("show").setDescription("Your goals, progress and history")
+    ),
+
+  async execute(ctx) {
+    const { guild, options } = ctx;
+    const userId = ctx.user.id;
+
+    switch (options.getSubcommand()) {
+      case "set": {
+        const period = options.getString("period");
+        const metric = options.getString("type");
+        const target = options.getInteger("target");
+        const max = MAX_TARGETS[period][metric];
+        if (target > max)
+          return ctx.reply({
+            content: `❌ الماكسيموم هو ${max} ${GOAL_METRICS[metric]}.`,
+            ephemeral: true,
+          });
+        setGoal({ guildId: guild.id, userId, period, metric, target });
+        await evaluateMemberGoals(guild, userId);
+        const { goals } = getGuildSettings(guild.id);
+        const xp = period === "weekly" ? goals.weeklyXp : goals.dailyXp;
+        return ctx.reply({
+          content:
+            `🎯 الهدف ${GOAL_PERIODS[period]} ديالك: **${target} ${GOAL_METRICS[metric]}**.` +
+            (xp > 0 ? ` كل مرة توصل ليه: +${xp} XP.` : "") +
+            "\nشوف التقدم ديالك بـ `/goal show` ولا فـ `/xp`.",
+          ephemeral: true,
+        });
+      }
+
+      case "clear": {
+        const period = options.getString("period");
+        const goal = listGoals(guild.id, userId).find(
+          (g) => g.period === period
+        );
+        if (!goal)
+          return ctx.reply({
+            content: `ما عندكش هدف ${GOAL_PERIODS[period]}.`,
+            ephemeral: true,
+          });
+        deleteGoal(goal.id);
+        return ctx.reply({
+          content: `🗑️ تحيّد الهدف ${GOAL_PERIODS[period]} ديالك.`,
+          ephemeral: true,
+        });
+      }
+
+      default: {
+        const progress = goalProgress(guild.id, userId);
+        const history = describeGoalHistory(guild.id, userId);
+        const embed = new EmbedBuilder()
+          .setTitle("🎯 الأهداف ديالك")
+          .setColor(0x2ecc71)
+          .setDescription(
+            progress.map(describeGoal).join("\n\n") ||
+              "ما عندك حتى هدف. ابدا بـ `/goal set period:daily type:focus minutes target:60`."
+          )
+          .setFooter({
+            text: "الـ nudges كيجيو فالـ DM (ولا منشن فقناة الـ check-in مع /reminders dm enabled:false)",
+          });
+        if (history) embed.addFields({ name: "آخر النتائج", value: history });
+        return ctx.reply({ embeds: [embed], ephemeral: true });
+      }
+    }
+  },
+};
@@ -0,0 +1,48 @@
+// src/commands/help.js — how QamBOT works and the available commands
+import {
+  SlashCommandBuilder,
+  InteractionContextType,
+  EmbedBuilder,
+} from "discord.js";
+
+export default {
+  name: "help",
+  aliases: ["commands"],
+  permissions: [],
+  cooldown: 5,
+  data: new SlashCommandBuilder()
+    .setName("help")
+    .setDescription("How QamBOT works and the available commands")
+    .setContexts(InteractionContextType.Guild),
+
+  async execute(ctx) {
+    const helpEmbed = new EmbedBuilder()
+      .setTitle("📘 نظام التحفيز — QamBOT")
+      .setColor(0x00b0f4)
+      .setDescription(
+        "**🔥 كيفاش كيخدم QamBOT؟ كلشي مبسّط هنا:**\n\n" +
+          "• اضغط **Present** في رسالة الـ Focus باش تسجل حضورك وتعطيك XP.\n" +
+          "• بعض الرومات كتطلب تختار الرمز الصحيح ولا تكتب الكود اللي فالرسالة، وشي وحدين كيعاودو يتحققو من الحضور فوسط الجلسة.\n" +
+          "• أوامر مفيدة: `/checkin`, `/xp`, `/streak`, `/buyfreeze`, `/leaderboard`, `/startfocus`, `/endfocus`, `/pomodoro`.\n" +
+          "• الأوامر القديمة بـ `!` (مثلا `!checkin`) باقية خدامة.\n\n" +
+          "**أمثلة:**\n" +
+          "• `/startfocus channel:<voice>` - ابدأ جلسة Focus تجريبية (يرسل رسالة Present في القناة النصية المرتبطة).\n" +
+          "• `/pomodoro start` - ابدأ مؤقت Pomodoro فالروم ديالك (Focus / بريك قصير / بريك طويل)، مع Present تلقائي فبداية كل Focus.\n" +
+          "• الجلسات المبرمجة كتعلن قبل الوقت فالقناة ديال الروم: اضغط **🙋 RSVP** باش تسجل، وغادي نفكروك قبل ما تبدا.\n" +
+          "• `/checkin` - تسجيل الحضور اليومي.\n" +
+          "• `/streak` و `/buyfreeze` - الستريك ديالك، و Streak Freeze كيغطي نهار نسيتي فيه الـ checkin.\n" +
+          "• `/reminders dm enabled:false` - وقف التذكيرات ديال Present فالـ DM (غادي نمنشنوك فالقناة بلاصتها).\n" +
+          "• `/timezone set zone:Africa/Casablanca` - التوقيت ديالك باش يتحسب النهار ديال الستريك مزيان.\n" +
+          "• `/leaderboard by:focus period:weekly` - الترتيب ديال السيرفر (XP، وقت الـ Focus، الستريك ولا الحضور) لليوم، السيمانة، الشهر ولا ديما.\n" +
+          "• `/history me` - آخر الجلسات ديالك، نسبة الحضور والوقت ديال الـ Focus (والمودز عندهم `/history room` و `/history user` مع `from` و `to`).\n" +
+          "• `/goal set period:daily type:focus minutes target:60` - هدف يومي ولا أسبوعي (دقائق الفوكس ولا الجلسات)، كيبان فـ `/xp` وكيعطيك XP إلا وصلتي ليه.\n" +
+          "• `/task add` - زيد مهمة للائحة ديالك، ومن بعد ختارها بـ **📝 Tasks** فالرسالة ديال Present. ملي تسالي الجلسة قول شنو كملتي وخود XP، و `/task history` كيوريك شنو كملتي كل نهار.\n" +
+          "• `/buddy join` - نلقاو ليك study buddy (أهداف، توقيت وأوقات فوكس متشابهة) فـ thread خاص بيكم، و `/buddy status` باش تشوف الـ check-in والحضور ديال البارتنر ديالك.\n" +
+          "• `/xp` - البروفايل ديالك: المستوى، التقدم والترتيب.\n"
+      )
+      .setFooter({
+        text: "استعمل /startfocus لتجربة زر Present (والأدمن يقدر يربط القنوات بـ /config mapping set)",
+      });
+    await ctx.reply({ embeds: [helpEmbed] });
+  },
+};
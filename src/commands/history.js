@@ -0,0 +1,127 @@
+// src/commands/history.js — session history: your own, or a room's / member's (moderators)
+import {
+  SlashCommandBuilder,
+  InteractionContextType,
+  ChannelType,
+  PermissionsBitField,
+} from "discord.js";
+import { historyView, parseDay } from "../history/history.js";
+
+const DEFAULT_SESSIONS = 20;
+
+const dateOptions = (s) =>
+  s
+    .addStringOption((o) =>
+      o
+        .setName("from")
+        .setDescription("First day, YYYY-MM-DD (server time zone)")
+        .setRequired(false)
+    )
+    .addStringOption((o) =>
+      o
+        .setName("to")
+        .setDescription("Last day, YYYY-MM-DD (server time zone)")
+        .setRequired(false)
+    );
+
+// the from / to options as days, or the reason they're not usable
+function dateRange(options) {
+  const days = {};
+  for (const key of ["from", "to"]) {
+    const text = options.getString(key);
+    if (!text) {
+      days[key] = null;
+      continue;
+    }
+    days[key] = parseDay(text.trim());
+    if (!days[key]) return { error: `Give \`${key}\` as YYYY-MM-DD.` };
+  }
+  if (days.from && days.to && days.from > days.to)
+    return { error: "`from` must be on or before `to`." };
+  return { fromDay: days.from, toDay: days.to };
+}
+
+function isModerator(member, guild) {
+  return (
+    member.id === guild.ownerId ||
+    member.permissions.has(PermissionsBitField.Flags.ModerateMembers)
+  );
+}
+
+export default {
+  name: "history",
+  aliases: ["sessions"],
+  permissions: [],
+  cooldown: 5,
+  data: new SlashCommandBuilder()
+    .setName("history")
+    .setDescription("Focus session history and attendance")
+    .setContexts(InteractionContextType.Guild)
+    .addSubcommand((s) =>
+      s
+        .setName("me")
+        .setDescription("Your last sessions, attendance rate and focus time")
+        .addIntegerOption((o) =>
+          o
+            .setName("sessions")
+            .setDescription(
+              `How many recent sessions (default ${DEFAULT_SESSIONS})`
+            )
+            .setMinValue(1)
+            .setMaxValue(200)
+            .setRequired(false)
+        )
+    )
+    .addSubcommand((s) =>
+      dateOptions(
+        s
+          .setName("room")
+          .setDescription("A room's sessions and attendance (moderators)")
+          .addChannelOption((o) =>
+            o
+              .setName("channel")
+              .setDescription("Voice channel")
+              .addChannelTypes(ChannelType.GuildVoice)
+              .setRequired(true)
+          )
+      )
+    )
+    .addSubcommand((s) =>
+      dateOptions(
+        s
+          .setName("user")
+          .setDescription("A member's sessions and attendance (moderators)")
+          .addUserOption((o) =>
+            o.setName("member").setDescription("Member").setRequired(true)
+          )
+      )
+    ),
+
+  async execute(ctx) {
+    const { guild, options } = ctx;
+    const sub = options.getSubcommand();
+    const view = { kind: sub, viewerId: ctx.user.id, page: 0 };
+
+    if (sub === "me") {
+      view.targetId = ctx.user.id;
+      view.limit = options.getInteger("sessions") || DEFAULT_SESSIONS;
+    } else {
+      if (!isModerator(ctx.member, guild))
+        return ctx.reply({
+          content: "Only moderators can look at other rooms and members.",
+          ephemeral: true,
+        });
+      const range = dateRange(options);
+      if (range.error)
+        return ctx.reply({ content: `❌ ${range.error}`, ephemeral: true });
+      view.fromDay = range.fromDay;
+      view.toDay = range.toDay;
+      view.targetId =
+        sub === "room"
+          ? options.getChannel("channel").id
+          : options.getUser("member").id;
+    }
+    await ctx.defer({ ephemeral: true });
+    await ctx.reply(historyView(guild, view));
+  },
+};
@@ -0,0 +1,35 @@
+// src/commands/index.js — command registry (one module per command in this directory)
+//
+// A command module default-exports:
+//   name         primary name, used for `/name` and `!name`
+//   aliases      extra `!` names (slash commands only know `name`)
+//   permissions  PermissionsBitField flags; the member needs at least one (the guild owner always passes)
+//   cooldown     seconds between uses per user (0 = none)
+//   data         SlashCommandBuilder; its options also drive `!` argument parsing
+//   execute(ctx) handler, see createInteractionContext/createPrefixContext in dispatcher.js
+import { loadModules } from "../loader.js";
+
+export const commands = await loadModules(import.meta.url);
+
+const byName = new Map();
+for (const cmd of commands) {
+  byName.set(cmd.name, cmd);
+  for (const alias of cmd.aliases || []) {
+    if (byName.has(alias)) {
+      console.warn(
+        `[COMMANDS] alias '${alias}' of ${cmd.name} is already taken`
+      );
+      continue;
+    }
+    byName.set(alias, cmd);
+  }
+}
+
+export function findCommand(name) {
+  return byName.get(name) || null;
+}
+
+// JSON bodies for the Discord API (deploy-commands.js)
+export function commandData() {
+  return commands.filter((c) => c.data).map((c) => c.data.toJSON());
+}
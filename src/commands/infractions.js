@@ -0,0 +1,128 @@
+// src/commands/infractions.js — review, clear and pardon members' infractions (moderators)
+import {
+  SlashCommandBuilder,
+  InteractionContextType,
+  EmbedBuilder,
+  PermissionsBitField,
+} from "discord.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import { listInfractions } from "../store/infractions.js";
+import {
+  clearInfractions,
+  infractionLine,
+  infractionStatus,
+  pardonInfraction,
+} from "../moderation/infractions.js";
+
+const MAX_LINES = 15;
+
+export default {
+  name: "infractions",
+  aliases: ["inf"],
+  permissions: [PermissionsBitField.Flags.ModerateMembers],
+  cooldown: 0,
+  data: new SlashCommandBuilder()
+    .setName("infractions")
+    .setDescription("Review members' infractions (moderators)")
+    .setContexts(InteractionContextType.Guild)
+    .setDefaultMemberPermissions(PermissionsBitField.Flags.ModerateMembers)
+    .addSubcommand((s) =>
+      s
+        .setName("view")
+        .setDescription("List a member's infractions")
+        .addUserOption((o) =>
+          o.setName("member").setDescription("Member").setRequired(true)
+        )
+        .addBooleanOption((o) =>
+          o
+            .setName("all")
+            .setDescription("Include expired, pardoned and cleared ones")
+            .setRequired(false)
+        )
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("clear")
+        .setDescription("Clear all of a member's active infractions")
+        .addUserOption((o) =>
+          o.setName("member").setDescription("Member").setRequired(true)
+        )
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("pardon")
+        .setDescription("Pardon one infraction")
+        .addIntegerOption((o) =>
+          o
+            .setName("id")
+            .setDescription("Infraction number (see /infractions view)")
+            .setMinValue(1)
+            .setRequired(true)
+        )
+        .addStringOption((o) =>
+          o.setName("note").setDescription("Why").setRequired(false)
+        )
+    ),
+
+  async execute(ctx) {
+    const { guild, options } = ctx;
+    const settings = getGuildSettings(guild.id);
+
+    switch (options.getSubcommand()) {
+      case "view": {
+        const user = options.getUser("member");
+        const records = listInfractions(guild.id, user.id);
+        const active = records.filter(
+          (r) => infractionStatus(r, settings) === "active"
+        );
+        const shown = (options.getBoolean("all") ? records : active).slice(
+          0,
+          MAX_LINES
+        );
+        const { expireDays } = settings.infractions;
+        const embed = new EmbedBuilder()
+          .setTitle(`🚩 Infractions — ${user.tag}`)
+          .setColor(active.length ? 0xe74c3c : 0x2ecc71)
+          .setDescription(
+            shown.map((r) => infractionLine(r, settings)).join("\n") ||
+              "— none —"
+          )
+          .setFooter({
+            text: `${active.length} active · ${records.length} total · ${
+              expireDays > 0
+                ? `expire after ${expireDays} days`
+                : "never expire"
+            }`,
+          });
+        return ctx.reply({ embeds: [embed], ephemeral: true });
+      }
+
+      case "clear": {
+        const user = options.getUser("member");
+        const count = clearInfractions(guild.id, user.id, ctx.user.id);
+        return ctx.reply({
+          content: count
+            ? `✅ Cleared ${count} active infraction(s) of <@${user.id}>.`
+            : `<@${user.id}> has no active infractions.`,
+          ephemeral: true,
+        });
+      }
+
+      case "pardon": {
+        const id = options.getInteger("id");
+        const result = pardonInfraction(
+          guild.id,
+          id,
+          ctx.user.id,
+          options.getString("note")
+        );
+        if (result.error)
+          return ctx.reply({ content: result.error, ephemeral: true });
+        return ctx.reply({
+          content: `✅ Pardoned infraction #${id} of <@${result.record.userId}>.`,
+          ephemeral: true,
+        });
+      }
+    }
+  },
+};
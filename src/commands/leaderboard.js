@@ -0,0 +1,44 @@
+// src/commands/leaderboard.js — paginated guild leaderboards by XP, focus time, streak or attendance
+import { SlashCommandBuilder, InteractionContextType } from "discord.js";
+import { leaderboardView, METRICS, PERIODS } from "../leaderboards/rankings.js";
+
+export default {
+  name: "leaderboard",
+  aliases: ["lb", "top"],
+  permissions: [],
+  cooldown: 10,
+  data: new SlashCommandBuilder()
+    .setName("leaderboard")
+    .setDescription("Top members of this server for a period")
+    .setContexts(InteractionContextType.Guild)
+    .addStringOption((o) =>
+      o
+        .setName("by")
+        .setDescription("What to rank by (default: XP)")
+        .addChoices(
+          ...Object.entries(METRICS).map(([value, m]) => ({
+            name: m.label,
+            value,
+          }))
+        )
+    )
+    .addStringOption((o) =>
+      o
+        .setName("period")
+        .setDescription("Time window (default: this week)")
+        .addChoices(
+          ...Object.entries(PERIODS).map(([value, name]) => ({ name, value }))
+        )
+    ),
+
+  async execute(ctx) {
+    await ctx.defer();
+    await ctx.reply(
+      await leaderboardView(ctx.guild, {
+        metric: ctx.options.getString("by") || "xp",
+        period: ctx.options.getString("period") || "weekly",
+        viewerId: ctx.user.id,
+      })
+    );
+  },
+};
@@ -0,0 +1,155 @@
+// src/commands/pomodoro.js — run QamBOT's own Pomodoro timer in a focus room
+import {
+  SlashCommandBuilder,
+  InteractionContextType,
+  ChannelType,
+} from "discord.js";
+import { getVoiceIdsForText } from "../focus/mappings.js";
+import {
+  canControlPomodoro,
+  getPomodoro,
+  startPomodoro,
+  stopPomodoro,
+} from "../focus/pomodoro.js";
+
+const channelOption = (o) =>
+  o
+    .setName("channel")
+    .setDescription(
+      "Voice channel (defaults to yours, or the one mapped to this text channel)"
+    )
+    .addChannelTypes(ChannelType.GuildVoice)
+    .setRequired(false);
+
+// the given channel, else the caller's voice channel, else the one mapped to this text channel
+function resolveVoiceChannel(ctx) {
+  const given = ctx.options.getChannel("channel");
+  if (given) return given;
+  const own = ctx.member.voice?.channel;
+  if (own) return own;
+  const [vcId] = getVoiceIdsForText(ctx.guild, ctx.channel.id);
+  return vcId ? ctx.guild.channels.cache.get(vcId) || null : null;
+}
+
+export default {
+  name: "pomodoro",
+  aliases: ["pomo"],
+  permissions: [],
+  cooldown: 5,
+  data: new SlashCommandBuilder()
+    .setName("pomodoro")
+    .setDescription("Pomodoro timer for a focus room")
+    .setContexts(InteractionContextType.Guild)
+    .addSubcommand((s) =>
+      s
+        .setName("start")
+        .setDescription(
+          "Start a pomodoro (lengths default to /config pomodoro)"
+        )
+        .addChannelOption(channelOption)
+        .addIntegerOption((o) =>
+          o
+            .setName("focus")
+            .setDescription("Focus minutes")
+            .setMinValue(1)
+            .setMaxValue(180)
+        )
+        .addIntegerOption((o) =>
+          o
+            .setName("short_break")
+            .setDescription("Short break minutes")
+            .setMinValue(1)
+            .setMaxValue(60)
+        )
+        .addIntegerOption((o) =>
+          o
+            .setName("long_break")
+            .setDescription("Long break minutes")
+            .setMinValue(1)
+            .setMaxValue(120)
+        )
+        .addIntegerOption((o) =>
+          o
+            .setName("cycles")
+            .setDescription("Focus blocks before the long break")
+            .setMinValue(1)
+            .setMaxValue(12)
+        )
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("stop")
+        .setDescription("Stop a room's pomodoro")
+        .addChannelOption(channelOption)
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("status")
+        .setDescription("Show a room's pomodoro")
+        .addChannelOption(channelOption)
+    ),
+
+  async execute(ctx) {
+    const sub = ctx.options.getSubcommand();
+    const vc = resolveVoiceChannel(ctx);
+    if (!vc)
+      return ctx.reply({
+        content:
+          "Join a voice channel, pass one, or use this command in a mapped text channel.",
+        ephemeral: true,
+      });
+
+    if (sub === "status") {
+      const p = getPomodoro(vc.id);
+      if (!p)
+        return ctx.reply({
+          content: `No pomodoro is running in <#${vc.id}>.`,
+          ephemeral: true,
+        });
+      const when = p.pausedRemaining
+        ? "paused"
+        : `ends <t:${Math.floor(p.phaseEndsAt / 1000)}:R>`;
+      return ctx.reply({
+        content: `<#${vc.id}>: **${p.phase.replace("_", " ")}**, cycle ${
+          p.cycle
+        }/${p.lengths.cycles} — ${when}.`,
+        ephemeral: true,
+      });
+    }
+
+    if (!canControlPomodoro(ctx.member, vc.id))
+      return ctx.reply({
+        content: `Only members in <#${vc.id}> or moderators can control its timer.`,
+        ephemeral: true,
+      });
+
+    if (sub === "stop") {
+      const stopped = await stopPomodoro(ctx.guild, vc.id);
+      return ctx.reply({
+        content: stopped
+          ? `Pomodoro stopped in <#${vc.id}>.`
+          : `No pomodoro is running in <#${vc.id}>.`,
+        ephemeral: true,
+      });
+    }
+
+    await ctx.defer({ ephemeral: true });
+    const result = await startPomodoro(
+      vc,
+      ctx.channel,
+      {
+        focusMinutes: ctx.options.getInteger("focus"),
+        shortBreakMinutes: ctx.options.getInteger("short_break"),
+        longBreakMinutes: ctx.options.getInteger("long_break"),
+        cycles: ctx.options.getInteger("cycles"),
+      },
+      ctx.user.id
+    );
+    if (result.error)
+      return ctx.reply({ content: result.error, ephemeral: true });
+    // prefix users see the announcement itself; slash interactions need an answer
+    if (ctx.source === "slash") {
+      await ctx.reply(`Pomodoro started in <#${vc.id}>.`);
+    }
+  },
+};
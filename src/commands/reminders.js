@@ -0,0 +1,60 @@
+// src/commands/reminders.js — a member's choice of presence-check reminders (DM or ping)
+import { SlashCommandBuilder, InteractionContextType } from "discord.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import { getUser, updateUser } from "../store/users.js";
+
+export default {
+  name: "reminders",
+  aliases: [],
+  permissions: [],
+  cooldown: 3,
+  data: new SlashCommandBuilder()
+    .setName("reminders")
+    .setDescription("How you're reminded to press Present")
+    .setContexts(InteractionContextType.Guild)
+    .addSubcommand((s) =>
+      s
+        .setName("dm")
+        .setDescription(
+          "Get reminders by DM, or only as a ping in the room's channel"
+        )
+        .addBooleanOption((o) =>
+          o
+            .setName("enabled")
+            .setDescription("Send me reminder DMs")
+            .setRequired(true)
+        )
+    )
+    .addSubcommand((s) =>
+      s.setName("show").setDescription("Show how you get reminders")
+    ),
+
+  async execute(ctx) {
+    const sub = ctx.options.getSubcommand();
+
+    if (sub === "dm") {
+      const enabled = ctx.options.getBoolean("enabled");
+      updateUser(ctx.user.id, { dmReminders: enabled ? 1 : 0 });
+      return ctx.reply({
+        content: enabled
+          ? "✅ غادي توصلك التذكيرات ديال Present فالـ DM."
+          : "✅ ما غاديش نصيفطو ليك DMs — غادي نمنشنوك فالقناة ديال الروم.",
+        ephemeral: true,
+      });
+    }
+
+    const { stages, via } = getGuildSettings(ctx.guild.id).reminders;
+    const dms = getUser(ctx.user.id)?.dmReminders !== 0;
+    const how = via === "dm" && dms ? "فالـ DM" : "بمنشن فالقناة ديال الروم";
+    return ctx.reply({
+      content: stages.length
+        ? `⏰ التذكيرات كتجي ${how} ملي كيدوز ${stages
+            .map((p) => `${p}%`)
+            .join(" و ")} من وقت الـ Present.${
+            dms ? "" : " (الـ DMs مطفيين عندك)"
+          }`
+        : "⏰ هاد السيرفر ما مفعّلش التذكيرات.",
+      ephemeral: true,
+    });
+  },
+};
@@ -0,0 +1,269 @@
+// src/commands/schedule.js — scheduled focus sessions per room: one-off or recurring (moderators)
+import {
+  SlashCommandBuilder,
+  InteractionContextType,
+  ChannelType,
+  EmbedBuilder,
+  PermissionsBitField,
+} from "discord.js";
+import { getNotifyChannelForVoice } from "../focus/mappings.js";
+import {
+  describeRecurrence,
+  nextRun,
+  parseCron,
+  parseTime,
+  parseWeekdays,
+} from "../schedules/recurrence.js";
+import { addSchedule, cancelSchedule } from "../schedules/scheduled.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import {
+  getSchedule,
+  listActiveSchedules,
+  listRsvps,
+} from "../store/schedules.js";
+import { nextOccurrence, zonedTime } from "../timezones.js";
+
+const MAX_LINES = 15;
+
+// when the schedule's first occurrence is and how it repeats, or an error
+function timingOf(options, timeZone) {
+  const cron = options.getString("cron");
+  const time = options.getString("time");
+  const date = options.getString("date");
+  const days = options.getString("days");
+
+  if (cron) {
+    if (time || date || days)
+      return { error: "`cron` replaces `time`, `date` and `days`." };
+    try {
+      parseCron(cron);
+    } catch (e) {
+      return { error: `Invalid cron line: ${e.message}.` };
+    }
+    const recurrence = { type: "cron", expr: cron.trim() };
+    const startsAt = nextRun(recurrence, timeZone);
+    if (!startsAt)
+      return { error: "That cron line doesn't run in the next year." };
+    return { recurrence, startsAt };
+  }
+
+  const at = parseTime(time);
+  if (!at) return { error: "Give `time` as HH:MM (or a `cron` line)." };
+  if (days) {
+    if (date)
+      return { error: "`date` is for one-off sessions, `days` repeats." };
+    const weekdays = parseWeekdays(days);
+    if (!weekdays)
+      return {
+        error:
+          "Give `days` like `mon, wed, fri`, `weekdays`, `weekends` or `daily`.",
+      };
+    const recurrence = { type: "weekly", weekdays, ...at };
+    return { recurrence, startsAt: nextRun(recurrence, timeZone) };
+  }
+  if (date) {
+    if (
+      !/^\d{4}-\d{2}-\d{2}$/.test(date) ||
+      Number.isNaN(Date.parse(`${date}T00:00:00Z`))
+    )
+      return { error: "Give `date` as YYYY-MM-DD." };
+    const startsAt = zonedTime(date, at.hour, at.minute, timeZone);
+    if (startsAt <= Date.now())
+      return { error: "That time has already passed." };
+    return { recurrence: null, startsAt };
+  }
+  return {
+    recurrence: null,
+    startsAt: nextOccurrence(at.hour, at.minute, timeZone),
+  };
+}
+
+function scheduleLine(schedule) {
+  const at = Math.floor(schedule.startsAt / 1000);
+  const going = listRsvps(schedule.id, schedule.startsAt).length;
+  return `**#${schedule.id} ${schedule.title}** — <#${
+    schedule.voiceChannelId
+  }> · next <t:${at}:f> · ${describeRecurrence(schedule.recurrence)} · ${going} RSVP${
+    going === 1 ? "" : "s"
+  }`;
+}
+
+export default {
+  name: "schedule",
+  aliases: ["schedules"],
+  permissions: [PermissionsBitField.Flags.ManageEvents],
+  cooldown: 0,
+  data: new SlashCommandBuilder()
+    .setName("schedule")
+    .setDescription("Scheduled focus sessions (moderators)")
+    .setContexts(InteractionContextType.Guild)
+    .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageEvents)
+    .addSubcommand((s) =>
+      s
+        .setName("add")
+        .setDescription("Schedule a focus session in a room")
+        .addChannelOption((o) =>
+          o
+            .setName("voice")
+            .setDescription("Room (must be mapped to a text channel)")
+            .addChannelTypes(ChannelType.GuildVoice)
+            .setRequired(true)
+        )
+        .addStringOption((o) =>
+          o
+            .setName("title")
+            .setDescription("Title")
+            .setMaxLength(100)
+            .setRequired(true)
+        )
+        .addStringOption((o) =>
+          o
+            .setName("time")
+            .setDescription("Start time HH:MM in the server's time zone")
+            .setRequired(false)
+        )
+        .addStringOption((o) =>
+          o
+            .setName("date")
+            .setDescription(
+              "Day of a one-off session, YYYY-MM-DD (default: next time)"
+            )
+            .setRequired(false)
+        )
+        .addStringOption((o) =>
+          o
+            .setName("days")
+            .setDescription(
+              "Repeat on these days: mon, wed, fri / weekdays / daily"
+            )
+            .setRequired(false)
+        )
+        .addStringOption((o) =>
+          o
+            .setName("cron")
+            .setDescription(
+              "Repeat by a cron line instead: minute hour day month weekday"
+            )
+            .setRequired(false)
+        )
+        .addIntegerOption((o) =>
+          o
+            .setName("announce")
+            .setDescription(
+              "Minutes before the start to post the RSVP announcement (default 60)"
+            )
+            .setMinValue(1)
+            .setMaxValue(10080)
+            .setRequired(false)
+        )
+        .addIntegerOption((o) =>
+          o
+            .setName("remind")
+            .setDescription(
+              "Minutes before the start to ping RSVPs (default 10, 0 = off)"
+            )
+            .setMinValue(0)
+            .setMaxValue(1440)
+            .setRequired(false)
+        )
+        .addBooleanOption((o) =>
+          o
+            .setName("event")
+            .setDescription("Also create a Discord Scheduled Event")
+            .setRequired(false)
+        )
+        .addStringOption((o) =>
+          o
+            .setName("description")
+            .setDescription("What the session is about")
+            .setMaxLength(1000)
+            .setRequired(false)
+        )
+    )
+    .addSubcommand((s) =>
+      s.setName("list").setDescription("List upcoming scheduled sessions")
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("cancel")
+        .setDescription("Cancel a scheduled session (every occurrence)")
+        .addIntegerOption((o) =>
+          o
+            .setName("id")
+            .setDescription("Schedule number (see /schedule list)")
+            .setMinValue(1)
+            .setRequired(true)
+        )
+    ),
+
+  async execute(ctx) {
+    const { guild, options } = ctx;
+    const fail = (content) => ctx.reply({ content, ephemeral: true });
+
+    switch (options.getSubcommand()) {
+      case "add": {
+        const vc = options.getChannel("voice");
+        if (!getNotifyChannelForVoice(guild, vc.id))
+          return fail(
+            `Map <#${vc.id}> to a text channel first (/config mapping set).`
+          );
+        const { recurrence, startsAt, error } = timingOf(
+          options,
+          getGuildSettings(guild.id).timezone
+        );
+        if (error) return fail(error);
+
+        await ctx.defer({ ephemeral: true });
+        const createEvent = options.getBoolean("event") ? 1 : 0;
+        const schedule = await addSchedule(guild, {
+          voiceChannelId: vc.id,
+          title: options.getString("title"),
+          description: options.getString("description"),
+          recurrence,
+          startsAt,
+          announceMinutes: options.getInteger("announce") ?? 60,
+          remindMinutes: options.getInteger("remind") ?? 10,
+          createEvent,
+          createdBy: ctx.user.id,
+        });
+        return ctx.reply(
+          `✅ Scheduled ${scheduleLine(schedule)}.` +
+            (createEvent && !schedule.eventId
+              ? "\n⚠️ The Discord event couldn't be created — check my Manage Events permission."
+              : "")
+        );
+      }
+
+      case "list": {
+        const schedules = listActiveSchedules().filter(
+          (s) => s.guildId === guild.id
+        );
+        const embed = new EmbedBuilder()
+          .setTitle("📅 Scheduled sessions")
+          .setColor(0x00b0f4)
+          .setDescription(
+            schedules.slice(0, MAX_LINES).map(scheduleLine).join("\n") ||
+              "— none —"
+          );
+        if (schedules.length > MAX_LINES)
+          embed.setFooter({ text: `and ${schedules.length - MAX_LINES} more` });
+        return ctx.reply({ embeds: [embed], ephemeral: true });
+      }
+
+      case "cancel": {
+        const schedule = getSchedule(options.getInteger("id"));
+        if (
+          !schedule ||
+          schedule.guildId !== guild.id ||
+          schedule.status !== "active"
+        )
+          return fail("No upcoming scheduled session with that number.");
+        await cancelSchedule(guild, schedule);
+        return ctx.reply({
+          content: `✅ Cancelled **#${schedule.id} ${schedule.title}**.`,
+          ephemeral: true,
+        });
+      }
+    }
+  },
+};
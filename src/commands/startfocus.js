@@ -0,0 +1,57 @@
+// src/commands/startfocus.js — start a focus presence check manually
+import {
+  SlashCommandBuilder,
+  InteractionContextType,
+  ChannelType,
+} from "discord.js";
+import { getVoiceIdsForText } from "../focus/mappings.js";
+import { activeSessions, handleStartFocus } from "../focus/sessions.js";
+
+export default {
+  name: "startfocus",
+  aliases: ["focus"],
+  permissions: [],
+  cooldown: 10,
+  data: new SlashCommandBuilder()
+    .setName("startfocus")
+    .setDescription("Start a focus presence check for a voice channel")
+    .setContexts(InteractionContextType.Guild)
+    .addChannelOption((o) =>
+      o
+        .setName("channel")
+        .setDescription(
+          "Voice channel (defaults to the one mapped to this text channel)"
+        )
+        .addChannelTypes(ChannelType.GuildVoice)
+        .setRequired(false)
+    ),
+
+  async execute(ctx) {
+    let vc = ctx.options.getChannel("channel");
+    if (!vc) {
+      const [vcId] = getVoiceIdsForText(ctx.guild, ctx.channel.id);
+      if (!vcId)
+        return ctx.reply({
+          content:
+            "Provide a voice channel or use this command in a mapped text channel.",
+          ephemeral: true,
+        });
+      vc = ctx.guild.channels.cache.get(vcId);
+      if (!vc)
+        return ctx.reply({
+          content: "Voice channel not found.",
+          ephemeral: true,
+        });
+    }
+    await ctx.defer({ ephemeral: true });
+    await handleStartFocus(vc, ctx.channel, "manual", { userId: ctx.user.id });
+    // prefix users see the Present message itself; slash interactions need an answer
+    if (ctx.source === "slash") {
+      await ctx.reply(
+        activeSessions.has(vc.id)
+          ? `Focus presence check running for <#${vc.id}>.`
+          : `Could not start a session for <#${vc.id}> (empty channel, missing perms or already started).`
+      );
+    }
+  },
+};
@@ -0,0 +1,25 @@
+// src/commands/streak.js — show the caller's check-in streak in this server
+import { SlashCommandBuilder, InteractionContextType } from "discord.js";
+import { getMemberStreak } from "../store/checkins.js";
+
+export default {
+  name: "streak",
+  aliases: [],
+  permissions: [],
+  cooldown: 3,
+  data: new SlashCommandBuilder()
+    .setName("streak")
+    .setDescription("Show your check-in streak, best streak and streak freezes")
+    .setContexts(InteractionContextType.Guild),
+
+  async execute(ctx) {
+    const s = getMemberStreak(ctx.guild.id, ctx.user.id) || {};
+    const streak = s.streak || 0;
+    const longest = Math.max(s.longestStreak || 0, streak);
+    await ctx.reply(
+      `🔥 ستريكك الحالي: **${streak}** يوم.\n🏆 أطول ستريك: **${longest}** يوم.\n🧊 Streak Freezes: **${
+        s.streakFreezes || 0
+      }**`
+    );
+  },
+};
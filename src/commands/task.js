@@ -0,0 +1,161 @@
+// src/commands/task.js — your task list: add, finish, remove, and what you finished per day
+import {
+  SlashCommandBuilder,
+  InteractionContextType,
+  EmbedBuilder,
+} from "discord.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import { createTask, deleteTask, getTask, listTasks } from "../store/tasks.js";
+import {
+  completeTasks,
+  MAX_OPEN_TASKS,
+  MAX_TITLE_LENGTH,
+  tasksByDay,
+} from "../tasks/tasks.js";
+
+const idOption = (o) =>
+  o
+    .setName("id")
+    .setDescription("Task number (see /task list)")
+    .setMinValue(1)
+    .setRequired(true);
+
+export default {
+  name: "task",
+  aliases: ["tasks", "todo"],
+  permissions: [],
+  cooldown: 2,
+  data: new SlashCommandBuilder()
+    .setName("task")
+    .setDescription("Your task list: pick tasks for a focus session, earn XP")
+    .setContexts(InteractionContextType.Guild)
+    .addSubcommand((s) =>
+      s
+        .setName("add")
+        .setDescription("Add a task")
+        .addStringOption((o) =>
+          o
+            .setName("title")
+            .setDescription("What you want to get done")
+            .setMaxLength(MAX_TITLE_LENGTH)
+            .setRequired(true)
+        )
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("done")
+        .setDescription(
+          "Mark a task as done (no XP — report it after a session for that)"
+        )
+        .addIntegerOption(idOption)
+    )
+    .addSubcommand((s) => s.setName("list").setDescription("Your open tasks"))
+    .addSubcommand((s) =>
+      s
+        .setName("remove")
+        .setDescription("Delete a task")
+        .addIntegerOption(idOption)
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("history")
+        .setDescription("The tasks you finished, per day")
+        .addIntegerOption((o) =>
+          o
+            .setName("days")
+            .setDescription("How many days back (default 7)")
+            .setMinValue(1)
+            .setMaxValue(30)
+        )
+    ),
+
+  async execute(ctx) {
+    const { guild, options } = ctx;
+    const userId = ctx.user.id;
+    const reply = (content) => ctx.reply({ content, ephemeral: true });
+    // a task of this member in this guild, by its number
+    const ownTask = () => {
+      const task = getTask(options.getInteger("id"));
+      return task && task.guildId === guild.id && task.userId === userId
+        ? task
+        : null;
+    };
+
+    switch (options.getSubcommand()) {
+      case "add": {
+        const title = options.getString("title").trim();
+        if (!title) return reply("❌ كتب شنو هي المهمة.");
+        if (listTasks(guild.id, userId).length >= MAX_OPEN_TASKS)
+          return reply(
+            `❌ عندك ${MAX_OPEN_TASKS} مهمة مفتوحة — كمّل ولا حيّد شي وحدة قبل.`
+          );
+        const id = createTask({
+          guildId: guild.id,
+          userId,
+          title: title.slice(0, MAX_TITLE_LENGTH),
+        });
+        const { perSession, xp } = getGuildSettings(guild.id).tasks;
+        return reply(
+          `📝 تزادت المهمة **#${id}**: ${title}` +
+            (perSession > 0
+              ? `\nختارها بـ "📝 Tasks" فالرسالة ديال Present قبل الجلسة` +
+                (xp > 0 ? ` (+${xp} XP إلا كملتيها).` : ".")
+              : "")
+        );
+      }
+
+      case "done": {
+        const task = ownTask();
+        if (!task) return reply("❌ ما لقيتش هاد المهمة فاللائحة ديالك.");
+        if (task.status === "done") return reply("✅ هاد المهمة ديجا مكمّلة.");
+        completeTasks(guild.id, userId, [task]);
+        return reply(`✅ كملتي **#${task.id}**: ${task.title}`);
+      }
+
+      case "remove": {
+        const task = ownTask();
+        if (!task) return reply("❌ ما لقيتش هاد المهمة فاللائحة ديالك.");
+        deleteTask(task.id);
+        return reply(`🗑️ تحيّدات **#${task.id}**: ${task.title}`);
+      }
+
+      case "history": {
+        const days = options.getInteger("days") || 7;
+        const history = tasksByDay(guild.id, userId, days);
+        const embed = new EmbedBuilder()
+          .setTitle("📅 المهام اللي كملتي")
+          .setColor(0x2ecc71)
+          .setFooter({ text: `آخر ${days} أيام` });
+        if (!history.length)
+          embed.setDescription("حتى مهمة ما تكمّلات فهاد المدة.");
+        for (const { day, tasks } of history.slice(0, 25)) {
+          const lines = tasks.map(
+            (t) => `• ${t.title}${t.xp ? ` (+${t.xp} XP)` : ""}`
+          );
+          embed.addFields({
+            name: `${day} · ${tasks.length}`,
+            value: lines.join("\n").slice(0, 1024),
+          });
+        }
+        return ctx.reply({ embeds: [embed], ephemeral: true });
+      }
+
+      default: {
+        const tasks = listTasks(guild.id, userId);
+        const { perSession } = getGuildSettings(guild.id).tasks;
+        const embed = new EmbedBuilder()
+          .setTitle("📝 المهام ديالك")
+          .setColor(0x3498db)
+          .setDescription(
+            tasks.map((t) => `**#${t.id}** ${t.title}`).join("\n") ||
+              "اللائحة خاوية. زيد مهمة بـ `/task add`."
+          );
+        if (perSession > 0)
+          embed.setFooter({
+            text: `ختار حتى ${perSession} فكل جلسة بـ "📝 Tasks" فالرسالة ديال Present`,
+          });
+        return ctx.reply({ embeds: [embed], ephemeral: true });
+      }
+    }
+  },
+};
@@ -0,0 +1,78 @@
+// src/commands/timezone.js — a member's own time zone for check-in days and streaks
+import { SlashCommandBuilder, InteractionContextType } from "discord.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import { getUser, updateUser } from "../store/users.js";
+import { isValidTimeZone } from "../timezones.js";
+
+function localTime(timeZone) {
+  return new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    hour: "2-digit",
+    minute: "2-digit",
+    weekday: "short",
+  }).format(Date.now());
+}
+
+export default {
+  name: "timezone",
+  aliases: ["tz"],
+  permissions: [],
+  cooldown: 3,
+  data: new SlashCommandBuilder()
+    .setName("timezone")
+    .setDescription("Your time zone for check-in days and streaks")
+    .setContexts(InteractionContextType.Guild)
+    .addSubcommand((s) =>
+      s
+        .setName("set")
+        .setDescription("Use your own time zone")
+        .addStringOption((o) =>
+          o
+            .setName("zone")
+            .setDescription("IANA zone, e.g. Africa/Casablanca or Europe/Paris")
+            .setRequired(true)
+        )
+    )
+    .addSubcommand((s) =>
+      s.setName("clear").setDescription("Go back to the server's time zone")
+    )
+    .addSubcommand((s) =>
+      s.setName("show").setDescription("Show the time zone used for you")
+    ),
+
+  async execute(ctx) {
+    const sub = ctx.options.getSubcommand();
+    const guildZone = getGuildSettings(ctx.guild.id).timezone;
+
+    if (sub === "set") {
+      const zone = ctx.options.getString("zone").trim();
+      if (!isValidTimeZone(zone))
+        return ctx.reply({
+          content: `❌ \`${zone}\` ماشي time zone معروفة. مثال: \`Africa/Casablanca\`, \`Europe/Paris\`.`,
+          ephemeral: true,
+        });
+      updateUser(ctx.user.id, { timezone: zone });
+      return ctx.reply({
+        content: `✅ الأيام ديالك (checkin و streak) غادي تحسب بتوقيت **${zone}** (دابا ${localTime(zone)}).`,
+        ephemeral: true,
+      });
+    }
+
+    if (sub === "clear") {
+      updateUser(ctx.user.id, { timezone: null });
+      return ctx.reply({
+        content: `✅ رجعتي لتوقيت السيرفر: **${guildZone}**.`,
+        ephemeral: true,
+      });
+    }
+
+    const own = getUser(ctx.user.id)?.timezone;
+    const zone = own && isValidTimeZone(own) ? own : guildZone;
+    return ctx.reply({
+      content: `🕒 التوقيت ديالك: **${zone}**${
+        own ? "" : " (ديال السيرفر)"
+      } — دابا ${localTime(zone)}.`,
+      ephemeral: true,
+    });
+  },
+};
@@ -0,0 +1,307 @@
+// src/commands/trigger.js — the guild's rules for starting focus sessions from chat (admins)
+import {
+  SlashCommandBuilder,
+  InteractionContextType,
+  ChannelType,
+  EmbedBuilder,
+  PermissionsBitField,
+} from "discord.js";
+import {
+  describeRule,
+  evaluateTriggers,
+  MATCH_TARGETS,
+  ruleLabel,
+} from "../focus/triggers.js";
+import {
+  getGuildSettings,
+  updateGuildSettings,
+} from "../store/guildSettings.js";
+
+const MESSAGE_LINK = /discord(?:app)?\.com\/channels\/(\d+)\/(\d+)\/(\d+)/;
+
+// the rule source given by the bot / user / role options, or an error
+function sourceOf(options) {
+  const bot = options.getUser("bot");
+  const user = options.getUser("user");
+  const role = options.getRole("role");
+  if ([bot, user, role].filter(Boolean).length > 1)
+    return { error: "Give only one of `bot`, `user`, `role`." };
+  if (bot) {
+    if (!bot.bot) return { error: `<@${bot.id}> is not a bot.` };
+    return { source: { type: "bot", id: bot.id } };
+  }
+  if (user) return { source: { type: "user", id: user.id } };
+  if (role) return { source: { type: "role", id: role.id } };
+  return { source: { type: "any", id: null } };
+}
+
+// the rule match given by the pattern / in / field options, or an error
+function matchOf(options) {
+  const pattern = options.getString("pattern");
+  const target = options.getString("in") || "content";
+  const field = options.getString("field");
+  if (!pattern) {
+    return options.getString("in") || field
+      ? { error: "Give a `pattern` to look for." }
+      : { match: null };
+  }
+  try {
+    new RegExp(pattern, "i");
+  } catch (e) {
+    return { error: `Invalid pattern: ${e.message}` };
+  }
+  if (target === "field" && !field)
+    return { error: "Name the embed `field` to look in." };
+  return {
+    match: {
+      pattern,
+      in: target,
+      field: target === "field" ? field : null,
+    },
+  };
+}
+
+export default {
+  name: "trigger",
+  aliases: ["triggers"],
+  permissions: [PermissionsBitField.Flags.ManageGuild],
+  cooldown: 0,
+  data: new SlashCommandBuilder()
+    .setName("trigger")
+    .setDescription("Rules that start focus sessions from chat (admins)")
+    .setContexts(InteractionContextType.Guild)
+    .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+    .addSubcommand((s) =>
+      s.setName("list").setDescription("List this server's trigger rules")
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("add")
+        .setDescription("Add a trigger rule")
+        .addStringOption((o) =>
+          o
+            .setName("name")
+            .setDescription("Short name for the rule")
+            .setMaxLength(50)
+            .setRequired(true)
+        )
+        .addChannelOption((o) =>
+          o
+            .setName("voice")
+            .setDescription(
+              "Room to start (default: the channel's mapped rooms)"
+            )
+            .addChannelTypes(ChannelType.GuildVoice)
+            .setRequired(false)
+        )
+        .addChannelOption((o) =>
+          o
+            .setName("channel")
+            .setDescription(
+              "Channel to watch (default: any mapped text channel)"
+            )
+            .addChannelTypes(ChannelType.GuildText)
+            .setRequired(false)
+        )
+        .addUserOption((o) =>
+          o
+            .setName("bot")
+            .setDescription("Only messages from this bot")
+            .setRequired(false)
+        )
+        .addUserOption((o) =>
+          o
+            .setName("user")
+            .setDescription("Only messages from this member")
+            .setRequired(false)
+        )
+        .addRoleOption((o) =>
+          o
+            .setName("role")
+            .setDescription("Only messages from members with this role")
+            .setRequired(false)
+        )
+        .addStringOption((o) =>
+          o
+            .setName("in")
+            .setDescription(
+              "Where to look for the pattern (default: message text)"
+            )
+            .addChoices(
+              ...Object.entries(MATCH_TARGETS).map(([value, name]) => ({
+                name,
+                value,
+              }))
+            )
+            .setRequired(false)
+        )
+        .addStringOption((o) =>
+          o
+            .setName("field")
+            .setDescription("Embed field name (with in: One embed field)")
+            .setRequired(false)
+        )
+        .addStringOption((o) =>
+          o
+            .setName("pattern")
+            .setDescription(
+              "Regular expression, case-insensitive (default: any message)"
+            )
+            .setRequired(false)
+        )
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("remove")
+        .setDescription("Remove a trigger rule")
+        .addIntegerOption((o) =>
+          o
+            .setName("id")
+            .setDescription("Rule number (see /trigger list)")
+            .setMinValue(1)
+            .setRequired(true)
+        )
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("enable")
+        .setDescription("Turn a trigger rule on or off")
+        .addIntegerOption((o) =>
+          o
+            .setName("id")
+            .setDescription("Rule number (see /trigger list)")
+            .setMinValue(1)
+            .setRequired(true)
+        )
+        .addBooleanOption((o) =>
+          o.setName("enabled").setDescription("On or off").setRequired(true)
+        )
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("test")
+        .setDescription("Show what every rule decides on a message")
+        .addStringOption((o) =>
+          o
+            .setName("link")
+            .setDescription("Message link (Copy Message Link)")
+            .setRequired(true)
+        )
+    ),
+
+  async execute(ctx) {
+    const { guild, options } = ctx;
+    const fail = (content) => ctx.reply({ content, ephemeral: true });
+    const { rules } = getGuildSettings(guild.id).triggers;
+    const ruleById = (id) => rules.find((r) => r.id === id);
+
+    switch (options.getSubcommand()) {
+      case "list": {
+        const embed = new EmbedBuilder()
+          .setTitle("🎯 Trigger rules")
+          .setColor(0x00b0f4)
+          .setDescription(
+            rules
+              .map((r) => `**${ruleLabel(r)}** — ${describeRule(r)}`)
+              .join("\n") || "— none: chat messages don't start sessions —"
+          )
+          .setFooter({
+            text: "Rules are checked in order; /trigger test <link> shows their decisions",
+          });
+        return ctx.reply({ embeds: [embed], ephemeral: true });
+      }
+
+      case "add": {
+        const { source, error } = sourceOf(options);
+        if (error) return fail(error);
+        const { match, error: matchError } = matchOf(options);
+        if (matchError) return fail(matchError);
+        const rule = {
+          id: Math.max(0, ...rules.map((r) => r.id)) + 1,
+          name: options.getString("name"),
+          enabled: true,
+          source,
+          channelId: options.getChannel("channel")?.id || null,
+          match,
+          voiceChannelId: options.getChannel("voice")?.id || null,
+        };
+        updateGuildSettings(
+          guild,
+          (s) => {
+            s.triggers.rules.push(rule);
+          },
+          ctx.user.id
+        );
+        return ctx.reply({
+          content: `✅ Added rule **${ruleLabel(rule)}**: ${describeRule(rule)}`,
+          ephemeral: true,
+        });
+      }
+
+      case "remove": {
+        const rule = ruleById(options.getInteger("id"));
+        if (!rule) return fail("No rule with that number.");
+        updateGuildSettings(
+          guild,
+          (s) => {
+            s.triggers.rules = s.triggers.rules.filter((r) => r.id !== rule.id);
+          },
+          ctx.user.id
+        );
+        return ctx.reply({
+          content: `✅ Removed rule **${ruleLabel(rule)}**.`,
+          ephemeral: true,
+        });
+      }
+
+      case "enable": {
+        const rule = ruleById(options.getInteger("id"));
+        if (!rule) return fail("No rule with that number.");
+        const enabled = options.getBoolean("enabled");
+        updateGuildSettings(
+          guild,
+          (s) => {
+            s.triggers.rules.find((r) => r.id === rule.id).enabled = enabled;
+          },
+          ctx.user.id
+        );
+        return ctx.reply({
+          content: `✅ Rule **${ruleLabel(rule)}** is now ${enabled ? "on" : "off"}.`,
+          ephemeral: true,
+        });
+      }
+
+      case "test": {
+        const [, guildId, channelId, messageId] =
+          options.getString("link").match(MESSAGE_LINK) || [];
+        if (!messageId || guildId !== guild.id)
+          return fail("Give a link to a message of this server.");
+        const channel = guild.channels.cache.get(channelId);
+        const message =
+          channel && channel.isTextBased()
+            ? await channel.messages.fetch(messageId).catch(() => null)
+            : null;
+        if (!message) return fail("I can't read that message.");
+        const decisions = evaluateTriggers(message);
+        const embed = new EmbedBuilder()
+          .setTitle("🎯 Trigger test")
+          .setColor(decisions.some((d) => d.matched) ? 0x2ecc71 : 0x95a5a6)
+          .setDescription(
+            `[Message](${message.url}) by <@${message.author.id}> in <#${channelId}>\n\n` +
+              (decisions
+                .map(
+                  ({ rule, matched, reason, voiceIds }) =>
+                    `${matched ? "✅" : "❌"} **${ruleLabel(rule)}** — ${reason}${
+                      matched
+                        ? ` → ${voiceIds.map((id) => `<#${id}>`).join(", ")}`
+                        : ""
+                    }`
+                )
+                .join("\n") || "— no rules —")
+          )
+          .setFooter({ text: "Nothing was started" });
+        return ctx.reply({ embeds: [embed], ephemeral: true });
+      }
+    }
+  },
+};
@@ -0,0 +1,79 @@
+// src/commands/xp.js — XP profile: level, progress to the next level and rank
+import {
+  SlashCommandBuilder,
+  InteractionContextType,
+  EmbedBuilder,
+} from "discord.js";
+import { describeGoal, goalProgress } from "../goals/goals.js";
+import { levelProgress } from "../levels/curve.js";
+import { getMemberStreak } from "../store/checkins.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import { getGuildXP, listGuildXP } from "../store/users.js";
+
+function progressBar(ratio, width = 16) {
+  const filled = Math.round(Math.min(1, Math.max(0, ratio)) * width);
+  return "▰".repeat(filled) + "▱".repeat(width - filled);
+}
+
+// 1-based position by XP in the guild (ties share the better rank)
+function rankInGuild(guildId, xp) {
+  return listGuildXP(guildId).filter((r) => r.value > xp).length + 1;
+}
+
+export default {
+  name: "xp",
+  aliases: ["profile", "level"],
+  permissions: [],
+  cooldown: 3,
+  data: new SlashCommandBuilder()
+    .setName("xp")
+    .setDescription("Show your XP profile: level, progress and rank")
+    .setContexts(InteractionContextType.Guild)
+    .addUserOption((o) =>
+      o
+        .setName("member")
+        .setDescription("Whose profile (defaults to you)")
+        .setRequired(false)
+    ),
+
+  async execute(ctx) {
+    await ctx.defer();
+    const member =
+      ctx.options.getMember("member") ||
+      (await ctx.guild.members.fetch(ctx.user.id).catch(() => ctx.member));
+
+    const xp = getGuildXP(ctx.guild.id, member.id);
+    const streak = getMemberStreak(ctx.guild.id, member.id)?.streak || 0;
+    const { levels } = getGuildSettings(ctx.guild.id);
+    const { level, into, needed } = levelProgress(xp, levels);
+    const rank = rankInGuild(ctx.guild.id, xp);
+
+    const embed = new EmbedBuilder()
+      .setAuthor({
+        name: member.displayName,
+        iconURL: member.displayAvatarURL(),
+      })
+      .setColor(0xf1c40f)
+      .addFields(
+        { name: "المستوى", value: `**${level}**`, inline: true },
+        { name: "XP", value: `**${xp}**`, inline: true },
+        { name: "الترتيب", value: `#${rank}`, inline: true },
+        {
+          name: "التقدم للمستوى الجاي",
+          value:
+            needed === null
+              ? "🏆 وصلتي لأعلى مستوى!"
+              : `${progressBar(into / needed)} ${into}/${needed} XP`,
+        },
+        { name: "🔥 الستريك", value: `${streak} يوم`, inline: true }
+      );
+    const goals = goalProgress(ctx.guild.id, member.id);
+    if (goals.length) {
+      embed.addFields({
+        name: "🎯 الأهداف",
+        value: goals.map(describeGoal).join("\n"),
+      });
+    }
+    await ctx.reply({ embeds: [embed] });
+  },
+};
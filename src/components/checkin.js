@@ -0,0 +1,21 @@
+// src/components/checkin.js — the Check-in button of the daily reminder
+import {
+  CHECKIN_PREFIX,
+  checkinMessage,
+  recordCheckin,
+  refreshCheckinPanels,
+} from "../streaks/checkin.js";
+
+export default {
+  customIdPrefix: CHECKIN_PREFIX,
+
+  async execute(interaction) {
+    if (!interaction.inGuild()) return;
+    const result = recordCheckin(interaction.guildId, interaction.user.id);
+    await interaction.reply({
+      content: checkinMessage(result),
+      ephemeral: true,
+    });
+    if (!result.already) refreshCheckinPanels(interaction.guild);
+  },
+};
@@ -0,0 +1,32 @@
+// src/components/history.js — Previous / Next buttons of /history
+import { HISTORY_PREFIX, historyView } from "../history/history.js";
+
+export default {
+  customIdPrefix: HISTORY_PREFIX,
+
+  async execute(interaction) {
+    // hist_<kind>_<targetId>_<fromDay>_<toDay>_<limit>_<page>_<viewerId>
+    const [, kind, targetId, fromDay, toDay, limit, page, viewerId] =
+      interaction.customId.split("_");
+    if (interaction.user.id !== viewerId) {
+      return interaction.reply({
+        content: "Use `/history` to get your own view.",
+        ephemeral: true,
+      });
+    }
+    await interaction.deferUpdate().catch(() => {});
+    await interaction
+      .editReply(
+        historyView(interaction.guild, {
+          kind,
+          targetId,
+          fromDay: fromDay || null,
+          toDay: toDay || null,
+          limit: Number(limit) || null,
+          page: Number(page),
+          viewerId,
+        })
+      )
+      .catch((e) => console.warn("[HISTORY] page update failed", e));
+  },
+};
@@ -0,0 +1,12 @@
+// src/components/index.js — message component registry (buttons, selects, modals)
+//
+// A component module default-exports:
+//   customIdPrefix  customIds starting with this are routed to the module
+//   execute(interaction)
+import { loadModules } from "../loader.js";
+
+export const components = await loadModules(import.meta.url);
+
+export function findComponent(customId) {
+  return components.find((c) => customId.startsWith(c.customIdPrefix)) || null;
+}
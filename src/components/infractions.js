@@ -0,0 +1,156 @@
+// src/components/infractions.js — Appeal button + form (member) and Pardon / Reject (moderators)
+import {
+  ActionRowBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} from "discord.js";
+import { client } from "../client.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import { getInfraction, updateInfraction } from "../store/infractions.js";
+import {
+  appealEmbed,
+  appealRow,
+  canModerate,
+  INFRACTION_PREFIX,
+  infractionStatus,
+  pardonInfraction,
+  reviewRow,
+} from "../moderation/infractions.js";
+import { modLog } from "../moderation/modlog.js";
+
+function appealForm(id) {
+  return new ModalBuilder()
+    .setCustomId(`${INFRACTION_PREFIX}appealform_${id}`)
+    .setTitle(`Appeal infraction #${id}`)
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("text")
+          .setLabel("Why should it be lifted?")
+          .setStyle(TextInputStyle.Paragraph)
+          .setMinLength(10)
+          .setMaxLength(1000)
+          .setRequired(true)
+      )
+    );
+}
+
+// the appeal button works from DMs, so everything is looked up from the record
+function appealProblem(record, userId) {
+  if (!record || record.userId !== userId)
+    return "This infraction can't be appealed.";
+  const settings = getGuildSettings(record.guildId);
+  const status = infractionStatus(record, settings);
+  if (status !== "active") return `This infraction is already ${status}.`;
+  if (record.appealedAt) return "You already appealed this infraction.";
+  if (!settings.infractions.modChannelId)
+    return "This server doesn't take appeals — contact a moderator.";
+  return null;
+}
+
+async function submitAppeal(interaction, record) {
+  const guild = client.guilds.cache.get(record.guildId);
+  const settings = getGuildSettings(record.guildId);
+  const ch = guild?.channels.cache.get(settings.infractions.modChannelId);
+  if (!ch || !ch.isTextBased()) {
+    return interaction.reply({
+      content: "The moderators' channel is unavailable — contact a moderator.",
+      ephemeral: true,
+    });
+  }
+  const text = interaction.fields.getTextInputValue("text");
+  const sent = await ch
+    .send({
+      embeds: [appealEmbed(record, interaction.user, text, settings)],
+      components: [reviewRow(record.id)],
+    })
+    .catch(() => null);
+  if (!sent) {
+    return interaction.reply({
+      content: "Couldn't reach the moderators — try again later.",
+      ephemeral: true,
+    });
+  }
+  updateInfraction(record.id, { appealedAt: Date.now() });
+  // disable the button on the DM it came from
+  if (interaction.message) {
+    await interaction.message
+      .edit({ components: [appealRow(record.id, true)] })
+      .catch(() => {});
+  }
+  return interaction.reply({
+    content: "📨 Your appeal was sent to the moderators.",
+    ephemeral: true,
+  });
+}
+
+async function review(interaction, record, action) {
+  const member = interaction.member;
+  if (!member || !canModerate(member)) {
+    return interaction.reply({
+      content: "Only moderators can review appeals.",
+      ephemeral: true,
+    });
+  }
+  let outcome;
+  if (action === "pardon") {
+    const result = pardonInfraction(
+      record.guildId,
+      record.id,
+      member.id,
+      "appeal accepted"
+    );
+    if (result.error)
+      return interaction.reply({ content: result.error, ephemeral: true });
+    outcome = `✅ Pardoned by <@${member.id}>`;
+  } else {
+    updateInfraction(record.id, { note: "appeal rejected" });
+    modLog(record.guildId, "infraction_review", {
+      infractionId: record.id,
+      userId: record.userId,
+      decision: "appeal rejected",
+      by: member.id,
+    });
+    outcome = `❌ Rejected by <@${member.id}>`;
+  }
+  await interaction.update({
+    content: outcome,
+    components: [reviewRow(record.id, true)],
+  });
+  const user = await client.users.fetch(record.userId).catch(() => null);
+  if (user) {
+    await user
+      .send(
+        action === "pardon"
+          ? `✅ Your appeal for infraction #${record.id} in **${interaction.guild.name}** was accepted; it no longer counts.`
+          : `❌ Your appeal for infraction #${record.id} in **${interaction.guild.name}** was rejected.`
+      )
+      .catch(() => {});
+  }
+}
+
+export default {
+  customIdPrefix: INFRACTION_PREFIX,
+
+  async execute(interaction) {
+    const [, action, id] = interaction.customId.split("_"); // infr_<action>_<id>
+    const record = getInfraction(Number(id));
+
+    if (action === "appeal" || action === "appealform") {
+      const problem = appealProblem(record, interaction.user.id);
+      if (problem)
+        return interaction.reply({ content: problem, ephemeral: true });
+      if (action === "appeal") return interaction.showModal(appealForm(id));
+      return submitAppeal(interaction, record);
+    }
+
+    if (!record || record.guildId !== interaction.guildId) {
+      return interaction.reply({
+        content: "That infraction no longer exists.",
+        ephemeral: true,
+      });
+    }
+    return review(interaction, record, action);
+  },
+};
@@ -0,0 +1,31 @@
+// src/components/leaderboard.js — Previous / Next buttons of a leaderboard
+import {
+  LEADERBOARD_PREFIX,
+  leaderboardView,
+} from "../leaderboards/rankings.js";
+
+export default {
+  customIdPrefix: LEADERBOARD_PREFIX,
+
+  async execute(interaction) {
+    // lb_<metric>_<period>_<page>_<viewerId>
+    const [, metric, period, page, viewerId] = interaction.customId.split("_");
+    if (interaction.user.id !== viewerId) {
+      return interaction.reply({
+        content: "Use `/leaderboard` to get your own board.",
+        ephemeral: true,
+      });
+    }
+    await interaction.deferUpdate().catch(() => {});
+    await interaction
+      .editReply(
+        await leaderboardView(interaction.guild, {
+          metric,
+          period,
+          page: Number(page),
+          viewerId,
+        })
+      )
+      .catch((e) => console.warn("[LEADERBOARD] page update failed", e));
+  },
+};
@@ -0,0 +1,68 @@
+// src/components/pomodoro.js — Start / Pause / Skip / Stop buttons of a pomodoro panel
+import {
+  canControlPomodoro,
+  getPomodoro,
+  pausePomodoro,
+  POMODORO_PREFIX,
+  resumePomodoro,
+  skipPhase,
+  startPomodoro,
+  stopPomodoro,
+} from "../focus/pomodoro.js";
+
+export default {
+  customIdPrefix: POMODORO_PREFIX,
+
+  async execute(interaction) {
+    const [, action, vcId] = interaction.customId.split("_"); // pomo_<action>_<vcId>
+    const guild = interaction.guild;
+    const vc = guild?.channels.cache.get(vcId);
+    if (!vc) {
+      return interaction.reply({
+        content: "That voice channel no longer exists.",
+        ephemeral: true,
+      });
+    }
+    const member = await guild.members
+      .fetch(interaction.user.id)
+      .catch(() => null);
+    if (!member || !canControlPomodoro(member, vcId)) {
+      return interaction.reply({
+        content: `Only members in <#${vcId}> or moderators can control this timer.`,
+        ephemeral: true,
+      });
+    }
+
+    // the panel is edited by the engine itself; just acknowledge the click
+    await interaction.deferUpdate().catch(() => {});
+    const running = getPomodoro(vcId);
+    let done = false;
+    switch (action) {
+      case "start":
+        if (running) done = await resumePomodoro(guild, vcId);
+        else
+          done = !(await startPomodoro(vc, interaction.channel, {}, member.id))
+            .error;
+        break;
+      case "pause":
+        done = await pausePomodoro(guild, vcId);
+        break;
+      case "skip":
+        done = await skipPhase(guild, vcId);
+        break;
+      case "stop":
+        done = await stopPomodoro(guild, vcId);
+        break;
+    }
+    if (!done) {
+      await interaction
+        .followUp({
+          content: running
+            ? "Nothing to do — the timer is already in that state."
+            : `No pomodoro is running in <#${vcId}>.`,
+          ephemeral: true,
+        })
+        .catch(() => {});
+    }
+  },
+};
@@ -0,0 +1,181 @@
+// src/components/present.js — the Present button of a focus session, its grid picks and code form
+import { client } from "../client.js";
+import {
+  activeSessions,
+  markPresent,
+  persistSessionState,
+  presenceComponents,
+  PRESENT_PREFIX,
+  refreshPresenceMessage,
+} from "../focus/sessions.js";
+import {
+  codeModal,
+  gridChallenge,
+  gridRows,
+  presenceContent,
+} from "../focus/verification.js";
+
+// the member behind an interaction, or the reason they can't take the check
+async function checkMember(session, memberId) {
+  const guild = client.guilds.cache.get(session.guildId);
+  if (!guild) return { error: "Guild not found." };
+  const member = await guild.members.fetch(memberId).catch(() => null);
+  if (!member) return { error: "Member not found." };
+  if (
+    !member.voice.channelId ||
+    member.voice.channelId !== session.voiceChannelId
+  ) {
+    return { error: "You must be in the voice channel to mark Present." };
+  }
+  if (session.present.has(memberId)) {
+    return { error: "You've already marked Present." };
+  }
+  // members are tracked from when they join the room
+  if (!session.waiting.has(memberId)) {
+    return { error: "You're not part of this presence check." };
+  }
+  const { attempts } = session.verification;
+  if (attempts && (session.attempts[memberId] || 0) >= attempts) {
+    return { error: "❌ You have no attempts left for this check." };
+  }
+  return { guild, member };
+}
+
+// counts a wrong grid pick / code; returns the attempts left
+function wrongAnswer(session, memberId) {
+  session.attempts[memberId] = (session.attempts[memberId] || 0) + 1;
+  persistSessionState(session);
+  return session.verification.attempts - session.attempts[memberId];
+}
+
+function gridPrompt(session, memberId) {
+  const { symbols, answer } = gridChallenge();
+  session.challenges[memberId] = answer;
+  persistSessionState(session);
+  return {
+    content: `Pick ${symbols[answer]} to confirm you're here.`,
+    components: gridRows(session.customId, symbols),
+  };
+}
+
+async function onPresent(interaction, session) {
+  const memberId = interaction.user.id;
+  switch (session.verification.mode) {
+    case "grid":
+      return interaction.reply({
+        ...gridPrompt(session, memberId),
+        ephemeral: true,
+      });
+    case "code":
+      return interaction.showModal(codeModal(session.customId));
+  }
+
+  const reward = markPresent(session, memberId);
+  try {
+    await interaction.update({
+      content: presenceContent(session),
+      components: presenceComponents(session),
+    });
+  } catch (e) {
+    console.warn(
+      "interaction.update failed, falling back to ephemeral reply:",
+      e
+    );
+    await interaction.reply({
+      content: `✅ Marked present — you earned **${reward} XP**! (Note: failed to update original message)`,
+      ephemeral: true,
+    });
+  }
+}
+
+async function onPick(interaction, session, guild, index) {
+  const memberId = interaction.user.id;
+  const answer = session.challenges[memberId];
+  if (answer === undefined) {
+    return interaction.update({
+      content: "This grid has expired — press Present again.",
+      components: [],
+    });
+  }
+  delete session.challenges[memberId];
+  if (index === answer) {
+    const reward = markPresent(session, memberId);
+    await interaction.update({
+      content: `✅ Marked present — you earned **${reward} XP**!`,
+      components: [],
+    });
+    return refreshPresenceMessage(guild, session);
+  }
+  const left = wrongAnswer(session, memberId);
+  if (left <= 0) {
+    return interaction.update({
+      content: "❌ Wrong symbol, and no attempts left for this check.",
+      components: [],
+    });
+  }
+  const prompt = gridPrompt(session, memberId);
+  return interaction.update({
+    ...prompt,
+    content: `❌ Wrong symbol (${left} attempt${left === 1 ? "" : "s"} left). ${prompt.content}`,
+  });
+}
+
+async function onCode(interaction, session, guild) {
+  const memberId = interaction.user.id;
+  const typed = interaction.fields
+    .getTextInputValue("code")
+    .trim()
+    .toUpperCase();
+  if (typed === session.code) {
+    const reward = markPresent(session, memberId);
+    await interaction.reply({
+      content: `✅ Marked present — you earned **${reward} XP**!`,
+      ephemeral: true,
+    });
+    return refreshPresenceMessage(guild, session);
+  }
+  const left = wrongAnswer(session, memberId);
+  return interaction.reply({
+    content:
+      left > 0
+        ? `❌ Wrong code (${left} attempt${left === 1 ? "" : "s"} left).`
+        : "❌ Wrong code, and no attempts left for this check.",
+    ephemeral: true,
+  });
+}
+
+export default {
+  customIdPrefix: PRESENT_PREFIX,
+
+  async execute(interaction) {
+    // present_<vcId>_<ts>, then _pick_<index> (grid) or _code (form)
+    const parts = interaction.customId.split("_");
+    const vcId = parts[1];
+    const baseId = parts.slice(0, 3).join("_");
+    const session = activeSessions.get(vcId);
+    // grid picks happen on the member's own (ephemeral) grid, which is replaced
+    const refuse = (content) =>
+      parts[3] === "pick"
+        ? interaction.update({ content, components: [] })
+        : interaction.reply({ content, ephemeral: true });
+
+    // a button left over from an older session (or check) of the same channel
+    if (!session || session.customId !== baseId) {
+      return refuse(
+        "No active presence session for this channel or time expired."
+      );
+    }
+
+    const { guild, error } = await checkMember(session, interaction.user.id);
+    if (error) return refuse(error);
+
+    switch (parts[3]) {
+      case "pick":
+        return onPick(interaction, session, guild, Number(parts[4]));
+      case "code":
+        return onCode(interaction, session, guild);
+      default:
+        return onPresent(interaction, session);
+    }
+  },
+};
@@ -0,0 +1,51 @@
+// src/components/rsvp.js — the RSVP button of a scheduled session's announcement (press again to cancel)
+import { announcementPayload, RSVP_PREFIX } from "../schedules/scheduled.js";
+import {
+  addRsvp,
+  getSchedule,
+  listRsvps,
+  removeRsvp,
+} from "../store/schedules.js";
+
+export default {
+  customIdPrefix: RSVP_PREFIX,
+
+  async execute(interaction) {
+    if (!interaction.inGuild()) return;
+    // rsvp_<scheduleId>_<occursAt>
+    const [, scheduleId, occursAt] = interaction.customId
+      .split("_")
+      .map(Number);
+    const schedule = getSchedule(scheduleId);
+    if (
+      !schedule ||
+      schedule.status !== "active" ||
+      schedule.startsAt !== occursAt
+    ) {
+      return interaction.reply({
+        content: "⌛ This session has already started or was cancelled.",
+        ephemeral: true,
+      });
+    }
+
+    const record = {
+      scheduleId,
+      occursAt,
+      guildId: interaction.guildId,
+      userId: interaction.user.id,
+    };
+    const going = addRsvp(record);
+    if (!going) removeRsvp(scheduleId, occursAt, interaction.user.id);
+    await interaction.update(
+      announcementPayload(schedule, listRsvps(scheduleId, occursAt))
+    );
+    await interaction
+      .followUp({
+        content: going
+          ? `✅ You're going to **${schedule.title}** — you'll get a reminder before it starts.`
+          : `↩️ Your RSVP to **${schedule.title}** was removed.`,
+        ephemeral: true,
+      })
+      .catch(() => {});
+  },
+};
@@ -0,0 +1,134 @@
+// src/components/tasks.js — the Present message's task picker and the end-of-session task report
+import { activeSessions } from "../focus/sessions.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import {
+  getTask,
+  listSessionTasks,
+  listTasks,
+  setSessionTasks,
+} from "../store/tasks.js";
+import {
+  completeTasks,
+  pickMenu,
+  reportMenu,
+  TASKS_PREFIX,
+} from "../tasks/tasks.js";
+
+// the member's picks for the session that are still open
+function pickedTasks(sessionId, userId) {
+  return listSessionTasks(sessionId)
+    .filter((p) => p.userId === userId)
+    .map((p) => getTask(p.taskId))
+    .filter((t) => t && t.status === "open");
+}
+
+function titles(tasks) {
+  return tasks.map((t) => `• ${t.title}`).join("\n");
+}
+
+async function onOpen(interaction, vcId) {
+  const reply = (content) => interaction.reply({ content, ephemeral: true });
+  const session = activeSessions.get(vcId);
+  if (!session || !session.customId || !session.sessionId)
+    return reply("⌛ This session is over or its check has closed.");
+  const { perSession } = getGuildSettings(interaction.guildId).tasks;
+  if (perSession <= 0) return reply("Tasks are turned off in this server.");
+  if (interaction.member?.voice?.channelId !== vcId)
+    return reply("Join the room to pick your tasks.");
+  const userId = interaction.user.id;
+  const tasks = listTasks(interaction.guildId, userId);
+  if (!tasks.length)
+    return reply("You have no open tasks — add one with `/task add`.");
+  const picked = listSessionTasks(session.sessionId)
+    .filter((p) => p.userId === userId)
+    .map((p) => p.taskId);
+  return interaction.reply({
+    ...pickMenu(session, tasks, picked, perSession),
+    ephemeral: true,
+  });
+}
+
+async function onPick(interaction, vcId, sessionId) {
+  const session = activeSessions.get(vcId);
+  if (!session || session.sessionId !== sessionId)
+    return interaction.update({
+      content: "⌛ This session is over.",
+      components: [],
+    });
+  const userId = interaction.user.id;
+  const { perSession } = getGuildSettings(interaction.guildId).tasks;
+  const ids = new Set(interaction.values.map(Number));
+  // only the member's own open tasks, even if the list changed since the menu opened
+  const tasks = listTasks(interaction.guildId, userId)
+    .filter((t) => ids.has(t.id))
+    .slice(0, perSession);
+  setSessionTasks(
+    sessionId,
+    userId,
+    tasks.map((t) => t.id)
+  );
+  return interaction.update({
+    content: tasks.length
+      ? `📝 Your tasks for this session:\n${titles(tasks)}`
+      : "📝 No tasks picked for this session.",
+    components: [],
+  });
+}
+
+async function onReport(interaction, sessionId) {
+  const tasks = pickedTasks(sessionId, interaction.user.id);
+  if (!tasks.length)
+    return interaction.reply({
+      content: "None of your tasks from this session are left to report.",
+      ephemeral: true,
+    });
+  return interaction.reply({
+    ...reportMenu(sessionId, tasks),
+    ephemeral: true,
+  });
+}
+
+async function onDone(interaction, sessionId) {
+  const userId = interaction.user.id;
+  const tasks = pickedTasks(sessionId, userId);
+  if (!tasks.length)
+    return interaction.update({
+      content: "✅ Your tasks for this session were already reported.",
+      components: [],
+    });
+  const ids = new Set(interaction.values.map(Number));
+  const done = tasks.filter((t) => ids.has(t.id));
+  const xp = done.length
+    ? completeTasks(interaction.guildId, userId, done, sessionId)
+    : 0;
+  // reported once: the picks are used up either way
+  setSessionTasks(sessionId, userId, []);
+  return interaction.update({
+    content: done.length
+      ? `🎉 Finished ${done.length} task(s):\n${titles(done)}` +
+        (xp > 0 ? `\n+${xp} XP` : "")
+      : "👌 Nothing marked finished. Your tasks stay on your list (`/task list`).",
+    components: [],
+  });
+}
+
+export default {
+  customIdPrefix: TASKS_PREFIX,
+
+  async execute(interaction) {
+    if (!interaction.inGuild()) return;
+    // tasks_open_<vcId> / tasks_pick_<vcId>_<sessionId> on the Present message;
+    // tasks_report_<sessionId> / tasks_done_<sessionId> after the session
+    const [, action, a, b] = interaction.customId.split("_");
+    switch (action) {
+      case "open":
+        return onOpen(interaction, a);
+      case "pick":
+        return onPick(interaction, a, Number(b));
+      case "report":
+        return onReport(interaction, Number(a));
+      case "done":
+        return onDone(interaction, Number(a));
+    }
+  },
+};
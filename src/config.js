@@ -0,0 +1,74 @@
+// src/config.js — loads config.json once and exposes validated settings
+import { existsSync, readFileSync } from "fs";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+
+export const ROOT_DIR = join(dirname(fileURLToPath(import.meta.url)), "..");
+
+const configPath = join(ROOT_DIR, "config.json");
+if (!existsSync(configPath)) {
+  console.error("config.json not found. Create it as instructed.");
+  process.exit(1);
+}
+let rawConfig = {};
+try {
+  rawConfig = JSON.parse(readFileSync(configPath, "utf8"));
+} catch (e) {
+  console.error("Failed to parse config.json:", e);
+  process.exit(1);
+}
+
+// Basic defaults + validation
+export const DEBUG = Boolean(rawConfig.debug || process.env.DEBUG === "true");
+
+export const config = {
+  presenceTimeout: rawConfig.presenceTimeout,
+  leoBotId: rawConfig.leoBotId || null,
+  mappings: rawConfig.mappings || {},
+  checkinChannelId: rawConfig.checkinChannelId || null,
+  checkinHour:
+    Number.isFinite(Number.parseInt(rawConfig.checkinHour, 10)) &&
+    Number.parseInt(rawConfig.checkinHour, 10) >= 0
+      ? Number.parseInt(rawConfig.checkinHour, 10)
+      : 9,
+  checkinMinute:
+    Number.isFinite(Number.parseInt(rawConfig.checkinMinute, 10)) &&
+    Number.parseInt(rawConfig.checkinMinute, 10) >= 0
+      ? Number.parseInt(rawConfig.checkinMinute, 10)
+      : 0,
+  // IANA zone for check-in days and the daily reminder (guilds can override it)
+  timezone: rawConfig.timezone || "UTC",
+  prefix: typeof rawConfig.prefix === "string" ? rawConfig.prefix : "!",
+  policy: rawConfig.policy || {},
+  // JSON-lines audit trail of automated and moderator actions (relative to the bot folder)
+  auditLogPath: rawConfig.auditLogPath || "audit.jsonl",
+  storage: {
+    driver: (rawConfig.storage && rawConfig.storage.driver) || "sqlite",
+    path: (rawConfig.storage && rawConfig.storage.path) || null,
+  },
+  debug: Boolean(rawConfig.debug || false),
+};
+
+let presenceTimeout = Number.parseInt(config.presenceTimeout, 10);
+if (!Number.isFinite(presenceTimeout) || presenceTimeout <= 0) {
+  console.warn(
+    "Invalid presenceTimeout in config.json — using default 60s (was:",
+    config.presenceTimeout,
+    ")"
+  );
+  presenceTimeout = 60;
+}
+
+try {
+  new Intl.DateTimeFormat("en-US", { timeZone: config.timezone });
+} catch (e) {
+  console.warn(
+    `Invalid timezone '${config.timezone}' in config.json — using UTC`
+  );
+  config.timezone = "UTC";
+}
+
+export const PRESENCE_TIMEOUT = presenceTimeout;
+export const LEO_BOT_ID = config.leoBotId || null;
+export const MAPPINGS = config.mappings || {};
+export const CHECKIN_CHANNEL_ID = config.checkinChannelId || null;
@@ -0,0 +1,281 @@
+// src/dispatcher.js — routes `!` prefix messages and interactions to command/component modules
+import { ApplicationCommandOptionType } from "discord.js";
+import { config } from "./config.js";
+import { findCommand } from "./commands/index.js";
+import { findComponent } from "./components/index.js";
+
+// `${command}:${userId}` -> timestamp when the user may run it again
+const cooldowns = new Map();
+
+export function createInteractionContext(interaction) {
+  return {
+    source: "slash",
+    guild: interaction.guild,
+    channel: interaction.channel,
+    member: interaction.member,
+    user: interaction.user,
+    options: interaction.options,
+    async defer(opts = {}) {
+      if (interaction.deferred || interaction.replied) return;
+      await interaction.deferReply(opts);
+    },
+    reply(payload) {
+      if (interaction.deferred || interaction.replied) {
+        const { ephemeral, ...rest } =
+          typeof payload === "string" ? { content: payload } : payload;
+        return interaction.editReply(rest);
+      }
+      return interaction.reply(payload);
+    },
+  };
+}
+
+const SUBCOMMAND_TYPES = [
+  ApplicationCommandOptionType.Subcommand,
+  ApplicationCommandOptionType.SubcommandGroup,
+];
+
+function mentionId(raw, pattern) {
+  const m = raw.match(pattern);
+  return m ? m[1] : null;
+}
+
+// converts one raw argument to the option's type; returns { value } or { error }
+async function parseOptionValue(guild, opt, raw) {
+  switch (opt.type) {
+    case ApplicationCommandOptionType.Channel: {
+      const id = raw.replace(/^<#(\d+)>$/, "$1");
+      const ch = guild.channels.cache.get(id);
+      if (!ch) return { error: `Channel not found: ${raw}` };
+      if (opt.channel_types && !opt.channel_types.includes(ch.type))
+        return {
+          error: `<#${ch.id}> is not a valid channel for this command.`,
+        };
+      return { value: ch };
+    }
+    case ApplicationCommandOptionType.User: {
+      const id = mentionId(raw, /^(?:<@!?)?(\d+)>?$/);
+      const member = id
+        ? await guild.members.fetch(id).catch(() => null)
+        : null;
+      if (!member) return { error: `Member not found: ${raw}` };
+      return { value: member };
+    }
+    case ApplicationCommandOptionType.Role: {
+      const id = mentionId(raw, /^(?:<@&)?(\d+)>?$/);
+      const role = id ? guild.roles.cache.get(id) : null;
+      if (!role) return { error: `Role not found: ${raw}` };
+      return { value: role };
+    }
+    case ApplicationCommandOptionType.Boolean: {
+      const v = raw.toLowerCase();
+      if (["true", "yes", "on", "1"].includes(v)) return { value: true };
+      if (["false", "no", "off", "0"].includes(v)) return { value: false };
+      return { error: `\`${opt.name}\` must be true or false.` };
+    }
+    case ApplicationCommandOptionType.Integer:
+    case ApplicationCommandOptionType.Number: {
+      const n =
+        opt.type === ApplicationCommandOptionType.Integer
+          ? Number(raw)
+          : Number.parseFloat(raw);
+      if (
+        !Number.isFinite(n) ||
+        (opt.type === ApplicationCommandOptionType.Integer &&
+          !Number.isInteger(n))
+      )
+        return {
+          error: `\`${opt.name}\` must be a ${
+            opt.type === ApplicationCommandOptionType.Integer
+              ? "whole number"
+              : "number"
+          }.`,
+        };
+      if (
+        (opt.min_value !== undefined && n < opt.min_value) ||
+        (opt.max_value !== undefined && n > opt.max_value)
+      )
+        return {
+          error: `\`${opt.name}\` must be between ${opt.min_value ?? "-∞"} and ${
+            opt.max_value ?? "∞"
+          }.`,
+        };
+      return { value: n };
+    }
+    default:
+      return { value: raw };
+  }
+}
+
+// maps `!cmd [group] [subcommand] a b` onto the slash definition: subcommand
+// names first, then positional arguments in option order (a trailing string
+// option takes the rest of the line)
+export async function parsePrefixOptions(guild, definition, args) {
+  const values = {};
+  let defs = definition ? definition.toJSON().options || [] : [];
+  let subcommandGroup = null;
+  let subcommand = null;
+  let i = 0;
+  while (defs.some((o) => SUBCOMMAND_TYPES.includes(o.type))) {
+    const name = (args[i] || "").toLowerCase();
+    const match = defs.find(
+      (o) => SUBCOMMAND_TYPES.includes(o.type) && o.name === name
+    );
+    if (!match)
+      return {
+        error: `Expected one of: ${defs.map((o) => `\`${o.name}\``).join(", ")}`,
+      };
+    if (match.type === ApplicationCommandOptionType.SubcommandGroup)
+      subcommandGroup = match.name;
+    else subcommand = match.name;
+    defs = match.options || [];
+    i++;
+  }
+
+  for (let j = 0; j < defs.length; j++, i++) {
+    const opt = defs[j];
+    const isRest =
+      j === defs.length - 1 && opt.type === ApplicationCommandOptionType.String;
+    const raw = isRest ? args.slice(i).join(" ") : args[i];
+    if (raw === undefined || raw === "") {
+      if (opt.required) return { error: `Missing \`${opt.name}\`.` };
+      continue;
+    }
+    const parsed = await parseOptionValue(guild, opt, raw);
+    if (parsed.error) return parsed;
+    if (
+      opt.choices &&
+      !opt.choices.some((c) => String(c.value) === String(parsed.value))
+    )
+      return {
+        error: `\`${opt.name}\` must be one of: ${opt.choices
+          .map((c) => `\`${c.value}\``)
+          .join(", ")}`,
+      };
+    values[opt.name] = parsed.value;
+  }
+  return { values, subcommandGroup, subcommand };
+}
+
+export function createPrefixContext(
+  message,
+  { values = {}, subcommandGroup = null, subcommand = null } = {}
+) {
+  const get = (name) => (name in values ? values[name] : null);
+  return {
+    source: "prefix",
+    guild: message.guild,
+    channel: message.channel,
+    member: message.member,
+    user: message.author,
+    options: {
+      getSubcommandGroup: () => subcommandGroup,
+      getSubcommand: () => subcommand,
+      getChannel: get,
+      getString: get,
+      getInteger: get,
+      getNumber: get,
+      getBoolean: get,
+      getRole: get,
+      getMember: get,
+      getUser: (name) => get(name)?.user ?? null,
+    },
+    async defer() {},
+    reply(payload) {
+      if (typeof payload === "string") return message.reply(payload);
+      const { ephemeral, ...rest } = payload;
+      return message.reply(rest);
+    },
+  };
+}
+
+// member needs at least one of the command's permissions; the guild owner always passes
+function hasPermission(command, member, guild) {
+  if (!command.permissions || command.permissions.length === 0) return true;
+  if (member.id === guild.ownerId) return true;
+  return command.permissions.some((p) => member.permissions.has(p));
+}
+
+// returns the seconds left on the user's cooldown, or 0 (and starts a new one)
+function takeCooldown(command, userId) {
+  if (!command.cooldown) return 0;
+  const key = `${command.name}:${userId}`;
+  const now = Date.now();
+  const until = cooldowns.get(key) || 0;
+  if (until > now) return Math.ceil((until - now) / 1000);
+  cooldowns.set(key, now + command.cooldown * 1000);
+  setTimeout(() => cooldowns.delete(key), command.cooldown * 1000);
+  return 0;
+}
+
+export async function runCommand(command, ctx) {
+  if (!hasPermission(command, ctx.member, ctx.guild)) {
+    await ctx.reply({
+      content: "You lack permission to run this command.",
+      ephemeral: true,
+    });
+    return;
+  }
+  const wait = takeCooldown(command, ctx.user.id);
+  if (wait > 0) {
+    await ctx.reply({
+      content: `⏳ Slow down — try \`${command.name}\` again in ${wait}s.`,
+      ephemeral: true,
+    });
+    return;
+  }
+  try {
+    await command.execute(ctx);
+  } catch (e) {
+    console.error(`[COMMAND] ${command.name} (${ctx.source}) error`, e);
+    await ctx
+      .reply({
+        content: "Something went wrong running that command.",
+        ephemeral: true,
+      })
+      .catch(() => {});
+  }
+}
+
+// returns true when the message was a known `!` command (and was handled)
+export async function dispatchMessage(message) {
+  const content = (message.content || "").trim();
+  if (!config.prefix || !content.startsWith(config.prefix)) return false;
+  const parts = content.slice(config.prefix.length).split(/\s+/);
+  const command = findCommand(parts[0].toLowerCase());
+  if (!command) return false;
+  const parsed = await parsePrefixOptions(
+    message.guild,
+    command.data,
+    parts.slice(1)
+  );
+  // argument errors only matter to members allowed to run the command
+  if (parsed.error && hasPermission(command, message.member, message.guild)) {
+    await message.reply(parsed.error);
+    return true;
+  }
+  await runCommand(
+    command,
+    createPrefixContext(message, parsed.error ? {} : parsed)
+  );
+  return true;
+}
+
+export async function dispatchInteraction(interaction) {
+  if (interaction.isChatInputCommand()) {
+    if (!interaction.inGuild()) return;
+    const command = findCommand(interaction.commandName);
+    if (!command) return;
+    await runCommand(command, createInteractionContext(interaction));
+    return;
+  }
+  if (
+    interaction.isButton() ||
+    interaction.isAnySelectMenu() ||
+    interaction.isModalSubmit()
+  ) {
+    const component = findComponent(interaction.customId);
+    if (!component) return;
+    await component.execute(interaction);
+  }
+}
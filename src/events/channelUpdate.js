@@ -0,0 +1,17 @@
+// src/events/channelUpdate.js — debug logging of channel renames
+import { Events } from "discord.js";
+import { logDebug } from "../logger.js";
+
+export default {
+  name: Events.ChannelUpdate,
+  execute(oldC, newC) {
+    logDebug(
+      "[channelUpdate] old:",
+      oldC?.id,
+      oldC?.name,
+      "=> new:",
+      newC?.id,
+      newC?.name
+    );
+  },
+};
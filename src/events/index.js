@@ -0,0 +1,20 @@
+// src/events/index.js — client event handlers (one module per event in this directory)
+//
+// An event module default-exports:
+//   name        discord.js event name (Events.*)
+//   once        true to handle only the first emit
+//   execute(...args)
+import { loadModules } from "../loader.js";
+
+export const events = await loadModules(import.meta.url);
+
+export function registerEvents(client) {
+  for (const event of events) {
+    const handler = (...args) =>
+      Promise.resolve(event.execute(...args)).catch((e) =>
+        console.error(`[${event.name} error]`, e)
+      );
+    if (event.once) client.once(event.name, handler);
+    else client.on(event.name, handler);
+  }
+}
@@ -0,0 +1,14 @@
+// src/events/interactionCreate.js — slash commands and message components
+import { Events } from "discord.js";
+import { dispatchInteraction } from "../dispatcher.js";
+
+export default {
+  name: Events.InteractionCreate,
+  async execute(interaction) {
+    try {
+      await dispatchInteraction(interaction);
+    } catch (err) {
+      console.error("Interaction handler error", err);
+    }
+  },
+};
@@ -0,0 +1,34 @@
+// src/events/messageCreate.js — prefix commands, then focus triggers
+import { Events } from "discord.js";
+import { dispatchMessage } from "../dispatcher.js";
+import { handleFocusTriggers } from "../focus/triggers.js";
+import { logDebug } from "../logger.js";
+
+// dedupe set
+const recentHandledMessages = new Set();
+setInterval(() => recentHandledMessages.clear(), 10 * 1000);
+
+export default {
+  name: Events.MessageCreate,
+  async execute(message) {
+    if (!message.guild) return;
+    // the bot's own posts (announcements, reminders, prompts) never trigger anything
+    if (message.author.id === message.client.user?.id) return;
+
+    const preview = (message.content || "").slice(0, 200).replace(/\n/g, " ");
+    logDebug(
+      "[messageCreate] guild:",
+      message.guild.id,
+      "author:",
+      message.author.id,
+      "content:",
+      preview
+    );
+
+    if (recentHandledMessages.has(message.id)) return;
+    recentHandledMessages.add(message.id);
+
+    if (await dispatchMessage(message)) return;
+    await handleFocusTriggers(message);
+  },
+};
@@ -0,0 +1,22 @@
+// src/events/messageDelete.js — drop a focus session whose Present message was deleted
+import { Events } from "discord.js";
+import { logDebug } from "../logger.js";
+import { activeSessions, endSession } from "../focus/sessions.js";
+
+export default {
+  name: Events.MessageDelete,
+  execute(deleted) {
+    if (!deleted) return;
+    for (const [vcId, session] of activeSessions) {
+      if (session.messageId && session.messageId === deleted.id) {
+        endSession(vcId, "cancelled");
+        logDebug(
+          "[CLEANUP] removed active session for vc",
+          vcId,
+          "because message was deleted"
+        );
+        break;
+      }
+    }
+  },
+};
@@ -0,0 +1,83 @@
+// src/events/ready.js — startup diagnostics and schedulers
+import { Events, ChannelType } from "discord.js";
+import { CHECKIN_CHANNEL_ID } from "../config.js";
+import { store } from "../store/index.js";
+import { adoptLegacyData } from "../store/importJson.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import { watchBuddies } from "../buddies/buddies.js";
+import { restoreSessions } from "../focus/sessions.js";
+import { restorePomodoros } from "../focus/pomodoro.js";
+import { restoreVoiceTracking } from "../focus/voiceTime.js";
+import { watchLevelUps } from "../levels/rewards.js";
+import { watchSettingsChanges } from "../moderation/modlog.js";
+import { releasePolicyMutes } from "../policy/engine.js";
+import { startSchedulers } from "../schedulers/index.js";
+import { watchScheduledSessions } from "../schedules/scheduled.js";
+import { watchTasks } from "../tasks/tasks.js";
+
+// the guild the bot ran in before it tracked guilds: the one holding the configured
+// check-in channel, else the only guild it is in
+function legacyGuildId(client) {
+  const channel = client.channels.cache.get(CHECKIN_CHANNEL_ID);
+  if (channel?.guildId) return channel.guildId;
+  return client.guilds.cache.size === 1 ? client.guilds.cache.firstKey() : null;
+}
+
+export default {
+  name: Events.ClientReady,
+  once: true,
+  async execute(client) {
+    console.log(`Ready as ${client.user.tag}`);
+    try {
+      // Diagnostic: print each guild's mappings and flag channels that don't exist
+      for (const [, g] of client.guilds.cache) {
+        const { mappings } = getGuildSettings(g.id);
+        for (const [vcId, tId] of Object.entries(mappings)) {
+          const vc = g.channels.cache.get(vcId);
+          const tx = g.channels.cache.get(tId);
+          if (vc && tx) {
+            console.log(
+              `[MAPPING] guild:${g.id} voice(${vcId}) -> text(${tId}) vcName='${vc.name}' txName='${tx.name}'`
+            );
+          } else if (vc || tx) {
+            console.warn(
+              `[MAPPING WARN] guild:${g.id} mapping voice ${vcId} -> text ${tId} is incomplete: vcName='${
+                vc?.name || "N/A"
+              }' txName='${tx?.name || "N/A"}'`
+            );
+          }
+        }
+      }
+
+      for (const [, g] of client.guilds.cache) {
+        const vcs = g.channels.cache.filter(
+          (ch) => ch.type === ChannelType.GuildVoice
+        );
+        console.log(`[GUILD ${g.id}] voice channels:`);
+        for (const [, vc] of vcs) console.log(` - ${vc.id} => ${vc.name}`);
+      }
+
+      const legacyGuild = legacyGuildId(client);
+      if (legacyGuild) {
+        adoptLegacyData(store, legacyGuild);
+      } else {
+        console.warn("[STORE] no legacy guild found; legacy data left as is");
+      }
+
+      // listeners first: sessions closed while restoring end like any other
+      watchLevelUps(client);
+      watchBuddies(client);
+      watchTasks(client);
+      watchScheduledSessions(client);
+      watchSettingsChanges();
+
+      await restoreSessions(client);
+      await restorePomodoros(client);
+      await releasePolicyMutes(client);
+      restoreVoiceTracking(client);
+      startSchedulers(client);
+    } catch (e) {
+      console.error("[ready error]", e);
+    }
+  },
+};
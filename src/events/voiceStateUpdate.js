@@ -0,0 +1,63 @@
+// src/events/voiceStateUpdate.js — focus time tracking, voice policy enforcement, late joiners
+// of a presence check + optional auto-start on join
+import { Events } from "discord.js";
+import { logDebug } from "../logger.js";
+import { getNotifyChannelForVoice } from "../focus/mappings.js";
+import {
+  activeSessions,
+  handleStartFocus,
+  recentFocusTriggers,
+  trackSessionMembership,
+} from "../focus/sessions.js";
+import { trackVoiceTime } from "../focus/voiceTime.js";
+import { applyVoicePolicy } from "../policy/engine.js";
+import { getGuildPolicy } from "../policy/rules.js";
+
+// AUTO-START (mapping-only): start focus session automatically when members join a mapped voice channel
+function autoStartOnJoin(newState) {
+  const newChan = newState.channel;
+  const mappedText = getNotifyChannelForVoice(newState.guild, newChan.id);
+  if (!mappedText) {
+    logDebug(
+      `[AUTO-START-MAP] no mapping for voice ${newChan.id} (${newChan.name})`
+    );
+    return;
+  }
+  if (activeSessions.has(newChan.id) || recentFocusTriggers.has(newChan.id))
+    return;
+  logDebug(
+    `[AUTO-START-MAP] starting focus for ${newChan.id} (mapped to ${mappedText.id}) due to join`
+  );
+  handleStartFocus(newChan, mappedText, "auto-join", {
+    userId: newState.member.id,
+  }).catch((e) => console.error("auto-start-map error", e));
+}
+
+export default {
+  name: Events.VoiceStateUpdate,
+  async execute(oldState, newState) {
+    try {
+      trackVoiceTime(oldState, newState);
+    } catch (e) {
+      console.error("voice time tracking error", e);
+    }
+    try {
+      await applyVoicePolicy(oldState, newState);
+      await trackSessionMembership(oldState, newState);
+
+      const member = newState.member;
+      const joined =
+        newState.channel && oldState.channelId !== newState.channelId;
+      if (
+        joined &&
+        member &&
+        !member.user.bot &&
+        getGuildPolicy(newState.guild.id).autoStartOnJoin
+      ) {
+        autoStartOnJoin(newState);
+      }
+    } catch (e) {
+      console.error("voiceStateUpdate error", e);
+    }
+  },
+};
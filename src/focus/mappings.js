@@ -0,0 +1,26 @@
+// src/focus/mappings.js — voice channel <-> text channel lookups from the guild's mappings
+import { getGuildSettings } from "../store/guildSettings.js";
+
+function mappingsOf(guild) {
+  return getGuildSettings(guild.id).mappings || {};
+}
+
+// helper to get mapped text channel
+export function getNotifyChannelForVoice(guild, voiceChannelId) {
+  const textId = mappingsOf(guild)[voiceChannelId];
+  if (!textId) return null;
+  return guild.channels.cache.get(textId) || null;
+}
+
+export function getVoiceIdsForText(guild, textChannelId) {
+  const mappings = mappingsOf(guild);
+  return Object.keys(mappings).filter((v) => mappings[v] === textChannelId);
+}
+
+export function isMappedVoice(guild, voiceChannelId) {
+  return Boolean(mappingsOf(guild)[voiceChannelId]);
+}
+
+export function mappedTextChannelIds(guild) {
+  return new Set(Object.values(mappingsOf(guild)));
+}
@@ -0,0 +1,419 @@
+// src/focus/pomodoro.js — Pomodoro timers per voice channel (focus / short break / long break)
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  PermissionsBitField,
+} from "discord.js";
+import { logDebug } from "../logger.js";
+import { store } from "../store/index.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import { getNotifyChannelForVoice } from "./mappings.js";
+import {
+  activeSessions,
+  clearSessionMessage,
+  endSession,
+  handleStartFocus,
+} from "./sessions.js";
+
+// voiceChannelId -> running pomodoro
+const pomodoros = new Map();
+
+export const POMODORO_PREFIX = "pomo_";
+// how often the countdown embed is refreshed (the <t:…:R> timestamp ticks on its own)
+const TICK_MS = 30 * 1000;
+const META_KEY = "pomodoros";
+
+// any of these lets a member control pomodoros of rooms they aren't in
+const MODERATOR_PERMS = [
+  PermissionsBitField.Flags.ManageGuild,
+  PermissionsBitField.Flags.ManageChannels,
+  PermissionsBitField.Flags.MoveMembers,
+];
+
+const PHASES = {
+  focus: { label: "🍅 Focus", color: 0xe74c3c },
+  short_break: { label: "☕ Short break", color: 0x2ecc71 },
+  long_break: { label: "🛋️ Long break", color: 0x3498db },
+};
+
+function phaseMinutes(p) {
+  if (p.phase === "focus") return p.lengths.focusMinutes;
+  if (p.phase === "short_break") return p.lengths.shortBreakMinutes;
+  return p.lengths.longBreakMinutes;
+}
+
+// the phase after the current one, or null once the last long break is over
+function nextPhase(p) {
+  if (p.phase === "focus") {
+    return p.cycle >= p.lengths.cycles
+      ? { phase: "long_break", cycle: p.cycle }
+      : { phase: "short_break", cycle: p.cycle };
+  }
+  if (p.phase === "short_break") return { phase: "focus", cycle: p.cycle + 1 };
+  return null;
+}
+
+export function getPomodoro(vcId) {
+  return pomodoros.get(vcId) || null;
+}
+
+// participants (members in the room) and moderators may start, pause, skip and stop
+export function canControlPomodoro(member, vcId) {
+  if (member.voice?.channelId === vcId) return true;
+  if (member.id === member.guild.ownerId) return true;
+  return MODERATOR_PERMS.some((p) => member.permissions.has(p));
+}
+
+// true while the channel's pomodoro is running a focus phase; null when it has no pomodoro
+export function isPomodoroFocus(vcId) {
+  const p = pomodoros.get(vcId);
+  if (!p) return null;
+  return p.phase === "focus" && !p.pausedRemaining;
+}
+
+function persist() {
+  try {
+    const saved = {};
+    for (const [vcId, p] of pomodoros) {
+      const { timeout, ticker, ...rest } = p;
+      saved[vcId] = rest;
+    }
+    store.setMeta(META_KEY, saved);
+  } catch (e) {
+    console.error("[POMODORO] failed to store state", e);
+  }
+}
+
+function clearTimers(p) {
+  clearTimeout(p.timeout);
+  clearInterval(p.ticker);
+  p.timeout = null;
+  p.ticker = null;
+}
+
+function formatDuration(ms) {
+  const total = Math.max(0, Math.round(ms / 1000));
+  const m = Math.floor(total / 60);
+  const s = total % 60;
+  return `${m}:${String(s).padStart(2, "0")}`;
+}
+
+function progressBar(ratio, width = 20) {
+  const filled = Math.round(Math.min(1, Math.max(0, ratio)) * width);
+  return "▓".repeat(filled) + "░".repeat(width - filled);
+}
+
+export function pomodoroRow(vcId, { paused = false, finished = false } = {}) {
+  const id = (action) => `${POMODORO_PREFIX}${action}_${vcId}`;
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(id("start"))
+      .setLabel(finished ? "Start again" : "Start")
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(!paused && !finished),
+    new ButtonBuilder()
+      .setCustomId(id("pause"))
+      .setLabel("Pause")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(paused || finished),
+    new ButtonBuilder()
+      .setCustomId(id("skip"))
+      .setLabel("Skip")
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(finished),
+    new ButtonBuilder()
+      .setCustomId(id("stop"))
+      .setLabel("Stop")
+      .setStyle(ButtonStyle.Danger)
+      .setDisabled(finished)
+  );
+}
+
+function lengthsFooter(lengths) {
+  return `Focus ${lengths.focusMinutes}m · Short break ${lengths.shortBreakMinutes}m · Long break ${lengths.longBreakMinutes}m · ${lengths.cycles} cycles`;
+}
+
+function pomodoroEmbed(p) {
+  const { label, color } = PHASES[p.phase];
+  const total = phaseMinutes(p) * 60 * 1000;
+  const embed = new EmbedBuilder()
+    .setTitle(`${label} — cycle ${p.cycle}/${p.lengths.cycles}`)
+    .setColor(color)
+    .setFooter({ text: lengthsFooter(p.lengths) });
+  if (p.pausedRemaining) {
+    embed.setDescription(
+      `<#${p.voiceChannelId}>\n⏸️ **Paused** — ${formatDuration(
+        p.pausedRemaining
+      )} left\n${progressBar(1 - p.pausedRemaining / total)}`
+    );
+  } else {
+    const left = p.phaseEndsAt - Date.now();
+    const endsAt = Math.floor(p.phaseEndsAt / 1000);
+    embed.setDescription(
+      `<#${p.voiceChannelId}>\n⏱️ **${formatDuration(
+        left
+      )}** left — ends <t:${endsAt}:R> (<t:${endsAt}:t>)\n${progressBar(
+        1 - left / total
+      )}`
+    );
+  }
+  return embed;
+}
+
+function finishedEmbed(p, reason) {
+  return new EmbedBuilder()
+    .setTitle(
+      reason === "completed" ? "✅ Pomodoro complete" : "⏹️ Pomodoro stopped"
+    )
+    .setColor(0x95a5a6)
+    .setDescription(
+      `<#${p.voiceChannelId}> — ${
+        reason === "completed"
+          ? `${p.lengths.cycles} focus cycles done. Great work!`
+          : `stopped during ${PHASES[p.phase].label.toLowerCase()} of cycle ${p.cycle}.`
+      }`
+    )
+    .setFooter({ text: lengthsFooter(p.lengths) });
+}
+
+function notifyChannelOf(guild, p) {
+  const ch = guild.channels.cache.get(p.notifyChannelId);
+  return ch && ch.isTextBased() ? ch : null;
+}
+
+async function fetchPanel(guild, p) {
+  const ch = notifyChannelOf(guild, p);
+  if (!ch || !p.messageId) return null;
+  return ch.messages.fetch(p.messageId).catch(() => null);
+}
+
+async function refreshPanel(guild, p) {
+  const msg = await fetchPanel(guild, p);
+  if (!msg) return;
+  await msg
+    .edit({
+      embeds: [pomodoroEmbed(p)],
+      components: [
+        pomodoroRow(p.voiceChannelId, { paused: Boolean(p.pausedRemaining) }),
+      ],
+    })
+    .catch(() => {});
+}
+
+// posts the phase announcement and retires the previous panel's buttons
+async function announcePhase(guild, p) {
+  const ch = notifyChannelOf(guild, p);
+  if (!ch) return;
+  const previous = await fetchPanel(guild, p);
+  if (previous) await previous.edit({ components: [] }).catch(() => {});
+  const sent = await ch
+    .send({
+      content: `${PHASES[p.phase].label} in <#${p.voiceChannelId}> — cycle ${p.cycle}/${p.lengths.cycles}`,
+      embeds: [pomodoroEmbed(p)],
+      components: [pomodoroRow(p.voiceChannelId)],
+      allowedMentions: { parse: [] },
+    })
+    .catch((e) => {
+      console.warn("[POMODORO] failed to announce phase:", e);
+      return null;
+    });
+  if (sent) p.messageId = sent.id;
+}
+
+function armTimers(guild, p) {
+  clearTimers(p);
+  p.timeout = setTimeout(
+    () =>
+      advance(guild, p.voiceChannelId).catch((e) =>
+        console.error("[POMODORO] phase change error", e)
+      ),
+    Math.max(0, p.phaseEndsAt - Date.now())
+  );
+  p.ticker = setInterval(() => refreshPanel(guild, p), TICK_MS);
+}
+
+// focus phases open with a presence check for the people in the room
+async function beginPhase(guild, p) {
+  p.phaseEndsAt = Date.now() + phaseMinutes(p) * 60 * 1000;
+  p.pausedRemaining = null;
+  armTimers(guild, p);
+  await announcePhase(guild, p);
+  persist();
+  if (p.phase === "focus") {
+    const vc = guild.channels.cache.get(p.voiceChannelId);
+    if (vc) {
+      const running = activeSessions.get(p.voiceChannelId);
+      await handleStartFocus(vc, notifyChannelOf(guild, p), "pomodoro").catch(
+        (e) => console.error("[POMODORO] presence check error", e)
+      );
+      // the session this phase started (not one already running in the room)
+      const session = activeSessions.get(p.voiceChannelId);
+      p.sessionId = session && session !== running ? session.sessionId : null;
+      persist();
+    }
+  }
+}
+
+async function advance(guild, vcId) {
+  const p = pomodoros.get(vcId);
+  if (!p) return;
+  const next = nextPhase(p);
+  if (!next) {
+    await finishPomodoro(guild, p, "completed");
+    return;
+  }
+  Object.assign(p, next);
+  logDebug(`[POMODORO] ${vcId} -> ${p.phase} (cycle ${p.cycle})`);
+  await beginPhase(guild, p);
+}
+
+async function finishPomodoro(guild, p, reason) {
+  clearTimers(p);
+  pomodoros.delete(p.voiceChannelId);
+  persist();
+  const msg = await fetchPanel(guild, p);
+  if (msg) {
+    await msg
+      .edit({
+        content: "",
+        embeds: [finishedEmbed(p, reason)],
+        components: [pomodoroRow(p.voiceChannelId, { finished: true })],
+      })
+      .catch(() => {});
+  }
+  console.log(`[POMODORO] ${p.voiceChannelId} ${reason}`);
+}
+
+// starts a pomodoro for the voice channel; overrides replace the guild's default lengths
+export async function startPomodoro(
+  voiceChannel,
+  fallbackChannel = null,
+  overrides = {},
+  startedBy = null
+) {
+  const guild = voiceChannel.guild;
+  if (pomodoros.has(voiceChannel.id))
+    return { error: `A pomodoro is already running in <#${voiceChannel.id}>.` };
+  const notifyChannel =
+    getNotifyChannelForVoice(guild, voiceChannel.id) || fallbackChannel;
+  if (!notifyChannel || !notifyChannel.isTextBased())
+    return {
+      error: `<#${voiceChannel.id}> has no mapped text channel. Add one with /config mapping set`,
+    };
+
+  const lengths = { ...getGuildSettings(guild.id).pomodoro };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== null && value !== undefined) lengths[key] = value;
+  }
+  const p = {
+    guildId: guild.id,
+    voiceChannelId: voiceChannel.id,
+    notifyChannelId: notifyChannel.id,
+    messageId: null,
+    lengths,
+    phase: "focus",
+    cycle: 1,
+    phaseEndsAt: null,
+    pausedRemaining: null,
+    startedBy,
+    startedAt: Date.now(),
+    timeout: null,
+    ticker: null,
+  };
+  pomodoros.set(voiceChannel.id, p);
+  console.log(
+    `[POMODORO] started in ${voiceChannel.id} (${voiceChannel.name}) by ${
+      startedBy || "unknown"
+    }`
+  );
+  await beginPhase(guild, p);
+  return { pomodoro: p };
+}
+
+export async function pausePomodoro(guild, vcId) {
+  const p = pomodoros.get(vcId);
+  if (!p || p.pausedRemaining) return false;
+  clearTimers(p);
+  p.pausedRemaining = Math.max(1000, p.phaseEndsAt - Date.now());
+  p.phaseEndsAt = null;
+  persist();
+  await refreshPanel(guild, p);
+  return true;
+}
+
+export async function resumePomodoro(guild, vcId) {
+  const p = pomodoros.get(vcId);
+  if (!p || !p.pausedRemaining) return false;
+  p.phaseEndsAt = Date.now() + p.pausedRemaining;
+  p.pausedRemaining = null;
+  armTimers(guild, p);
+  persist();
+  await refreshPanel(guild, p);
+  return true;
+}
+
+export async function skipPhase(guild, vcId) {
+  const p = pomodoros.get(vcId);
+  if (!p) return false;
+  clearTimers(p);
+  await advance(guild, vcId);
+  return true;
+}
+
+// stopping also cancels the presence check the focus phase opened
+export async function stopPomodoro(guild, vcId) {
+  const p = pomodoros.get(vcId);
+  if (!p) return false;
+  await finishPomodoro(guild, p, "stopped");
+  // only the pomodoro's own check is cancelled; a manual or scheduled session keeps going
+  const session = activeSessions.get(vcId);
+  if (session?.sessionId && session.sessionId === p.sessionId) {
+    endSession(vcId, "cancelled");
+    await clearSessionMessage(guild, session);
+  }
+  return true;
+}
+
+export function clearPomodoroTimers() {
+  for (const [, p] of pomodoros) clearTimers(p);
+}
+
+// Resumes pomodoros saved before a restart. Phases that ended while offline are
+// skipped silently; a new panel is posted if the phase changed meanwhile.
+export async function restorePomodoros(client) {
+  const saved = store.getMeta(META_KEY) || {};
+  for (const [vcId, state] of Object.entries(saved)) {
+    const guild = client.guilds.cache.get(state.guildId);
+    if (!guild || !guild.channels.cache.has(vcId)) {
+      logDebug("[RESTORE] dropping pomodoro of missing channel", vcId);
+      continue;
+    }
+    const p = { ...state, timeout: null, ticker: null };
+    const startPhase = `${p.phase}:${p.cycle}`;
+    let finished = false;
+    while (!p.pausedRemaining && p.phaseEndsAt <= Date.now()) {
+      const next = nextPhase(p);
+      if (!next) {
+        finished = true;
+        break;
+      }
+      const endedAt = p.phaseEndsAt;
+      Object.assign(p, next);
+      p.phaseEndsAt = endedAt + phaseMinutes(p) * 60 * 1000;
+    }
+    pomodoros.set(vcId, p);
+    if (finished) {
+      await finishPomodoro(guild, p, "completed");
+      continue;
+    }
+    if (!p.pausedRemaining) armTimers(guild, p);
+    if (`${p.phase}:${p.cycle}` !== startPhase) await announcePhase(guild, p);
+    else await refreshPanel(guild, p);
+    console.log(
+      `[RESTORE] resumed pomodoro in ${vcId}: ${p.phase} cycle ${p.cycle}`
+    );
+  }
+  persist();
+}
@@ -0,0 +1,69 @@
+// src/focus/reminders.js — reminders to members who haven't passed a presence check yet
+import { getUser } from "../store/users.js";
+
+// reminder stages (percentages of the check) still ahead -> [{ pct, delay }]
+export function reminderDelays(stages, deadlineAt, seconds, now = Date.now()) {
+  const startedAt = deadlineAt - seconds * 1000;
+  return stages
+    .map((pct) => ({
+      pct,
+      delay: startedAt + (seconds * 1000 * pct) / 100 - now,
+    }))
+    .filter((s) => s.delay > 0);
+}
+
+export function presenceMessageUrl(session) {
+  return `https://discord.com/channels/${session.guildId}/${session.notifyChannelId}/${session.messageId}`;
+}
+
+// Reminds the members still pending in the room: by DM when `via` is "dm" and they
+// didn't opt out, and with one ping in the text channel for everyone else (closed DMs
+// included). Members out of attempts, and late joiners (pinged when they joined, on
+// their own deadline), are left alone. Returns { dmed, pinged }
+export async function remindPending(guild, session, via) {
+  const vc = guild.channels.cache.get(session.voiceChannelId);
+  if (!vc) return { dmed: [], pinged: [] };
+  const { attempts } = session.verification;
+  const pending = [...session.waiting].filter(
+    (id) =>
+      vc.members.has(id) &&
+      !session.deadlines[id] &&
+      !(attempts && (session.attempts[id] || 0) >= attempts)
+  );
+  const closes = `<t:${Math.floor(session.deadlineAt / 1000)}:R>`;
+  const url = presenceMessageUrl(session);
+
+  const dmed = [];
+  const pinged = [];
+  for (const id of pending) {
+    if (via === "dm" && getUser(id)?.dmReminders !== 0) {
+      const sent = await vc.members
+        .get(id)
+        .send(
+          `⏰ The presence check in **${vc.name}** (${guild.name}) closes ${closes} — confirm here: ${url}\n` +
+            "Don't want these DMs? Use `/reminders dm enabled:false`."
+        )
+        .then(
+          () => true,
+          () => false
+        );
+      if (sent) {
+        dmed.push(id);
+        continue;
+      }
+    }
+    pinged.push(id);
+  }
+
+  const ch = guild.channels.cache.get(session.notifyChannelId);
+  if (pinged.length && ch && ch.isTextBased()) {
+    const mentions = pinged.map((id) => `<@${id}>`).join(", ");
+    await ch
+      .send({
+        content: `⏰ ${mentions} — the presence check in <#${vc.id}> closes ${closes}: ${url}`,
+        allowedMentions: { users: pinged },
+      })
+      .catch(() => {});
+  }
+  return { dmed, pinged };
+}
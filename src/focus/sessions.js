@@ -0,0 +1,897 @@
+// src/focus/sessions.js — focus presence sessions (Present message + timeout enforcement)
+import { EventEmitter } from "events";
+import { PermissionsBitField } from "discord.js";
+import { botMemberOf } from "../client.js";
+import { logDebug } from "../logger.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import { addXP } from "../store/users.js";
+import {
+  createSessionRecord,
+  finishSessionRecord,
+  listActiveSessionRecords,
+  recordAttendance,
+  saveSessionState,
+} from "../store/sessions.js";
+import { recordInfraction } from "../moderation/infractions.js";
+import { modLog } from "../moderation/modlog.js";
+import { tasksButton } from "../tasks/tasks.js";
+import { getNotifyChannelForVoice } from "./mappings.js";
+import {
+  presenceMessageUrl,
+  reminderDelays,
+  remindPending,
+} from "./reminders.js";
+import { roomDayStats, sessionSummary, summaryEmbed } from "./summary.js";
+import {
+  presenceContent,
+  presentRow,
+  randomCode,
+  roomVerification,
+} from "./verification.js";
+
+// voiceChannelId -> session
+export const activeSessions = new Map();
+// voiceChannelIds started in the last few seconds (dedupe concurrent triggers)
+export const recentFocusTriggers = new Set();
+// voiceChannelId -> when its current focus block started (outlives the presence check)
+const focusStarts = new Map();
+
+const sessionEvents = new EventEmitter();
+
+export const PRESENT_PREFIX = "present_";
+// a timer may fire a little early; deadlines this close count as reached
+const DEADLINE_SLACK_MS = 50;
+
+// results of the checks done so far (a recheck session runs several)
+const RESULT_KEYS = ["passed", "removed", "missed", "moveFailed", "notMoved"];
+
+function emptyResults() {
+  return Object.fromEntries(RESULT_KEYS.map((key) => [key, new Set()]));
+}
+
+function restoreResults(saved = {}) {
+  return Object.fromEntries(
+    RESULT_KEYS.map((key) => [key, new Set(saved[key] || [])])
+  );
+}
+
+// stores what's needed to resume the session after a restart
+export function persistSessionState(session) {
+  if (!session.sessionId) return;
+  try {
+    saveSessionState(session.sessionId, {
+      deadlineAt: session.deadlineAt,
+      messageId: session.messageId,
+      state: {
+        waiting: Array.from(session.waiting),
+        present: Array.from(session.present),
+        customId: session.customId,
+        verification: session.verification,
+        round: session.round,
+        rechecksLeft: session.rechecksLeft,
+        nextCheckAt: session.nextCheckAt,
+        code: session.code,
+        scheduled: session.scheduled,
+        deadlines: session.deadlines,
+        challenges: session.challenges,
+        attempts: session.attempts,
+        xp: session.xp,
+        results: Object.fromEntries(
+          RESULT_KEYS.map((key) => [key, Array.from(session.results[key])])
+        ),
+      },
+    });
+  } catch (e) {
+    console.error("Failed to store session state", e);
+  }
+}
+
+// when a pending member's time runs out: members who joined during the check have their own deadline
+function dueAt(session, userId) {
+  return session.deadlines[userId] || session.deadlineAt;
+}
+
+// the next deadline of the current check still ahead (the check's own, then late joiners')
+function nextDeadline(session, now = Date.now()) {
+  const ahead = [
+    session.deadlineAt,
+    ...[...session.waiting].map((id) => dueAt(session, id)),
+  ].filter((t) => t > now);
+  return ahead.length ? Math.min(...ahead) : now;
+}
+
+// A member's attendance over every check of the session: failing any check wins over
+// passing one; whoever is still pending when the session stops missed it.
+function attendanceOf(session, userId) {
+  const { passed, removed, missed } = session.results;
+  if (removed.has(userId)) return "removed";
+  if (missed.has(userId)) return "missed";
+  return session.present.has(userId) || passed.has(userId)
+    ? "present"
+    : "missed";
+}
+
+// writes the final attendance of a session, closes its history record and logs the outcome
+// (`by` is whoever ended it early)
+function persistSessionEnd(session, status, by = null) {
+  const { passed, removed, missed, moveFailed, notMoved } = session.results;
+  const participants = new Set([
+    ...passed,
+    ...removed,
+    ...missed,
+    ...session.present,
+    ...session.waiting,
+  ]);
+  const attendance = [...participants].map((userId) => ({
+    userId,
+    status: attendanceOf(session, userId),
+  }));
+  const having = (status) =>
+    attendance.filter((a) => a.status === status).map((a) => a.userId);
+  modLog(session.guildId, "session_end", {
+    sessionId: session.sessionId,
+    voiceChannelId: session.voiceChannelId,
+    status,
+    by,
+    verification: session.verification.mode,
+    checks: session.round + 1,
+    present: having("present"),
+    removed: having("removed"),
+    missed: having("missed"),
+    moveFailed: moveFailed.size ? [...moveFailed] : null,
+    notMoved: notMoved.size ? [...notMoved] : null,
+  });
+  if (!session.sessionId) return null;
+  let summary = null;
+  try {
+    for (const { userId, status: attended } of attendance) {
+      recordAttendance({
+        sessionId: session.sessionId,
+        guildId: session.guildId,
+        userId,
+        status: attended,
+      });
+    }
+    summary = sessionSummary(session, status, attendance);
+    finishSessionRecord(session.sessionId, status, summary);
+  } catch (e) {
+    console.error("Failed to store session end", e);
+  }
+  sessionEvents.emit("end", session, status, attendance);
+  return summary;
+}
+
+// listener(session, status, attendance) runs once a session's attendance is written;
+// attendance: [{ userId, status }]
+export function onSessionEnd(listener) {
+  sessionEvents.on("end", listener);
+}
+
+// marks a member present in the current check and pays the mode's XP; returns the reward
+export function markPresent(session, memberId) {
+  session.present.add(memberId);
+  session.waiting.delete(memberId);
+  delete session.deadlines[memberId];
+  const reward = session.verification.xp;
+  if (reward > 0) {
+    session.xp[memberId] = (session.xp[memberId] || 0) + reward;
+    addXP(memberId, reward, {
+      guildId: session.guildId,
+      reason: "present",
+      ref: session.sessionId,
+    });
+  }
+  persistSessionState(session);
+  return reward;
+}
+
+// buttons of the current check (none between re-checks)
+export function presenceComponents(session) {
+  if (!session.customId) return [];
+  const row = presentRow(session.customId, session.verification.mode);
+  if (getGuildSettings(session.guildId).tasks.perSession > 0)
+    row.addComponents(tasksButton(session.voiceChannelId));
+  return [row];
+}
+
+// redraws the check message after a member passed from somewhere else (grid, modal)
+export async function refreshPresenceMessage(guild, session) {
+  const ch = guild.channels.cache.get(session.notifyChannelId);
+  if (!ch || !ch.isTextBased()) return;
+  const msg = await ch.messages.fetch(session.messageId).catch(() => null);
+  if (!msg) return;
+  await msg
+    .edit({
+      content: presenceContent(session),
+      components: presenceComponents(session),
+      allowedMentions: { parse: [] },
+    })
+    .catch(() => {});
+}
+
+// stops a session's timer and forgets it; returns the removed session (or null)
+export function endSession(vcId, status = "ended", by = null) {
+  focusStarts.delete(vcId);
+  const session = activeSessions.get(vcId);
+  if (!session) return null;
+  clearSessionTimers(session);
+  activeSessions.delete(vcId);
+  persistSessionEnd(session, status, by);
+  return session;
+}
+
+export function getFocusStartedAt(vcId) {
+  return focusStarts.get(vcId) || null;
+}
+
+function clearSessionTimers(session) {
+  try {
+    if (session.timeout) clearTimeout(session.timeout);
+  } catch (e) {}
+  for (const t of session.reminderTimers || []) clearTimeout(t);
+  session.reminderTimers = [];
+}
+
+export function clearAllSessionTimers() {
+  for (const [, s] of activeSessions) clearSessionTimers(s);
+}
+
+// handleStartFocus (creates session, message with Present button); trigger names what started it,
+// origin: { userId, messageUrl } of the member / message behind it (for the audit log), or
+// { scheduleId, occursAt, eventId } of the scheduled session it runs. Returns the session, if one started
+export async function handleStartFocus(
+  voiceChannel,
+  messageChannel = null,
+  trigger = null,
+  origin = {}
+) {
+  const guild = voiceChannel.guild;
+  const vcId = voiceChannel.id;
+
+  if (recentFocusTriggers.has(vcId)) {
+    logDebug("[DEDUP] ignoring trigger for", vcId);
+    return;
+  }
+  recentFocusTriggers.add(vcId);
+  setTimeout(() => recentFocusTriggers.delete(vcId), 5000);
+
+  if (activeSessions.has(vcId)) {
+    logDebug("Session already active for", vcId);
+    return;
+  }
+
+  // Use the voice channel's cached members (avoid fetching entire guild members — prevents GuildMembersTimeout)
+  const membersInVC = voiceChannel.members.filter((m) => !m.user.bot);
+  if (!membersInVC.size) {
+    logDebug("No users in voice channel", voiceChannel.name);
+    return;
+  }
+
+  const notifyChannel = getNotifyChannelForVoice(guild, vcId) || messageChannel;
+  if (!notifyChannel || !notifyChannel.isTextBased()) {
+    console.warn(
+      `No mapped text channel for voice ${vcId} or target channel is not text-based. Add one with /config mapping set`
+    );
+    return;
+  }
+
+  // check bot send/view perms on the notify channel
+  try {
+    const perms = notifyChannel.permissionsFor(botMemberOf(guild));
+    if (
+      !perms ||
+      !perms.has(PermissionsBitField.Flags.ViewChannel) ||
+      !perms.has(PermissionsBitField.Flags.SendMessages)
+    ) {
+      console.warn(
+        `[FOCUS] Missing send/view perms in channel ${notifyChannel.id} (${notifyChannel.name}).`
+      );
+      return;
+    }
+  } catch (e) {
+    /* ignore */
+  }
+
+  const verification = roomVerification(guild.id, vcId);
+  const waiting = new Set();
+  for (const [, mem] of membersInVC) waiting.add(mem.id);
+
+  const startedAt = Date.now();
+  const timerObj = {
+    guildId: guild.id,
+    startedAt,
+    deadlineAt: null,
+    voiceChannelId: vcId,
+    waiting,
+    present: new Set(),
+    messageId: null,
+    notifyChannelId: notifyChannel.id,
+    // customId should remain reasonably short (Discord limit 100 chars). vcId is numeric (snowflake).
+    customId: `${PRESENT_PREFIX}${vcId}_${startedAt}`,
+    verification,
+    // 0 = the first check, re-checks count up; nextCheckAt is set between re-checks
+    round: 0,
+    rechecksLeft: verification.mode === "recheck" ? verification.rechecks : 0,
+    nextCheckAt: null,
+    code: verification.mode === "code" ? randomCode() : null,
+    // the scheduled session occurrence this runs, if any
+    scheduled: origin.scheduleId
+      ? {
+          scheduleId: origin.scheduleId,
+          occursAt: origin.occursAt,
+          eventId: origin.eventId || null,
+        }
+      : null,
+    // userId -> own deadline of members who joined during the current check
+    deadlines: {},
+    // userId -> grid answer index / wrong answers in the current check
+    challenges: {},
+    attempts: {},
+    results: emptyResults(),
+    // userId -> XP paid by the session's checks
+    xp: {},
+    sessionId: null,
+    timeout: null,
+    reminderTimers: [],
+  };
+
+  timerObj.deadlineAt = Date.now() + verification.seconds * 1000;
+  const sentMsg = await postCheck(notifyChannel, timerObj);
+  if (!sentMsg) return;
+  timerObj.messageId = sentMsg.id;
+  // members who joined while the message was being sent
+  for (const [, mem] of voiceChannel.members) {
+    if (!mem.user.bot) waiting.add(mem.id);
+  }
+  try {
+    timerObj.sessionId = createSessionRecord({
+      guildId: guild.id,
+      voiceChannelId: vcId,
+      notifyChannelId: timerObj.notifyChannelId,
+      messageId: timerObj.messageId,
+      trigger,
+      startedAt: timerObj.startedAt,
+    });
+  } catch (e) {
+    console.error("Failed to store session start", e);
+  }
+  activeSessions.set(vcId, timerObj);
+  focusStarts.set(vcId, timerObj.startedAt);
+  persistSessionState(timerObj);
+  modLog(guild.id, "session_start", {
+    sessionId: timerObj.sessionId,
+    voiceChannelId: vcId,
+    trigger: trigger || "unknown",
+    userId: origin.userId,
+    message: origin.messageUrl,
+    scheduleId: origin.scheduleId,
+    members: waiting.size,
+    verification: verification.mode,
+    presenceTimeout: `${verification.seconds}s`,
+  });
+
+  armCheck(guild, timerObj);
+
+  logDebug(
+    `Enforcement started for ${voiceChannel.name} -> notify in ${notifyChannel.id}`
+  );
+  return timerObj;
+}
+
+// runs the current check: reminder stages, then enforcement at the deadline
+function armCheck(guild, session) {
+  armEnforcement(guild, session);
+  const { stages, via } = getGuildSettings(session.guildId).reminders;
+  const { seconds } = session.verification;
+  session.reminderTimers = reminderDelays(
+    stages,
+    session.deadlineAt,
+    seconds
+  ).map(({ pct, delay }) =>
+    setTimeout(() => {
+      if (activeSessions.get(session.voiceChannelId) !== session) return;
+      refreshPresenceMessage(guild, session);
+      remindPending(guild, session, via)
+        .then(({ dmed, pinged }) =>
+          logDebug(
+            `[FOCUS] ${pct}% reminder for ${session.voiceChannelId}: ${dmed.length} DM(s), ${pinged.length} ping(s)`
+          )
+        )
+        .catch((e) => console.error("[FOCUS] reminder error", e));
+    }, delay)
+  );
+}
+
+// (re)schedules enforcement for the next deadline of the current check
+function armEnforcement(guild, session) {
+  if (session.timeout) clearTimeout(session.timeout);
+  session.timeout = setTimeout(
+    () => enforcePresence(guild, session),
+    Math.max(0, nextDeadline(session) - Date.now())
+  );
+}
+
+// posts the message of the session's current check; null when nothing could be sent
+async function postCheck(notifyChannel, session) {
+  try {
+    const msg = await notifyChannel.send({
+      content: presenceContent(session),
+      components: presenceComponents(session),
+      allowedMentions: { parse: [] },
+    });
+    logDebug("[FOCUS] present message sent:", msg.id, "in", notifyChannel.id);
+    return msg;
+  } catch (e) {
+    console.warn("Failed to send present message with button:", e);
+    try {
+      return await notifyChannel.send({
+        content: `${presenceContent(session)}\n(⚠️ Failed to attach Present button; check bot perms)`,
+        allowedMentions: { parse: [] },
+      });
+    } catch (err) {
+      console.error("[FOCUS] cannot notify channel:", err);
+      return null;
+    }
+  }
+}
+
+// waits a random gap, then checks everyone in the room again
+function scheduleRecheck(guild, session) {
+  const { minGapMinutes, maxGapMinutes } = session.verification;
+  const gap =
+    (minGapMinutes +
+      Math.random() * Math.max(0, maxGapMinutes - minGapMinutes)) *
+    60 *
+    1000;
+  session.customId = null;
+  session.nextCheckAt = Date.now() + gap;
+  persistSessionState(session);
+  armRecheck(guild, session, gap);
+  logDebug(
+    `[FOCUS] next re-check of ${session.voiceChannelId} in ${Math.round(
+      gap / 60000
+    )}m`
+  );
+}
+
+function armRecheck(guild, session, delay) {
+  session.timeout = setTimeout(
+    () =>
+      startRecheck(guild, session).catch((e) =>
+        console.error("[FOCUS] re-check error", e)
+      ),
+    delay
+  );
+}
+
+async function startRecheck(guild, session) {
+  const vcId = session.voiceChannelId;
+  if (activeSessions.get(vcId) !== session) return;
+  const voiceChannel = guild.channels.cache.get(vcId);
+  const notifyChannel = guild.channels.cache.get(session.notifyChannelId);
+  const members = voiceChannel
+    ? voiceChannel.members.filter((m) => !m.user.bot)
+    : null;
+  // everybody left: the session is over
+  if (!members || !members.size || !notifyChannel?.isTextBased()) {
+    activeSessions.delete(vcId);
+    persistSessionEnd(session, "completed");
+    return;
+  }
+
+  session.round++;
+  session.rechecksLeft--;
+  session.nextCheckAt = null;
+  session.customId = `${PRESENT_PREFIX}${vcId}_${Date.now()}`;
+  session.waiting = new Set(members.keys());
+  session.present = new Set();
+  session.challenges = {};
+  session.attempts = {};
+  session.deadlines = {};
+  session.deadlineAt = Date.now() + session.verification.seconds * 1000;
+  const sentMsg = await postCheck(notifyChannel, session);
+  if (!sentMsg) {
+    session.waiting.clear();
+    activeSessions.delete(vcId);
+    persistSessionEnd(session, "failed");
+    return;
+  }
+  session.messageId = sentMsg.id;
+  persistSessionState(session);
+  armCheck(guild, session);
+}
+
+// Timeout enforcement: applies the mode's failure policy to pending members whose
+// deadline is reached. The check stays open while late joiners still have time; once
+// nobody does, it schedules the next re-check or ends the session.
+async function enforcePresence(guild, timerObj) {
+  const vcId = timerObj.voiceChannelId;
+  const { onFail } = timerObj.verification;
+  const { removed } = timerObj.results;
+  clearTimeout(timerObj.timeout);
+  try {
+    const freshVC = guild.channels.cache.get(vcId);
+    if (!freshVC) {
+      activeSessions.delete(vcId);
+      persistSessionEnd(timerObj, "cancelled");
+      return;
+    }
+    await guild.members.fetch();
+    const currentMembers = freshVC.members.filter((m) => !m.user.bot);
+    const currentIds = new Set(currentMembers.map((m) => m.id));
+    const now = Date.now() + DEADLINE_SLACK_MS;
+    const due = Array.from(timerObj.waiting).filter(
+      (id) => dueAt(timerObj, id) <= now
+    );
+    const failed = due.filter(
+      (id) => currentIds.has(id) && !timerObj.present.has(id)
+    );
+
+    // check MoveMembers permission in the voice channel context
+    const botMember = botMemberOf(guild);
+    const canMove =
+      botMember &&
+      botMember
+        .permissionsIn(freshVC)
+        .has(PermissionsBitField.Flags.MoveMembers);
+
+    // If cannot move, we'll notify the mapped channel once (not DM everyone)
+    const notifyIfCannotMove = !canMove && timerObj.notifyChannelId;
+
+    for (const id of failed) {
+      try {
+        const member = await guild.members.fetch(id);
+        if (member && member.voice && member.voice.channelId === vcId) {
+          if (onFail === "disconnect") {
+            await disconnectMember(
+              guild,
+              timerObj,
+              member,
+              canMove,
+              notifyIfCannotMove
+            );
+          }
+          logDebug(
+            `Enforcement: processed ${member.user.tag} from ${freshVC.name}`
+          );
+          if (onFail !== "warn") {
+            await recordInfraction(member, {
+              reason: "missed_present",
+              sessionId: timerObj.sessionId,
+              voiceChannelId: vcId,
+              action:
+                onFail !== "disconnect"
+                  ? null
+                  : removed.has(id)
+                    ? "disconnect"
+                    : "notify",
+            });
+          }
+        }
+      } catch (err) {
+        console.warn("Failed processing disconnect for", id, err);
+      }
+    }
+
+    if (onFail === "warn" && failed.length) {
+      const ch = guild.channels.cache.get(timerObj.notifyChannelId);
+      if (ch && ch.isTextBased()) {
+        await ch
+          .send({
+            content: `${failed
+              .map((id) => `<@${id}>`)
+              .join(
+                ", "
+              )} didn't confirm presence in time and were marked absent.`,
+            allowedMentions: { users: failed },
+          })
+          .catch(() => {});
+      }
+    }
+
+    for (const id of timerObj.present) timerObj.results.passed.add(id);
+    // on a re-check, members who already left the room aren't counted as missing it
+    for (const id of due) {
+      timerObj.waiting.delete(id);
+      delete timerObj.deadlines[id];
+      if (removed.has(id)) continue;
+      if (timerObj.round === 0 || currentIds.has(id))
+        timerObj.results.missed.add(id);
+    }
+    // ended meanwhile (e.g. /endfocus)
+    if (activeSessions.get(vcId) !== timerObj) return;
+
+    // late joiners still have time: keep the check open until their deadline
+    if (timerObj.waiting.size) {
+      persistSessionState(timerObj);
+      armEnforcement(guild, timerObj);
+      await refreshPresenceMessage(guild, timerObj);
+      return;
+    }
+    clearSessionTimers(timerObj);
+    const sentMsg = await fetchSessionMessage(guild, timerObj);
+
+    const stillThere = freshVC.members.filter((m) => !m.user.bot).size;
+    if (timerObj.rechecksLeft > 0 && stillThere) {
+      if (sentMsg) {
+        await sentMsg
+          .edit({
+            content: presenceContent(timerObj, { closed: true }),
+            components: [],
+            allowedMentions: { parse: [] },
+          })
+          .catch(() => {});
+      }
+      scheduleRecheck(guild, timerObj);
+      return;
+    }
+    // cleanup session; the last check's message becomes the session summary
+    activeSessions.delete(vcId);
+    const summary = persistSessionEnd(timerObj, "completed");
+    if (sentMsg) {
+      await sentMsg
+        .edit(
+          summary
+            ? {
+                content: "",
+                embeds: [
+                  summaryEmbed(
+                    vcId,
+                    summary,
+                    roomDayStats(guild.id, vcId, summary.endedAt)
+                  ),
+                ],
+                components: [],
+                allowedMentions: { parse: [] },
+              }
+            : {
+                content: presenceContent(timerObj, { closed: true }),
+                components: [],
+                allowedMentions: { parse: [] },
+              }
+        )
+        .catch(() => {});
+    }
+  } catch (err) {
+    console.error("presence timeout handler error", err);
+    activeSessions.delete(vcId);
+    persistSessionEnd(timerObj, "failed");
+  }
+}
+
+// the "disconnect" failure policy: remove the member from the room, or tell
+// the moderators / the member when that isn't possible
+async function disconnectMember(
+  guild,
+  session,
+  member,
+  canMove,
+  notifyIfCannotMove
+) {
+  const { removed, moveFailed, notMoved } = session.results;
+  if (canMove) {
+    try {
+      await member.voice.setChannel(null);
+      removed.add(member.id);
+    } catch (e) {
+      console.warn("Failed to setChannel(null):", e);
+      moveFailed.add(member.id);
+      if (session.notifyChannelId) {
+        const ch = guild.channels.cache.get(session.notifyChannelId);
+        if (ch && ch.isTextBased()) {
+          await ch
+            .send({
+              content: `<@${member.id}> was marked for removal but moving failed. Please review.`,
+              allowedMentions: { users: [member.id] },
+            })
+            .catch(() => {});
+        }
+      }
+    }
+    return;
+  }
+  notMoved.add(member.id);
+  if (notifyIfCannotMove) {
+    const ch = guild.channels.cache.get(session.notifyChannelId);
+    if (ch && ch.isTextBased()) {
+      await ch
+        .send({
+          content: `<@${member.id}> was marked for removal for not pressing Present, but the bot lacks permission to move members. Please ask a moderator to review.`,
+          allowedMentions: { users: [member.id] },
+        })
+        .catch(() => {});
+    }
+  } else {
+    await member
+      .send(
+        "You were marked for removal for not pressing Present, but the bot lacks permission to move members. Please rejoin the focus session or contact a moderator."
+      )
+      .catch(() => {});
+  }
+}
+
+// Keeps an open check in step with who is in the room (on every voice state change):
+// a member joining during the check becomes pending with the full check time from
+// when they joined; leaving and rejoining changes nothing (same state, same deadline);
+// moving between two rooms with open checks carries their state over (present stays
+// present without paying again, pending keeps its deadline and attempts).
+export async function trackSessionMembership(oldState, newState) {
+  const member = newState.member;
+  if (!member || member.user.bot) return;
+  if (oldState.channelId === newState.channelId) return;
+  const session = activeSessions.get(newState.channelId);
+  if (!session || !session.customId) return;
+  const id = member.id;
+  if (session.present.has(id) || session.waiting.has(id)) return;
+
+  const guild = newState.guild;
+  const from = activeSessions.get(oldState.channelId);
+  const carried =
+    from?.customId && (from.present.has(id) || from.waiting.has(id));
+  if (carried && from.present.has(id)) {
+    session.present.add(id);
+  } else if (carried) {
+    session.waiting.add(id);
+    session.deadlines[id] = dueAt(from, id);
+    if (from.attempts[id]) session.attempts[id] = from.attempts[id];
+    from.waiting.delete(id);
+    delete from.deadlines[id];
+    persistSessionState(from);
+    await refreshPresenceMessage(guild, from);
+  } else {
+    session.waiting.add(id);
+    session.deadlines[id] = Date.now() + session.verification.seconds * 1000;
+    const ch = guild.channels.cache.get(session.notifyChannelId);
+    if (ch && ch.isTextBased()) {
+      await ch
+        .send({
+          content: `👋 <@${id}> joined <#${session.voiceChannelId}> during the presence check — confirm <t:${Math.floor(
+            session.deadlines[id] / 1000
+          )}:R>: ${presenceMessageUrl(session)}`,
+          allowedMentions: { users: [id] },
+        })
+        .catch(() => {});
+    }
+  }
+  logDebug(
+    `[FOCUS] ${member.user.tag} joined the check in ${session.voiceChannelId}` +
+      (carried ? ` (carried over from ${from.voiceChannelId})` : "")
+  );
+  persistSessionState(session);
+  armEnforcement(guild, session);
+  await refreshPresenceMessage(guild, session);
+}
+
+// tries to clear the Present button of a session that ended early
+export async function clearSessionMessage(guild, session) {
+  try {
+    const ch = guild.channels.cache.get(session.notifyChannelId);
+    if (ch && ch.isTextBased()) {
+      const msg = await ch.messages.fetch(session.messageId).catch(() => null);
+      if (msg) await msg.edit({ components: [] }).catch(() => {});
+    }
+  } catch (e) {}
+}
+
+// --- restart recovery
+
+async function fetchSessionMessage(guild, record) {
+  const ch = record.notifyChannelId
+    ? guild.channels.cache.get(record.notifyChannelId)
+    : null;
+  if (!ch || !ch.isTextBased() || !record.messageId) return null;
+  return ch.messages.fetch(record.messageId).catch(() => null);
+}
+
+// Rebuilds sessions that were running when the bot stopped. Sessions whose deadline
+// passed while offline are closed as expired without enforcement (nobody could press
+// Present): members still pending are only recorded as missed, never moved or given an
+// infraction. A re-check that fell due while offline starts right away.
+export async function restoreSessions(client) {
+  let records = [];
+  try {
+    records = listActiveSessionRecords();
+  } catch (e) {
+    console.error("[RESTORE] failed to load active sessions", e);
+    return;
+  }
+  for (const record of records) {
+    try {
+      const guild = client.guilds.cache.get(record.guildId);
+      if (!guild) {
+        logDebug("[RESTORE] guild unavailable for session", record.id);
+        continue;
+      }
+      const state = record.state || {};
+      const session = {
+        guildId: record.guildId,
+        startedAt: record.startedAt,
+        deadlineAt: record.deadlineAt || record.startedAt,
+        voiceChannelId: record.voiceChannelId,
+        waiting: new Set(state.waiting || []),
+        present: new Set(state.present || []),
+        messageId: record.messageId,
+        notifyChannelId: record.notifyChannelId,
+        customId: state.customId || null,
+        // sessions stored before verification modes were single checks
+        verification:
+          state.verification ||
+          roomVerification(record.guildId, record.voiceChannelId, "single"),
+        round: state.round || 0,
+        rechecksLeft: state.rechecksLeft || 0,
+        nextCheckAt: state.nextCheckAt || null,
+        code: state.code || null,
+        scheduled: state.scheduled || null,
+        deadlines: state.deadlines || {},
+        challenges: state.challenges || {},
+        attempts: state.attempts || {},
+        xp: state.xp || {},
+        results: restoreResults(state.results),
+        sessionId: record.id,
+        timeout: null,
+        reminderTimers: [],
+      };
+      const voiceChannel = guild.channels.cache.get(record.voiceChannelId);
+      const sentMsg = await fetchSessionMessage(guild, record);
+
+      if (!voiceChannel || activeSessions.has(session.voiceChannelId)) {
+        persistSessionEnd(session, "cancelled");
+        if (sentMsg) await sentMsg.edit({ components: [] }).catch(() => {});
+        continue;
+      }
+
+      if (session.nextCheckAt) {
+        activeSessions.set(session.voiceChannelId, session);
+        focusStarts.set(session.voiceChannelId, session.startedAt);
+        armRecheck(
+          guild,
+          session,
+          Math.max(0, session.nextCheckAt - Date.now())
+        );
+        console.log(
+          `[RESTORE] resumed session ${record.id} (${voiceChannel.name}) between re-checks`
+        );
+        continue;
+      }
+
+      if (!session.customId) {
+        persistSessionEnd(session, "cancelled");
+        if (sentMsg) await sentMsg.edit({ components: [] }).catch(() => {});
+        continue;
+      }
+
+      const remaining =
+        Math.max(session.deadlineAt, ...Object.values(session.deadlines)) -
+        Date.now();
+      if (remaining <= 0) {
+        persistSessionEnd(session, "expired");
+        if (sentMsg) await sentMsg.edit({ components: [] }).catch(() => {});
+        console.log(
+          `[RESTORE] session ${record.id} (${voiceChannel.name}) expired while offline`
+        );
+        continue;
+      }
+
+      // members whose own deadline passed while offline missed the check, unenforced
+      for (const id of [...session.waiting]) {
+        if (dueAt(session, id) > Date.now()) continue;
+        session.waiting.delete(id);
+        delete session.deadlines[id];
+        session.results.missed.add(id);
+      }
+
+      // the Present button routes by voice channel, so the existing message keeps working
+      activeSessions.set(session.voiceChannelId, session);
+      focusStarts.set(session.voiceChannelId, session.startedAt);
+      persistSessionState(session);
+      armCheck(guild, session);
+      console.log(
+        `[RESTORE] resumed session ${record.id} (${voiceChannel.name}), ${Math.round(
+          remaining / 1000
+        )}s left`
+      );
+    } catch (e) {
+      console.error("[RESTORE] failed to resume session", record.id, e);
+    }
+  }
+}
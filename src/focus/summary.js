@@ -0,0 +1,129 @@
+// src/focus/summary.js — the closing summary of a focus session (who was there, what it paid)
+// and the room's running stats for the day
+import { EmbedBuilder } from "discord.js";
+import { formatFocus } from "../leaderboards/rankings.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import { listRoomSessions } from "../store/sessions.js";
+import { dayKey, zonedTime } from "../timezones.js";
+
+export const STATUS_LABELS = {
+  active: "Running",
+  completed: "Completed",
+  ended: "Ended early",
+  cancelled: "Cancelled",
+  expired: "Expired",
+  failed: "Failed",
+};
+
+// what gets stored on the session record; attendance: [{ userId, status }]
+export function sessionSummary(
+  session,
+  status,
+  attendance,
+  endedAt = Date.now()
+) {
+  const having = (s) =>
+    attendance.filter((a) => a.status === s).map((a) => a.userId);
+  const xpByUser = session.xp || {};
+  return {
+    status,
+    startedAt: session.startedAt,
+    endedAt,
+    seconds: Math.max(0, Math.round((endedAt - session.startedAt) / 1000)),
+    checks: session.round + 1,
+    verification: session.verification.mode,
+    present: having("present"),
+    removed: having("removed"),
+    missed: having("missed"),
+    // marked for removal but still in the room: the bot lacked Move Members / the move failed
+    notMoved: [...session.results.notMoved],
+    moveFailed: [...session.results.moveFailed],
+    xp: Object.values(xpByUser).reduce((sum, n) => sum + n, 0),
+    xpByUser,
+  };
+}
+
+// totals of the room's sessions that started today (the guild's day), the closed ones only
+export function roomDayStats(guildId, voiceChannelId, now = Date.now()) {
+  const { timezone } = getGuildSettings(guildId);
+  const from = zonedTime(dayKey(now, timezone), 0, 0, timezone);
+  const stats = { sessions: 0, seconds: 0, xp: 0, present: 0, total: 0 };
+  const members = new Set();
+  for (const { summary } of listRoomSessions(
+    guildId,
+    voiceChannelId,
+    from,
+    now + 1
+  )) {
+    if (!summary) continue;
+    stats.sessions++;
+    stats.seconds += summary.seconds;
+    stats.xp += summary.xp;
+    stats.present += summary.present.length;
+    stats.total +=
+      summary.present.length + summary.removed.length + summary.missed.length;
+    for (const id of summary.present) members.add(id);
+  }
+  return { ...stats, members: members.size };
+}
+
+function mentionList(ids) {
+  if (!ids.length) return "—";
+  const text = ids.map((id) => `<@${id}>`).join(", ");
+  return text.length <= 1024 ? text : `${text.slice(0, 1000)}… (${ids.length})`;
+}
+
+export function summaryEmbed(voiceChannelId, summary, day) {
+  const notMoved = [...new Set([...summary.notMoved, ...summary.moveFailed])];
+  const embed = new EmbedBuilder()
+    .setTitle("📋 Focus session summary")
+    .setColor(summary.status === "completed" ? 0x2ecc71 : 0x95a5a6)
+    .setDescription(
+      `<#${voiceChannelId}> · ${STATUS_LABELS[summary.status] || summary.status}\n` +
+        `⏱️ ${formatFocus(summary.seconds)} · <t:${Math.floor(
+          summary.startedAt / 1000
+        )}:t>–<t:${Math.floor(summary.endedAt / 1000)}:t>` +
+        (summary.checks > 1 ? ` · ${summary.checks} checks` : "")
+    )
+    .addFields(
+      {
+        name: `✅ Present (${summary.present.length})`,
+        value: mentionList(summary.present),
+      },
+      {
+        name: `🚪 Removed (${summary.removed.length})`,
+        value: mentionList(summary.removed),
+        inline: true,
+      },
+      {
+        name: `❌ Absent (${summary.missed.length})`,
+        value: mentionList(summary.missed),
+        inline: true,
+      }
+    );
+  if (notMoved.length)
+    embed.addFields({
+      name: `⚠️ Couldn't be moved (${notMoved.length})`,
+      value:
+        mentionList(notMoved) +
+        (summary.notMoved.length
+          ? "\n-# The bot is missing the Move Members permission."
+          : ""),
+    });
+  embed.addFields(
+    { name: "✨ XP awarded", value: `${summary.xp} XP`, inline: true },
+    {
+      name: "📊 Today in this room",
+      value:
+        `${day.sessions} session${day.sessions === 1 ? "" : "s"} · ${formatFocus(
+          day.seconds
+        )} · ${day.members} member${day.members === 1 ? "" : "s"} present · ${
+          day.xp
+        } XP` +
+        (day.total
+          ? ` · ${Math.round((day.present / day.total) * 100)}% attendance`
+          : ""),
+    }
+  );
+  return embed;
+}
@@ -0,0 +1,196 @@
+// src/focus/triggers.js — starts focus sessions from chat, following the guild's trigger rules
+import { ChannelType } from "discord.js";
+import { logDebug } from "../logger.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import {
+  getNotifyChannelForVoice,
+  getVoiceIdsForText,
+  mappedTextChannelIds,
+} from "./mappings.js";
+import {
+  activeSessions,
+  handleStartFocus,
+  recentFocusTriggers,
+} from "./sessions.js";
+
+// where a rule's pattern is looked for
+export const MATCH_TARGETS = {
+  content: "Message text",
+  embed: "Any embed text",
+  field: "One embed field",
+};
+
+// who / which message started a session (kept in the audit log)
+function originOf(message) {
+  return { userId: message.author.id, messageUrl: message.url };
+}
+
+export function ruleLabel(rule) {
+  return `#${rule.id} ${rule.name}`;
+}
+
+// One line describing a rule, e.g. for /trigger list
+export function describeRule(rule) {
+  const { source, match } = rule;
+  const from =
+    source.type === "any"
+      ? "any member (not bots)"
+      : source.type === "role"
+        ? `<@&${source.id}>`
+        : `${source.type} <@${source.id}>`;
+  const where = rule.channelId
+    ? `<#${rule.channelId}>`
+    : "a mapped text channel";
+  const what = match
+    ? `\`/${match.pattern}/\` in ${
+        match.in === "field"
+          ? `embed field "${match.field}"`
+          : MATCH_TARGETS[match.in].toLowerCase()
+      }`
+    : "any message";
+  const room = rule.voiceChannelId
+    ? `<#${rule.voiceChannelId}>`
+    : "the channel's mapped rooms";
+  return `${rule.enabled ? "" : "~~"}From ${from} in ${where}, ${what} → ${room}${
+    rule.enabled ? "" : "~~ (disabled)"
+  }`;
+}
+
+// the texts a pattern is tried on
+function textsOf(message, match) {
+  const embeds = message.embeds || [];
+  switch (match.in) {
+    case "embed":
+      return embeds.flatMap((e) => [
+        e.title,
+        e.description,
+        e.author?.name,
+        e.footer?.text,
+        ...(e.fields || []).flatMap((f) => [f.name, f.value]),
+      ]);
+    case "field": {
+      const name = match.field.toLowerCase();
+      return embeds.flatMap((e) =>
+        (e.fields || [])
+          .filter((f) => f.name.toLowerCase() === name)
+          .map((f) => f.value)
+      );
+    }
+    default:
+      return [message.content];
+  }
+}
+
+// Decides whether `rule` fires on `message`: { matched, reason, voiceIds }. The reason
+// names the first condition that failed, or everything that matched.
+export function evaluateRule(message, rule) {
+  const miss = (reason) => ({ matched: false, reason, voiceIds: [] });
+  if (!rule.enabled) return miss("rule is disabled");
+
+  const { source } = rule;
+  // bots only fire rules that name them
+  if (source.type === "any" && message.author.bot)
+    return miss("bot authors need a rule naming them");
+  if (source.type === "role") {
+    if (!message.member?.roles.cache.has(source.id))
+      return miss(`author doesn't have <@&${source.id}>`);
+  } else if (source.type !== "any" && message.author.id !== source.id) {
+    return miss(`author isn't ${source.type} <@${source.id}>`);
+  }
+
+  if (rule.channelId) {
+    if (message.channel.id !== rule.channelId)
+      return miss(`posted outside <#${rule.channelId}>`);
+  } else if (!mappedTextChannelIds(message.guild).has(message.channel.id)) {
+    return miss("posted outside the mapped text channels");
+  }
+
+  let found = "any message";
+  if (rule.match) {
+    const { pattern, field } = rule.match;
+    let regex;
+    try {
+      regex = new RegExp(pattern, "i");
+    } catch (e) {
+      return miss(`invalid pattern /${pattern}/`);
+    }
+    const hit = textsOf(message, rule.match).find(
+      (text) => text && regex.test(text)
+    );
+    const where =
+      rule.match.in === "field"
+        ? `embed field "${field}"`
+        : MATCH_TARGETS[rule.match.in].toLowerCase();
+    if (hit === undefined) return miss(`/${pattern}/ not found in ${where}`);
+    found = `/${pattern}/ found in ${where}`;
+  }
+
+  const voiceIds = rule.voiceChannelId
+    ? [rule.voiceChannelId]
+    : getVoiceIdsForText(message.guild, message.channel.id);
+  const rooms = voiceIds.filter(
+    (id) =>
+      message.guild.channels.cache.get(id)?.type === ChannelType.GuildVoice
+  );
+  if (!rooms.length) return miss(`${found}, but no voice channel to start`);
+  return {
+    matched: true,
+    reason: `${
+      source.type === "any"
+        ? "any author"
+        : source.type === "role"
+          ? `role <@&${source.id}>`
+          : `${source.type} <@${source.id}>`
+    }, ${found}`,
+    voiceIds: rooms,
+  };
+}
+
+// every rule of the guild with its decision on `message`
+export function evaluateTriggers(message) {
+  const { rules } = getGuildSettings(message.guild.id).triggers;
+  return rules.map((rule) => ({ rule, ...evaluateRule(message, rule) }));
+}
+
+// starts a session unless one is active or was just triggered; returns why it didn't
+function triggerFocus(vc, rule, message) {
+  if (activeSessions.has(vc.id)) return "a session is already running";
+  if (recentFocusTriggers.has(vc.id)) return "a session was just started";
+  const notifyChannel =
+    getNotifyChannelForVoice(message.guild, vc.id) || message.channel;
+  handleStartFocus(
+    vc,
+    notifyChannel,
+    `rule ${ruleLabel(rule)}`,
+    originOf(message)
+  ).catch((e) => console.error("[TRIGGER] start error", e));
+  return null;
+}
+
+// Runs the guild's trigger rules on a message. Every decision is logged with its
+// reason (misses at debug level); each room starts at most once per message.
+export async function handleFocusTriggers(message) {
+  const started = new Set();
+  for (const { rule, matched, reason, voiceIds } of evaluateTriggers(message)) {
+    if (!matched) {
+      logDebug(
+        `[TRIGGER] ${ruleLabel(rule)} no match on ${message.url}: ${reason}`
+      );
+      continue;
+    }
+    for (const vcId of voiceIds) {
+      if (started.has(vcId)) continue;
+      started.add(vcId);
+      const skipped = triggerFocus(
+        message.guild.channels.cache.get(vcId),
+        rule,
+        message
+      );
+      console.log(
+        `[TRIGGER] ${ruleLabel(rule)} matched ${message.url}: ${reason} → ${vcId}${
+          skipped ? ` not started (${skipped})` : " starting"
+        }`
+      );
+    }
+  }
+}
@@ -0,0 +1,160 @@
+// src/focus/verification.js — presence verification modes: what members do to count as present
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} from "discord.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+
+export const VERIFICATION_MODES = {
+  single: "Single check",
+  recheck: "Random re-checks",
+  grid: "Button grid",
+  code: "Type the code",
+};
+
+export const FAILURE_POLICIES = {
+  disconnect: "Disconnect + infraction",
+  infraction: "Infraction only",
+  warn: "Warning only",
+};
+
+const GRID_SYMBOLS = "🍎 🍋 🍇 🍉 🥝 🍒 🍑 🍍 🥥 🍓 🥕 🌽".split(" ");
+const GRID_SIZE = 8;
+// no 0/O or 1/I so the code can't be misread
+const CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 5;
+
+// Snapshot of how a room verifies presence (kept on the session so settings changes
+// only affect new sessions); `mode` overrides the room's mode. The single check pays xp.present.
+export function roomVerification(guildId, vcId, mode = null) {
+  const { verification, xp, presenceTimeout } = getGuildSettings(guildId);
+  mode = mode || verification.rooms[vcId] || verification.mode;
+  const settings = verification.modes[mode] || verification.modes.single;
+  return {
+    ...settings,
+    mode,
+    seconds: presenceTimeout,
+    xp: mode === "single" ? xp.present : settings.xp,
+  };
+}
+
+function randomInt(max) {
+  return Math.floor(Math.random() * max);
+}
+
+export function randomCode() {
+  let code = "";
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_CHARS[randomInt(CODE_CHARS.length)];
+  }
+  return code;
+}
+
+// a shuffled grid and the index of the symbol to pick
+export function gridChallenge() {
+  const pool = [...GRID_SYMBOLS];
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  const symbols = pool.slice(0, GRID_SIZE);
+  return { symbols, answer: randomInt(GRID_SIZE) };
+}
+
+// two rows of four; each button carries its index
+export function gridRows(customId, symbols) {
+  const rows = [];
+  for (let r = 0; r < symbols.length; r += 4) {
+    rows.push(
+      new ActionRowBuilder().addComponents(
+        symbols.slice(r, r + 4).map((emoji, i) =>
+          new ButtonBuilder()
+            .setCustomId(`${customId}_pick_${r + i}`)
+            .setEmoji(emoji)
+            .setStyle(ButtonStyle.Secondary)
+        )
+      )
+    );
+  }
+  return rows;
+}
+
+export function codeModal(customId) {
+  return new ModalBuilder()
+    .setCustomId(`${customId}_code`)
+    .setTitle("Presence check")
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("code")
+          .setLabel("Code shown in the Present message")
+          .setStyle(TextInputStyle.Short)
+          .setMinLength(CODE_LENGTH)
+          .setMaxLength(CODE_LENGTH)
+          .setRequired(true)
+      )
+    );
+}
+
+export function presentRow(customId, mode = "single") {
+  const button = new ButtonBuilder()
+    .setCustomId(customId)
+    .setLabel(mode === "code" ? "⌨️ Enter code" : "✅ Present")
+    .setStyle(ButtonStyle.Success);
+  return new ActionRowBuilder().addComponents(button);
+}
+
+const FAILURE_TEXT = {
+  disconnect: "or you may be removed",
+  infraction: "or it counts as an infraction",
+  warn: "or you'll be marked absent",
+};
+
+function instructions(verification, code) {
+  const { mode, seconds, onFail } = verification;
+  const within = `within ${seconds} seconds ${FAILURE_TEXT[onFail] || FAILURE_TEXT.disconnect}.`;
+  switch (mode) {
+    case "grid":
+      return `If you are present in the voice channel, press **Present** and pick the symbol you're shown ${within}`;
+    case "code":
+      return `If you are present in the voice channel, press **Enter code** and type \`${code}\` ${within}`;
+    default:
+      return `If you are present in the voice channel, press **Present** ${within}`;
+  }
+}
+
+// Text of a session's current check message (first check or a re-check). The countdown
+// is a Discord timestamp, which ticks on its own; it runs to the last pending deadline.
+export function presenceContent(session, { closed = false } = {}) {
+  const { verification } = session;
+  const closesAt = Math.max(
+    session.deadlineAt,
+    ...[...session.waiting].map((id) => session.deadlines[id] || 0)
+  );
+  let header =
+    session.round > 0
+      ? `**🔄 Presence re-check in** <#${session.voiceChannelId}>`
+      : `**Focus started in** <#${session.voiceChannelId}>`;
+  if (verification.mode === "recheck" && session.round === 0) {
+    header += ` (expect ${verification.rechecks} surprise re-check${
+      verification.rechecks === 1 ? "" : "s"
+    })`;
+  }
+  const lines = [header, instructions(verification, session.code), ""];
+  if (session.present.size) {
+    const mentions = Array.from(session.present).map((id) => `<@${id}>`);
+    lines.push(`✅ Marked present: ${mentions.join(", ")}`);
+  }
+  lines.push(
+    closed
+      ? "⌛ This check is closed."
+      : `⏱️ ${session.waiting.size} members still pending — closes <t:${Math.floor(
+          closesAt / 1000
+        )}:R>.`
+  );
+  return lines.join("\n");
+}
@@ -0,0 +1,204 @@
+// src/focus/voiceTime.js — focused time in mapped voice rooms, credited as XP per minute
+import { logDebug } from "../logger.js";
+import { store } from "../store/index.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import { addXP } from "../store/users.js";
+import {
+  addFocusDay,
+  getFocusDay,
+  listOpenVoiceIntervals,
+  openVoiceInterval,
+  updateVoiceInterval,
+} from "../store/voiceTime.js";
+import { getGuildPolicy, isBreakChannel } from "../policy/rules.js";
+import { dayKey, nextMidnight, timeZoneFor } from "../timezones.js";
+import { isMappedVoice } from "./mappings.js";
+
+// `${guildId}:${userId}` -> open interval (same shape as the stored record)
+const openIntervals = new Map();
+
+// time in a mapped, non-break room while not self-deafened counts as focus
+export function countsAsFocus(state) {
+  const channel = state.channel;
+  if (!channel || !state.member || state.member.user.bot) return false;
+  if (state.selfDeaf) return false;
+  if (!isMappedVoice(state.guild, channel.id)) return false;
+  return !isBreakChannel(channel, getGuildPolicy(state.guild.id));
+}
+
+function ratePerMinute(settings, vcId) {
+  return settings.focusXp.roomRates[vcId] ?? settings.focusXp.perMinute;
+}
+
+// Adds [creditedUntil, until) to the day totals (split at the member's midnight) and awards XP for
+// every minute completed that day, up to the daily cap (0 = no cap). Leftover
+// milliseconds stay uncredited until the next call.
+function credit(interval, until) {
+  if (until - interval.creditedUntil < 1000) return;
+  const settings = getGuildSettings(interval.guildId);
+  const rate = ratePerMinute(settings, interval.voiceChannelId);
+  const cap = settings.focusXp.dailyCap;
+  const timeZone = timeZoneFor(interval.guildId, interval.userId);
+  let from = interval.creditedUntil;
+  let seconds = 0;
+  let xp = 0;
+  store.transaction(() => {
+    while (until - from >= 1000) {
+      const day = dayKey(from, timeZone);
+      const dayEnd = nextMidnight(from, timeZone);
+      const to = Math.min(until, dayEnd);
+      const chunk = Math.floor((to - from) / 1000);
+      const totals = getFocusDay(interval.guildId, interval.userId, day);
+      const minutes =
+        Math.floor((totals.seconds + chunk) / 60) -
+        Math.floor(totals.seconds / 60);
+      let earned = minutes * rate;
+      if (cap > 0) earned = Math.max(0, Math.min(earned, cap - totals.xp));
+      addFocusDay({
+        guildId: interval.guildId,
+        userId: interval.userId,
+        day,
+        seconds: chunk,
+        xp: earned,
+      });
+      seconds += chunk;
+      xp += earned;
+      from = to === dayEnd ? dayEnd : from + chunk * 1000;
+    }
+    if (xp > 0) {
+      addXP(interval.userId, xp, {
+        guildId: interval.guildId,
+        reason: "focus_minutes",
+        ref: interval.id,
+      });
+    }
+    interval.creditedUntil = from;
+    interval.seconds += seconds;
+    interval.xp += xp;
+    updateVoiceInterval(interval.id, {
+      creditedUntil: interval.creditedUntil,
+      seconds: interval.seconds,
+      xp: interval.xp,
+    });
+  });
+}
+
+function startInterval(guildId, userId, voiceChannelId, now) {
+  const interval = {
+    guildId,
+    userId,
+    voiceChannelId,
+    startedAt: now,
+    creditedUntil: now,
+    endedAt: null,
+    seconds: 0,
+    xp: 0,
+  };
+  interval.id = openVoiceInterval(interval);
+  openIntervals.set(`${guildId}:${userId}`, interval);
+  logDebug(`[VOICE-TIME] ${userId} started focusing in ${voiceChannelId}`);
+}
+
+function stopInterval(key, until) {
+  const interval = openIntervals.get(key);
+  if (!interval) return;
+  openIntervals.delete(key);
+  try {
+    credit(interval, until);
+  } finally {
+    updateVoiceInterval(interval.id, { endedAt: until });
+  }
+  logDebug(
+    `[VOICE-TIME] ${interval.userId} stopped focusing in ${interval.voiceChannelId} (${interval.seconds}s, +${interval.xp} XP)`
+  );
+}
+
+// voiceStateUpdate entry point: join / leave / move / (self-)deafen
+export function trackVoiceTime(oldState, newState) {
+  const member = newState.member || oldState.member;
+  if (!member || member.user.bot) return;
+  const key = `${newState.guild.id}:${member.id}`;
+  const now = Date.now();
+  const open = openIntervals.get(key);
+  const counts = countsAsFocus(newState);
+  if (open && (!counts || open.voiceChannelId !== newState.channelId)) {
+    stopInterval(key, now);
+  }
+  if (counts && !openIntervals.has(key)) {
+    startInterval(newState.guild.id, member.id, newState.channelId, now);
+  }
+}
+
+// credits open intervals up to now; closes those whose member no longer counts
+// (e.g. the room was unmapped or became a break channel)
+export function checkpointVoiceTime(client) {
+  const now = Date.now();
+  for (const [key, interval] of openIntervals) {
+    try {
+      const guild = client.guilds.cache.get(interval.guildId);
+      const state = guild?.voiceStates.cache.get(interval.userId);
+      if (
+        !state ||
+        state.channelId !== interval.voiceChannelId ||
+        !countsAsFocus(state)
+      ) {
+        stopInterval(key, now);
+      } else {
+        credit(interval, now);
+      }
+    } catch (e) {
+      console.error("[VOICE-TIME] checkpoint failed for", key, e);
+    }
+  }
+}
+
+// credits everything up to now without closing (shutdown)
+export function flushVoiceTime() {
+  const now = Date.now();
+  for (const [key, interval] of openIntervals) {
+    try {
+      credit(interval, now);
+    } catch (e) {
+      console.error("[VOICE-TIME] flush failed for", key, e);
+    }
+  }
+}
+
+// Reopens intervals stored before a restart. Downtime is never credited: members still
+// in the room continue from now, the others are closed where crediting stopped.
+// Members already sitting in a focus room get a new interval.
+export function restoreVoiceTracking(client) {
+  const now = Date.now();
+  let records = [];
+  try {
+    records = listOpenVoiceIntervals();
+  } catch (e) {
+    console.error("[RESTORE] failed to load open voice intervals", e);
+    return;
+  }
+  for (const record of records) {
+    const guild = client.guilds.cache.get(record.guildId);
+    const state = guild?.voiceStates.cache.get(record.userId);
+    if (
+      state &&
+      state.channelId === record.voiceChannelId &&
+      countsAsFocus(state)
+    ) {
+      record.creditedUntil = now;
+      updateVoiceInterval(record.id, { creditedUntil: now });
+      openIntervals.set(`${record.guildId}:${record.userId}`, record);
+    } else {
+      updateVoiceInterval(record.id, { endedAt: record.creditedUntil });
+    }
+  }
+  for (const [, guild] of client.guilds.cache) {
+    for (const [userId, state] of guild.voiceStates.cache) {
+      if (openIntervals.has(`${guild.id}:${userId}`)) continue;
+      if (countsAsFocus(state))
+        startInterval(guild.id, userId, state.channelId, now);
+    }
+  }
+  console.log(
+    `[RESTORE] tracking focus time for ${openIntervals.size} member(s)`
+  );
+}
@@ -0,0 +1,283 @@
+// src/goals/goals.js — daily / weekly study goals: progress from real focus time and attendance,
+// nudges, completion rewards (XP bonus, goal streak, the day's check-in)
+import { logDebug } from "../logger.js";
+import { store } from "../store/index.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import {
+  listAllGoals,
+  listGoalResults,
+  listGoals,
+  recordGoalResult,
+  updateGoal,
+  userFocusSeconds,
+  userPresentCount,
+} from "../store/goals.js";
+import { addXP, getUser } from "../store/users.js";
+import { recordCheckin } from "../streaks/checkin.js";
+import {
+  addDays,
+  dayKey,
+  timeZoneFor,
+  weekdayOf,
+  zonedTime,
+} from "../timezones.js";
+
+export const GOAL_PERIODS = { daily: "اليومي", weekly: "ديال السيمانة" };
+export const GOAL_METRICS = { minutes: "دقيقة فوكس", sessions: "جلسة" };
+// highest target per period and metric
+export const MAX_TARGETS = {
+  daily: { minutes: 1440, sessions: 50 },
+  weekly: { minutes: 10080, sessions: 200 },
+};
+
+// the first day of the period containing `ts` (weeks start on Monday)
+export function periodKeyOf(period, ts, timeZone) {
+  const today = dayKey(ts, timeZone);
+  if (period !== "weekly") return today;
+  return addDays(today, -((weekdayOf(today) + 6) % 7));
+}
+
+function nextPeriodKey(period, key) {
+  return addDays(key, period === "weekly" ? 7 : 1);
+}
+
+// the period starting on `key`: its days fromDay..toDay and [from, to)
+function periodWindow(period, key, timeZone) {
+  const toDay = period === "weekly" ? addDays(key, 6) : key;
+  return {
+    fromDay: key,
+    toDay,
+    from: zonedTime(key, 0, 0, timeZone),
+    to: zonedTime(addDays(toDay, 1), 0, 0, timeZone),
+  };
+}
+
+// focus minutes in the mapped rooms, or presence checks passed, during the period
+function measure(goal, key, timeZone) {
+  const { fromDay, toDay, from, to } = periodWindow(goal.period, key, timeZone);
+  if (goal.metric === "sessions")
+    return userPresentCount(goal.guildId, goal.userId, from, to);
+  return Math.floor(
+    userFocusSeconds(goal.guildId, goal.userId, fromDay, toDay) / 60
+  );
+}
+
+// XP for completing a goal, growing with the goal's streak
+function goalBonus(goals, period, streak) {
+  const base = period === "weekly" ? goals.weeklyXp : goals.dailyXp;
+  return (
+    base + Math.min(goals.streakBonus * (streak - 1), goals.maxStreakBonus)
+  );
+}
+
+function progressBar(ratio, width = 12) {
+  const filled = Math.round(Math.min(1, Math.max(0, ratio)) * width);
+  return "▰".repeat(filled) + "▱".repeat(width - filled);
+}
+
+function amount(metric, n) {
+  return `${n} ${GOAL_METRICS[metric]}`;
+}
+
+// the member's goals with their progress in the current period
+export function goalProgress(guildId, userId, now = Date.now()) {
+  const timeZone = timeZoneFor(guildId, userId);
+  return listGoals(guildId, userId).map((goal) => {
+    const key = periodKeyOf(goal.period, now, timeZone);
+    const progress = measure(goal, key, timeZone);
+    return {
+      goal,
+      progress,
+      done:
+        progress >= goal.target ||
+        Boolean(goal.periodKey === key && goal.completedAt),
+      endsAt: periodWindow(goal.period, key, timeZone).to,
+      // a streak only continues while the previous period was completed
+      streak:
+        goal.periodKey === key ||
+        (goal.completedAt && nextPeriodKey(goal.period, goal.periodKey) === key)
+          ? goal.streak
+          : 0,
+    };
+  });
+}
+
+// one goal for the profile and /goal show: target, bar, streak
+export function describeGoal({ goal, progress, done, endsAt, streak }) {
+  const shown = Math.min(progress, goal.target);
+  return (
+    `**الهدف ${GOAL_PERIODS[goal.period]}:** ${amount(goal.metric, goal.target)}\n` +
+    `${progressBar(progress / goal.target)} ${shown}/${goal.target}` +
+    (done ? " ✅" : ` · كيسالي <t:${Math.floor(endsAt / 1000)}:R>`) +
+    (streak > 0 ? ` · 🔥 ${streak}` : "")
+  );
+}
+
+// the latest results as a row of ✅ / ❌ (oldest first)
+export function describeGoalHistory(guildId, userId, limit = 10) {
+  const results = listGoalResults(guildId, userId, limit).reverse();
+  if (!results.length) return null;
+  return results
+    .map(
+      (r) =>
+        `${r.completed ? "✅" : "❌"} ${r.period === "weekly" ? "W" : "D"} ${
+          r.periodKey
+        } — ${r.progress}/${r.target}${r.xp ? ` (+${r.xp} XP)` : ""}`
+    )
+    .join("\n");
+}
+
+// By DM unless the member turned reminder DMs off (or DMs fail), else a ping in the
+// check-in channel
+async function nudge(guild, userId, content) {
+  const member = await guild.members.fetch(userId).catch(() => null);
+  if (!member) return;
+  if (getUser(userId)?.dmReminders !== 0) {
+    const sent = await member
+      .send(
+        `${content}\n-# ${guild.name} · ما بغيتيش هاد الرسائل فالـ DM؟ \`/reminders dm enabled:false\``
+      )
+      .then(
+        () => true,
+        () => false
+      );
+    if (sent) return;
+  }
+  const ch = guild.channels.cache.get(
+    getGuildSettings(guild.id).checkinChannelId
+  );
+  if (!ch || !ch.isTextBased()) return;
+  await ch
+    .send({
+      content: `<@${userId}> ${content}`,
+      allowedMentions: { users: [userId] },
+    })
+    .catch(() => {});
+}
+
+// Rewards a completed period: goal streak, XP bonus and (daily goals, still the same
+// day) the member's check-in
+async function completeGoal(guild, goal, key, progress, timeZone) {
+  const { goals } = getGuildSettings(goal.guildId);
+  const streak = goal.streak + 1;
+  const xp = goalBonus(goals, goal.period, streak);
+  store.transaction(() => {
+    updateGoal(goal.id, {
+      periodKey: key,
+      completedAt: Date.now(),
+      streak,
+      bestStreak: Math.max(goal.bestStreak, streak),
+    });
+    recordGoalResult({ ...goal, periodKey: key, progress, completed: 1, xp });
+    if (xp > 0)
+      addXP(goal.userId, xp, {
+        guildId: goal.guildId,
+        reason: "goal",
+        ref: `${goal.period}:${key}`,
+      });
+  });
+  const checkin =
+    goal.period === "daily" &&
+    goals.checkin &&
+    key === dayKey(Date.now(), timeZone)
+      ? recordCheckin(goal.guildId, goal.userId)
+      : null;
+  logDebug(
+    `[GOALS] ${goal.userId} completed their ${goal.period} goal ${key} in ${goal.guildId} (+${xp} XP)`
+  );
+  await nudge(
+    guild,
+    goal.userId,
+    `🎯 كملتي الهدف ${GOAL_PERIODS[goal.period]} ديالك: ${amount(
+      goal.metric,
+      progress
+    )} من ${goal.target}!` +
+      (xp > 0 ? ` +${xp} XP` : "") +
+      (streak > 1 ? ` · 🔥 ${streak} مرات متتابعين` : "") +
+      (checkin && !checkin.already
+        ? `\n✅ تحسب ليك الـ check-in ديال اليوم (ستريك: **${checkin.streak}** يوم).`
+        : "")
+  );
+}
+
+// The period `goal.periodKey` is over: a goal reached at the very end is still
+// rewarded, otherwise it's recorded as missed and the goal streak restarts
+async function closePeriod(guild, goal, currentKey, timeZone) {
+  const key = goal.periodKey;
+  if (!goal.completedAt) {
+    const progress = measure(goal, key, timeZone);
+    if (progress >= goal.target) {
+      await completeGoal(guild, goal, key, progress, timeZone);
+      goal.streak++;
+    } else {
+      recordGoalResult({ ...goal, periodKey: key, progress, completed: 0 });
+      goal.streak = 0;
+      await nudge(
+        guild,
+        goal.userId,
+        `😕 ما وصلتيش للهدف ${GOAL_PERIODS[goal.period]} ديالك: ${progress}/${
+          goal.target
+        } ${GOAL_METRICS[goal.metric]}. بداية جديدة دابا 💪`
+      );
+    }
+  }
+  // periods skipped entirely (bot offline) break the streak too
+  if (nextPeriodKey(goal.period, key) !== currentKey) goal.streak = 0;
+  updateGoal(goal.id, {
+    periodKey: currentKey,
+    completedAt: null,
+    nudgedAt: null,
+    streak: goal.streak,
+  });
+}
+
+async function evaluateGoal(guild, goal, now) {
+  const timeZone = timeZoneFor(goal.guildId, goal.userId);
+  const key = periodKeyOf(goal.period, now, timeZone);
+  if (goal.periodKey !== key) {
+    if (goal.periodKey) await closePeriod(guild, goal, key, timeZone);
+    else updateGoal(goal.id, { periodKey: key });
+    goal = { ...goal, periodKey: key, completedAt: null, nudgedAt: null };
+  }
+  if (goal.completedAt) return;
+
+  const progress = measure(goal, key, timeZone);
+  if (progress >= goal.target) {
+    return completeGoal(guild, goal, key, progress, timeZone);
+  }
+  const { closeAt } = getGuildSettings(goal.guildId).goals;
+  if (goal.nudgedAt || !closeAt || progress * 100 < goal.target * closeAt)
+    return;
+  updateGoal(goal.id, { nudgedAt: now });
+  const endsAt = periodWindow(goal.period, key, timeZone).to;
+  await nudge(
+    guild,
+    goal.userId,
+    `⏳ قربتي للهدف ${GOAL_PERIODS[goal.period]} ديالك: ${progress}/${
+      goal.target
+    } ${GOAL_METRICS[goal.metric]} — باقي ${goal.target - progress}، والوقت كيسالي <t:${Math.floor(
+      endsAt / 1000
+    )}:R>. كمّل!`
+  );
+}
+
+// right after /goal set: a target already reached this period counts at once
+export async function evaluateMemberGoals(guild, userId, now = Date.now()) {
+  for (const goal of listGoals(guild.id, userId)) {
+    await evaluateGoal(guild, goal, now);
+  }
+}
+
+// Checks every goal: rolls finished periods over, rewards completions and nudges
+// members close to their target (at most once per period)
+export async function evaluateGoals(client, now = Date.now()) {
+  for (const goal of listAllGoals()) {
+    const guild = client.guilds.cache.get(goal.guildId);
+    if (!guild) continue;
+    try {
+      await evaluateGoal(guild, goal, now);
+    } catch (e) {
+      console.error(`[GOALS] evaluating goal #${goal.id} failed`, e);
+    }
+  }
+}
@@ -0,0 +1,220 @@
+// src/history/history.js — session history pages: a member's sessions (attendance, focus
+// time) or a room's sessions, with Previous / Next buttons
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+} from "discord.js";
+import { STATUS_LABELS } from "../focus/summary.js";
+import { formatFocus } from "../leaderboards/rankings.js";
+import { userFocusSeconds } from "../store/goals.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import { focusByRoom, sessionAttendance } from "../store/leaderboards.js";
+import { listRoomSessions, listUserAttendance } from "../store/sessions.js";
+import { addDays, dayKey, zonedTime } from "../timezones.js";
+
+export const HISTORY_PREFIX = "hist_";
+const PAGE_SIZE = 10;
+
+const ATTENDANCE_LABELS = {
+  present: "✅ Present",
+  missed: "❌ Absent",
+  removed: "🚪 Removed",
+};
+
+// "YYYY-MM-DD" -> the same day, or null when it isn't a real date
+export function parseDay(text) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return null;
+  const ts = Date.parse(`${text}T00:00:00Z`);
+  if (Number.isNaN(ts) || addDays(text, 0) !== text) return null;
+  return text;
+}
+
+// fromDay..toDay (inclusive, either may be open) in the guild's time zone as [from, to)
+function rangeOf(guildId, fromDay, toDay) {
+  const { timezone } = getGuildSettings(guildId);
+  return {
+    from: fromDay ? zonedTime(fromDay, 0, 0, timezone) : 0,
+    to: toDay
+      ? zonedTime(addDays(toDay, 1), 0, 0, timezone)
+      : Number.MAX_SAFE_INTEGER,
+    fromDay: fromDay || "0000-01-01",
+    toDay: toDay || "9999-12-31",
+  };
+}
+
+function rangeText(fromDay, toDay) {
+  if (fromDay && toDay) return `${fromDay} → ${toDay}`;
+  if (fromDay) return `since ${fromDay}`;
+  if (toDay) return `until ${toDay}`;
+  return "all time";
+}
+
+// focus time over the days the listed sessions span (latest first), so it matches
+// the attendance next to it
+function focusOfSessions(guildId, userId, rows) {
+  if (!rows.length) return 0;
+  const { timezone } = getGuildSettings(guildId);
+  return userFocusSeconds(
+    guildId,
+    userId,
+    dayKey(rows[rows.length - 1].startedAt, timezone),
+    dayKey(rows[0].startedAt, timezone)
+  );
+}
+
+function percent(part, total) {
+  return total ? `${Math.round((part / total) * 100)}%` : "—";
+}
+
+function when(ts) {
+  return `<t:${Math.floor(ts / 1000)}:f>`;
+}
+
+function length(startedAt, endedAt) {
+  return endedAt ? formatFocus((endedAt - startedAt) / 1000) : "…";
+}
+
+function pageButtons(view, page, pages) {
+  const { kind, targetId, fromDay, toDay, limit, viewerId } = view;
+  const id = (p) =>
+    `${HISTORY_PREFIX}${kind}_${targetId}_${fromDay || ""}_${toDay || ""}_${
+      limit || ""
+    }_${p}_${viewerId}`;
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(id(page - 1))
+      .setLabel("◀ Previous")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page <= 0),
+    new ButtonBuilder()
+      .setCustomId(id(page + 1))
+      .setLabel("Next ▶")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= pages - 1)
+  );
+}
+
+// A member's sessions, latest first: the last `limit` of them (/history me) or the
+// ones in the date range (/history user)
+function memberPage(guild, view) {
+  const { kind, targetId, fromDay, toDay, limit } = view;
+  const range = rangeOf(guild.id, fromDay, toDay);
+  let rows = listUserAttendance(guild.id, targetId, range.from, range.to);
+  if (limit) rows = rows.slice(0, limit);
+  const present = rows.filter((r) => r.status === "present").length;
+  const embed = new EmbedBuilder()
+    .setTitle(
+      kind === "me" ? "📚 Your session history" : "📚 Member session history"
+    )
+    .setColor(0x3498db)
+    .addFields(
+      {
+        name: "Attendance",
+        value: `${present}/${rows.length} sessions (${percent(
+          present,
+          rows.length
+        )})`,
+        inline: true,
+      },
+      {
+        name: "Focus time",
+        value: formatFocus(
+          limit
+            ? focusOfSessions(guild.id, targetId, rows)
+            : userFocusSeconds(guild.id, targetId, range.fromDay, range.toDay)
+        ),
+        inline: true,
+      }
+    );
+  const lines = rows.map(
+    (r) =>
+      `${when(r.startedAt)} · <#${r.voiceChannelId}> · ${
+        ATTENDANCE_LABELS[r.status] || r.status
+      } · ⏱️ ${length(r.startedAt, r.endedAt)}`
+  );
+  return {
+    embed,
+    lines,
+    header: `<@${targetId}> · ${
+      limit ? `last ${limit} sessions` : rangeText(fromDay, toDay)
+    }`,
+  };
+}
+
+// a room's sessions in the date range, latest first
+function roomPage(guild, view) {
+  const { targetId, fromDay, toDay } = view;
+  const range = rangeOf(guild.id, fromDay, toDay);
+  const sessions = listRoomSessions(
+    guild.id,
+    targetId,
+    range.from,
+    range.to
+  ).reverse();
+  const counts = new Map(
+    sessionAttendance(guild.id, range.from, range.to).map((r) => [
+      r.sessionId,
+      r,
+    ])
+  );
+  let present = 0;
+  let total = 0;
+  let seconds = 0;
+  for (const s of sessions) {
+    present += counts.get(s.id)?.present || 0;
+    total += counts.get(s.id)?.total || 0;
+    if (s.endedAt) seconds += (s.endedAt - s.startedAt) / 1000;
+  }
+  const focus =
+    focusByRoom(guild.id, range.from, range.to).find(
+      (r) => r.voiceChannelId === targetId
+    )?.seconds || 0;
+  const embed = new EmbedBuilder()
+    .setTitle("📚 Room session history")
+    .setColor(0x9b59b6)
+    .addFields(
+      { name: "Sessions", value: `${sessions.length}`, inline: true },
+      { name: "Session time", value: formatFocus(seconds), inline: true },
+      {
+        name: "Attendance",
+        value: `${present}/${total} (${percent(present, total)})`,
+        inline: true,
+      },
+      { name: "Members' focus time", value: formatFocus(focus), inline: true }
+    );
+  const lines = sessions.map((s) => {
+    const c = counts.get(s.id);
+    return (
+      `${when(s.startedAt)} · ⏱️ ${length(s.startedAt, s.endedAt)} · ` +
+      (c ? `✅ ${c.present}/${c.total}` : "no attendance") +
+      ` · ${STATUS_LABELS[s.status] || s.status}`
+    );
+  });
+  return {
+    embed,
+    lines,
+    header: `<#${targetId}> · ${rangeText(fromDay, toDay)}`,
+  };
+}
+
+// One page of history as a message payload.
+// view: { kind: "me" | "user" | "room", targetId, fromDay, toDay, limit, page, viewerId }
+export function historyView(guild, view) {
+  const { embed, lines, header } =
+    view.kind === "room" ? roomPage(guild, view) : memberPage(guild, view);
+  const pages = Math.max(1, Math.ceil(lines.length / PAGE_SIZE));
+  const page = Math.min(Math.max(0, view.page || 0), pages - 1);
+  embed
+    .setDescription(
+      `${header}\n\n` +
+        (lines.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE).join("\n") ||
+          "No sessions recorded.")
+    )
+    .setFooter({ text: `Page ${page + 1}/${pages}` });
+  return {
+    embeds: [embed],
+    components: pages > 1 ? [pageButtons(view, page, pages)] : [],
+  };
+}
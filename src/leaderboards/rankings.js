@@ -0,0 +1,212 @@
+// src/leaderboards/rankings.js — guild leaderboards per period, built from stored history
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+} from "discord.js";
+import { listMemberStreaks } from "../store/checkins.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import {
+  attendanceByUser,
+  listCheckinDays,
+  sumFocusByUser,
+  sumXPByUser,
+} from "../store/leaderboards.js";
+import {
+  addDays,
+  dayKey,
+  nextMidnight,
+  weekdayOf,
+  zonedTime,
+} from "../timezones.js";
+
+export const LEADERBOARD_PREFIX = "lb_";
+const PAGE_SIZE = 10;
+
+export function formatFocus(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const h = Math.floor(minutes / 60);
+  return h ? `${h}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+export const METRICS = {
+  xp: { label: "XP", format: (r) => `${r.value} XP` },
+  focus: { label: "Focus time", format: (r) => formatFocus(r.value) },
+  streak: {
+    label: "Streak",
+    format: (r) => `${r.value} day${r.value === 1 ? "" : "s"}`,
+  },
+  attendance: {
+    label: "Attendance",
+    format: (r) =>
+      `${r.value}/${r.total} sessions (${Math.round((r.value / r.total) * 100)}%)`,
+  },
+};
+
+export const PERIODS = {
+  daily: "Today",
+  weekly: "This week",
+  monthly: "This month",
+  all: "All time",
+};
+
+// the window of `period` in the time zone: [from, to) and the calendar days fromDay..toDay.
+// Weeks start on Monday.
+export function periodRange(period, timeZone, now = Date.now()) {
+  if (period === "all") {
+    return {
+      from: 0,
+      to: Number.MAX_SAFE_INTEGER,
+      fromDay: "0000-01-01",
+      toDay: "9999-12-31",
+    };
+  }
+  const today = dayKey(now, timeZone);
+  let fromDay = today;
+  if (period === "weekly") {
+    fromDay = addDays(today, -((weekdayOf(today) + 6) % 7));
+  } else if (period === "monthly") {
+    fromDay = `${today.slice(0, 8)}01`;
+  }
+  return {
+    from: zonedTime(fromDay, 0, 0, timeZone),
+    to: nextMidnight(now, timeZone),
+    fromDay,
+    toDay: today,
+  };
+}
+
+// longest run of consecutive days per member; rows are ordered by member then day
+function longestRuns(rows) {
+  const best = new Map();
+  let user = null;
+  let prev = null;
+  let run = 0;
+  for (const { userId, day } of rows) {
+    run = userId === user && addDays(prev, 1) === day ? run + 1 : 1;
+    user = userId;
+    prev = day;
+    if (run > (best.get(userId) || 0)) best.set(userId, run);
+  }
+  return best;
+}
+
+// Streak: the longest run of the guild's check-in days inside the window. All-time
+// also counts the stored best streaks, which go back further than the check-in history.
+function streakRows(guildId, range, period) {
+  const best = longestRuns(
+    listCheckinDays(guildId, range.fromDay, range.toDay)
+  );
+  if (period === "all") {
+    for (const s of listMemberStreaks(guildId)) {
+      const stored = Math.max(s.longestStreak || 0, s.streak || 0);
+      if (stored > (best.get(s.userId) || 0)) best.set(s.userId, stored);
+    }
+  }
+  return [...best].map(([userId, value]) => ({ userId, value }));
+}
+
+function rowsFor(guildId, metric, period, range) {
+  switch (metric) {
+    case "focus":
+      return sumFocusByUser(guildId, range.fromDay, range.toDay);
+    case "streak":
+      return streakRows(guildId, range, period);
+    case "attendance":
+      return attendanceByUser(guildId, range.from, range.to).map((r) => ({
+        userId: r.userId,
+        value: r.present,
+        total: r.total,
+      }));
+    default:
+      return sumXPByUser(guildId, range.from, range.to);
+  }
+}
+
+// Ranked rows of everyone with history in the guild: [{ userId, value, rank, ... }].
+// Ties share the better rank; attendance ties are broken by the rate.
+export function rankings(guild, metric, period) {
+  const { timezone } = getGuildSettings(guild.id);
+  const range = periodRange(period, timezone);
+  const rows = rowsFor(guild.id, metric, period, range)
+    .filter((r) => r.value > 0)
+    .sort(
+      (a, b) =>
+        b.value - a.value ||
+        (a.total && b.total ? a.total - b.total : 0) ||
+        a.userId.localeCompare(b.userId)
+    );
+  rows.forEach((r, i) => {
+    const prev = rows[i - 1];
+    r.rank =
+      prev && prev.value === r.value && prev.total === r.total
+        ? prev.rank
+        : i + 1;
+  });
+  return { rows, range };
+}
+
+function pageButtons(metric, period, page, pages, viewerId) {
+  const id = (p) => `${LEADERBOARD_PREFIX}${metric}_${period}_${p}_${viewerId}`;
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(id(page - 1))
+      .setLabel("◀ Previous")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page <= 0),
+    new ButtonBuilder()
+      .setCustomId(id(page + 1))
+      .setLabel("Next ▶")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= pages - 1)
+  );
+}
+
+// One page of a leaderboard as a message payload; the viewer's own row is
+// highlighted on the page, or shown below it when it's on another page. Only the
+// page's members are fetched (to mark the ones who left).
+export async function leaderboardView(
+  guild,
+  { metric, period, page = 0, viewerId }
+) {
+  const { rows, range } = rankings(guild, metric, period);
+  const { label, format } = METRICS[metric];
+  const pages = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+  page = Math.min(Math.max(0, page), pages - 1);
+
+  const shown = rows.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+  const here = shown.length
+    ? await guild.members
+        .fetch({ user: shown.map((r) => r.userId) })
+        .catch(() => null)
+    : null;
+  const lines = shown.map((r) => {
+    const left = here && !here.has(r.userId) ? " *(left)*" : "";
+    const line = `${r.rank}. <@${r.userId}>${left} — ${format(r)}`;
+    return r.userId === viewerId ? `➤ **${line}**` : line;
+  });
+  const embed = new EmbedBuilder()
+    .setTitle(`🏆 Leaderboard — ${label} · ${PERIODS[period]}`)
+    .setColor(0xf1c40f)
+    .setDescription(lines.join("\n") || "Nobody on the board yet.")
+    .setFooter({
+      text:
+        `Page ${page + 1}/${pages}` +
+        (period === "all" ? "" : ` · since ${range.fromDay}`),
+    });
+
+  const own = rows.find((r) => r.userId === viewerId);
+  const ownIndex = own ? rows.indexOf(own) : -1;
+  if (Math.floor(ownIndex / PAGE_SIZE) !== page) {
+    embed.addFields({
+      name: "Your rank",
+      value: own ? `#${own.rank} — ${format(own)}` : "Not ranked yet.",
+    });
+  }
+  return {
+    embeds: [embed],
+    components:
+      pages > 1 ? [pageButtons(metric, period, page, pages, viewerId)] : [],
+  };
+}
@@ -0,0 +1,38 @@
+// src/levels/curve.js — XP <-> level, from the guild's formula or XP thresholds
+//
+// formula:    reaching level L takes round(base * L^exponent) total XP
+// thresholds: ascending total XP needed for level 1, 2, 3, … (no levels past the last one)
+
+// levels past this are not computed (keeps a tiny base/exponent from looping forever)
+const MAX_LEVEL = 1000;
+
+// total XP needed to reach `level`; null when the thresholds stop before it
+export function xpForLevel(level, levels) {
+  if (level <= 0) return 0;
+  if (levels.mode === "thresholds") {
+    return levels.thresholds[level - 1] ?? null;
+  }
+  return Math.round(levels.base * level ** levels.exponent);
+}
+
+export function levelForXP(xp, levels) {
+  let level = 0;
+  while (level < MAX_LEVEL) {
+    const next = xpForLevel(level + 1, levels);
+    if (next === null || next > xp) break;
+    level++;
+  }
+  return level;
+}
+
+// { level, into, needed } — XP gained since this level and XP between it and the next (null at the top)
+export function levelProgress(xp, levels) {
+  const level = levelForXP(xp, levels);
+  const floor = xpForLevel(level, levels);
+  const next = xpForLevel(level + 1, levels);
+  return {
+    level,
+    into: xp - floor,
+    needed: next === null ? null : next - floor,
+  };
+}
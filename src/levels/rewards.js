@@ -0,0 +1,118 @@
+// src/levels/rewards.js — level-up announcements and level role rewards
+import { PermissionsBitField } from "discord.js";
+import { botMemberOf } from "../client.js";
+import { logDebug } from "../logger.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import { onXPChange } from "../store/users.js";
+import { getNotifyChannelForVoice } from "../focus/mappings.js";
+import { levelForXP } from "./curve.js";
+
+// why the bot can't manage `role`, or null when it can
+export function roleProblem(guild, role) {
+  const me = botMemberOf(guild);
+  if (!me || !me.permissions.has(PermissionsBitField.Flags.ManageRoles))
+    return "I need the Manage Roles permission.";
+  if (role.managed)
+    return `<@&${role.id}> is managed by an integration and can't be assigned.`;
+  if (role.id === guild.id) return "@everyone can't be a reward.";
+  if (role.position >= me.roles.highest.position)
+    return `<@&${role.id}> is above my highest role — move my role higher.`;
+  return null;
+}
+
+// role ids the member should have at `level` (all reached rewards, or just the highest)
+function rewardRoleIds(level, levels) {
+  const reached = Object.entries(levels.roles)
+    .map(([lvl, roleId]) => [Number(lvl), roleId])
+    .filter(([lvl]) => lvl <= level)
+    .sort((a, b) => a[0] - b[0]);
+  if (!levels.stackRoles) return new Set(reached.slice(-1).map(([, r]) => r));
+  return new Set(reached.map(([, r]) => r));
+}
+
+// adds/removes level reward roles to match `level`; returns the roles added
+export async function syncLevelRoles(member, level, levels) {
+  const guild = member.guild;
+  const wanted = rewardRoleIds(level, levels);
+  const added = [];
+  for (const roleId of new Set(Object.values(levels.roles))) {
+    const has = member.roles.cache.has(roleId);
+    const want = wanted.has(roleId);
+    if (has === want) continue;
+    const role = guild.roles.cache.get(roleId);
+    if (!role) continue;
+    const problem = roleProblem(guild, role);
+    if (problem) {
+      console.warn(
+        `[LEVELS] guild:${guild.id} cannot ${want ? "add" : "remove"} role ${roleId} for ${member.id}: ${problem}`
+      );
+      continue;
+    }
+    try {
+      if (want) {
+        await member.roles.add(role, `Level ${level} reward`);
+        added.push(role);
+      } else {
+        await member.roles.remove(
+          role,
+          `Level reward no longer matches level ${level}`
+        );
+      }
+    } catch (e) {
+      console.warn(
+        `[LEVELS] failed to update role ${roleId} for ${member.id}:`,
+        e
+      );
+    }
+  }
+  return added;
+}
+
+// the configured channel, else the mapped text channel of the member's room, else the check-in channel
+function announceChannel(member, settings) {
+  const guild = member.guild;
+  const ch =
+    guild.channels.cache.get(settings.levels.announceChannelId) ||
+    (member.voice?.channelId
+      ? getNotifyChannelForVoice(guild, member.voice.channelId)
+      : null) ||
+    guild.channels.cache.get(settings.checkinChannelId);
+  return ch && ch.isTextBased() ? ch : null;
+}
+
+async function handleXPChange(client, { userId, guildId, before, after }) {
+  if (!guildId) return;
+  const guild = client.guilds.cache.get(guildId);
+  if (!guild) return;
+  const settings = getGuildSettings(guildId);
+  const { levels } = settings;
+  const oldLevel = levelForXP(before, levels);
+  const newLevel = levelForXP(after, levels);
+  if (oldLevel === newLevel) return;
+  const member = await guild.members.fetch(userId).catch(() => null);
+  if (!member) return;
+  logDebug(`[LEVELS] ${userId} level ${oldLevel} -> ${newLevel} in ${guildId}`);
+
+  const added = await syncLevelRoles(member, newLevel, levels);
+  if (newLevel <= oldLevel || !levels.announce) return;
+  const ch = announceChannel(member, settings);
+  if (!ch) return;
+  await ch
+    .send({
+      content:
+        `🎉 مبروك <@${userId}>! وصلتي للمستوى **${newLevel}**.` +
+        (added.length
+          ? `\nربحتي: ${added.map((r) => `<@&${r.id}>`).join(", ")}`
+          : ""),
+      allowedMentions: { users: [userId] },
+    })
+    .catch(() => {});
+}
+
+export function watchLevelUps(client) {
+  onXPChange((change) =>
+    handleXPChange(client, change).catch((e) =>
+      console.error("[LEVELS] level change error", e)
+    )
+  );
+}
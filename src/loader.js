@@ -0,0 +1,20 @@
+// src/loader.js — imports every module of a directory (commands, components, events, schedulers)
+import { readdirSync } from "fs";
+import { join } from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+// returns the default exports of all `*.js` files next to `indexUrl`, except the index itself
+export async function loadModules(indexUrl) {
+  const indexPath = fileURLToPath(indexUrl);
+  const dir = join(indexPath, "..");
+  const files = readdirSync(dir)
+    .filter((f) => f.endsWith(".js") && join(dir, f) !== indexPath)
+    .sort();
+  const modules = [];
+  for (const file of files) {
+    const mod = await import(pathToFileURL(join(dir, file)).href);
+    if (mod.default) modules.push(mod.default);
+    else console.warn(`[LOADER] ${file} has no default export — skipped`);
+  }
+  return modules;
+}
@@ -0,0 +1,6 @@
+// src/logger.js — debug logging gated by config/DEBUG env
+import { DEBUG } from "./config.js";
+
+export function logDebug(...args) {
+  if (DEBUG) console.log("[DEBUG]", ...args);
+}
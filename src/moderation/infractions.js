@@ -0,0 +1,244 @@
+// src/moderation/infractions.js — infraction ledger: recording, expiry, escalation, pardons and appeals
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  PermissionsBitField,
+} from "discord.js";
+import { logDebug } from "../logger.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import {
+  getInfraction,
+  listInfractions,
+  updateInfraction,
+} from "../store/infractions.js";
+import { addInfraction } from "../store/users.js";
+import { roleProblem } from "../levels/rewards.js";
+import { modLog } from "./modlog.js";
+
+export const INFRACTION_PREFIX = "infr_";
+
+export const REASON_LABELS = {
+  missed_present: "Missed Present",
+  unmute: "Unmuted in focus",
+  rejoin: "Rejoin violation",
+};
+
+// active, pardoned, cleared or expired (expiry follows the current window)
+export function infractionStatus(record, settings, now = Date.now()) {
+  if (record.status !== "active") return record.status;
+  const { expireDays } = settings.infractions;
+  if (expireDays > 0 && now - record.createdAt >= expireDays * 86400000)
+    return "expired";
+  return "active";
+}
+
+export function activeInfractions(guildId, userId) {
+  const settings = getGuildSettings(guildId);
+  return listInfractions(guildId, userId).filter(
+    (r) => infractionStatus(r, settings) === "active"
+  );
+}
+
+export function canModerate(member) {
+  return (
+    member.id === member.guild.ownerId ||
+    member.permissions.has(PermissionsBitField.Flags.ModerateMembers) ||
+    member.permissions.has(PermissionsBitField.Flags.ManageGuild)
+  );
+}
+
+export function infractionLine(record, settings) {
+  const status = infractionStatus(record, settings);
+  const parts = [
+    `\`#${record.id}\` <t:${Math.floor(record.createdAt / 1000)}:f>`,
+    `**${REASON_LABELS[record.reason] || record.reason}**`,
+  ];
+  if (record.voiceChannelId) parts.push(`<#${record.voiceChannelId}>`);
+  if (record.sessionId) parts.push(`session ${record.sessionId}`);
+  if (record.action) parts.push(`→ ${record.action}`);
+  let line = parts.join(" · ");
+  if (status !== "active") line = `~~${line}~~ (${status})`;
+  else if (record.appealedAt) line += " (appealed)";
+  return line;
+}
+
+export function appealRow(id, disabled = false) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${INFRACTION_PREFIX}appeal_${id}`)
+      .setLabel("Appeal")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(disabled)
+  );
+}
+
+export function reviewRow(id, disabled = false) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${INFRACTION_PREFIX}pardon_${id}`)
+      .setLabel("Pardon")
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(disabled),
+    new ButtonBuilder()
+      .setCustomId(`${INFRACTION_PREFIX}reject_${id}`)
+      .setLabel("Reject")
+      .setStyle(ButtonStyle.Danger)
+      .setDisabled(disabled)
+  );
+}
+
+// timeout / role removal when the active count reaches a threshold; returns what was done
+async function escalate(member, count, settings) {
+  const { timeoutAt, timeoutMinutes, removeRoleAt, removeRoleId } =
+    settings.infractions;
+  const done = [];
+  if (timeoutAt > 0 && count === timeoutAt) {
+    if (member.moderatable) {
+      try {
+        await member.timeout(
+          timeoutMinutes * 60 * 1000,
+          `${count} active infractions`
+        );
+        done.push(`timeout ${timeoutMinutes}m`);
+      } catch (e) {
+        console.warn(`[INFRACTIONS] failed to time out ${member.id}:`, e);
+      }
+    } else {
+      console.warn(
+        `[INFRACTIONS] guild:${member.guild.id} cannot time out ${member.id} (missing Moderate Members or role too high)`
+      );
+    }
+  }
+  if (
+    removeRoleAt > 0 &&
+    count === removeRoleAt &&
+    removeRoleId &&
+    member.roles.cache.has(removeRoleId)
+  ) {
+    const role = member.guild.roles.cache.get(removeRoleId);
+    const problem = role ? roleProblem(member.guild, role) : "role missing";
+    if (problem) {
+      console.warn(
+        `[INFRACTIONS] guild:${member.guild.id} cannot remove role ${removeRoleId} from ${member.id}: ${problem}`
+      );
+    } else {
+      try {
+        await member.roles.remove(role, `${count} active infractions`);
+        done.push(`removed @${role.name}`);
+      } catch (e) {
+        console.warn(
+          `[INFRACTIONS] failed to remove role from ${member.id}:`,
+          e
+        );
+      }
+    }
+  }
+  return done;
+}
+
+// Stores an infraction, escalates at the configured thresholds and DMs the member
+// with an Appeal button. details: { reason, sessionId, voiceChannelId, action }
+export async function recordInfraction(member, details) {
+  const guild = member.guild;
+  const settings = getGuildSettings(guild.id);
+  const record = addInfraction(member.id, { ...details, guildId: guild.id });
+  const count = activeInfractions(guild.id, member.id).length;
+  logDebug(
+    `[INFRACTIONS] #${record.id} ${member.id} ${record.reason} (${count} active)`
+  );
+
+  const escalated = await escalate(member, count, settings);
+  if (escalated.length) {
+    record.action = [record.action, ...escalated].filter(Boolean).join(", ");
+    updateInfraction(record.id, { action: record.action });
+  }
+  modLog(guild.id, "infraction", {
+    infractionId: record.id,
+    userId: member.id,
+    reason: record.reason,
+    action: record.action,
+    voiceChannelId: record.voiceChannelId,
+    sessionId: record.sessionId,
+    activeInfractions: count,
+  });
+
+  const { expireDays, modChannelId } = settings.infractions;
+  await member
+    .send({
+      content:
+        `⚠️ Infraction in **${guild.name}**: ${infractionLine(record, settings)}\n` +
+        `You have ${count} active infraction(s)` +
+        (expireDays > 0
+          ? `; each one expires after ${expireDays} days.`
+          : ".") +
+        (modChannelId ? "\nIf this was a mistake, press Appeal." : ""),
+      components: modChannelId ? [appealRow(record.id)] : [],
+    })
+    .catch(() => {});
+  return record;
+}
+
+// marks one active infraction pardoned; returns { error } or { record }
+export function pardonInfraction(guildId, id, moderatorId, note = null) {
+  const record = getInfraction(id);
+  if (!record || record.guildId !== guildId)
+    return { error: `There is no infraction #${id} in this server.` };
+  const status = infractionStatus(record, getGuildSettings(guildId));
+  if (status !== "active")
+    return { error: `Infraction #${id} is already ${status}.` };
+  const patch = {
+    status: "pardoned",
+    resolvedAt: Date.now(),
+    resolvedBy: moderatorId,
+    note,
+  };
+  updateInfraction(id, patch);
+  modLog(guildId, "infraction_review", {
+    infractionId: id,
+    userId: record.userId,
+    decision: "pardoned",
+    by: moderatorId,
+    note,
+  });
+  return { record: { ...record, ...patch } };
+}
+
+// marks all of a member's active infractions cleared; returns how many
+export function clearInfractions(guildId, userId, moderatorId) {
+  const active = activeInfractions(guildId, userId);
+  for (const record of active) {
+    updateInfraction(record.id, {
+      status: "cleared",
+      resolvedAt: Date.now(),
+      resolvedBy: moderatorId,
+    });
+  }
+  if (active.length) {
+    modLog(guildId, "infraction_review", {
+      userId,
+      decision: `cleared ${active.length}`,
+      by: moderatorId,
+    });
+  }
+  return active.length;
+}
+
+export function appealEmbed(record, user, text, settings) {
+  return new EmbedBuilder()
+    .setTitle(`📨 Appeal for infraction #${record.id}`)
+    .setColor(0xe67e22)
+    .setAuthor({ name: user.tag, iconURL: user.displayAvatarURL() })
+    .addFields(
+      { name: "Member", value: `<@${record.userId}>`, inline: true },
+      {
+        name: "Active infractions",
+        value: String(activeInfractions(record.guildId, record.userId).length),
+        inline: true,
+      },
+      { name: "Infraction", value: infractionLine(record, settings) },
+      { name: "Appeal", value: text.slice(0, 1024) }
+    )
+    .setTimestamp();
+}
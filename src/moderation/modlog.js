@@ -0,0 +1,128 @@
+// src/moderation/modlog.js — audit trail: mod-log channel embeds + a JSON-lines audit file
+import { appendFileSync } from "fs";
+import { resolve } from "path";
+import { EmbedBuilder } from "discord.js";
+import { client } from "../client.js";
+import { config, ROOT_DIR } from "../config.js";
+import {
+  getGuildSettings,
+  onGuildSettingsChange,
+} from "../store/guildSettings.js";
+
+const AUDIT_PATH = resolve(ROOT_DIR, config.auditLogPath);
+
+// how each event looks in the mod-log channel
+const EVENTS = {
+  session_start: { title: "▶️ Focus session started", color: 0x2ecc71 },
+  session_end: { title: "⏹️ Focus session ended", color: 0x95a5a6 },
+  policy_action: { title: "🎙️ Voice policy action", color: 0xe67e22 },
+  infraction: { title: "🚩 Infraction recorded", color: 0xe74c3c },
+  infraction_review: { title: "⚖️ Infraction reviewed", color: 0x3498db },
+  config_change: { title: "⚙️ Settings changed", color: 0x00b0f4 },
+};
+
+// detail keys holding member ids / lists of member ids
+const USER_KEYS = new Set([
+  "userId",
+  "by",
+  "present",
+  "removed",
+  "missed",
+  "moveFailed",
+  "notMoved",
+]);
+
+function label(key) {
+  const words = key
+    .replace(/Id$/, "")
+    .replace(/([A-Z])/g, " $1")
+    .toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function display(key, value) {
+  if (Array.isArray(value)) {
+    if (!value.length) return "—";
+    const shown = value.slice(0, 30).map((v) => display(key, v));
+    return (
+      shown.join(", ") +
+      (value.length > 30 ? ` and ${value.length - 30} more` : "")
+    );
+  }
+  if (USER_KEYS.has(key)) return `<@${value}>`;
+  if (/channelId$/i.test(key)) return `<#${value}>`;
+  return String(value).slice(0, 1024);
+}
+
+function writeAuditLine(entry) {
+  try {
+    appendFileSync(AUDIT_PATH, JSON.stringify(entry) + "\n");
+  } catch (e) {
+    console.error(`[MODLOG] failed to write ${AUDIT_PATH}`, e);
+  }
+}
+
+// Records an automated or moderator action: one line in the audit file, and an
+// embed in the guild's mod-log channel when one is set. `details` must be JSON-safe;
+// null/undefined values are left out.
+export function modLog(guildId, event, details = {}) {
+  const clean = Object.fromEntries(
+    Object.entries(details).filter(([, v]) => v !== null && v !== undefined)
+  );
+  writeAuditLine({ at: new Date().toISOString(), guildId, event, ...clean });
+
+  const channelId = getGuildSettings(guildId).modLogChannelId;
+  const ch = channelId
+    ? client.guilds.cache.get(guildId)?.channels.cache.get(channelId)
+    : null;
+  if (!ch || !ch.isTextBased()) return;
+  const { title, color } = EVENTS[event] || { title: event, color: 0x99aab5 };
+  const embed = new EmbedBuilder()
+    .setTitle(title)
+    .setColor(color)
+    .addFields(
+      Object.entries(clean)
+        .slice(0, 25)
+        .map(([key, value]) => ({
+          name: label(key),
+          value: display(key, value),
+          inline: !Array.isArray(value) && String(value).length < 40,
+        }))
+    )
+    .setFooter({ text: event })
+    .setTimestamp();
+  ch.send({ embeds: [embed], allowedMentions: { parse: [] } }).catch((e) =>
+    console.warn(`[MODLOG] failed to post in ${ch.id}:`, e.message)
+  );
+}
+
+// "path: before → after" for every leaf that differs
+function settingsDiff(before, after, prefix = "") {
+  const lines = [];
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  for (const key of keys) {
+    const a = before?.[key];
+    const b = after?.[key];
+    const path = prefix ? `${prefix}.${key}` : key;
+    const nested = (v) => v && typeof v === "object" && !Array.isArray(v);
+    if (nested(a) || nested(b)) {
+      lines.push(...settingsDiff(a, b, path));
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      lines.push(
+        `${path}: ${JSON.stringify(a ?? null)} → ${JSON.stringify(b ?? null)}`
+      );
+    }
+  }
+  return lines;
+}
+
+export function watchSettingsChanges() {
+  onGuildSettingsChange((guildId, settings, { previous, by } = {}) => {
+    const changes = settingsDiff(previous, settings);
+    if (!changes.length) return;
+    modLog(guildId, "config_change", { by, changes: changes.join("\n") });
+  });
+}
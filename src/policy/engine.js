@@ -0,0 +1,399 @@
+// src/policy/engine.js — break-channel monitoring and mic enforcement during focus blocks
+import { PermissionsBitField } from "discord.js";
+import { botMemberOf } from "../client.js";
+import { logDebug } from "../logger.js";
+import { store } from "../store/index.js";
+import { ensureUser, updateUser } from "../store/users.js";
+import { getNotifyChannelForVoice } from "../focus/mappings.js";
+import { getFocusStartedAt } from "../focus/sessions.js";
+import { isPomodoroFocus } from "../focus/pomodoro.js";
+import { recordInfraction } from "../moderation/infractions.js";
+import { modLog } from "../moderation/modlog.js";
+import { actionRank, getGuildPolicy, isBreakChannel } from "./rules.js";
+
+// `${guildId}:${userId}` -> violation timestamps (for escalation)
+const violations = new Map();
+// `${guildId}:${userId}` -> pending grace-period check
+const graceTimers = new Map();
+// `${userId}_${channelId}` -> break stay reminder
+const breakStayTimeouts = new Map();
+// `${guildId}:${userId}` server-muted by the policy (released outside focus rooms);
+// kept in the store so a restart can't leave anyone muted
+const policyMuted = new Set();
+const MUTED_META_KEY = "policyMuted";
+
+const memberKey = (member) => `${member.guild.id}:${member.id}`;
+
+function persistMuted() {
+  try {
+    store.setMeta(MUTED_META_KEY, [...policyMuted]);
+  } catch (e) {
+    console.error("[POLICY] failed to store muted members", e);
+  }
+}
+
+// a room running its own pomodoro follows its phases; otherwise the policy's focus length
+function focusWindowActive(vcId, policy) {
+  const pomodoroFocus = isPomodoroFocus(vcId);
+  if (pomodoroFocus !== null) return pomodoroFocus;
+  const startedAt = getFocusStartedAt(vcId);
+  return Boolean(
+    startedAt && Date.now() - startedAt < policy.focusMinutes * 60 * 1000
+  );
+}
+
+// mic rules apply in a channel with a running focus block that isn't a break channel
+export function isEnforcedChannel(channel, policy) {
+  return (
+    Boolean(channel) &&
+    !isBreakChannel(channel, policy) &&
+    focusWindowActive(channel.id, policy)
+  );
+}
+
+function cancelGrace(member) {
+  const key = memberKey(member);
+  const t = graceTimers.get(key);
+  if (t) {
+    clearTimeout(t);
+    graceTimers.delete(key);
+  }
+}
+
+function recordViolation(member, policy) {
+  const key = memberKey(member);
+  const now = Date.now();
+  const windowMs = policy.escalation.windowMinutes * 60 * 1000;
+  const recent = (violations.get(key) || []).filter((t) => now - t < windowMs);
+  recent.push(now);
+  violations.set(key, recent);
+  return recent.length;
+}
+
+async function notify(member, channel, content, dmFallback = null) {
+  const notifyCh = getNotifyChannelForVoice(member.guild, channel.id);
+  if (notifyCh && notifyCh.isTextBased()) {
+    await notifyCh
+      .send({ content, allowedMentions: { users: [member.id] } })
+      .catch(() => {});
+  } else if (dmFallback) {
+    await member.send(dmFallback).catch(() => {});
+  }
+}
+
+// open mic in a focus room: waits out the grace period, then acts
+function scheduleViolation(member, channel, reason, policy) {
+  cancelGrace(member);
+  if (policy.graceSeconds <= 0) {
+    handleViolation(member, channel, reason, policy).catch((e) =>
+      console.error("policy violation error", e)
+    );
+    return;
+  }
+  logDebug(
+    `[POLICY] ${member.id} ${reason} in ${channel.id} — grace ${policy.graceSeconds}s`
+  );
+  const key = memberKey(member);
+  const t = setTimeout(async () => {
+    graceTimers.delete(key);
+    try {
+      const fresh = await member.guild.members
+        .fetch(member.id)
+        .catch(() => null);
+      if (!fresh || !fresh.voice || fresh.voice.channelId !== channel.id)
+        return;
+      if (fresh.voice.selfMute || fresh.voice.serverMute) return;
+      if (!isEnforcedChannel(channel, policy)) return;
+      await handleViolation(fresh, channel, reason, policy);
+    } catch (e) {
+      console.error("policy grace check error", e);
+    }
+  }, policy.graceSeconds * 1000);
+  graceTimers.set(key, t);
+}
+
+async function handleViolation(member, channel, reason, policy) {
+  const count = recordViolation(member, policy);
+  const base = reason === "unmute" ? policy.unmuteAction : policy.rejoinAction;
+  const escalated =
+    count >= policy.escalation.after &&
+    actionRank(policy.escalation.action) > actionRank(base);
+  const action = escalated ? policy.escalation.action : base;
+
+  const line = `[POLICY] guild:${member.guild.id} ${member.user.tag} (${
+    member.id
+  }) ${reason} in '${channel.name}' -> ${action}${
+    escalated ? ` (escalated, violation #${count})` : ` (violation #${count})`
+  }`;
+  if (policy.dryRun) {
+    console.log(`${line} [dry-run: no action taken]`);
+    return;
+  }
+  console.log(line);
+  const outcome =
+    action === "log"
+      ? "log"
+      : await applyAction(member, channel, action, reason, policy);
+  modLog(member.guild.id, "policy_action", {
+    userId: member.id,
+    voiceChannelId: channel.id,
+    reason,
+    action,
+    outcome,
+    violation: count,
+    escalated: escalated || null,
+  });
+  if (action === "log") return;
+
+  // recorded after acting so an escalation timeout doesn't block the mute / move
+  await recordInfraction(member, {
+    reason,
+    voiceChannelId: channel.id,
+    action: outcome,
+  });
+}
+
+// returns what was actually done: warn, mute, move, move_failed or no_permission
+async function applyAction(member, channel, action, reason, policy) {
+  const botMember = botMemberOf(member.guild);
+  const perms = botMember ? botMember.permissionsIn(channel) : null;
+  const canMute = perms && perms.has(PermissionsBitField.Flags.MuteMembers);
+  const canMove = perms && perms.has(PermissionsBitField.Flags.MoveMembers);
+
+  if (action === "warn") {
+    await notify(
+      member,
+      channel,
+      `<@${member.id}> المايك مسموح فقط في قنوات البريك خلال جلسة الـ Focus — سكّت المايك من فضلك.`,
+      "المايك مسموح فقط في قنوات البريك خلال جلسة الـ Focus — سكّت المايك من فضلك."
+    );
+    return "warn";
+  }
+
+  // mute falls back to move, move falls back to a warning for the moderators
+  if (action === "mute" && canMute) {
+    try {
+      await member.voice.setMute(true, `Focus policy: ${reason}`);
+      policyMuted.add(memberKey(member));
+      persistMuted();
+      await notify(
+        member,
+        channel,
+        `<@${member.id}> تم كتمك تلقائياً لأن جلسة Focus جارية — المايك مسموح فقط في قنوات البريك.`
+      );
+      logDebug(`[POLICY] server-muted ${member.id} in ${channel.id}`);
+      return "mute";
+    } catch (err) {
+      console.warn("Failed to server-mute member:", err);
+    }
+  }
+
+  if (canMove) {
+    try {
+      const target = policy.moveToChannelId
+        ? member.guild.channels.cache.get(policy.moveToChannelId) || null
+        : null;
+      await member.voice.setChannel(target, `Focus policy: ${reason}`);
+      await member
+        .send(
+          `تم فصلّك من جلسة الـ Focus لأنك فتحت المايك خلال الـ Focus (${policy.focusMinutes} دقيقة). افتح المايك فقط في قنوات البريك.`
+        )
+        .catch(() => {});
+      await notify(
+        member,
+        channel,
+        `<@${member.id}> تم فصله من ${channel.name} لفتح المايك خلال جلسة الـ Focus.`
+      );
+      logDebug(`[POLICY] moved ${member.user.tag} out of VC ${channel.id}`);
+      return "move";
+    } catch (e) {
+      console.warn("Failed to move member after policy violation:", e);
+      await notify(
+        member,
+        channel,
+        `<@${member.id}> فتح المايك خلال الـ Focus لكن البوت فشل في فصله — الرجاء مراجعة المشرفين.`,
+        "لقد فتحت المايك خلال جلسة الـ Focus، والبوت لم يتمكن من فصلّك. الرجاء الرجوع لقواعد الجلسة."
+      );
+      return "move_failed";
+    }
+  }
+
+  await notify(
+    member,
+    channel,
+    `<@${member.id}> فتح المايك خلال جلسة الـ Focus، لكن البوت لا يمتلك صلاحية لكتم/فصل المستخدمين. الرجاء من المشرفين التعامل مع الحالة.`,
+    "لقد فتحت المايك خلال جلسة الـ Focus، لكن البوت لا يمتلك صلاحية لفصلك. الرجاء الانصياع لقواعد الجلسة أو مراسلة المشرفين."
+  );
+  logDebug(
+    `[POLICY] cannot mute/move ${member.user.tag} (missing permissions) — warned instead`
+  );
+  return "no_permission";
+}
+
+// lift a policy server-mute once the member is somewhere the rules don't apply
+async function releasePolicyMute(member, channel, policy) {
+  const key = memberKey(member);
+  if (!policyMuted.has(key)) return;
+  if (isEnforcedChannel(channel, policy)) return;
+  policyMuted.delete(key);
+  persistMuted();
+  if (!member.voice || !member.voice.serverMute) return;
+  await member.voice
+    .setMute(false, "Focus policy: left the focus block")
+    .catch((e) => console.warn("Failed to lift policy mute:", e));
+}
+
+function recordBreakJoin(member, policy) {
+  const u = ensureUser(member.id);
+  const now = Date.now();
+  const breakJoins = (u.breakJoins || []).filter(
+    (t) => now - t < 60 * 60 * 1000
+  );
+  breakJoins.push(now);
+  updateUser(member.id, { breakJoins });
+
+  if (
+    policy.breakJoinsPerHour > 0 &&
+    breakJoins.length >= policy.breakJoinsPerHour
+  ) {
+    if (policy.dryRun) {
+      console.log(
+        `[POLICY] ${member.user.tag} joined a break channel ${breakJoins.length}x in the last hour -> DM nudge [dry-run: no action taken]`
+      );
+      return;
+    }
+    member
+      .send(
+        `⏱️ لاحظت أنك تدخل غرفة البريك كثيرًا في آخر ساعة. حاول تقلل البريك وتزيد الفوكَس 😉`
+      )
+      .catch(() => {});
+  }
+}
+
+function scheduleBreakStayReminder(member, channel, policy) {
+  if (!(policy.breakStayReminderMinutes > 0)) return;
+  const key = `${member.id}_${channel.id}`;
+  const t = setTimeout(
+    async () => {
+      breakStayTimeouts.delete(key);
+      try {
+        const freshMem = await member.guild.members.fetch(member.id);
+        if (freshMem.voice && freshMem.voice.channelId === channel.id) {
+          if (policy.dryRun) {
+            console.log(
+              `[POLICY] ${freshMem.user.tag} in break channel '${channel.name}' for ${policy.breakStayReminderMinutes}min -> DM reminder [dry-run: no action taken]`
+            );
+            return;
+          }
+          await freshMem
+            .send(
+              `Hey ${freshMem.user.username}, يبدو أنك في البريك أكثر من ${policy.breakStayReminderMinutes} دقيقة. هل تريد الرجوع للدراسة؟`
+            )
+            .catch(() => {});
+        }
+      } catch (e) {
+        /* ignore */
+      }
+    },
+    policy.breakStayReminderMinutes * 60 * 1000
+  );
+  breakStayTimeouts.set(key, t);
+}
+
+function clearBreakStayReminder(member, channel) {
+  const key = `${member.id}_${channel.id}`;
+  const t = breakStayTimeouts.get(key);
+  if (t) {
+    clearTimeout(t);
+    breakStayTimeouts.delete(key);
+  }
+}
+
+// voiceStateUpdate entry point
+export async function applyVoicePolicy(oldState, newState) {
+  const member = (newState && newState.member) || (oldState && oldState.member);
+  if (!member || member.user.bot) return;
+
+  const policy = getGuildPolicy(member.guild.id);
+  if (!policy.enabled) return;
+
+  const oldChan = oldState ? oldState.channel : null;
+  const newChan = newState ? newState.channel : null;
+  const moved = !oldChan || !newChan || oldChan.id !== newChan.id;
+
+  // --- leaving a channel
+  if (oldChan && moved) {
+    cancelGrace(member);
+    if (isBreakChannel(oldChan, policy))
+      clearBreakStayReminder(member, oldChan);
+  }
+  if (!newChan) return;
+
+  // --- joining a channel: break recording, mute release, join enforcement
+  if (moved) {
+    if (isBreakChannel(newChan, policy)) {
+      recordBreakJoin(member, policy);
+      scheduleBreakStayReminder(member, newChan, policy);
+    }
+    await releasePolicyMute(member, newChan, policy);
+
+    if (isEnforcedChannel(newChan, policy)) {
+      const selfMuted = Boolean(newState.selfMute);
+      if (selfMuted && policy.allowSelfMutedJoin) {
+        logDebug(
+          `[POLICY] ${member.id} joined ${newChan.id} while self-muted — allowed`
+        );
+      } else if (!newState.serverMute) {
+        scheduleViolation(member, newChan, "rejoin", policy);
+      }
+    }
+    return;
+  }
+
+  // --- same channel: unmute / re-mute detection
+  const oldSelfMuted = Boolean(oldState.selfMute);
+  const newSelfMuted = Boolean(newState.selfMute);
+  if (oldSelfMuted && !newSelfMuted && !newState.serverMute) {
+    if (isEnforcedChannel(newChan, policy)) {
+      scheduleViolation(member, newChan, "unmute", policy);
+    } else if (isBreakChannel(newChan, policy)) {
+      logDebug(
+        `[POLICY] ${member.id} unmuted in break channel ${newChan.id} — allowed.`
+      );
+    }
+  } else if (!oldSelfMuted && newSelfMuted) {
+    cancelGrace(member);
+  }
+}
+
+// lifts the server-mutes the policy left in place before a restart; members who aren't
+// in voice now are released when they next join a room outside the rules
+export async function releasePolicyMutes(client) {
+  let released = 0;
+  for (const key of store.getMeta(MUTED_META_KEY) || []) {
+    const [guildId, userId] = key.split(":");
+    const guild = client.guilds.cache.get(guildId);
+    const member = guild
+      ? await guild.members.fetch(userId).catch(() => null)
+      : null;
+    if (!member) continue;
+    if (!member.voice?.channelId) {
+      policyMuted.add(key);
+      continue;
+    }
+    if (!member.voice.serverMute) continue;
+    await member.voice
+      .setMute(false, "Focus policy: released after a restart")
+      .then(() => released++)
+      .catch((e) => console.warn("Failed to lift policy mute:", e));
+  }
+  persistMuted();
+  if (released) console.log(`[POLICY] released ${released} mute(s)`);
+}
+
+export function clearPolicyTimers() {
+  for (const [, t] of graceTimers) clearTimeout(t);
+  graceTimers.clear();
+  for (const [, t] of breakStayTimeouts) clearTimeout(t);
+  breakStayTimeouts.clear();
+}
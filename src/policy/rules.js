@@ -0,0 +1,94 @@
+// src/policy/rules.js — per-guild voice policy rules (config.json `policy`, overridable per guild)
+import { config } from "../config.js";
+
+export const ACTIONS = ["log", "warn", "mute", "move"];
+
+// off unless config.json turns it on; guilds then opt in with a `policy.guilds` entry
+export const DEFAULT_POLICY = {
+  enabled: false,
+  // log what would happen instead of acting (always, for guilds without their own entry)
+  dryRun: false,
+  // how long after a focus session starts the mic rules apply
+  focusMinutes: 50,
+  // a channel is a break channel if its name contains a keyword or its id is listed
+  breakKeywords: ["break", "coffee", "pause", "休息"],
+  breakChannelIds: [],
+  // seconds a member gets to mute again before an open mic counts
+  graceSeconds: 0,
+  // joining a focus room already self-muted is fine
+  allowSelfMutedJoin: true,
+  // action for joining a focus room with an open mic / unmuting inside it
+  rejoinAction: "mute",
+  unmuteAction: "move",
+  // "move" target; null disconnects
+  moveToChannelId: null,
+  // after `after` violations within `windowMinutes`, use `action` if it is harsher
+  escalation: { after: 3, action: "move", windowMinutes: 60 },
+  // DM nudges for break channels (0 disables)
+  breakStayReminderMinutes: 15,
+  breakJoinsPerHour: 3,
+  // start a presence check when someone joins an idle mapped voice channel
+  autoStartOnJoin: false,
+};
+
+function normalizePolicy(raw, label) {
+  const policy = {
+    ...DEFAULT_POLICY,
+    ...raw,
+    escalation: { ...DEFAULT_POLICY.escalation, ...(raw.escalation || {}) },
+  };
+  for (const key of ["rejoinAction", "unmuteAction"]) {
+    if (!ACTIONS.includes(policy[key])) {
+      console.warn(
+        `[POLICY] ${label}: invalid ${key} '${policy[key]}' — using '${DEFAULT_POLICY[key]}'`
+      );
+      policy[key] = DEFAULT_POLICY[key];
+    }
+  }
+  if (!ACTIONS.includes(policy.escalation.action)) {
+    console.warn(
+      `[POLICY] ${label}: invalid escalation.action '${policy.escalation.action}' — using '${DEFAULT_POLICY.escalation.action}'`
+    );
+    policy.escalation.action = DEFAULT_POLICY.escalation.action;
+  }
+  policy.breakKeywords = (policy.breakKeywords || []).map((k) =>
+    String(k).toLowerCase()
+  );
+  policy.breakChannelIds = policy.breakChannelIds || [];
+  return policy;
+}
+
+const rawPolicy = config.policy || {};
+const { guilds: rawGuildPolicies = {}, ...rawGlobalPolicy } = rawPolicy;
+const globalPolicy = normalizePolicy(rawGlobalPolicy, "global");
+// guilds whose moderators didn't opt in only see what the policy would do
+const unlistedPolicy = { ...globalPolicy, dryRun: true };
+const guildPolicies = new Map();
+
+export function getGuildPolicy(guildId) {
+  if (!guildPolicies.has(guildId)) {
+    const override = rawGuildPolicies[guildId];
+    guildPolicies.set(
+      guildId,
+      override
+        ? normalizePolicy(
+            { ...rawGlobalPolicy, ...override },
+            `guild ${guildId}`
+          )
+        : unlistedPolicy
+    );
+  }
+  return guildPolicies.get(guildId);
+}
+
+export function isBreakChannel(channel, policy) {
+  if (!channel) return false;
+  if (policy.breakChannelIds.includes(channel.id)) return true;
+  if (!channel.name) return false;
+  const name = channel.name.toLowerCase();
+  return policy.breakKeywords.some((k) => name.includes(k));
+}
+
+export function actionRank(action) {
+  return ACTIONS.indexOf(action);
+}
@@ -0,0 +1,162 @@
+// src/recaps/recap.js — weekly / monthly community recap built from stored history
+import { EmbedBuilder } from "discord.js";
+import { logDebug } from "../logger.js";
+import { store } from "../store/index.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import {
+  focusByRoom,
+  listNewFocusMembers,
+  sessionAttendance,
+  sumFocusByUser,
+} from "../store/leaderboards.js";
+import { listMemberStreaks } from "../store/checkins.js";
+import { formatFocus } from "../leaderboards/rankings.js";
+import { addDays, dayKey, zonedTime } from "../timezones.js";
+
+const TOP = 3;
+const MAX_SESSIONS = 10;
+const MAX_NEW_MEMBERS = 20;
+
+// The full days covered by a recap posted at `now`: the 7 days before today, or
+// the previous calendar month. Also returns the window just before it (for improvers).
+export function recapRange(kind, timeZone, now = Date.now()) {
+  const today = dayKey(now, timeZone);
+  // the recap ends where `end` (a day, excluded) starts
+  let end = today;
+  let fromDay;
+  let prevFromDay;
+  if (kind === "monthly") {
+    end = `${today.slice(0, 8)}01`;
+    fromDay = `${addDays(end, -1).slice(0, 8)}01`;
+    prevFromDay = `${addDays(fromDay, -1).slice(0, 8)}01`;
+  } else {
+    fromDay = addDays(end, -7);
+    prevFromDay = addDays(end, -14);
+  }
+  return {
+    fromDay,
+    toDay: addDays(end, -1),
+    from: zonedTime(fromDay, 0, 0, timeZone),
+    to: zonedTime(end, 0, 0, timeZone),
+    prevFromDay,
+    prevToDay: addDays(fromDay, -1),
+  };
+}
+
+const mention = (id) => `<@${id}>`;
+
+function listOrNone(lines) {
+  return lines.length ? lines.join("\n") : "—";
+}
+
+export function buildRecap(guild, kind, range) {
+  const { mappings } = getGuildSettings(guild.id);
+  const isMember = (id) => guild.members.cache.has(id);
+
+  const focus = sumFocusByUser(guild.id, range.fromDay, range.toDay);
+  const totalSeconds = focus.reduce((sum, r) => sum + r.value, 0);
+
+  const rooms = focusByRoom(guild.id, range.from, range.to)
+    .filter((r) => mappings[r.voiceChannelId] && r.seconds > 0)
+    .sort((a, b) => b.seconds - a.seconds)
+    .slice(0, TOP)
+    .map((r) => `<#${r.voiceChannelId}> — ${formatFocus(r.seconds)}`);
+
+  // most extra focus time compared with the window before
+  const before = new Map(
+    sumFocusByUser(guild.id, range.prevFromDay, range.prevToDay).map((r) => [
+      r.userId,
+      r.value,
+    ])
+  );
+  const improvers = focus
+    .filter((r) => isMember(r.userId))
+    .map((r) => ({ ...r, gain: r.value - (before.get(r.userId) || 0) }))
+    .filter((r) => r.gain >= 60)
+    .sort((a, b) => b.gain - a.gain)
+    .slice(0, TOP)
+    .map((r) => `${mention(r.userId)} — +${formatFocus(r.gain)}`);
+
+  // current streaks of members who checked in during the window
+  const streaks = listMemberStreaks(guild.id)
+    .filter(
+      (s) =>
+        s.streak > 0 &&
+        (s.lastCheckinDate || "") >= range.fromDay &&
+        isMember(s.userId)
+    )
+    .sort((a, b) => b.streak - a.streak)
+    .slice(0, TOP)
+    .map((s) => `${mention(s.userId)} — ${s.streak} days`);
+
+  const sessions = sessionAttendance(guild.id, range.from, range.to);
+  const present = sessions.reduce((sum, s) => sum + s.present, 0);
+  const expected = sessions.reduce((sum, s) => sum + s.total, 0);
+  const sessionLines = sessions
+    .slice(-MAX_SESSIONS)
+    .map(
+      (s) =>
+        `<t:${Math.floor(s.startedAt / 1000)}:d> <#${s.voiceChannelId}> — ${
+          s.present
+        }/${s.total} (${Math.round((s.present / s.total) * 100)}%)`
+    );
+  if (sessions.length > MAX_SESSIONS)
+    sessionLines.unshift(`… ${sessions.length - MAX_SESSIONS} earlier`);
+
+  const newcomers = listNewFocusMembers(guild.id, range.from, range.to)
+    .filter((r) => isMember(r.userId))
+    .map((r) => mention(r.userId));
+  const newcomerText =
+    newcomers.length > MAX_NEW_MEMBERS
+      ? `${newcomers.slice(0, MAX_NEW_MEMBERS).join(", ")} and ${
+          newcomers.length - MAX_NEW_MEMBERS
+        } more`
+      : newcomers.join(", ");
+
+  return new EmbedBuilder()
+    .setTitle(
+      `📊 ${kind === "monthly" ? "Monthly" : "Weekly"} recap — ${range.fromDay} → ${range.toDay}`
+    )
+    .setColor(0x9b59b6)
+    .addFields(
+      {
+        name: "⏱️ Total focus",
+        value: `**${(totalSeconds / 3600).toFixed(1)} h** by ${focus.length} member(s)`,
+        inline: true,
+      },
+      {
+        name: "✅ Attendance",
+        value: expected
+          ? `${Math.round((present / expected) * 100)}% over ${sessions.length} session(s)`
+          : "No sessions",
+        inline: true,
+      },
+      { name: "🏠 Most active rooms", value: listOrNone(rooms) },
+      { name: "📈 Top improvers", value: listOrNone(improvers), inline: true },
+      { name: "🔥 Longest streaks", value: listOrNone(streaks), inline: true },
+      { name: "📋 Attendance per session", value: listOrNone(sessionLines) },
+      { name: "👋 New in focus", value: newcomerText || "—" }
+    );
+}
+
+// posts the recap once per window (restarts and reschedules don't repeat it)
+export async function postRecap(guild, kind) {
+  const { recap, timezone } = getGuildSettings(guild.id);
+  const ch = guild.channels.cache.get(recap.channelId);
+  if (!ch || !ch.isTextBased()) {
+    console.warn(
+      `[RECAP] guild:${guild.id} recap channel ${recap.channelId} is missing`
+    );
+    return;
+  }
+  const range = recapRange(kind, timezone);
+  const key = `lastRecap:${kind}:${guild.id}`;
+  if (store.getMeta(key) === range.toDay) return;
+  store.setMeta(key, range.toDay);
+
+  await guild.members.fetch().catch(() => {});
+  await ch.send({ embeds: [buildRecap(guild, kind, range)] }).catch((e) => {
+    console.error(`[RECAP] failed to post ${kind} recap in ${ch.id}`, e);
+  });
+  logDebug(`[RECAP] posted ${kind} recap for guild ${guild.id}`);
+}
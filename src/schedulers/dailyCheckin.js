@@ -0,0 +1,85 @@
+// src/schedulers/dailyCheckin.js — daily check-in reminder, one timer per guild
+import { Events } from "discord.js";
+import { store } from "../store/index.js";
+import {
+  getGuildSettings,
+  onGuildSettingsChange,
+} from "../store/guildSettings.js";
+import { dayKey, nextOccurrence } from "../timezones.js";
+import {
+  checkinPanel,
+  countTodaysCheckins,
+  saveCheckinPanels,
+} from "../streaks/checkin.js";
+
+// guildId -> timeout of the next reminder
+const timers = new Map();
+
+// daily checkin scheduling in the guild's time zone: one timeout per run, re-armed after
+// every run and whenever the guild's settings change (no interval to drift across DST)
+function scheduleGuild(client, guildId) {
+  clearTimeout(timers.get(guildId));
+  timers.delete(guildId);
+  const guild = client.guilds.cache.get(guildId);
+  if (!guild) return;
+
+  const {
+    checkinHour: hour,
+    checkinMinute: minute,
+    timezone,
+  } = getGuildSettings(guildId);
+  const next = nextOccurrence(hour, minute, timezone);
+  timers.set(
+    guildId,
+    setTimeout(async () => {
+      await doDailyCheckin(guild);
+      scheduleGuild(client, guildId);
+    }, next - Date.now())
+  );
+  console.log(
+    `[SCHEDULER] Daily checkin for guild ${guildId} scheduled at ${hour}:${minute} ${timezone} (${new Date(
+      next
+    ).toISOString()})`
+  );
+}
+
+export async function doDailyCheckin(guild) {
+  try {
+    const today = dayKey(Date.now(), getGuildSettings(guild.id).timezone);
+    const key = `lastDailyAt:${guild.id}`;
+    if (store.getMeta(key) === today) return;
+    store.setMeta(key, today);
+    store.flush();
+
+    const { checkinChannelId, mappings } = getGuildSettings(guild.id);
+    // the check-in channel, else every mapped text channel
+    const targets = checkinChannelId
+      ? [checkinChannelId]
+      : [...new Set(Object.values(mappings))];
+    const panel = checkinPanel(countTodaysCheckins(guild.id));
+    const sent = [];
+    for (const id of targets) {
+      const ch = guild.channels.cache.get(id);
+      if (ch && ch.isTextBased()) {
+        const msg = await ch.send(panel).catch(() => null);
+        if (msg) sent.push(msg);
+      }
+    }
+    saveCheckinPanels(guild.id, today, sent);
+  } catch (e) {
+    console.error("doDailyCheckin error", e);
+  }
+}
+
+export default {
+  name: "dailyCheckin",
+  start(client) {
+    for (const [guildId] of client.guilds.cache) scheduleGuild(client, guildId);
+    onGuildSettingsChange((guildId) => scheduleGuild(client, guildId));
+    client.on(Events.GuildCreate, (guild) => scheduleGuild(client, guild.id));
+  },
+  stop() {
+    for (const [, t] of timers) clearTimeout(t);
+    timers.clear();
+  },
+};
@@ -0,0 +1,23 @@
+// src/schedulers/goals.js — periodically checks study goals (completions, nudges, missed periods)
+import { evaluateGoals } from "../goals/goals.js";
+
+// focus time is credited every 5 minutes too, so progress can't move faster
+const CHECK_MS = 5 * 60 * 1000;
+
+let interval = null;
+
+export default {
+  name: "goals",
+  start(client) {
+    const run = () =>
+      evaluateGoals(client).catch((e) =>
+        console.error("[SCHEDULER] goals check error", e)
+      );
+    interval = setInterval(run, CHECK_MS);
+    run();
+  },
+  stop() {
+    clearInterval(interval);
+    interval = null;
+  },
+};
@@ -0,0 +1,27 @@
+// src/schedulers/index.js — timed jobs started once the client is ready
+//
+// A scheduler module default-exports:
+//   name          used in logs
+//   start(client) sets up its own timers
+//   stop()        optional, clears them on shutdown
+import { loadModules } from "../loader.js";
+
+export const schedulers = await loadModules(import.meta.url);
+
+export function startSchedulers(client) {
+  for (const scheduler of schedulers) {
+    try {
+      scheduler.start(client);
+    } catch (e) {
+      console.error(`[SCHEDULER] ${scheduler.name} failed to start`, e);
+    }
+  }
+}
+
+export function stopSchedulers() {
+  for (const scheduler of schedulers) {
+    try {
+      if (scheduler.stop) scheduler.stop();
+    } catch (e) {}
+  }
+}
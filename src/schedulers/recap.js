@@ -0,0 +1,95 @@
+// src/schedulers/recap.js — weekly (and optional monthly) recap posts, timers per guild
+import { Events } from "discord.js";
+import {
+  getGuildSettings,
+  onGuildSettingsChange,
+} from "../store/guildSettings.js";
+import { postRecap } from "../recaps/recap.js";
+import { addDays, dayKey, weekdayOf, zonedTime } from "../timezones.js";
+
+// `${guildId}:${kind}` -> timeout of the next recap
+const timers = new Map();
+// setTimeout can't wait longer (~24.8 days); farther recaps are re-armed on the way
+const MAX_DELAY_MS = 2 ** 31 - 1;
+
+// first instant after `now` on a day accepted by `matches`, at hour:minute in the zone
+function nextMatchingDay(matches, hour, minute, timeZone, now = Date.now()) {
+  const today = dayKey(now, timeZone);
+  for (let i = 0; i <= 62; i++) {
+    const day = addDays(today, i);
+    if (!matches(day)) continue;
+    const ts = zonedTime(day, hour, minute, timeZone);
+    if (ts > now) return ts;
+  }
+  return null;
+}
+
+function scheduleRecap(client, guildId, kind, next) {
+  const key = `${guildId}:${kind}`;
+  if (next - Date.now() > MAX_DELAY_MS) {
+    timers.set(
+      key,
+      setTimeout(() => scheduleGuild(client, guildId), MAX_DELAY_MS)
+    );
+    return;
+  }
+  timers.set(
+    key,
+    setTimeout(async () => {
+      timers.delete(key);
+      const guild = client.guilds.cache.get(guildId);
+      if (guild) {
+        await postRecap(guild, kind).catch((e) =>
+          console.error(`[RECAP] ${kind} recap error`, e)
+        );
+      }
+      scheduleGuild(client, guildId);
+    }, next - Date.now())
+  );
+  console.log(
+    `[SCHEDULER] ${kind} recap for guild ${guildId} scheduled at ${new Date(
+      next
+    ).toISOString()}`
+  );
+}
+
+// re-armed after every post and whenever the guild's settings change
+function scheduleGuild(client, guildId) {
+  for (const kind of ["weekly", "monthly"]) {
+    clearTimeout(timers.get(`${guildId}:${kind}`));
+    timers.delete(`${guildId}:${kind}`);
+  }
+  if (!client.guilds.cache.has(guildId)) return;
+  const { recap, timezone } = getGuildSettings(guildId);
+  if (!recap.channelId) return;
+
+  const weekly = nextMatchingDay(
+    (day) => weekdayOf(day) === recap.weekday,
+    recap.hour,
+    recap.minute,
+    timezone
+  );
+  if (weekly) scheduleRecap(client, guildId, "weekly", weekly);
+  if (recap.monthly) {
+    const monthly = nextMatchingDay(
+      (day) => day.endsWith("-01"),
+      recap.hour,
+      recap.minute,
+      timezone
+    );
+    if (monthly) scheduleRecap(client, guildId, "monthly", monthly);
+  }
+}
+
+export default {
+  name: "recap",
+  start(client) {
+    for (const [guildId] of client.guilds.cache) scheduleGuild(client, guildId);
+    onGuildSettingsChange((guildId) => scheduleGuild(client, guildId));
+    client.on(Events.GuildCreate, (guild) => scheduleGuild(client, guild.id));
+  },
+  stop() {
+    for (const [, t] of timers) clearTimeout(t);
+    timers.clear();
+  },
+};
@@ -0,0 +1,115 @@
+// src/schedulers/schedules.js — timers of scheduled sessions: announce, remind RSVPs, start
+import { logDebug } from "../logger.js";
+import { getSchedule, listActiveSchedules } from "../store/schedules.js";
+import {
+  announceSchedule,
+  onScheduleChange,
+  remindRsvps,
+  startSchedule,
+} from "../schedules/scheduled.js";
+
+// scheduleId -> timeout of its next stage
+const timers = new Map();
+// setTimeout can't wait longer (~24.8 days); farther stages are re-armed on the way
+const MAX_DELAY_MS = 2 ** 31 - 1;
+// a start missed by more than this (bot offline) is skipped instead of run late
+const LATE_START_MS = 10 * 60 * 1000;
+const START_STAGE = 2;
+
+// The stages of the current occurrence still to run, in order. Stages before `from`
+// are skipped (a stage that failed, e.g. an announcement nobody could see, isn't retried
+// until the next restart)
+function pendingStages(schedule, from = 0) {
+  const stages = [
+    {
+      name: "announce",
+      at: schedule.startsAt - schedule.announceMinutes * 60000,
+      done: Boolean(schedule.announcementId),
+    },
+    {
+      name: "remind",
+      at: schedule.startsAt - schedule.remindMinutes * 60000,
+      done: Boolean(schedule.remindedAt) || !schedule.remindMinutes,
+    },
+    { name: "start", at: schedule.startsAt, done: false },
+  ];
+  return stages
+    .map((s, i) => ({ ...s, index: i }))
+    .slice(from)
+    .filter((s) => !s.done);
+}
+
+async function runStage(client, schedule, stage) {
+  const guild = client.guilds.cache.get(schedule.guildId);
+  if (!guild) return;
+  switch (stage.name) {
+    case "announce":
+      return announceSchedule(guild, schedule);
+    case "remind":
+      return remindRsvps(guild, schedule);
+    default:
+      return startSchedule(guild, schedule, {
+        late: Date.now() - schedule.startsAt > LATE_START_MS,
+      });
+  }
+}
+
+// re-armed after every stage and whenever the schedule changes
+function armSchedule(client, scheduleId, from = 0) {
+  clearTimeout(timers.get(scheduleId));
+  timers.delete(scheduleId);
+  const schedule = getSchedule(scheduleId);
+  if (!schedule || schedule.status !== "active") return;
+  if (!client.guilds.cache.has(schedule.guildId)) return;
+  // an occurrence missed while offline isn't announced any more, only skipped
+  if (Date.now() - schedule.startsAt > LATE_START_MS) from = START_STAGE;
+  const [stage] = pendingStages(schedule, from);
+  const delay = Math.max(0, stage.at - Date.now());
+  if (delay > MAX_DELAY_MS) {
+    timers.set(
+      scheduleId,
+      setTimeout(() => armSchedule(client, scheduleId, from), MAX_DELAY_MS)
+    );
+    return;
+  }
+  timers.set(
+    scheduleId,
+    setTimeout(async () => {
+      timers.delete(scheduleId);
+      const current = getSchedule(scheduleId);
+      // moved or cancelled meanwhile: its own change re-armed it
+      if (
+        !current ||
+        current.status !== "active" ||
+        current.startsAt !== schedule.startsAt
+      )
+        return;
+      try {
+        await runStage(client, current, stage);
+      } catch (e) {
+        console.error(`[SCHEDULE] ${stage.name} of #${scheduleId} failed`, e);
+      }
+      // the start moved the schedule on (and re-armed it through the change)
+      if (stage.name !== "start")
+        armSchedule(client, scheduleId, stage.index + 1);
+    }, delay)
+  );
+  logDebug(
+    `[SCHEDULER] schedule #${scheduleId} ${stage.name} at ${new Date(
+      Date.now() + delay
+    ).toISOString()}`
+  );
+}
+
+export default {
+  name: "schedules",
+  start(client) {
+    for (const schedule of listActiveSchedules())
+      armSchedule(client, schedule.id);
+    onScheduleChange((scheduleId) => armSchedule(client, scheduleId));
+  },
+  stop() {
+    for (const [, t] of timers) clearTimeout(t);
+    timers.clear();
+  },
+};
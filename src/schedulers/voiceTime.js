@@ -0,0 +1,24 @@
+// src/schedulers/voiceTime.js — periodically credits focus time of members still in a room
+import { checkpointVoiceTime } from "../focus/voiceTime.js";
+
+// bounds how much focus time a crash can lose
+const CHECKPOINT_MS = 5 * 60 * 1000;
+
+let interval = null;
+
+export default {
+  name: "voiceTime",
+  start(client) {
+    interval = setInterval(() => {
+      try {
+        checkpointVoiceTime(client);
+      } catch (e) {
+        console.error("[SCHEDULER] voice time checkpoint error", e);
+      }
+    }, CHECKPOINT_MS);
+  },
+  stop() {
+    clearInterval(interval);
+    interval = null;
+  },
+};
@@ -0,0 +1,134 @@
+// src/schedules/recurrence.js — when scheduled sessions repeat: weekdays at a time, or a cron line
+import { addDays, dayKey, weekdayOf, zonedTime } from "../timezones.js";
+
+export const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// cron fields: minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+// a cron line is looked ahead this many days at most
+const CRON_HORIZON_DAYS = 366;
+
+// "HH:MM" -> { hour, minute }, or null
+export function parseTime(text) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec((text || "").trim());
+  if (!m) return null;
+  const hour = Number(m[1]);
+  const minute = Number(m[2]);
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+}
+
+// "mon, wed fri" / "daily" / "weekdays" / "weekends" -> sorted weekday numbers, or null
+export function parseWeekdays(text) {
+  const words = (text || "")
+    .toLowerCase()
+    .split(/[\s,]+/)
+    .filter(Boolean);
+  const days = new Set();
+  for (const word of words) {
+    if (word === "daily") [0, 1, 2, 3, 4, 5, 6].forEach((d) => days.add(d));
+    else if (word === "weekdays") [1, 2, 3, 4, 5].forEach((d) => days.add(d));
+    else if (word === "weekends") [0, 6].forEach((d) => days.add(d));
+    else {
+      const day = WEEKDAY_NAMES.findIndex((n) =>
+        word.startsWith(n.toLowerCase())
+      );
+      if (day === -1) return null;
+      days.add(day);
+    }
+  }
+  return days.size ? [...days].sort((a, b) => a - b) : null;
+}
+
+// one cron field ("*", "1-5", "*/15", "0,30", "9-17/2") -> Set of values
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!m) throw new Error(`bad ${name} '${part}'`);
+    const from = m[1] === "*" ? min : Number(m[2]);
+    const to = m[1] === "*" ? max : m[3] !== undefined ? Number(m[3]) : from;
+    const step = m[4] !== undefined ? Number(m[4]) : 1;
+    if (from < min || to > max || from > to || step < 1)
+      throw new Error(`${name} '${part}' is out of range ${min}-${max}`);
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+// "m h dom mon dow" -> parsed fields; throws with a readable message
+export function parseCron(expr) {
+  const parts = (expr || "").trim().split(/\s+/);
+  if (parts.length !== 5)
+    throw new Error("a cron line has 5 fields: minute hour day month weekday");
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) =>
+    parseCronField(p, CRON_FIELDS[i])
+  );
+  // 7 is Sunday too
+  if (weekdays.delete(7)) weekdays.add(0);
+  return {
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    days,
+    months,
+    weekdays,
+    // like cron: when both day fields are restricted, either one matching is enough
+    anyDay: parts[2] !== "*" && parts[4] !== "*",
+  };
+}
+
+function cronDayMatches(cron, day) {
+  if (!cron.months.has(Number(day.slice(5, 7)))) return false;
+  const dom = cron.days.has(Number(day.slice(8, 10)));
+  const dow = cron.weekdays.has(weekdayOf(day));
+  return cron.anyDay ? dom || dow : dom && dow;
+}
+
+// The first occurrence strictly after `after` in the time zone, or null when there
+// is none. recurrence: { type: "weekly", weekdays, hour, minute } | { type: "cron", expr }
+export function nextRun(recurrence, timeZone, after = Date.now()) {
+  const today = dayKey(after, timeZone);
+  if (recurrence.type === "weekly") {
+    const { weekdays, hour, minute } = recurrence;
+    for (let i = 0; i <= 7; i++) {
+      const day = addDays(today, i);
+      if (!weekdays.includes(weekdayOf(day))) continue;
+      const ts = zonedTime(day, hour, minute, timeZone);
+      if (ts > after) return ts;
+    }
+    return null;
+  }
+  const cron = parseCron(recurrence.expr);
+  for (let i = 0; i <= CRON_HORIZON_DAYS; i++) {
+    const day = addDays(today, i);
+    if (!cronDayMatches(cron, day)) continue;
+    for (const hour of cron.hours) {
+      for (const minute of cron.minutes) {
+        const ts = zonedTime(day, hour, minute, timeZone);
+        if (ts > after) return ts;
+      }
+    }
+  }
+  return null;
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+export function describeRecurrence(recurrence) {
+  if (!recurrence) return "once";
+  if (recurrence.type === "cron") return `cron \`${recurrence.expr}\``;
+  const { weekdays, hour, minute } = recurrence;
+  const days =
+    weekdays.length === 7
+      ? "every day"
+      : `every ${weekdays.map((d) => WEEKDAY_NAMES[d]).join(", ")}`;
+  return `${days} at ${pad(hour)}:${pad(minute)}`;
+}
@@ -0,0 +1,387 @@
+// src/schedules/scheduled.js — scheduled focus sessions: announcement + RSVPs, reminder, auto-start, attendance report
+import { EventEmitter } from "events";
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  GuildScheduledEventEntityType,
+  GuildScheduledEventPrivacyLevel,
+  GuildScheduledEventStatus,
+} from "discord.js";
+import { logDebug } from "../logger.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import {
+  createSchedule,
+  getSchedule,
+  listRsvps,
+  recordRsvpAttendance,
+  updateSchedule,
+} from "../store/schedules.js";
+import { getNotifyChannelForVoice } from "../focus/mappings.js";
+import {
+  activeSessions,
+  handleStartFocus,
+  onSessionEnd,
+  persistSessionState,
+} from "../focus/sessions.js";
+import { describeRecurrence, nextRun } from "./recurrence.js";
+
+export const RSVP_PREFIX = "rsvp_";
+// mentions shown on the announcement before it only counts
+const MAX_SHOWN_RSVPS = 20;
+
+const changes = new EventEmitter();
+
+// listener(scheduleId) runs after a schedule is created, moved on or cancelled
+export function onScheduleChange(listener) {
+  changes.on("change", listener);
+}
+
+// listener(guild, schedule, occursAt, { came, missed }) runs once an occurrence's
+// RSVPs are compared with its attendance (user ids of RSVPs present / not present)
+export function onScheduledAttendance(listener) {
+  changes.on("attendance", listener);
+}
+
+function notifyChannelOf(guild, schedule) {
+  const ch = getNotifyChannelForVoice(guild, schedule.voiceChannelId);
+  return ch && ch.isTextBased() ? ch : null;
+}
+
+function rsvpRow(schedule) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${RSVP_PREFIX}${schedule.id}_${schedule.startsAt}`)
+      .setLabel("🙋 RSVP")
+      .setStyle(ButtonStyle.Primary)
+  );
+}
+
+// the announcement of a schedule's next occurrence (closed = it started or was cancelled)
+export function announcementPayload(schedule, rsvps, { closed = false } = {}) {
+  const at = Math.floor(schedule.startsAt / 1000);
+  const going = rsvps.map((r) => `<@${r.userId}>`);
+  const embed = new EmbedBuilder()
+    .setTitle(`📅 ${schedule.title}`)
+    .setColor(closed ? 0x95a5a6 : 0x00b0f4)
+    .setDescription(
+      [
+        schedule.description,
+        `**When:** <t:${at}:F> (<t:${at}:R>)`,
+        `**Where:** <#${schedule.voiceChannelId}> — the presence check starts on its own.`,
+        schedule.recurrence
+          ? `**Repeats:** ${describeRecurrence(schedule.recurrence)}`
+          : null,
+      ]
+        .filter(Boolean)
+        .join("\n")
+    )
+    .addFields({
+      name: `Going (${rsvps.length})`,
+      value:
+        going.slice(0, MAX_SHOWN_RSVPS).join(", ") +
+          (going.length > MAX_SHOWN_RSVPS
+            ? ` and ${going.length - MAX_SHOWN_RSVPS} more`
+            : "") || "— nobody yet —",
+    })
+    .setFooter({ text: `Schedule #${schedule.id}` });
+  return {
+    embeds: [embed],
+    components: closed ? [] : [rsvpRow(schedule)],
+    allowedMentions: { parse: [] },
+  };
+}
+
+async function fetchAnnouncement(guild, schedule) {
+  const ch = notifyChannelOf(guild, schedule);
+  if (!ch || !schedule.announcementId) return null;
+  return ch.messages.fetch(schedule.announcementId).catch(() => null);
+}
+
+// redraws the announcement, e.g. after an RSVP
+export async function refreshAnnouncement(guild, schedule, options) {
+  const msg = await fetchAnnouncement(guild, schedule);
+  if (!msg) return;
+  await msg
+    .edit(
+      announcementPayload(
+        schedule,
+        listRsvps(schedule.id, schedule.startsAt),
+        options
+      )
+    )
+    .catch(() => {});
+}
+
+// a Discord Scheduled Event for the next occurrence, when the schedule asks for one
+async function createEvent(guild, schedule) {
+  if (!schedule.createEvent) return null;
+  try {
+    const event = await guild.scheduledEvents.create({
+      name: schedule.title,
+      description: schedule.description || undefined,
+      scheduledStartTime: schedule.startsAt,
+      privacyLevel: GuildScheduledEventPrivacyLevel.GuildOnly,
+      entityType: GuildScheduledEventEntityType.Voice,
+      channel: schedule.voiceChannelId,
+    });
+    return event.id;
+  } catch (e) {
+    console.warn(
+      `[SCHEDULE] couldn't create the event of schedule #${schedule.id}:`,
+      e.message
+    );
+    return null;
+  }
+}
+
+async function setEventStatus(guild, eventId, status) {
+  if (!eventId) return;
+  await guild.scheduledEvents
+    .edit(eventId, { status })
+    .catch((e) =>
+      logDebug(`[SCHEDULE] event ${eventId} status change failed:`, e.message)
+    );
+}
+
+// Creates a schedule (first occurrence at `startsAt`) and its event; returns it
+export async function addSchedule(guild, record) {
+  const id = createSchedule({ ...record, guildId: guild.id });
+  const eventId = await createEvent(guild, { ...record, id });
+  if (eventId) updateSchedule(id, { eventId });
+  changes.emit("change", id);
+  return getSchedule(id);
+}
+
+export async function cancelSchedule(guild, schedule) {
+  updateSchedule(schedule.id, { status: "cancelled" });
+  if (schedule.eventId) {
+    await guild.scheduledEvents.delete(schedule.eventId).catch(() => {});
+  }
+  await refreshAnnouncement(guild, schedule, { closed: true });
+  changes.emit("change", schedule.id);
+}
+
+// Moves a schedule to its next occurrence (a one-off one is done). `skipped` is set
+// when the occurrence didn't run (the bot was offline at its start)
+async function advanceSchedule(guild, schedule, skipped = false) {
+  const next = schedule.recurrence
+    ? nextRun(
+        schedule.recurrence,
+        getGuildSettings(guild.id).timezone,
+        Math.max(schedule.startsAt, skipped ? Date.now() : 0)
+      )
+    : null;
+  if (!next) {
+    updateSchedule(schedule.id, { status: skipped ? "missed" : "done" });
+    changes.emit("change", schedule.id);
+    return;
+  }
+  const moved = {
+    ...schedule,
+    startsAt: next,
+    announcementId: null,
+    remindedAt: null,
+  };
+  moved.eventId = await createEvent(guild, moved);
+  updateSchedule(schedule.id, {
+    startsAt: next,
+    announcementId: null,
+    remindedAt: null,
+    eventId: moved.eventId,
+  });
+  changes.emit("change", schedule.id);
+}
+
+// posts the announcement with its RSVP button
+export async function announceSchedule(guild, schedule) {
+  const ch = notifyChannelOf(guild, schedule);
+  if (!ch) {
+    console.warn(
+      `[SCHEDULE] no mapped text channel for <#${schedule.voiceChannelId}> (schedule #${schedule.id})`
+    );
+    return;
+  }
+  const msg = await ch
+    .send(
+      announcementPayload(schedule, listRsvps(schedule.id, schedule.startsAt))
+    )
+    .catch((e) => {
+      console.warn(`[SCHEDULE] announcement failed in ${ch.id}:`, e.message);
+      return null;
+    });
+  if (msg) updateSchedule(schedule.id, { announcementId: msg.id });
+}
+
+// pings everyone who RSVPed, shortly before the start
+export async function remindRsvps(guild, schedule) {
+  updateSchedule(schedule.id, { remindedAt: Date.now() });
+  const going = listRsvps(schedule.id, schedule.startsAt).map((r) => r.userId);
+  const ch = notifyChannelOf(guild, schedule);
+  if (!going.length || !ch) return;
+  const mentions = going.map((id) => `<@${id}>`).join(", ");
+  await ch
+    .send({
+      content: `⏰ **${schedule.title}** starts <t:${Math.floor(
+        schedule.startsAt / 1000
+      )}:R> in <#${schedule.voiceChannelId}> — ${mentions}`,
+      allowedMentions: { users: going },
+      reply: schedule.announcementId
+        ? { messageReference: schedule.announcementId, failIfNotExists: false }
+        : undefined,
+    })
+    .catch(() => {});
+}
+
+// Starts the presence check of the occurrence (or reports it empty), then moves on.
+// `late` occurrences (start passed while the bot was offline) are only skipped
+export async function startSchedule(guild, schedule, { late = false } = {}) {
+  await refreshAnnouncement(guild, schedule, { closed: true });
+  if (late) {
+    console.log(
+      `[SCHEDULE] schedule #${schedule.id} started while offline — skipped`
+    );
+    await setEventStatus(
+      guild,
+      schedule.eventId,
+      GuildScheduledEventStatus.Canceled
+    );
+    return advanceSchedule(guild, schedule, true);
+  }
+  const vc = guild.channels.cache.get(schedule.voiceChannelId);
+  const origin = {
+    scheduleId: schedule.id,
+    occursAt: schedule.startsAt,
+    eventId: schedule.eventId,
+  };
+  let session = vc ? activeSessions.get(vc.id) : null;
+  if (!session && vc) {
+    session = await handleStartFocus(
+      vc,
+      notifyChannelOf(guild, schedule),
+      "schedule",
+      origin
+    ).catch((e) => {
+      console.error("[SCHEDULE] start error", e);
+      return null;
+    });
+    // started meanwhile by a chat trigger (the 5 s dedupe window)
+    if (!session) session = activeSessions.get(vc.id) || null;
+  }
+  // a session already running in the room (e.g. started from chat before the
+  // start time) counts as this occurrence's
+  if (session && !session.scheduled) {
+    session.scheduled = origin;
+    persistSessionState(session);
+  }
+  const empty = !vc || !vc.members.some((m) => !m.user.bot);
+  if (session) {
+    await setEventStatus(
+      guild,
+      schedule.eventId,
+      GuildScheduledEventStatus.Active
+    );
+  } else if (empty) {
+    // nobody came (or the room is gone): every RSVP is an absence
+    await setEventStatus(
+      guild,
+      schedule.eventId,
+      GuildScheduledEventStatus.Canceled
+    );
+    await reportAttendance(guild, schedule, schedule.startsAt, null, []);
+  } else {
+    // members are there but no check could start (mapping / permissions): no
+    // attendance to compare, so nobody is marked absent
+    console.warn(
+      `[SCHEDULE] schedule #${schedule.id}: couldn't start a session in ${vc.id} (check the mapping and the bot's permissions)`
+    );
+    await setEventStatus(
+      guild,
+      schedule.eventId,
+      GuildScheduledEventStatus.Canceled
+    );
+  }
+  return advanceSchedule(guild, schedule);
+}
+
+// Compares who attended an occurrence with who RSVPed: stores each RSVP's outcome
+// and posts the comparison in the room's text channel
+export async function reportAttendance(
+  guild,
+  schedule,
+  occursAt,
+  sessionId,
+  attendance
+) {
+  const statusOf = new Map(attendance.map((a) => [a.userId, a.status]));
+  const rsvps = listRsvps(schedule.id, occursAt);
+  const going = new Set(rsvps.map((r) => r.userId));
+  for (const { userId } of rsvps) {
+    recordRsvpAttendance({
+      scheduleId: schedule.id,
+      occursAt,
+      userId,
+      sessionId,
+      attended: statusOf.get(userId) || "absent",
+    });
+  }
+  const came = rsvps.filter((r) => statusOf.get(r.userId) === "present");
+  const missed = rsvps.filter((r) => statusOf.get(r.userId) !== "present");
+  const walkIns = attendance.filter(
+    (a) => a.status === "present" && !going.has(a.userId)
+  );
+  changes.emit("attendance", guild, schedule, occursAt, {
+    came: came.map((r) => r.userId),
+    missed: missed.map((r) => r.userId),
+  });
+  const list = (rows) => rows.map((r) => `<@${r.userId}>`).join(", ") || "—";
+  const ch = notifyChannelOf(guild, schedule);
+  if (!ch || (!rsvps.length && !walkIns.length)) return;
+  const embed = new EmbedBuilder()
+    .setTitle(`📋 ${schedule.title} — attendance vs RSVPs`)
+    .setColor(missed.length ? 0xe67e22 : 0x2ecc71)
+    .addFields(
+      { name: `✅ RSVPed and present (${came.length})`, value: list(came) },
+      {
+        name: `❌ RSVPed, not present (${missed.length})`,
+        value: list(missed),
+      },
+      { name: `➕ Came without RSVP (${walkIns.length})`, value: list(walkIns) }
+    )
+    .setFooter({
+      text: `Schedule #${schedule.id}${
+        sessionId ? ` · session #${sessionId}` : " · nobody was in the room"
+      }`,
+    });
+  await ch
+    .send({ embeds: [embed], allowedMentions: { parse: [] } })
+    .catch(() => {});
+}
+
+// the session of a scheduled occurrence ended: close its event, compare with the RSVPs
+async function onScheduledSessionEnd(guild, session, attendance) {
+  const { scheduleId, occursAt, eventId } = session.scheduled;
+  const schedule = getSchedule(scheduleId);
+  if (!schedule) return;
+  await setEventStatus(guild, eventId, GuildScheduledEventStatus.Completed);
+  await reportAttendance(
+    guild,
+    schedule,
+    occursAt,
+    session.sessionId,
+    attendance
+  );
+}
+
+// closes the event of scheduled sessions as they end and reports their attendance
+export function watchScheduledSessions(client) {
+  onSessionEnd((session, status, attendance) => {
+    if (!session.scheduled) return;
+    const guild = client.guilds.cache.get(session.guildId);
+    if (!guild) return;
+    onScheduledSessionEnd(guild, session, attendance).catch((e) =>
+      console.error("[SCHEDULE] attendance report error", e)
+    );
+  });
+}
@@ -0,0 +1,46 @@
+// src/store/buddies.js — study buddies: the opt-in pool and the pairs made from it
+import { store } from "./index.js";
+
+// true when the member wasn't waiting already
+export function joinBuddyPool(guildId, userId) {
+  return store.joinBuddyPool({ guildId, userId });
+}
+
+export function leaveBuddyPool(guildId, userId) {
+  return store.leaveBuddyPool(guildId, userId);
+}
+
+// members waiting for a buddy, longest waiting first
+export function listBuddyPool(guildId) {
+  return store.listBuddyPool(guildId);
+}
+
+export function createBuddyPair(record) {
+  return store.createBuddyPair(record);
+}
+
+// patch: { threadId, status, endedAt, endedBy }
+export function updateBuddyPair(id, patch) {
+  store.updateBuddyPair(id, patch);
+}
+
+// every pair the member was ever part of, latest first
+export function listBuddyPairs(guildId, userId) {
+  return store.listBuddyPairs(guildId, userId);
+}
+
+export function getActiveBuddyPair(guildId, userId) {
+  return (
+    listBuddyPairs(guildId, userId).find((p) => p.status === "active") || null
+  );
+}
+
+// active pairs of every guild
+export function listActiveBuddyPairs() {
+  return store.listBuddyPairsByStatus("active");
+}
+
+// the member's focus intervals started since `from` (for their usual focus hours)
+export function listUserVoiceIntervals(guildId, userId, from) {
+  return store.listUserVoiceIntervals(guildId, userId, from);
+}
@@ -0,0 +1,25 @@
+// src/store/checkins.js — daily check-in history and per-guild streaks
+import { store } from "./index.js";
+
+export function addCheckin(record) {
+  store.addCheckin(record);
+}
+
+// a member's check-in streak in the guild:
+// { streak, longestStreak, lastCheckinDate, streakFreezes } or null
+export function getMemberStreak(guildId, userId) {
+  return store.getMemberStreak(guildId, userId);
+}
+
+export function updateMemberStreak(guildId, userId, patch) {
+  return store.updateMemberStreak(guildId, userId, patch);
+}
+
+export function listMemberStreaks(guildId) {
+  return store.listMemberStreaks(guildId);
+}
+
+// check-ins recorded in a guild during [from, to)
+export function countCheckins(guildId, from, to) {
+  return store.countCheckins(guildId, from, to);
+}
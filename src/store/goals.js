@@ -0,0 +1,46 @@
+// src/store/goals.js — members' daily / weekly study goals and the result of each period
+import { store } from "./index.js";
+
+// creates the goal, or changes the target of the member's goal for that period
+export function setGoal(record) {
+  return store.setGoal(record);
+}
+
+// the member's goals in a guild (daily before weekly)
+export function listGoals(guildId, userId) {
+  return store.listGoals(guildId, userId);
+}
+
+// every goal of every guild
+export function listAllGoals() {
+  return store.listAllGoals();
+}
+
+// patch: { periodKey, completedAt, nudgedAt, streak, bestStreak }
+export function updateGoal(id, patch) {
+  store.updateGoal(id, patch);
+}
+
+export function deleteGoal(id) {
+  store.deleteGoal(id);
+}
+
+// one row per goal and period; recording a period again replaces its row
+export function recordGoalResult(record) {
+  store.addGoalResult(record);
+}
+
+// latest results first
+export function listGoalResults(guildId, userId, limit = 10) {
+  return store.listGoalResults(guildId, userId, limit);
+}
+
+// seconds focused on the days fromDay..toDay
+export function userFocusSeconds(guildId, userId, fromDay, toDay) {
+  return store.userFocusSeconds(guildId, userId, fromDay, toDay);
+}
+
+// presence checks passed during [from, to)
+export function userPresentCount(guildId, userId, from, to) {
+  return store.userPresentCount(guildId, userId, from, to);
+}
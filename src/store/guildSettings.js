@@ -0,0 +1,203 @@
+// src/store/guildSettings.js — per-guild settings (stored; config.json values are the defaults)
+import { EventEmitter } from "events";
+import {
+  config,
+  CHECKIN_CHANNEL_ID,
+  LEO_BOT_ID,
+  MAPPINGS,
+  PRESENCE_TIMEOUT,
+} from "../config.js";
+import { store } from "./index.js";
+
+export const DEFAULT_GUILD_SETTINGS = {
+  // voice channel id -> text channel id
+  mappings: MAPPINGS,
+  checkinChannelId: CHECKIN_CHANNEL_ID,
+  checkinHour: config.checkinHour,
+  checkinMinute: config.checkinMinute,
+  // IANA zone for check-in days and the reminder; members can set their own
+  timezone: config.timezone,
+  presenceTimeout: PRESENCE_TIMEOUT,
+  // channel receiving the audit embeds of automated actions (null = file only)
+  modLogChannelId: null,
+  // How rooms verify presence: `mode` for every room, `rooms` (voice channel id -> mode) per room.
+  // Each mode has its own XP (single uses xp.present) and failure policy (disconnect,
+  // infraction or warn); grid / code allow `attempts` wrong answers, recheck repeats the
+  // check `rechecks` times at random gaps of minGapMinutes-maxGapMinutes
+  verification: {
+    mode: "single",
+    rooms: {},
+    modes: {
+      single: { onFail: "disconnect" },
+      recheck: {
+        xp: 5,
+        onFail: "disconnect",
+        rechecks: 2,
+        minGapMinutes: 10,
+        maxGapMinutes: 30,
+      },
+      grid: { xp: 15, onFail: "disconnect", attempts: 2 },
+      code: { xp: 15, onFail: "disconnect", attempts: 3 },
+    },
+  },
+  // reminders to members still pending, at these percentages of the presence timeout
+  // ([] = none); "dm" falls back to a ping for closed DMs and members who opted out
+  reminders: { stages: [50, 80], via: "dm" },
+  // Rules for starting sessions from chat messages. A rule fires on messages from its
+  // source (any human, a bot, user or role) in its channel (null = any mapped text channel) whose
+  // text, embed or one embed field matches `match.pattern` (case-insensitive; null match =
+  // any message), and starts voiceChannelId (null = the rooms mapped to the channel)
+  triggers: { rules: defaultTriggerRules(LEO_BOT_ID) },
+  xp: { present: 10, checkin: 0 },
+  // streak freeze tokens: one earned every `freezeEvery` streak days, or bought for XP
+  streaks: { freezeEvery: 7, maxFreezes: 3, freezeCost: 100 },
+  // XP per focused minute in mapped rooms; roomRates: voice channel id -> XP per minute
+  focusXp: { perMinute: 1, dailyCap: 240, roomRates: {} },
+  // level curve ("formula" or "thresholds") and role rewards (level -> role id)
+  levels: {
+    mode: "formula",
+    base: 100,
+    exponent: 1.5,
+    thresholds: [],
+    roles: {},
+    // keep every reward reached, or only the highest one
+    stackRoles: false,
+    announce: true,
+    // level-up messages; null = the mapped text channel of the member's room
+    announceChannelId: null,
+  },
+  // infractions stop counting after expireDays (0 = never); at timeoutAt / removeRoleAt active
+  // infractions the member is timed out / loses removeRoleId (0 = off); appeals go to modChannelId
+  infractions: {
+    expireDays: 30,
+    modChannelId: null,
+    timeoutAt: 0,
+    timeoutMinutes: 60,
+    removeRoleAt: 0,
+    removeRoleId: null,
+  },
+  // weekly recap of the previous 7 days (weekday 0 = Sunday) and optional monthly recap
+  // of the previous month on the 1st; no channel = off
+  recap: { channelId: null, weekday: 1, hour: 9, minute: 0, monthly: false },
+  // XP for completing a daily / weekly goal, plus streakBonus per consecutive completion
+  // (up to maxStreakBonus); members at closeAt% of a goal get one nudge (0 = none); a
+  // completed daily goal counts as the day's check-in when `checkin` is on
+  goals: {
+    dailyXp: 20,
+    weeklyXp: 100,
+    streakBonus: 5,
+    maxStreakBonus: 50,
+    closeAt: 80,
+    checkin: true,
+  },
+  // text channel holding the private threads of study buddy pairs (null = check-in channel)
+  buddies: { channelId: null },
+  // tasks a member can pick for one focus session (0 = off) and the XP per task finished
+  tasks: { perSession: 3, xp: 5 },
+  // default lengths of /pomodoro timers
+  pomodoro: {
+    focusMinutes: 25,
+    shortBreakMinutes: 5,
+    longBreakMinutes: 15,
+    cycles: 4,
+  },
+};
+
+// the rules a guild starts with: the trigger bot (LeoBot) when configured, and any
+// member's message posted in a mapped text channel
+function defaultTriggerRules(botId) {
+  const rule = (id, name, source) => ({
+    id,
+    name,
+    enabled: true,
+    source,
+    channelId: null,
+    match: null,
+    voiceChannelId: null,
+  });
+  const rules = [];
+  if (botId) {
+    rules.push(rule(1, "Trigger bot", { type: "bot", id: botId }));
+  }
+  rules.push(
+    rule(rules.length + 1, "Mapped text channels", { type: "any", id: null })
+  );
+  return rules;
+}
+
+const cache = new Map();
+const changes = new EventEmitter();
+
+function withVerificationDefaults(defaults, saved = {}) {
+  const modes = {};
+  for (const [mode, settings] of Object.entries(defaults.modes)) {
+    modes[mode] = { ...settings, ...(saved.modes?.[mode] || {}) };
+  }
+  return { ...defaults, ...saved, modes };
+}
+
+function withDefaults(saved) {
+  const defaults = structuredClone(DEFAULT_GUILD_SETTINGS);
+  if (!saved) return defaults;
+  return {
+    ...defaults,
+    ...saved,
+    xp: { ...defaults.xp, ...(saved.xp || {}) },
+    streaks: { ...defaults.streaks, ...(saved.streaks || {}) },
+    focusXp: { ...defaults.focusXp, ...(saved.focusXp || {}) },
+    levels: { ...defaults.levels, ...(saved.levels || {}) },
+    pomodoro: { ...defaults.pomodoro, ...(saved.pomodoro || {}) },
+    goals: { ...defaults.goals, ...(saved.goals || {}) },
+    buddies: { ...defaults.buddies, ...(saved.buddies || {}) },
+    tasks: { ...defaults.tasks, ...(saved.tasks || {}) },
+    infractions: { ...defaults.infractions, ...(saved.infractions || {}) },
+    recap: { ...defaults.recap, ...(saved.recap || {}) },
+    reminders: { ...defaults.reminders, ...(saved.reminders || {}) },
+    // guilds saved before trigger rules keep the trigger bot they had set
+    triggers: saved.triggers || {
+      rules: defaultTriggerRules(
+        saved.leoBotId === undefined ? LEO_BOT_ID : saved.leoBotId
+      ),
+    },
+    verification: withVerificationDefaults(
+      defaults.verification,
+      saved.verification
+    ),
+  };
+}
+
+export function getGuildSettings(guildId) {
+  if (!cache.has(guildId)) {
+    cache.set(guildId, withDefaults(store.getGuildSettings(guildId)));
+  }
+  return cache.get(guildId);
+}
+
+export function hasSavedSettings(guildId) {
+  return Boolean(store.getGuildSettings(guildId));
+}
+
+// applies `mutate(settings)` to a copy, saves it and notifies listeners; returns the new settings.
+// `by` is the member who made the change (for the audit log)
+export function updateGuildSettings(guild, mutate, by = null) {
+  const previous = getGuildSettings(guild.id);
+  const next = structuredClone(previous);
+  // the config.json defaults are global: keep only this guild's mappings on the first save
+  if (!hasSavedSettings(guild.id)) {
+    next.mappings = Object.fromEntries(
+      Object.entries(next.mappings).filter(([vcId]) =>
+        guild.channels.cache.has(vcId)
+      )
+    );
+  }
+  mutate(next);
+  store.setGuildSettings(guild.id, next);
+  cache.set(guild.id, next);
+  changes.emit("change", guild.id, next, { previous, by });
+  return next;
+}
+
+// listener(guildId, settings, { previous, by }) runs after every saved change
+export function onGuildSettingsChange(listener) {
+  changes.on("change", listener);
+}
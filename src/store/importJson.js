@@ -0,0 +1,86 @@
+// src/store/importJson.js — one-time import of legacy data.json files into the active store
+import { existsSync, readFileSync } from "fs";
+import { join, resolve } from "path";
+import { ROOT_DIR } from "../config.js";
+
+const LEGACY_DATA_PATH = join(ROOT_DIR, "data.json");
+
+// merges one data.json into the store, crediting its XP and streaks in `guildId` (the guild
+// the bot ran in when the file was written); returns the number of users imported
+export function importDataJson(store, path, guildId) {
+  const raw = JSON.parse(readFileSync(path, "utf8"));
+  let users = 0;
+  store.transaction(() => {
+    for (const [id, u] of Object.entries(raw.users || {})) {
+      const existing = store.ensureUser(id);
+      const streak = store.getMemberStreak(guildId, id) || {};
+      if ((u.lastCheckinDate || "") > (streak.lastCheckinDate || "")) {
+        store.updateMemberStreak(guildId, id, {
+          streak: u.streak || 0,
+          longestStreak: Math.max(
+            streak.longestStreak || 0,
+            u.longestStreak || 0,
+            u.streak || 0
+          ),
+          lastCheckinDate: u.lastCheckinDate,
+        });
+      }
+      if (u.streakFreezes > 0) {
+        store.updateMemberStreak(guildId, id, {
+          streakFreezes: (streak.streakFreezes || 0) + u.streakFreezes,
+        });
+      }
+      store.updateUser(id, {
+        infractions: (existing.infractions || 0) + (u.infractions || 0),
+        breakJoins: [...(existing.breakJoins || []), ...(u.breakJoins || [])],
+      });
+      // imported as a transaction so XP history adds up to the running total
+      if (u.xp > 0) {
+        store.addXP({
+          userId: id,
+          guildId,
+          amount: u.xp,
+          reason: "import",
+          ref: path,
+        });
+      }
+      users++;
+    }
+    if (raw.lastDailyAt && !store.getMeta("lastDailyAt")) {
+      store.setMeta("lastDailyAt", raw.lastDailyAt);
+    }
+  });
+  return users;
+}
+
+// imports `path` unless this store already imported it; returns users imported (0 if skipped)
+export function importDataJsonOnce(store, path, guildId) {
+  const abs = resolve(path);
+  if (!existsSync(abs)) return 0;
+  const imported = store.getMeta("importedFiles") || [];
+  if (imported.includes(abs)) return 0;
+  const users = importDataJson(store, abs, guildId);
+  store.setMeta("importedFiles", [...imported, abs]);
+  console.log(`[STORE] imported ${users} users from ${abs}`);
+  return users;
+}
+
+// Data from before the bot tracked guilds belongs to `guildId`: the SQLite store imports the
+// bot's own data.json, then both backends move XP recorded without a guild there and give
+// members whose streak or freezes are still only on the user a streak in the guild of
+// their latest check-in (or `guildId` when they have none)
+export function adoptLegacyData(store, guildId) {
+  if (store.driver === "sqlite") {
+    try {
+      importDataJsonOnce(store, LEGACY_DATA_PATH, guildId);
+    } catch (e) {
+      console.error("[STORE] failed to import data.json", e);
+    }
+  }
+  const adopted = store.adoptLegacyData(guildId);
+  if (adopted.xp || adopted.streaks) {
+    console.log(
+      `[STORE] assigned legacy data (${adopted.xp} XP records, ${adopted.streaks} streaks) to guild:${guildId}`
+    );
+  }
+}
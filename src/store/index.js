@@ -0,0 +1,59 @@
+// src/store/index.js — picks the storage backend from config.json `storage`
+//
+// Both backends are synchronous and expose the same methods:
+//   transaction(fn)
+//   getUser(id) / ensureUser(id) / updateUser(id, patch) / listUsers()
+//   addXP({ userId, guildId, amount, reason, ref })
+//   getGuildXP(guildId, userId) / listGuildXP(guildId) / adoptLegacyData(guildId)
+//   addInfraction({ userId, guildId, reason, sessionId, voiceChannelId, action }) -> record
+//   getInfraction(id) / listInfractions(guildId, userId) / updateInfraction(id, patch)
+//   createSession({...}) -> id / getSession(id) / updateSession(id, patch)
+//   listSessionsByStatus(status)
+//   listRoomSessions(guildId, voiceChannelId, from, to)
+//   recordAttendance({ sessionId, guildId, userId, status })
+//   openVoiceInterval({...}) -> id / updateVoiceInterval(id, patch) / listOpenVoiceIntervals()
+//   getFocusDay(guildId, userId, day) / addFocusDay({ guildId, userId, day, seconds, xp })
+//   addCheckin({ guildId, userId, day }) / countCheckins(guildId, from, to)
+//   getMemberStreak(guildId, userId) / updateMemberStreak(guildId, userId, patch)
+//   listMemberStreaks(guildId)
+//   sumXPByUser(guildId, from, to) / sumFocusByUser(guildId, fromDay, toDay)
+//   attendanceByUser(guildId, from, to) / listCheckinDays(guildId, fromDay, toDay)
+//   focusByRoom(guildId, from, to) / sessionAttendance(guildId, from, to)
+//   listUserAttendance(guildId, userId, from, to) / listNewFocusMembers(guildId, from, to)
+//   createSchedule({...}) -> id / getSchedule(id) / updateSchedule(id, patch)
+//   listSchedulesByStatus(status)
+//   addRsvp({ scheduleId, occursAt, guildId, userId }) -> added / removeRsvp(scheduleId, occursAt, userId) -> removed
+//   listRsvps(scheduleId, occursAt) / updateRsvp({ scheduleId, occursAt, userId, sessionId, attended })
+//   setGoal({ guildId, userId, period, metric, target }) -> id / listGoals(guildId, userId)
+//   listAllGoals() / updateGoal(id, patch) / deleteGoal(id)
+//   addGoalResult({...}) / listGoalResults(guildId, userId, limit)
+//   userFocusSeconds(guildId, userId, fromDay, toDay) / userPresentCount(guildId, userId, from, to)
+//   joinBuddyPool({ guildId, userId }) -> added / leaveBuddyPool(guildId, userId) -> removed
+//   listBuddyPool(guildId) / listUserVoiceIntervals(guildId, userId, from)
+//   createBuddyPair({ guildId, userA, userB }) -> id / updateBuddyPair(id, patch)
+//   listBuddyPairs(guildId, userId) / listBuddyPairsByStatus(status)
+//   createTask({ guildId, userId, title }) -> id / getTask(id) / updateTask(id, patch) / deleteTask(id)
+//   listTasks(guildId, userId, status) / listDoneTasks(guildId, userId, fromDay)
+//   setSessionTasks(sessionId, userId, taskIds) / listSessionTasks(sessionId)
+//   getGuildSettings(guildId) / setGuildSettings(guildId, settings)
+//   getMeta(key) / setMeta(key, value)
+//   flush() / close()
+import { resolve } from "path";
+import { config, ROOT_DIR } from "../config.js";
+import { createJsonStore } from "./json.js";
+
+async function openStore() {
+  const { driver, path } = config.storage;
+  if (driver === "json") {
+    return createJsonStore(resolve(ROOT_DIR, path || "data.json"));
+  }
+  if (driver !== "sqlite") {
+    console.error(`Unknown storage driver '${driver}' (use sqlite or json)`);
+    process.exit(1);
+  }
+  // loaded lazily so JSON deployments don't need the native module
+  const { createSqliteStore } = await import("./sqlite.js");
+  return createSqliteStore(resolve(ROOT_DIR, path || "qambot.db"));
+}
+
+export const store = await openStore();
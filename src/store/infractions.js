@@ -0,0 +1,16 @@
+// src/store/infractions.js — infraction records (created through addInfraction in users.js)
+import { store } from "./index.js";
+
+export function getInfraction(id) {
+  return store.getInfraction(id);
+}
+
+// a member's infractions in a guild, newest first
+export function listInfractions(guildId, userId) {
+  return store.listInfractions(guildId, userId);
+}
+
+// patch: { status, resolvedAt, resolvedBy, note, appealedAt, action }
+export function updateInfraction(id, patch) {
+  store.updateInfraction(id, patch);
+}
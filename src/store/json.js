@@ -0,0 +1,929 @@
+// src/store/json.js — JSON file storage backend for small deployments
+//
+// Everything lives in memory and is written whole (debounced, via a temp file + rename so a
+// crash mid-write can't truncate the file). A crash can still lose the last ~2s of writes.
+import { existsSync, readFileSync, renameSync, writeFileSync } from "fs";
+
+const EMPTY = () => ({
+  users: {},
+  sessions: [],
+  attendance: [],
+  xpTransactions: [],
+  infractions: [],
+  voiceIntervals: [],
+  checkins: [],
+  schedules: [],
+  scheduleRsvps: [],
+  goals: [],
+  goalResults: [],
+  buddyPool: [],
+  buddyPairs: [],
+  tasks: [],
+  sessionTasks: [],
+  // `${guildId}:${userId}:${day}` -> { seconds, xp }
+  focusDays: {},
+  // `${guildId}:${userId}` -> { streak, longestStreak, lastCheckinDate, streakFreezes }
+  memberStreaks: {},
+  guildSettings: {},
+  meta: {},
+  nextIds: {},
+});
+
+// sums `valueOf(row)` per userId over the rows passing `keep`
+function sumByUser(rows, keep, valueOf) {
+  const totals = new Map();
+  for (const row of rows) {
+    if (!keep(row)) continue;
+    totals.set(row.userId, (totals.get(row.userId) || 0) + valueOf(row));
+  }
+  return [...totals].map(([userId, value]) => ({ userId, value }));
+}
+
+function newUser(id) {
+  return {
+    id,
+    xp: 0,
+    streak: 0,
+    lastCheckinDate: null,
+    infractions: 0,
+    breakJoins: [],
+    timezone: null,
+    longestStreak: 0,
+    streakFreezes: 0,
+    dmReminders: 1,
+    createdAt: Date.now(),
+  };
+}
+
+export function createJsonStore(path) {
+  let DATA = EMPTY();
+  let userStreaks = false;
+  if (existsSync(path)) {
+    try {
+      const saved = JSON.parse(readFileSync(path, "utf8"));
+      userStreaks = !saved.memberStreaks;
+      DATA = { ...EMPTY(), ...saved };
+    } catch (e) {
+      // keep the unreadable file around instead of overwriting it on the next save
+      const backup = `${path}.corrupt-${Date.now()}`;
+      console.warn(
+        `Failed to read ${path}, starting fresh (moved to ${backup}).`,
+        e
+      );
+      try {
+        renameSync(path, backup);
+      } catch (err) {}
+      DATA = EMPTY();
+    }
+  }
+  // pre-storage-layer files kept lastDailyAt at the top level
+  if ("lastDailyAt" in DATA) {
+    if (DATA.meta.lastDailyAt === undefined)
+      DATA.meta.lastDailyAt = DATA.lastDailyAt;
+    delete DATA.lastDailyAt;
+  }
+  // streaks used to be kept on the user; they go to the guild of the last check-in
+  if (userStreaks) {
+    for (const u of Object.values(DATA.users)) {
+      const last = DATA.checkins.findLast(
+        (c) => c.userId === u.id && c.day === u.lastCheckinDate
+      );
+      if (!last) continue;
+      DATA.memberStreaks[`${last.guildId}:${u.id}`] = {
+        streak: u.streak || 0,
+        longestStreak: u.longestStreak || 0,
+        lastCheckinDate: u.lastCheckinDate,
+        streakFreezes: u.streakFreezes || 0,
+      };
+    }
+  }
+
+  // --- debounced save
+  let saveScheduled = false;
+  function saveDataImmediate() {
+    try {
+      const tmp = `${path}.tmp`;
+      writeFileSync(tmp, JSON.stringify(DATA, null, 2));
+      renameSync(tmp, path);
+    } catch (e) {
+      console.error(`Failed to save ${path}`, e);
+    }
+  }
+  function saveData() {
+    if (saveScheduled) return;
+    saveScheduled = true;
+    setTimeout(() => {
+      saveScheduled = false;
+      saveDataImmediate();
+    }, 2000);
+  }
+
+  function nextId(collection) {
+    DATA.nextIds[collection] = (DATA.nextIds[collection] || 0) + 1;
+    return DATA.nextIds[collection];
+  }
+
+  const copy = (value) =>
+    value === undefined || value === null ? null : structuredClone(value);
+
+  const store = {
+    driver: "json",
+
+    transaction(fn) {
+      return fn();
+    },
+
+    getUser(id) {
+      const u = DATA.users[id];
+      return u ? copy({ ...newUser(id), ...u, id }) : null;
+    },
+    ensureUser(id) {
+      if (!DATA.users[id]) {
+        DATA.users[id] = newUser(id);
+        saveData();
+      }
+      return store.getUser(id);
+    },
+    updateUser(id, patch) {
+      store.ensureUser(id);
+      Object.assign(DATA.users[id], copy(patch));
+      saveData();
+      return store.getUser(id);
+    },
+    listUsers() {
+      return Object.keys(DATA.users).map((id) => store.getUser(id));
+    },
+
+    addXP({ userId, guildId = null, amount, reason, ref = null }) {
+      store.ensureUser(userId);
+      const u = DATA.users[userId];
+      u.xp = (u.xp || 0) + amount;
+      DATA.xpTransactions.push({
+        id: nextId("xpTransactions"),
+        userId,
+        guildId,
+        amount,
+        reason,
+        ref: ref === null ? null : String(ref),
+        createdAt: Date.now(),
+      });
+      saveData();
+      return store.getUser(userId);
+    },
+    getGuildXP(guildId, userId) {
+      return DATA.xpTransactions
+        .filter((t) => t.guildId === guildId && t.userId === userId)
+        .reduce((sum, t) => sum + t.amount, 0);
+    },
+    listGuildXP(guildId) {
+      return sumByUser(
+        DATA.xpTransactions,
+        (t) => t.guildId === guildId,
+        (t) => t.amount
+      );
+    },
+    adoptLegacyData(guildId) {
+      let xp = 0;
+      for (const t of DATA.xpTransactions) {
+        if (t.guildId) continue;
+        t.guildId = guildId;
+        xp++;
+      }
+      // pre-storage-layer files kept only the running total on the user
+      const recorded = new Map(
+        sumByUser(
+          DATA.xpTransactions,
+          () => true,
+          (t) => t.amount
+        ).map((r) => [r.userId, r.value])
+      );
+      for (const u of Object.values(DATA.users)) {
+        const missing = (u.xp || 0) - (recorded.get(u.id) || 0);
+        if (missing <= 0) continue;
+        DATA.xpTransactions.push({
+          id: nextId("xpTransactions"),
+          userId: u.id,
+          guildId,
+          amount: missing,
+          reason: "import",
+          ref: null,
+          createdAt: Date.now(),
+        });
+        xp++;
+      }
+      // streaks and freezes still kept only on the user go to the guild of the latest check-in
+      let streaks = 0;
+      const hasStreak = new Set(
+        Object.keys(DATA.memberStreaks).map((key) => key.split(":")[1])
+      );
+      for (const u of Object.values(DATA.users)) {
+        const legacy =
+          u.streak > 0 || u.longestStreak > 0 || u.streakFreezes > 0;
+        if (hasStreak.has(u.id) || !legacy) {
+          continue;
+        }
+        const last = DATA.checkins.findLast((c) => c.userId === u.id);
+        DATA.memberStreaks[`${last?.guildId || guildId}:${u.id}`] = {
+          streak: u.streak || 0,
+          longestStreak: Math.max(u.longestStreak || 0, u.streak || 0),
+          lastCheckinDate: u.lastCheckinDate || null,
+          streakFreezes: u.streakFreezes || 0,
+        };
+        streaks++;
+      }
+      if (xp || streaks) saveData();
+      return { xp, streaks };
+    },
+
+    addInfraction({
+      userId,
+      guildId = null,
+      reason,
+      sessionId = null,
+      voiceChannelId = null,
+      action = null,
+    }) {
+      store.ensureUser(userId);
+      const u = DATA.users[userId];
+      u.infractions = (u.infractions || 0) + 1;
+      const record = {
+        id: nextId("infractions"),
+        userId,
+        guildId,
+        reason,
+        sessionId,
+        voiceChannelId,
+        action,
+        createdAt: Date.now(),
+        status: "active",
+        resolvedAt: null,
+        resolvedBy: null,
+        note: null,
+        appealedAt: null,
+      };
+      DATA.infractions.push(record);
+      saveData();
+      return copy(record);
+    },
+    getInfraction(id) {
+      const i = DATA.infractions.find((x) => x.id === id);
+      return i ? copy({ status: "active", ...i }) : null;
+    },
+    listInfractions(guildId, userId) {
+      return DATA.infractions
+        .filter((i) => i.guildId === guildId && i.userId === userId)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map((i) => copy({ status: "active", ...i }));
+    },
+    updateInfraction(id, patch) {
+      const i = DATA.infractions.find((x) => x.id === id);
+      if (!i) return;
+      Object.assign(i, copy(patch));
+      saveData();
+    },
+
+    createSession({
+      guildId,
+      voiceChannelId,
+      notifyChannelId = null,
+      messageId = null,
+      trigger = null,
+      startedAt = Date.now(),
+    }) {
+      const id = nextId("sessions");
+      DATA.sessions.push({
+        id,
+        guildId,
+        voiceChannelId,
+        notifyChannelId,
+        messageId,
+        trigger,
+        status: "active",
+        startedAt,
+        endedAt: null,
+        deadlineAt: null,
+        state: null,
+        summary: null,
+      });
+      saveData();
+      return id;
+    },
+    getSession(id) {
+      return copy(DATA.sessions.find((s) => s.id === id));
+    },
+    updateSession(id, patch) {
+      const s = DATA.sessions.find((x) => x.id === id);
+      if (!s) return;
+      Object.assign(s, copy(patch));
+      saveData();
+    },
+    listSessionsByStatus(status) {
+      return DATA.sessions
+        .filter((s) => s.status === status)
+        .sort((a, b) => a.startedAt - b.startedAt)
+        .map(copy);
+    },
+    listRoomSessions(guildId, voiceChannelId, from, to) {
+      return DATA.sessions
+        .filter(
+          (s) =>
+            s.guildId === guildId &&
+            s.voiceChannelId === voiceChannelId &&
+            s.startedAt >= from &&
+            s.startedAt < to
+        )
+        .sort((a, b) => a.startedAt - b.startedAt)
+        .map(copy);
+    },
+
+    recordAttendance({ sessionId, guildId, userId, status }) {
+      const existing = DATA.attendance.find(
+        (a) => a.sessionId === sessionId && a.userId === userId
+      );
+      if (existing) {
+        existing.status = status;
+        existing.recordedAt = Date.now();
+      } else {
+        DATA.attendance.push({
+          id: nextId("attendance"),
+          sessionId,
+          guildId,
+          userId,
+          status,
+          recordedAt: Date.now(),
+        });
+      }
+      saveData();
+    },
+
+    openVoiceInterval({ guildId, userId, voiceChannelId, startedAt }) {
+      const id = nextId("voiceIntervals");
+      DATA.voiceIntervals.push({
+        id,
+        guildId,
+        userId,
+        voiceChannelId,
+        startedAt,
+        creditedUntil: startedAt,
+        endedAt: null,
+        seconds: 0,
+        xp: 0,
+      });
+      saveData();
+      return id;
+    },
+    updateVoiceInterval(id, patch) {
+      const v = DATA.voiceIntervals.find((x) => x.id === id);
+      if (!v) return;
+      Object.assign(v, copy(patch));
+      saveData();
+    },
+    listOpenVoiceIntervals() {
+      return DATA.voiceIntervals
+        .filter((v) => v.endedAt === null)
+        .sort((a, b) => a.startedAt - b.startedAt)
+        .map(copy);
+    },
+    getFocusDay(guildId, userId, day) {
+      return copy(DATA.focusDays[`${guildId}:${userId}:${day}`]);
+    },
+    addFocusDay({ guildId, userId, day, seconds = 0, xp = 0 }) {
+      const key = `${guildId}:${userId}:${day}`;
+      const row = DATA.focusDays[key] || { seconds: 0, xp: 0 };
+      DATA.focusDays[key] = {
+        seconds: row.seconds + seconds,
+        xp: row.xp + xp,
+      };
+      saveData();
+    },
+
+    addCheckin({ guildId, userId, day, createdAt = Date.now() }) {
+      DATA.checkins.push({
+        id: nextId("checkins"),
+        guildId,
+        userId,
+        day,
+        createdAt,
+      });
+      saveData();
+    },
+    countCheckins(guildId, from, to) {
+      return DATA.checkins.filter(
+        (c) => c.guildId === guildId && c.createdAt >= from && c.createdAt < to
+      ).length;
+    },
+    getMemberStreak(guildId, userId) {
+      const row = DATA.memberStreaks[`${guildId}:${userId}`];
+      return row ? copy({ guildId, userId, streakFreezes: 0, ...row }) : null;
+    },
+    updateMemberStreak(guildId, userId, patch) {
+      const key = `${guildId}:${userId}`;
+      DATA.memberStreaks[key] = {
+        streak: 0,
+        longestStreak: 0,
+        lastCheckinDate: null,
+        streakFreezes: 0,
+        ...DATA.memberStreaks[key],
+        ...copy(patch),
+      };
+      saveData();
+      return store.getMemberStreak(guildId, userId);
+    },
+    listMemberStreaks(guildId) {
+      return Object.keys(DATA.memberStreaks)
+        .map((key) => key.split(":"))
+        .filter(([g]) => g === guildId)
+        .sort((a, b) => a[1].localeCompare(b[1]))
+        .map(([, userId]) => store.getMemberStreak(guildId, userId));
+    },
+
+    sumXPByUser(guildId, from, to) {
+      return sumByUser(
+        DATA.xpTransactions,
+        (t) =>
+          t.guildId === guildId &&
+          t.amount > 0 &&
+          t.createdAt >= from &&
+          t.createdAt < to,
+        (t) => t.amount
+      );
+    },
+    sumFocusByUser(guildId, fromDay, toDay) {
+      const rows = Object.entries(DATA.focusDays).map(([key, totals]) => {
+        const [g, userId, day] = key.split(":");
+        return { guildId: g, userId, day, seconds: totals.seconds };
+      });
+      return sumByUser(
+        rows,
+        (r) => r.guildId === guildId && r.day >= fromDay && r.day <= toDay,
+        (r) => r.seconds
+      );
+    },
+    attendanceByUser(guildId, from, to) {
+      const totals = new Map();
+      for (const a of DATA.attendance) {
+        if (a.guildId !== guildId || a.recordedAt < from || a.recordedAt >= to)
+          continue;
+        const row = totals.get(a.userId) || { present: 0, total: 0 };
+        if (a.status === "present") row.present++;
+        row.total++;
+        totals.set(a.userId, row);
+      }
+      return [...totals].map(([userId, row]) => ({ userId, ...row }));
+    },
+    listCheckinDays(guildId, fromDay, toDay) {
+      const seen = new Set();
+      const rows = [];
+      for (const c of DATA.checkins) {
+        if (c.guildId !== guildId || c.day < fromDay || c.day > toDay) continue;
+        const key = `${c.userId}:${c.day}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        rows.push({ userId: c.userId, day: c.day });
+      }
+      return rows.sort(
+        (a, b) => a.userId.localeCompare(b.userId) || a.day.localeCompare(b.day)
+      );
+    },
+
+    focusByRoom(guildId, from, to) {
+      const totals = new Map();
+      for (const v of DATA.voiceIntervals) {
+        if (v.guildId !== guildId || v.startedAt < from || v.startedAt >= to)
+          continue;
+        totals.set(
+          v.voiceChannelId,
+          (totals.get(v.voiceChannelId) || 0) + v.seconds
+        );
+      }
+      return [...totals].map(([voiceChannelId, seconds]) => ({
+        voiceChannelId,
+        seconds,
+      }));
+    },
+    sessionAttendance(guildId, from, to) {
+      const rows = [];
+      for (const s of DATA.sessions) {
+        if (s.guildId !== guildId || s.startedAt < from || s.startedAt >= to)
+          continue;
+        const records = DATA.attendance.filter((a) => a.sessionId === s.id);
+        if (!records.length) continue;
+        rows.push({
+          sessionId: s.id,
+          voiceChannelId: s.voiceChannelId,
+          startedAt: s.startedAt,
+          present: records.filter((a) => a.status === "present").length,
+          total: records.length,
+        });
+      }
+      return rows.sort((a, b) => a.startedAt - b.startedAt);
+    },
+    listUserAttendance(guildId, userId, from, to) {
+      const sessions = new Map(DATA.sessions.map((s) => [s.id, s]));
+      const rows = [];
+      for (const a of DATA.attendance) {
+        if (a.guildId !== guildId || a.userId !== userId) continue;
+        const s = sessions.get(a.sessionId);
+        if (!s || s.startedAt < from || s.startedAt >= to) continue;
+        rows.push({
+          sessionId: s.id,
+          voiceChannelId: s.voiceChannelId,
+          startedAt: s.startedAt,
+          endedAt: s.endedAt,
+          status: a.status,
+        });
+      }
+      return rows.sort(
+        (a, b) => b.startedAt - a.startedAt || b.sessionId - a.sessionId
+      );
+    },
+    listNewFocusMembers(guildId, from, to) {
+      const first = new Map();
+      for (const v of DATA.voiceIntervals) {
+        if (v.guildId !== guildId) continue;
+        if (!first.has(v.userId) || v.startedAt < first.get(v.userId))
+          first.set(v.userId, v.startedAt);
+      }
+      return [...first]
+        .filter(([, firstAt]) => firstAt >= from && firstAt < to)
+        .map(([userId, firstAt]) => ({ userId, firstAt }));
+    },
+
+    createSchedule({
+      guildId,
+      voiceChannelId,
+      title,
+      description = null,
+      recurrence = null,
+      startsAt,
+      announceMinutes,
+      remindMinutes,
+      createEvent = 0,
+      createdBy = null,
+    }) {
+      const id = nextId("schedules");
+      DATA.schedules.push({
+        id,
+        guildId,
+        voiceChannelId,
+        title,
+        description,
+        recurrence: copy(recurrence),
+        startsAt,
+        announceMinutes,
+        remindMinutes,
+        createEvent,
+        eventId: null,
+        announcementId: null,
+        remindedAt: null,
+        status: "active",
+        createdBy,
+        createdAt: Date.now(),
+      });
+      saveData();
+      return id;
+    },
+    getSchedule(id) {
+      return copy(DATA.schedules.find((s) => s.id === id));
+    },
+    updateSchedule(id, patch) {
+      const s = DATA.schedules.find((x) => x.id === id);
+      if (!s) return;
+      Object.assign(s, copy(patch));
+      saveData();
+    },
+    listSchedulesByStatus(status) {
+      return DATA.schedules
+        .filter((s) => s.status === status)
+        .sort((a, b) => a.startsAt - b.startsAt)
+        .map(copy);
+    },
+
+    addRsvp({ scheduleId, occursAt, guildId, userId }) {
+      const exists = DATA.scheduleRsvps.some(
+        (r) =>
+          r.scheduleId === scheduleId &&
+          r.occursAt === occursAt &&
+          r.userId === userId
+      );
+      if (exists) return false;
+      DATA.scheduleRsvps.push({
+        scheduleId,
+        occursAt,
+        guildId,
+        userId,
+        sessionId: null,
+        attended: null,
+        createdAt: Date.now(),
+      });
+      saveData();
+      return true;
+    },
+    removeRsvp(scheduleId, occursAt, userId) {
+      const before = DATA.scheduleRsvps.length;
+      DATA.scheduleRsvps = DATA.scheduleRsvps.filter(
+        (r) =>
+          !(
+            r.scheduleId === scheduleId &&
+            r.occursAt === occursAt &&
+            r.userId === userId
+          )
+      );
+      if (DATA.scheduleRsvps.length === before) return false;
+      saveData();
+      return true;
+    },
+    listRsvps(scheduleId, occursAt) {
+      return DATA.scheduleRsvps
+        .filter((r) => r.scheduleId === scheduleId && r.occursAt === occursAt)
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(copy);
+    },
+    updateRsvp({ scheduleId, occursAt, userId, sessionId = null, attended }) {
+      const r = DATA.scheduleRsvps.find(
+        (x) =>
+          x.scheduleId === scheduleId &&
+          x.occursAt === occursAt &&
+          x.userId === userId
+      );
+      if (!r) return;
+      Object.assign(r, { sessionId, attended });
+      saveData();
+    },
+
+    setGoal({ guildId, userId, period, metric, target }) {
+      let goal = DATA.goals.find(
+        (g) =>
+          g.guildId === guildId && g.userId === userId && g.period === period
+      );
+      if (goal) Object.assign(goal, { metric, target });
+      else {
+        goal = {
+          id: nextId("goals"),
+          guildId,
+          userId,
+          period,
+          metric,
+          target,
+          periodKey: null,
+          completedAt: null,
+          nudgedAt: null,
+          streak: 0,
+          bestStreak: 0,
+          createdAt: Date.now(),
+        };
+        DATA.goals.push(goal);
+      }
+      saveData();
+      return goal.id;
+    },
+    listGoals(guildId, userId) {
+      return DATA.goals
+        .filter((g) => g.guildId === guildId && g.userId === userId)
+        .sort((a, b) => a.period.localeCompare(b.period))
+        .map(copy);
+    },
+    listAllGoals() {
+      return DATA.goals.map(copy);
+    },
+    updateGoal(id, patch) {
+      const g = DATA.goals.find((x) => x.id === id);
+      if (!g) return;
+      Object.assign(g, copy(patch));
+      saveData();
+    },
+    deleteGoal(id) {
+      DATA.goals = DATA.goals.filter((g) => g.id !== id);
+      saveData();
+    },
+    addGoalResult({
+      guildId,
+      userId,
+      period,
+      periodKey,
+      metric,
+      target,
+      progress,
+      completed,
+      xp = 0,
+    }) {
+      const values = {
+        metric,
+        target,
+        progress,
+        completed,
+        xp,
+        recordedAt: Date.now(),
+      };
+      const r = DATA.goalResults.find(
+        (x) =>
+          x.guildId === guildId &&
+          x.userId === userId &&
+          x.period === period &&
+          x.periodKey === periodKey
+      );
+      if (r) Object.assign(r, values);
+      else {
+        DATA.goalResults.push({
+          id: nextId("goalResults"),
+          guildId,
+          userId,
+          period,
+          periodKey,
+          ...values,
+        });
+      }
+      saveData();
+    },
+    listGoalResults(guildId, userId, limit) {
+      return DATA.goalResults
+        .filter((r) => r.guildId === guildId && r.userId === userId)
+        .sort((a, b) => b.recordedAt - a.recordedAt || b.id - a.id)
+        .slice(0, limit)
+        .map(copy);
+    },
+    userFocusSeconds(guildId, userId, fromDay, toDay) {
+      let seconds = 0;
+      for (const [key, totals] of Object.entries(DATA.focusDays)) {
+        const [g, u, day] = key.split(":");
+        if (g === guildId && u === userId && day >= fromDay && day <= toDay)
+          seconds += totals.seconds;
+      }
+      return seconds;
+    },
+    userPresentCount(guildId, userId, from, to) {
+      return DATA.attendance.filter(
+        (a) =>
+          a.guildId === guildId &&
+          a.userId === userId &&
+          a.status === "present" &&
+          a.recordedAt >= from &&
+          a.recordedAt < to
+      ).length;
+    },
+
+    joinBuddyPool({ guildId, userId }) {
+      if (
+        DATA.buddyPool.some((p) => p.guildId === guildId && p.userId === userId)
+      )
+        return false;
+      DATA.buddyPool.push({ guildId, userId, joinedAt: Date.now() });
+      saveData();
+      return true;
+    },
+    leaveBuddyPool(guildId, userId) {
+      const before = DATA.buddyPool.length;
+      DATA.buddyPool = DATA.buddyPool.filter(
+        (p) => !(p.guildId === guildId && p.userId === userId)
+      );
+      if (DATA.buddyPool.length === before) return false;
+      saveData();
+      return true;
+    },
+    listBuddyPool(guildId) {
+      return DATA.buddyPool
+        .filter((p) => p.guildId === guildId)
+        .sort((a, b) => a.joinedAt - b.joinedAt)
+        .map(({ userId, joinedAt }) => ({ userId, joinedAt }));
+    },
+    listUserVoiceIntervals(guildId, userId, from) {
+      return DATA.voiceIntervals
+        .filter(
+          (v) =>
+            v.guildId === guildId && v.userId === userId && v.startedAt >= from
+        )
+        .sort((a, b) => a.startedAt - b.startedAt)
+        .map(({ startedAt, creditedUntil, endedAt }) => ({
+          startedAt,
+          creditedUntil,
+          endedAt,
+        }));
+    },
+    createBuddyPair({ guildId, userA, userB }) {
+      const id = nextId("buddyPairs");
+      DATA.buddyPairs.push({
+        id,
+        guildId,
+        userA,
+        userB,
+        threadId: null,
+        status: "active",
+        createdAt: Date.now(),
+        endedAt: null,
+        endedBy: null,
+      });
+      saveData();
+      return id;
+    },
+    updateBuddyPair(id, patch) {
+      const p = DATA.buddyPairs.find((x) => x.id === id);
+      if (!p) return;
+      Object.assign(p, copy(patch));
+      saveData();
+    },
+    listBuddyPairs(guildId, userId) {
+      return DATA.buddyPairs
+        .filter(
+          (p) =>
+            p.guildId === guildId && (p.userA === userId || p.userB === userId)
+        )
+        .sort((a, b) => b.createdAt - a.createdAt || b.id - a.id)
+        .map(copy);
+    },
+    listBuddyPairsByStatus(status) {
+      return DATA.buddyPairs.filter((p) => p.status === status).map(copy);
+    },
+
+    createTask({ guildId, userId, title }) {
+      const id = nextId("tasks");
+      DATA.tasks.push({
+        id,
+        guildId,
+        userId,
+        title,
+        status: "open",
+        createdAt: Date.now(),
+        doneAt: null,
+        doneDay: null,
+        sessionId: null,
+        xp: 0,
+      });
+      saveData();
+      return id;
+    },
+    getTask(id) {
+      return copy(DATA.tasks.find((t) => t.id === id));
+    },
+    updateTask(id, patch) {
+      const t = DATA.tasks.find((x) => x.id === id);
+      if (!t) return;
+      Object.assign(t, copy(patch));
+      saveData();
+    },
+    deleteTask(id) {
+      DATA.tasks = DATA.tasks.filter((t) => t.id !== id);
+      DATA.sessionTasks = DATA.sessionTasks.filter((p) => p.taskId !== id);
+      saveData();
+    },
+    listTasks(guildId, userId, status) {
+      return DATA.tasks
+        .filter(
+          (t) =>
+            t.guildId === guildId && t.userId === userId && t.status === status
+        )
+        .sort((a, b) => a.id - b.id)
+        .map(copy);
+    },
+    listDoneTasks(guildId, userId, fromDay) {
+      return DATA.tasks
+        .filter(
+          (t) =>
+            t.guildId === guildId &&
+            t.userId === userId &&
+            t.status === "done" &&
+            t.doneDay >= fromDay
+        )
+        .sort((a, b) => b.doneAt - a.doneAt || b.id - a.id)
+        .map(copy);
+    },
+    // replaces the member's picks for the session ([] clears them)
+    setSessionTasks(sessionId, userId, taskIds) {
+      DATA.sessionTasks = DATA.sessionTasks.filter(
+        (p) => !(p.sessionId === sessionId && p.userId === userId)
+      );
+      for (const taskId of new Set(taskIds))
+        DATA.sessionTasks.push({ sessionId, taskId, userId });
+      saveData();
+    },
+    listSessionTasks(sessionId) {
+      return DATA.sessionTasks
+        .filter((p) => p.sessionId === sessionId)
+        .sort((a, b) => a.userId.localeCompare(b.userId) || a.taskId - b.taskId)
+        .map(({ taskId, userId }) => ({ taskId, userId }));
+    },
+
+    getGuildSettings(guildId) {
+      return copy(DATA.guildSettings[guildId]);
+    },
+    setGuildSettings(guildId, settings) {
+      DATA.guildSettings[guildId] = copy(settings);
+      saveData();
+    },
+
+    getMeta(key) {
+      return key in DATA.meta ? copy(DATA.meta[key]) : null;
+    },
+    setMeta(key, value) {
+      DATA.meta[key] = copy(value);
+      saveData();
+    },
+
+    flush() {
+      saveDataImmediate();
+    },
+    close() {
+      saveDataImmediate();
+    },
+  };
+  return store;
+}
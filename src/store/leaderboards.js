@@ -0,0 +1,37 @@
+// src/store/leaderboards.js — totals over a time window, for rankings and recaps
+import { store } from "./index.js";
+
+// XP earned in the guild in [from, to) (spending is not subtracted) -> [{ userId, value }]
+export function sumXPByUser(guildId, from, to) {
+  return store.sumXPByUser(guildId, from, to);
+}
+
+// seconds focused on the days fromDay..toDay (YYYY-MM-DD, inclusive) -> [{ userId, value }]
+export function sumFocusByUser(guildId, fromDay, toDay) {
+  return store.sumFocusByUser(guildId, fromDay, toDay);
+}
+
+// sessions recorded in [from, to) -> [{ userId, present, total }]
+export function attendanceByUser(guildId, from, to) {
+  return store.attendanceByUser(guildId, from, to);
+}
+
+// distinct check-in days fromDay..toDay, ordered by member then day -> [{ userId, day }]
+export function listCheckinDays(guildId, fromDay, toDay) {
+  return store.listCheckinDays(guildId, fromDay, toDay);
+}
+
+// seconds focused per voice room, for intervals started in [from, to) -> [{ voiceChannelId, seconds }]
+export function focusByRoom(guildId, from, to) {
+  return store.focusByRoom(guildId, from, to);
+}
+
+// sessions started in [from, to) with their attendance -> [{ sessionId, voiceChannelId, startedAt, present, total }]
+export function sessionAttendance(guildId, from, to) {
+  return store.sessionAttendance(guildId, from, to);
+}
+
+// members whose first focus time in the guild started in [from, to) -> [{ userId, firstAt }]
+export function listNewFocusMembers(guildId, from, to) {
+  return store.listNewFocusMembers(guildId, from, to);
+}
@@ -0,0 +1,378 @@
+// src/store/migrations.js — SQLite schema, applied in order and recorded in schema_migrations
+//
+// Never edit a released migration: append a new one instead.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: "initial schema",
+    up: `
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        xp INTEGER NOT NULL DEFAULT 0,
+        streak INTEGER NOT NULL DEFAULT 0,
+        last_checkin_date TEXT,
+        infractions INTEGER NOT NULL DEFAULT 0,
+        break_joins TEXT NOT NULL DEFAULT '[]',
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        voice_channel_id TEXT NOT NULL,
+        notify_channel_id TEXT,
+        message_id TEXT,
+        trigger TEXT,
+        status TEXT NOT NULL DEFAULT 'active',
+        started_at INTEGER NOT NULL,
+        ended_at INTEGER
+      );
+      CREATE INDEX sessions_guild_started ON sessions (guild_id, started_at);
+      CREATE INDEX sessions_voice_started ON sessions (voice_channel_id, started_at);
+
+      CREATE TABLE attendance (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id INTEGER NOT NULL REFERENCES sessions (id),
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        recorded_at INTEGER NOT NULL,
+        UNIQUE (session_id, user_id)
+      );
+      CREATE INDEX attendance_user ON attendance (user_id, recorded_at);
+
+      CREATE TABLE xp_transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        guild_id TEXT,
+        amount INTEGER NOT NULL,
+        reason TEXT NOT NULL,
+        ref TEXT,
+        created_at INTEGER NOT NULL
+      );
+      CREATE INDEX xp_transactions_guild_created ON xp_transactions (guild_id, created_at);
+      CREATE INDEX xp_transactions_user ON xp_transactions (user_id, created_at);
+
+      CREATE TABLE infractions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        guild_id TEXT,
+        reason TEXT NOT NULL,
+        session_id INTEGER REFERENCES sessions (id),
+        voice_channel_id TEXT,
+        action TEXT,
+        created_at INTEGER NOT NULL
+      );
+      CREATE INDEX infractions_user ON infractions (guild_id, user_id, created_at);
+
+      CREATE TABLE meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+    `,
+  },
+  {
+    version: 2,
+    name: "resumable sessions",
+    up: `
+      ALTER TABLE sessions ADD COLUMN deadline_at INTEGER;
+      ALTER TABLE sessions ADD COLUMN state TEXT;
+      CREATE INDEX sessions_status ON sessions (status);
+    `,
+  },
+  {
+    version: 3,
+    name: "guild settings",
+    up: `
+      CREATE TABLE guild_settings (
+        guild_id TEXT PRIMARY KEY,
+        settings TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `,
+  },
+  {
+    version: 4,
+    name: "voice time",
+    up: `
+      CREATE TABLE voice_intervals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        voice_channel_id TEXT NOT NULL,
+        started_at INTEGER NOT NULL,
+        credited_until INTEGER NOT NULL,
+        ended_at INTEGER,
+        seconds INTEGER NOT NULL DEFAULT 0,
+        xp INTEGER NOT NULL DEFAULT 0
+      );
+      CREATE INDEX voice_intervals_open ON voice_intervals (ended_at);
+      CREATE INDEX voice_intervals_user ON voice_intervals (guild_id, user_id, started_at);
+
+      CREATE TABLE focus_days (
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        day TEXT NOT NULL,
+        seconds INTEGER NOT NULL DEFAULT 0,
+        xp INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (guild_id, user_id, day)
+      );
+    `,
+  },
+  {
+    version: 5,
+    name: "user time zones",
+    up: `
+      ALTER TABLE users ADD COLUMN timezone TEXT;
+    `,
+  },
+  {
+    version: 6,
+    name: "check-ins and streak freezes",
+    up: `
+      ALTER TABLE users ADD COLUMN longest_streak INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE users ADD COLUMN streak_freezes INTEGER NOT NULL DEFAULT 0;
+      UPDATE users SET longest_streak = streak;
+
+      CREATE TABLE checkins (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        day TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      );
+      CREATE INDEX checkins_guild_created ON checkins (guild_id, created_at);
+      CREATE INDEX checkins_user ON checkins (user_id, created_at);
+    `,
+  },
+  {
+    version: 7,
+    name: "leaderboard indexes",
+    up: `
+      CREATE INDEX attendance_guild_recorded ON attendance (guild_id, recorded_at);
+      CREATE INDEX checkins_guild_day ON checkins (guild_id, day);
+      CREATE INDEX focus_days_guild_day ON focus_days (guild_id, day);
+    `,
+  },
+  {
+    version: 8,
+    name: "recap indexes",
+    up: `
+      CREATE INDEX voice_intervals_guild_started ON voice_intervals (guild_id, started_at);
+    `,
+  },
+  {
+    version: 9,
+    name: "infraction review",
+    up: `
+      ALTER TABLE infractions ADD COLUMN status TEXT NOT NULL DEFAULT 'active';
+      ALTER TABLE infractions ADD COLUMN resolved_at INTEGER;
+      ALTER TABLE infractions ADD COLUMN resolved_by TEXT;
+      ALTER TABLE infractions ADD COLUMN note TEXT;
+      ALTER TABLE infractions ADD COLUMN appealed_at INTEGER;
+    `,
+  },
+  {
+    version: 10,
+    name: "reminder preferences",
+    up: `
+      ALTER TABLE users ADD COLUMN dm_reminders INTEGER NOT NULL DEFAULT 1;
+    `,
+  },
+  {
+    version: 11,
+    name: "scheduled sessions",
+    up: `
+      CREATE TABLE schedules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        voice_channel_id TEXT NOT NULL,
+        title TEXT NOT NULL,
+        description TEXT,
+        recurrence TEXT,
+        starts_at INTEGER NOT NULL,
+        announce_minutes INTEGER NOT NULL,
+        remind_minutes INTEGER NOT NULL,
+        create_event INTEGER NOT NULL DEFAULT 0,
+        event_id TEXT,
+        announcement_id TEXT,
+        reminded_at INTEGER,
+        status TEXT NOT NULL DEFAULT 'active',
+        created_by TEXT,
+        created_at INTEGER NOT NULL
+      );
+      CREATE INDEX schedules_status ON schedules (status);
+
+      CREATE TABLE schedule_rsvps (
+        schedule_id INTEGER NOT NULL REFERENCES schedules (id),
+        occurs_at INTEGER NOT NULL,
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        session_id INTEGER REFERENCES sessions (id),
+        attended TEXT,
+        created_at INTEGER NOT NULL,
+        PRIMARY KEY (schedule_id, occurs_at, user_id)
+      );
+      CREATE INDEX schedule_rsvps_user ON schedule_rsvps (guild_id, user_id, occurs_at);
+    `,
+  },
+  {
+    version: 12,
+    name: "study goals",
+    up: `
+      CREATE TABLE goals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        period TEXT NOT NULL,
+        metric TEXT NOT NULL,
+        target INTEGER NOT NULL,
+        period_key TEXT,
+        completed_at INTEGER,
+        nudged_at INTEGER,
+        streak INTEGER NOT NULL DEFAULT 0,
+        best_streak INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL,
+        UNIQUE (guild_id, user_id, period)
+      );
+
+      CREATE TABLE goal_results (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        period TEXT NOT NULL,
+        period_key TEXT NOT NULL,
+        metric TEXT NOT NULL,
+        target INTEGER NOT NULL,
+        progress INTEGER NOT NULL,
+        completed INTEGER NOT NULL,
+        xp INTEGER NOT NULL DEFAULT 0,
+        recorded_at INTEGER NOT NULL,
+        UNIQUE (guild_id, user_id, period, period_key)
+      );
+      CREATE INDEX goal_results_user ON goal_results (guild_id, user_id, recorded_at);
+    `,
+  },
+  {
+    version: 13,
+    name: "study buddies",
+    up: `
+      CREATE TABLE buddy_pool (
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        joined_at INTEGER NOT NULL,
+        PRIMARY KEY (guild_id, user_id)
+      );
+
+      CREATE TABLE buddy_pairs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        user_a TEXT NOT NULL,
+        user_b TEXT NOT NULL,
+        thread_id TEXT,
+        status TEXT NOT NULL DEFAULT 'active',
+        created_at INTEGER NOT NULL,
+        ended_at INTEGER,
+        ended_by TEXT
+      );
+      CREATE INDEX buddy_pairs_a ON buddy_pairs (guild_id, user_a);
+      CREATE INDEX buddy_pairs_b ON buddy_pairs (guild_id, user_b);
+    `,
+  },
+  {
+    version: 14,
+    name: "tasks",
+    up: `
+      CREATE TABLE tasks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        title TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'open',
+        created_at INTEGER NOT NULL,
+        done_at INTEGER,
+        done_day TEXT,
+        session_id INTEGER REFERENCES sessions (id),
+        xp INTEGER NOT NULL DEFAULT 0
+      );
+      CREATE INDEX tasks_user ON tasks (guild_id, user_id, status);
+
+      CREATE TABLE session_tasks (
+        session_id INTEGER NOT NULL REFERENCES sessions (id),
+        task_id INTEGER NOT NULL REFERENCES tasks (id),
+        user_id TEXT NOT NULL,
+        PRIMARY KEY (session_id, task_id)
+      );
+    `,
+  },
+  {
+    version: 15,
+    name: "session summaries",
+    up: `
+      ALTER TABLE sessions ADD COLUMN summary TEXT;
+    `,
+  },
+  {
+    version: 16,
+    name: "per-guild streaks",
+    up: `
+      CREATE TABLE member_streaks (
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        streak INTEGER NOT NULL DEFAULT 0,
+        longest_streak INTEGER NOT NULL DEFAULT 0,
+        last_checkin_date TEXT,
+        PRIMARY KEY (guild_id, user_id)
+      );
+
+      -- the streak kept on the user so far goes to the guild of the last check-in
+      INSERT OR IGNORE INTO member_streaks (guild_id, user_id, streak, longest_streak, last_checkin_date)
+        SELECT c.guild_id, u.id, u.streak, u.longest_streak, u.last_checkin_date
+        FROM users u JOIN checkins c ON c.id = (
+          SELECT id FROM checkins WHERE user_id = u.id AND day = u.last_checkin_date
+          ORDER BY id DESC LIMIT 1
+        );
+    `,
+  },
+  {
+    version: 17,
+    name: "per-guild streak freezes",
+    up: `
+      ALTER TABLE member_streaks ADD COLUMN streak_freezes INTEGER NOT NULL DEFAULT 0;
+      UPDATE member_streaks SET streak_freezes = (
+        SELECT streak_freezes FROM users WHERE users.id = member_streaks.user_id
+      );
+    `,
+  },
+  {
+    version: 18,
+    name: "per-guild XP totals",
+    up: `
+      CREATE INDEX xp_transactions_guild_user ON xp_transactions (guild_id, user_id);
+    `,
+  },
+  {
+    version: 19,
+    name: "legacy streak freezes in one guild",
+    up: `
+      -- migration 17 copied the freezes kept on the user into each of their guilds; they
+      -- stay only in the guild of the latest check-in (rows changed since are left alone)
+      UPDATE member_streaks SET streak_freezes = 0
+      WHERE streak_freezes = (SELECT streak_freezes FROM users WHERE id = member_streaks.user_id)
+        AND EXISTS (SELECT 1 FROM checkins WHERE user_id = member_streaks.user_id)
+        AND guild_id IS NOT (
+          SELECT guild_id FROM checkins WHERE user_id = member_streaks.user_id
+          ORDER BY id DESC LIMIT 1
+        );
+
+      -- members with check-ins but no streak there yet keep their freezes too; those
+      -- without any check-in are placed once the bot knows its guild (adoptLegacyData)
+      INSERT OR IGNORE INTO member_streaks (guild_id, user_id, streak, longest_streak, last_checkin_date, streak_freezes)
+        SELECT (
+            SELECT guild_id FROM checkins WHERE user_id = u.id ORDER BY id DESC LIMIT 1
+          ), u.id, u.streak, u.longest_streak, u.last_checkin_date, u.streak_freezes
+        FROM users u
+        WHERE u.streak_freezes > 0 AND EXISTS (SELECT 1 FROM checkins WHERE user_id = u.id);
+    `,
+  },
+];
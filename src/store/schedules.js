@@ -0,0 +1,38 @@
+// src/store/schedules.js — scheduled sessions and the RSVPs of their occurrences
+import { store } from "./index.js";
+
+export function createSchedule(record) {
+  return store.createSchedule(record);
+}
+
+export function getSchedule(id) {
+  return store.getSchedule(id);
+}
+
+// patch: { startsAt, eventId, announcementId, remindedAt, status }
+export function updateSchedule(id, patch) {
+  store.updateSchedule(id, patch);
+}
+
+// schedules still running, soonest first (every guild)
+export function listActiveSchedules() {
+  return store.listSchedulesByStatus("active");
+}
+
+// true when the member wasn't already going
+export function addRsvp(record) {
+  return store.addRsvp(record);
+}
+
+export function removeRsvp(scheduleId, occursAt, userId) {
+  return store.removeRsvp(scheduleId, occursAt, userId);
+}
+
+export function listRsvps(scheduleId, occursAt) {
+  return store.listRsvps(scheduleId, occursAt);
+}
+
+// what became of an RSVP once the occurrence's session ended
+export function recordRsvpAttendance(record) {
+  store.updateRsvp(record);
+}
@@ -0,0 +1,35 @@
+// src/store/sessions.js — focus session and attendance history
+import { store } from "./index.js";
+
+export function createSessionRecord(session) {
+  return store.createSession(session);
+}
+
+// summary: what the session's closing message shows (see focus/summary.js)
+export function finishSessionRecord(id, status, summary = null) {
+  store.updateSession(id, { status, endedAt: Date.now(), summary });
+}
+
+// snapshot of a running session so it can be resumed after a restart
+export function saveSessionState(id, { deadlineAt, messageId, state }) {
+  store.updateSession(id, { deadlineAt, messageId, state });
+}
+
+export function listActiveSessionRecords() {
+  return store.listSessionsByStatus("active");
+}
+
+export function recordAttendance(record) {
+  store.recordAttendance(record);
+}
+
+// sessions of one room started in [from, to), oldest first
+export function listRoomSessions(guildId, voiceChannelId, from, to) {
+  return store.listRoomSessions(guildId, voiceChannelId, from, to);
+}
+
+// the member's sessions started in [from, to) with their attendance, latest first
+// -> [{ sessionId, voiceChannelId, startedAt, endedAt, status }]
+export function listUserAttendance(guildId, userId, from, to) {
+  return store.listUserAttendance(guildId, userId, from, to);
+}
@@ -0,0 +1,886 @@
+// src/store/sqlite.js — SQLite storage backend (better-sqlite3, synchronous)
+import Database from "better-sqlite3";
+import { MIGRATIONS } from "./migrations.js";
+
+// camelCase field -> column; JSON_FIELDS are stored as JSON text
+const USER_COLUMNS = {
+  xp: "xp",
+  streak: "streak",
+  lastCheckinDate: "last_checkin_date",
+  infractions: "infractions",
+  breakJoins: "break_joins",
+  timezone: "timezone",
+  longestStreak: "longest_streak",
+  streakFreezes: "streak_freezes",
+  dmReminders: "dm_reminders",
+  createdAt: "created_at",
+};
+const MEMBER_STREAK_COLUMNS = {
+  guildId: "guild_id",
+  userId: "user_id",
+  streak: "streak",
+  longestStreak: "longest_streak",
+  lastCheckinDate: "last_checkin_date",
+  streakFreezes: "streak_freezes",
+};
+const SESSION_COLUMNS = {
+  guildId: "guild_id",
+  voiceChannelId: "voice_channel_id",
+  notifyChannelId: "notify_channel_id",
+  messageId: "message_id",
+  trigger: "trigger",
+  status: "status",
+  startedAt: "started_at",
+  endedAt: "ended_at",
+  deadlineAt: "deadline_at",
+  state: "state",
+  summary: "summary",
+};
+const VOICE_INTERVAL_COLUMNS = {
+  guildId: "guild_id",
+  userId: "user_id",
+  voiceChannelId: "voice_channel_id",
+  startedAt: "started_at",
+  creditedUntil: "credited_until",
+  endedAt: "ended_at",
+  seconds: "seconds",
+  xp: "xp",
+};
+const INFRACTION_COLUMNS = {
+  userId: "user_id",
+  guildId: "guild_id",
+  reason: "reason",
+  sessionId: "session_id",
+  voiceChannelId: "voice_channel_id",
+  action: "action",
+  createdAt: "created_at",
+  status: "status",
+  resolvedAt: "resolved_at",
+  resolvedBy: "resolved_by",
+  note: "note",
+  appealedAt: "appealed_at",
+};
+const SCHEDULE_COLUMNS = {
+  guildId: "guild_id",
+  voiceChannelId: "voice_channel_id",
+  title: "title",
+  description: "description",
+  recurrence: "recurrence",
+  startsAt: "starts_at",
+  announceMinutes: "announce_minutes",
+  remindMinutes: "remind_minutes",
+  createEvent: "create_event",
+  eventId: "event_id",
+  announcementId: "announcement_id",
+  remindedAt: "reminded_at",
+  status: "status",
+  createdBy: "created_by",
+  createdAt: "created_at",
+};
+const RSVP_COLUMNS = {
+  scheduleId: "schedule_id",
+  occursAt: "occurs_at",
+  guildId: "guild_id",
+  userId: "user_id",
+  sessionId: "session_id",
+  attended: "attended",
+  createdAt: "created_at",
+};
+const GOAL_COLUMNS = {
+  guildId: "guild_id",
+  userId: "user_id",
+  period: "period",
+  metric: "metric",
+  target: "target",
+  periodKey: "period_key",
+  completedAt: "completed_at",
+  nudgedAt: "nudged_at",
+  streak: "streak",
+  bestStreak: "best_streak",
+  createdAt: "created_at",
+};
+const GOAL_RESULT_COLUMNS = {
+  guildId: "guild_id",
+  userId: "user_id",
+  period: "period",
+  periodKey: "period_key",
+  metric: "metric",
+  target: "target",
+  progress: "progress",
+  completed: "completed",
+  xp: "xp",
+  recordedAt: "recorded_at",
+};
+const BUDDY_PAIR_COLUMNS = {
+  guildId: "guild_id",
+  userA: "user_a",
+  userB: "user_b",
+  threadId: "thread_id",
+  status: "status",
+  createdAt: "created_at",
+  endedAt: "ended_at",
+  endedBy: "ended_by",
+};
+const TASK_COLUMNS = {
+  guildId: "guild_id",
+  userId: "user_id",
+  title: "title",
+  status: "status",
+  createdAt: "created_at",
+  doneAt: "done_at",
+  doneDay: "done_day",
+  sessionId: "session_id",
+  xp: "xp",
+};
+const JSON_FIELDS = new Set(["breakJoins", "state", "recurrence", "summary"]);
+
+function fromRow(columns, row) {
+  if (!row) return null;
+  const out = row.id === undefined ? {} : { id: row.id };
+  for (const [field, column] of Object.entries(columns)) {
+    const value = row[column];
+    out[field] = JSON_FIELDS.has(field) ? JSON.parse(value || "null") : value;
+  }
+  return out;
+}
+
+function toRow(columns, patch) {
+  const row = {};
+  for (const [field, value] of Object.entries(patch)) {
+    const column = columns[field];
+    if (!column) throw new Error(`Unknown field '${field}'`);
+    row[column] = JSON_FIELDS.has(field) ? JSON.stringify(value) : value;
+  }
+  return row;
+}
+
+function updateById(db, table, columns, id, patch) {
+  const row = toRow(columns, patch);
+  const keys = Object.keys(row);
+  if (!keys.length) return;
+  db.prepare(
+    `UPDATE ${table} SET ${keys.map((k) => `${k} = @${k}`).join(", ")} WHERE id = @id`
+  ).run({ ...row, id });
+}
+
+export function runMigrations(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at INTEGER NOT NULL
+  )`);
+  const applied = new Set(
+    db
+      .prepare("SELECT version FROM schema_migrations")
+      .all()
+      .map((r) => r.version)
+  );
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.version)) continue;
+    db.transaction(() => {
+      db.exec(migration.up);
+      db.prepare(
+        "INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)"
+      ).run(migration.version, migration.name, Date.now());
+    })();
+    console.log(
+      `[STORE] applied migration ${migration.version} (${migration.name})`
+    );
+  }
+}
+
+export function createSqliteStore(path) {
+  const db = new Database(path);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  runMigrations(db);
+
+  const stmts = {
+    getUser: db.prepare("SELECT * FROM users WHERE id = ?"),
+    insertUser: db.prepare(
+      "INSERT OR IGNORE INTO users (id, created_at) VALUES (?, ?)"
+    ),
+    listUsers: db.prepare("SELECT * FROM users"),
+    addUserXP: db.prepare("UPDATE users SET xp = xp + ? WHERE id = ?"),
+    addUserInfraction: db.prepare(
+      "UPDATE users SET infractions = infractions + 1 WHERE id = ?"
+    ),
+    getGuildXP: db.prepare(
+      "SELECT COALESCE(SUM(amount), 0) AS n FROM xp_transactions WHERE guild_id = ? AND user_id = ?"
+    ),
+    listGuildXP: db.prepare(
+      `SELECT user_id AS userId, SUM(amount) AS value FROM xp_transactions
+       WHERE guild_id = ? GROUP BY user_id`
+    ),
+    adoptLegacyXP: db.prepare(
+      "UPDATE xp_transactions SET guild_id = ? WHERE guild_id IS NULL"
+    ),
+    insertXP: db.prepare(
+      `INSERT INTO xp_transactions (user_id, guild_id, amount, reason, ref, created_at)
+       VALUES (@userId, @guildId, @amount, @reason, @ref, @createdAt)`
+    ),
+    insertInfraction: db.prepare(
+      `INSERT INTO infractions (user_id, guild_id, reason, session_id, voice_channel_id, action, created_at)
+       VALUES (@userId, @guildId, @reason, @sessionId, @voiceChannelId, @action, @createdAt)`
+    ),
+    getInfraction: db.prepare("SELECT * FROM infractions WHERE id = ?"),
+    listInfractions: db.prepare(
+      "SELECT * FROM infractions WHERE guild_id = ? AND user_id = ? ORDER BY created_at DESC"
+    ),
+    insertSession: db.prepare(
+      `INSERT INTO sessions (guild_id, voice_channel_id, notify_channel_id, message_id, trigger, status, started_at)
+       VALUES (@guildId, @voiceChannelId, @notifyChannelId, @messageId, @trigger, 'active', @startedAt)`
+    ),
+    getSession: db.prepare("SELECT * FROM sessions WHERE id = ?"),
+    listRoomSessions: db.prepare(
+      `SELECT * FROM sessions WHERE guild_id = ? AND voice_channel_id = ? AND started_at >= ? AND started_at < ?
+       ORDER BY started_at`
+    ),
+    listSessionsByStatus: db.prepare(
+      "SELECT * FROM sessions WHERE status = ? ORDER BY started_at"
+    ),
+    upsertAttendance: db.prepare(
+      `INSERT INTO attendance (session_id, guild_id, user_id, status, recorded_at)
+       VALUES (@sessionId, @guildId, @userId, @status, @recordedAt)
+       ON CONFLICT (session_id, user_id) DO UPDATE SET status = excluded.status, recorded_at = excluded.recorded_at`
+    ),
+    insertVoiceInterval: db.prepare(
+      `INSERT INTO voice_intervals (guild_id, user_id, voice_channel_id, started_at, credited_until)
+       VALUES (@guildId, @userId, @voiceChannelId, @startedAt, @startedAt)`
+    ),
+    listOpenVoiceIntervals: db.prepare(
+      "SELECT * FROM voice_intervals WHERE ended_at IS NULL ORDER BY started_at"
+    ),
+    getFocusDay: db.prepare(
+      "SELECT seconds, xp FROM focus_days WHERE guild_id = ? AND user_id = ? AND day = ?"
+    ),
+    addFocusDay: db.prepare(
+      `INSERT INTO focus_days (guild_id, user_id, day, seconds, xp) VALUES (@guildId, @userId, @day, @seconds, @xp)
+       ON CONFLICT (guild_id, user_id, day) DO UPDATE SET seconds = seconds + excluded.seconds, xp = xp + excluded.xp`
+    ),
+    insertCheckin: db.prepare(
+      `INSERT INTO checkins (guild_id, user_id, day, created_at)
+       VALUES (@guildId, @userId, @day, @createdAt)`
+    ),
+    countCheckins: db.prepare(
+      "SELECT COUNT(*) AS n FROM checkins WHERE guild_id = ? AND created_at >= ? AND created_at < ?"
+    ),
+    getMemberStreak: db.prepare(
+      "SELECT * FROM member_streaks WHERE guild_id = ? AND user_id = ?"
+    ),
+    insertMemberStreak: db.prepare(
+      "INSERT OR IGNORE INTO member_streaks (guild_id, user_id) VALUES (?, ?)"
+    ),
+    adoptLegacyStreaks: db.prepare(
+      `INSERT INTO member_streaks (guild_id, user_id, streak, longest_streak, last_checkin_date, streak_freezes)
+       SELECT COALESCE(
+           (SELECT guild_id FROM checkins WHERE user_id = u.id ORDER BY id DESC LIMIT 1), ?
+         ), u.id, u.streak, MAX(u.longest_streak, u.streak), u.last_checkin_date, u.streak_freezes
+       FROM users u
+       WHERE (u.streak > 0 OR u.longest_streak > 0 OR u.streak_freezes > 0)
+         AND NOT EXISTS (SELECT 1 FROM member_streaks m WHERE m.user_id = u.id)`
+    ),
+    listMemberStreaks: db.prepare(
+      "SELECT * FROM member_streaks WHERE guild_id = ? ORDER BY user_id"
+    ),
+    sumXPByUser: db.prepare(
+      `SELECT user_id AS userId, SUM(amount) AS value FROM xp_transactions
+       WHERE guild_id = ? AND amount > 0 AND created_at >= ? AND created_at < ?
+       GROUP BY user_id`
+    ),
+    sumFocusByUser: db.prepare(
+      `SELECT user_id AS userId, SUM(seconds) AS value FROM focus_days
+       WHERE guild_id = ? AND day >= ? AND day <= ? GROUP BY user_id`
+    ),
+    attendanceByUser: db.prepare(
+      `SELECT user_id AS userId, SUM(status = 'present') AS present, COUNT(*) AS total FROM attendance
+       WHERE guild_id = ? AND recorded_at >= ? AND recorded_at < ? GROUP BY user_id`
+    ),
+    listCheckinDays: db.prepare(
+      `SELECT DISTINCT user_id AS userId, day FROM checkins
+       WHERE guild_id = ? AND day >= ? AND day <= ? ORDER BY user_id, day`
+    ),
+    focusByRoom: db.prepare(
+      `SELECT voice_channel_id AS voiceChannelId, SUM(seconds) AS seconds FROM voice_intervals
+       WHERE guild_id = ? AND started_at >= ? AND started_at < ? GROUP BY voice_channel_id`
+    ),
+    sessionAttendance: db.prepare(
+      `SELECT s.id AS sessionId, s.voice_channel_id AS voiceChannelId, s.started_at AS startedAt,
+              SUM(a.status = 'present') AS present, COUNT(a.id) AS total
+       FROM sessions s JOIN attendance a ON a.session_id = s.id
+       WHERE s.guild_id = ? AND s.started_at >= ? AND s.started_at < ?
+       GROUP BY s.id ORDER BY s.started_at`
+    ),
+    listUserAttendance: db.prepare(
+      `SELECT s.id AS sessionId, s.voice_channel_id AS voiceChannelId, s.started_at AS startedAt,
+              s.ended_at AS endedAt, a.status AS status
+       FROM attendance a JOIN sessions s ON s.id = a.session_id
+       WHERE a.guild_id = ? AND a.user_id = ? AND s.started_at >= ? AND s.started_at < ?
+       ORDER BY s.started_at DESC, s.id DESC`
+    ),
+    firstFocusStarts: db.prepare(
+      `SELECT user_id AS userId, MIN(started_at) AS firstAt FROM voice_intervals
+       WHERE guild_id = ? GROUP BY user_id HAVING firstAt >= ? AND firstAt < ?`
+    ),
+    getGuildSettings: db.prepare(
+      "SELECT settings FROM guild_settings WHERE guild_id = ?"
+    ),
+    setGuildSettings: db.prepare(
+      `INSERT INTO guild_settings (guild_id, settings, updated_at) VALUES (?, ?, ?)
+       ON CONFLICT (guild_id) DO UPDATE SET settings = excluded.settings, updated_at = excluded.updated_at`
+    ),
+    insertSchedule: db.prepare(
+      `INSERT INTO schedules (guild_id, voice_channel_id, title, description, recurrence, starts_at,
+         announce_minutes, remind_minutes, create_event, created_by, created_at)
+       VALUES (@guildId, @voiceChannelId, @title, @description, @recurrence, @startsAt,
+         @announceMinutes, @remindMinutes, @createEvent, @createdBy, @createdAt)`
+    ),
+    getSchedule: db.prepare("SELECT * FROM schedules WHERE id = ?"),
+    listSchedulesByStatus: db.prepare(
+      "SELECT * FROM schedules WHERE status = ? ORDER BY starts_at"
+    ),
+    insertRsvp: db.prepare(
+      `INSERT OR IGNORE INTO schedule_rsvps (schedule_id, occurs_at, guild_id, user_id, created_at)
+       VALUES (@scheduleId, @occursAt, @guildId, @userId, @createdAt)`
+    ),
+    deleteRsvp: db.prepare(
+      "DELETE FROM schedule_rsvps WHERE schedule_id = ? AND occurs_at = ? AND user_id = ?"
+    ),
+    listRsvps: db.prepare(
+      "SELECT * FROM schedule_rsvps WHERE schedule_id = ? AND occurs_at = ? ORDER BY created_at"
+    ),
+    updateRsvp: db.prepare(
+      `UPDATE schedule_rsvps SET session_id = @sessionId, attended = @attended
+       WHERE schedule_id = @scheduleId AND occurs_at = @occursAt AND user_id = @userId`
+    ),
+    upsertGoal: db.prepare(
+      `INSERT INTO goals (guild_id, user_id, period, metric, target, created_at)
+       VALUES (@guildId, @userId, @period, @metric, @target, @createdAt)
+       ON CONFLICT (guild_id, user_id, period) DO UPDATE SET metric = excluded.metric, target = excluded.target`
+    ),
+    getGoalId: db.prepare(
+      "SELECT id FROM goals WHERE guild_id = ? AND user_id = ? AND period = ?"
+    ),
+    listGoals: db.prepare(
+      "SELECT * FROM goals WHERE guild_id = ? AND user_id = ? ORDER BY period"
+    ),
+    listAllGoals: db.prepare("SELECT * FROM goals ORDER BY id"),
+    deleteGoal: db.prepare("DELETE FROM goals WHERE id = ?"),
+    upsertGoalResult: db.prepare(
+      `INSERT INTO goal_results (guild_id, user_id, period, period_key, metric, target, progress, completed, xp, recorded_at)
+       VALUES (@guildId, @userId, @period, @periodKey, @metric, @target, @progress, @completed, @xp, @recordedAt)
+       ON CONFLICT (guild_id, user_id, period, period_key) DO UPDATE SET
+         metric = excluded.metric, target = excluded.target, progress = excluded.progress,
+         completed = excluded.completed, xp = excluded.xp, recorded_at = excluded.recorded_at`
+    ),
+    listGoalResults: db.prepare(
+      `SELECT * FROM goal_results WHERE guild_id = ? AND user_id = ?
+       ORDER BY recorded_at DESC, id DESC LIMIT ?`
+    ),
+    userFocusSeconds: db.prepare(
+      `SELECT COALESCE(SUM(seconds), 0) AS n FROM focus_days
+       WHERE guild_id = ? AND user_id = ? AND day >= ? AND day <= ?`
+    ),
+    userPresentCount: db.prepare(
+      `SELECT COUNT(*) AS n FROM attendance WHERE guild_id = ? AND user_id = ?
+       AND status = 'present' AND recorded_at >= ? AND recorded_at < ?`
+    ),
+    joinBuddyPool: db.prepare(
+      "INSERT OR IGNORE INTO buddy_pool (guild_id, user_id, joined_at) VALUES (?, ?, ?)"
+    ),
+    leaveBuddyPool: db.prepare(
+      "DELETE FROM buddy_pool WHERE guild_id = ? AND user_id = ?"
+    ),
+    listBuddyPool: db.prepare(
+      `SELECT user_id AS userId, joined_at AS joinedAt FROM buddy_pool
+       WHERE guild_id = ? ORDER BY joined_at`
+    ),
+    listUserVoiceIntervals: db.prepare(
+      `SELECT started_at AS startedAt, credited_until AS creditedUntil, ended_at AS endedAt
+       FROM voice_intervals WHERE guild_id = ? AND user_id = ? AND started_at >= ? ORDER BY started_at`
+    ),
+    insertBuddyPair: db.prepare(
+      `INSERT INTO buddy_pairs (guild_id, user_a, user_b, created_at)
+       VALUES (@guildId, @userA, @userB, @createdAt)`
+    ),
+    listBuddyPairs: db.prepare(
+      `SELECT * FROM buddy_pairs WHERE guild_id = ? AND (user_a = ? OR user_b = ?)
+       ORDER BY created_at DESC, id DESC`
+    ),
+    listBuddyPairsByStatus: db.prepare(
+      "SELECT * FROM buddy_pairs WHERE status = ? ORDER BY id"
+    ),
+    insertTask: db.prepare(
+      `INSERT INTO tasks (guild_id, user_id, title, created_at)
+       VALUES (@guildId, @userId, @title, @createdAt)`
+    ),
+    getTask: db.prepare("SELECT * FROM tasks WHERE id = ?"),
+    deleteTask: db.prepare("DELETE FROM tasks WHERE id = ?"),
+    deleteTaskPicks: db.prepare("DELETE FROM session_tasks WHERE task_id = ?"),
+    listTasks: db.prepare(
+      "SELECT * FROM tasks WHERE guild_id = ? AND user_id = ? AND status = ? ORDER BY id"
+    ),
+    listDoneTasks: db.prepare(
+      `SELECT * FROM tasks WHERE guild_id = ? AND user_id = ? AND status = 'done' AND done_day >= ?
+       ORDER BY done_at DESC, id DESC`
+    ),
+    clearSessionTasks: db.prepare(
+      "DELETE FROM session_tasks WHERE session_id = ? AND user_id = ?"
+    ),
+    insertSessionTask: db.prepare(
+      "INSERT OR IGNORE INTO session_tasks (session_id, task_id, user_id) VALUES (?, ?, ?)"
+    ),
+    listSessionTasks: db.prepare(
+      `SELECT task_id AS taskId, user_id AS userId FROM session_tasks
+       WHERE session_id = ? ORDER BY user_id, task_id`
+    ),
+    getMeta: db.prepare("SELECT value FROM meta WHERE key = ?"),
+    setMeta: db.prepare(
+      "INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value"
+    ),
+  };
+
+  const store = {
+    driver: "sqlite",
+    db,
+
+    transaction(fn) {
+      return db.transaction(fn)();
+    },
+
+    getUser(id) {
+      return fromRow(USER_COLUMNS, stmts.getUser.get(id));
+    },
+    ensureUser(id) {
+      stmts.insertUser.run(id, Date.now());
+      return store.getUser(id);
+    },
+    updateUser(id, patch) {
+      store.ensureUser(id);
+      updateById(db, "users", USER_COLUMNS, id, patch);
+      return store.getUser(id);
+    },
+    listUsers() {
+      return stmts.listUsers.all().map((r) => fromRow(USER_COLUMNS, r));
+    },
+
+    addXP({ userId, guildId = null, amount, reason, ref = null }) {
+      return store.transaction(() => {
+        store.ensureUser(userId);
+        stmts.addUserXP.run(amount, userId);
+        stmts.insertXP.run({
+          userId,
+          guildId,
+          amount,
+          reason,
+          ref: ref === null ? null : String(ref),
+          createdAt: Date.now(),
+        });
+        return store.getUser(userId);
+      });
+    },
+    getGuildXP(guildId, userId) {
+      return stmts.getGuildXP.get(guildId, userId).n;
+    },
+    listGuildXP(guildId) {
+      return stmts.listGuildXP.all(guildId);
+    },
+    adoptLegacyData(guildId) {
+      return store.transaction(() => ({
+        xp: stmts.adoptLegacyXP.run(guildId).changes,
+        streaks: stmts.adoptLegacyStreaks.run(guildId).changes,
+      }));
+    },
+
+    addInfraction({
+      userId,
+      guildId = null,
+      reason,
+      sessionId = null,
+      voiceChannelId = null,
+      action = null,
+    }) {
+      return store.transaction(() => {
+        store.ensureUser(userId);
+        stmts.addUserInfraction.run(userId);
+        const record = {
+          userId,
+          guildId,
+          reason,
+          sessionId,
+          voiceChannelId,
+          action,
+          createdAt: Date.now(),
+        };
+        const info = stmts.insertInfraction.run(record);
+        return store.getInfraction(Number(info.lastInsertRowid));
+      });
+    },
+    getInfraction(id) {
+      return fromRow(INFRACTION_COLUMNS, stmts.getInfraction.get(id));
+    },
+    listInfractions(guildId, userId) {
+      return stmts.listInfractions
+        .all(guildId, userId)
+        .map((r) => fromRow(INFRACTION_COLUMNS, r));
+    },
+    updateInfraction(id, patch) {
+      updateById(db, "infractions", INFRACTION_COLUMNS, id, patch);
+    },
+
+    createSession({
+      guildId,
+      voiceChannelId,
+      notifyChannelId = null,
+      messageId = null,
+      trigger = null,
+      startedAt = Date.now(),
+    }) {
+      const info = stmts.insertSession.run({
+        guildId,
+        voiceChannelId,
+        notifyChannelId,
+        messageId,
+        trigger,
+        startedAt,
+      });
+      return Number(info.lastInsertRowid);
+    },
+    getSession(id) {
+      return fromRow(SESSION_COLUMNS, stmts.getSession.get(id));
+    },
+    updateSession(id, patch) {
+      updateById(db, "sessions", SESSION_COLUMNS, id, patch);
+    },
+    listSessionsByStatus(status) {
+      return stmts.listSessionsByStatus
+        .all(status)
+        .map((r) => fromRow(SESSION_COLUMNS, r));
+    },
+    listRoomSessions(guildId, voiceChannelId, from, to) {
+      return stmts.listRoomSessions
+        .all(guildId, voiceChannelId, from, to)
+        .map((r) => fromRow(SESSION_COLUMNS, r));
+    },
+
+    recordAttendance({ sessionId, guildId, userId, status }) {
+      stmts.upsertAttendance.run({
+        sessionId,
+        guildId,
+        userId,
+        status,
+        recordedAt: Date.now(),
+      });
+    },
+
+    openVoiceInterval({ guildId, userId, voiceChannelId, startedAt }) {
+      const info = stmts.insertVoiceInterval.run({
+        guildId,
+        userId,
+        voiceChannelId,
+        startedAt,
+      });
+      return Number(info.lastInsertRowid);
+    },
+    updateVoiceInterval(id, patch) {
+      updateById(db, "voice_intervals", VOICE_INTERVAL_COLUMNS, id, patch);
+    },
+    listOpenVoiceIntervals() {
+      return stmts.listOpenVoiceIntervals
+        .all()
+        .map((r) => fromRow(VOICE_INTERVAL_COLUMNS, r));
+    },
+    getFocusDay(guildId, userId, day) {
+      return stmts.getFocusDay.get(guildId, userId, day) || null;
+    },
+    addFocusDay({ guildId, userId, day, seconds = 0, xp = 0 }) {
+      stmts.addFocusDay.run({ guildId, userId, day, seconds, xp });
+    },
+
+    addCheckin({ guildId, userId, day, createdAt = Date.now() }) {
+      stmts.insertCheckin.run({ guildId, userId, day, createdAt });
+    },
+    countCheckins(guildId, from, to) {
+      return stmts.countCheckins.get(guildId, from, to).n;
+    },
+    getMemberStreak(guildId, userId) {
+      return fromRow(
+        MEMBER_STREAK_COLUMNS,
+        stmts.getMemberStreak.get(guildId, userId)
+      );
+    },
+    updateMemberStreak(guildId, userId, patch) {
+      stmts.insertMemberStreak.run(guildId, userId);
+      const row = toRow(MEMBER_STREAK_COLUMNS, patch);
+      const keys = Object.keys(row);
+      if (keys.length) {
+        db.prepare(
+          `UPDATE member_streaks SET ${keys
+            .map((k) => `${k} = @${k}`)
+            .join(", ")} WHERE guild_id = @guildId AND user_id = @userId`
+        ).run({ ...row, guildId, userId });
+      }
+      return store.getMemberStreak(guildId, userId);
+    },
+    listMemberStreaks(guildId) {
+      return stmts.listMemberStreaks
+        .all(guildId)
+        .map((r) => fromRow(MEMBER_STREAK_COLUMNS, r));
+    },
+
+    sumXPByUser(guildId, from, to) {
+      return stmts.sumXPByUser.all(guildId, from, to);
+    },
+    sumFocusByUser(guildId, fromDay, toDay) {
+      return stmts.sumFocusByUser.all(guildId, fromDay, toDay);
+    },
+    attendanceByUser(guildId, from, to) {
+      return stmts.attendanceByUser.all(guildId, from, to);
+    },
+    listCheckinDays(guildId, fromDay, toDay) {
+      return stmts.listCheckinDays.all(guildId, fromDay, toDay);
+    },
+
+    focusByRoom(guildId, from, to) {
+      return stmts.focusByRoom.all(guildId, from, to);
+    },
+    sessionAttendance(guildId, from, to) {
+      return stmts.sessionAttendance.all(guildId, from, to);
+    },
+    listUserAttendance(guildId, userId, from, to) {
+      return stmts.listUserAttendance.all(guildId, userId, from, to);
+    },
+    listNewFocusMembers(guildId, from, to) {
+      return stmts.firstFocusStarts.all(guildId, from, to);
+    },
+
+    createSchedule({
+      guildId,
+      voiceChannelId,
+      title,
+      description = null,
+      recurrence = null,
+      startsAt,
+      announceMinutes,
+      remindMinutes,
+      createEvent = 0,
+      createdBy = null,
+    }) {
+      const info = stmts.insertSchedule.run({
+        guildId,
+        voiceChannelId,
+        title,
+        description,
+        recurrence: JSON.stringify(recurrence),
+        startsAt,
+        announceMinutes,
+        remindMinutes,
+        createEvent,
+        createdBy,
+        createdAt: Date.now(),
+      });
+      return Number(info.lastInsertRowid);
+    },
+    getSchedule(id) {
+      return fromRow(SCHEDULE_COLUMNS, stmts.getSchedule.get(id));
+    },
+    updateSchedule(id, patch) {
+      updateById(db, "schedules", SCHEDULE_COLUMNS, id, patch);
+    },
+    listSchedulesByStatus(status) {
+      return stmts.listSchedulesByStatus
+        .all(status)
+        .map((r) => fromRow(SCHEDULE_COLUMNS, r));
+    },
+
+    addRsvp({ scheduleId, occursAt, guildId, userId }) {
+      const info = stmts.insertRsvp.run({
+        scheduleId,
+        occursAt,
+        guildId,
+        userId,
+        createdAt: Date.now(),
+      });
+      return info.changes > 0;
+    },
+    removeRsvp(scheduleId, occursAt, userId) {
+      return stmts.deleteRsvp.run(scheduleId, occursAt, userId).changes > 0;
+    },
+    listRsvps(scheduleId, occursAt) {
+      return stmts.listRsvps
+        .all(scheduleId, occursAt)
+        .map((r) => fromRow(RSVP_COLUMNS, r));
+    },
+    updateRsvp({ scheduleId, occursAt, userId, sessionId = null, attended }) {
+      stmts.updateRsvp.run({
+        scheduleId,
+        occursAt,
+        userId,
+        sessionId,
+        attended,
+      });
+    },
+
+    setGoal({ guildId, userId, period, metric, target }) {
+      stmts.upsertGoal.run({
+        guildId,
+        userId,
+        period,
+        metric,
+        target,
+        createdAt: Date.now(),
+      });
+      return stmts.getGoalId.get(guildId, userId, period).id;
+    },
+    listGoals(guildId, userId) {
+      return stmts.listGoals
+        .all(guildId, userId)
+        .map((r) => fromRow(GOAL_COLUMNS, r));
+    },
+    listAllGoals() {
+      return stmts.listAllGoals.all().map((r) => fromRow(GOAL_COLUMNS, r));
+    },
+    updateGoal(id, patch) {
+      updateById(db, "goals", GOAL_COLUMNS, id, patch);
+    },
+    deleteGoal(id) {
+      stmts.deleteGoal.run(id);
+    },
+    addGoalResult({
+      guildId,
+      userId,
+      period,
+      periodKey,
+      metric,
+      target,
+      progress,
+      completed,
+      xp = 0,
+    }) {
+      stmts.upsertGoalResult.run({
+        guildId,
+        userId,
+        period,
+        periodKey,
+        metric,
+        target,
+        progress,
+        completed,
+        xp,
+        recordedAt: Date.now(),
+      });
+    },
+    listGoalResults(guildId, userId, limit) {
+      return stmts.listGoalResults
+        .all(guildId, userId, limit)
+        .map((r) => fromRow(GOAL_RESULT_COLUMNS, r));
+    },
+    userFocusSeconds(guildId, userId, fromDay, toDay) {
+      return stmts.userFocusSeconds.get(guildId, userId, fromDay, toDay).n;
+    },
+    userPresentCount(guildId, userId, from, to) {
+      return stmts.userPresentCount.get(guildId, userId, from, to).n;
+    },
+
+    joinBuddyPool({ guildId, userId }) {
+      return stmts.joinBuddyPool.run(guildId, userId, Date.now()).changes > 0;
+    },
+    leaveBuddyPool(guildId, userId) {
+      return stmts.leaveBuddyPool.run(guildId, userId).changes > 0;
+    },
+    listBuddyPool(guildId) {
+      return stmts.listBuddyPool.all(guildId);
+    },
+    listUserVoiceIntervals(guildId, userId, from) {
+      return stmts.listUserVoiceIntervals.all(guildId, userId, from);
+    },
+    createBuddyPair({ guildId, userA, userB }) {
+      const info = stmts.insertBuddyPair.run({
+        guildId,
+        userA,
+        userB,
+        createdAt: Date.now(),
+      });
+      return Number(info.lastInsertRowid);
+    },
+    updateBuddyPair(id, patch) {
+      updateById(db, "buddy_pairs", BUDDY_PAIR_COLUMNS, id, patch);
+    },
+    listBuddyPairs(guildId, userId) {
+      return stmts.listBuddyPairs
+        .all(guildId, userId, userId)
+        .map((r) => fromRow(BUDDY_PAIR_COLUMNS, r));
+    },
+    listBuddyPairsByStatus(status) {
+      return stmts.listBuddyPairsByStatus
+        .all(status)
+        .map((r) => fromRow(BUDDY_PAIR_COLUMNS, r));
+    },
+
+    createTask({ guildId, userId, title }) {
+      const info = stmts.insertTask.run({
+        guildId,
+        userId,
+        title,
+        createdAt: Date.now(),
+      });
+      return Number(info.lastInsertRowid);
+    },
+    getTask(id) {
+      return fromRow(TASK_COLUMNS, stmts.getTask.get(id));
+    },
+    updateTask(id, patch) {
+      updateById(db, "tasks", TASK_COLUMNS, id, patch);
+    },
+    deleteTask(id) {
+      store.transaction(() => {
+        stmts.deleteTaskPicks.run(id);
+        stmts.deleteTask.run(id);
+      });
+    },
+    listTasks(guildId, userId, status) {
+      return stmts.listTasks
+        .all(guildId, userId, status)
+        .map((r) => fromRow(TASK_COLUMNS, r));
+    },
+    listDoneTasks(guildId, userId, fromDay) {
+      return stmts.listDoneTasks
+        .all(guildId, userId, fromDay)
+        .map((r) => fromRow(TASK_COLUMNS, r));
+    },
+    // replaces the member's picks for the session ([] clears them)
+    setSessionTasks(sessionId, userId, taskIds) {
+      store.transaction(() => {
+        stmts.clearSessionTasks.run(sessionId, userId);
+        for (const taskId of taskIds)
+          stmts.insertSessionTask.run(sessionId, taskId, userId);
+      });
+    },
+    listSessionTasks(sessionId) {
+      return stmts.listSessionTasks.all(sessionId);
+    },
+
+    getGuildSettings(guildId) {
+      const row = stmts.getGuildSettings.get(guildId);
+      return row ? JSON.parse(row.settings) : null;
+    },
+    setGuildSettings(guildId, settings) {
+      stmts.setGuildSettings.run(guildId, JSON.stringify(settings), Date.now());
+    },
+
+    getMeta(key) {
+      const row = stmts.getMeta.get(key);
+      return row ? JSON.parse(row.value) : null;
+    },
+    setMeta(key, value) {
+      stmts.setMeta.run(key, JSON.stringify(value));
+    },
+
+    // every write is already durable; kept for interface parity with the JSON backend
+    flush() {},
+    close() {
+      db.close();
+    },
+  };
+  return store;
+}
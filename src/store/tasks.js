@@ -0,0 +1,40 @@
+// src/store/tasks.js — members' task lists and the tasks they picked for a focus session
+import { store } from "./index.js";
+
+export function createTask(record) {
+  return store.createTask(record);
+}
+
+export function getTask(id) {
+  return store.getTask(id);
+}
+
+// patch: { title, status, doneAt, doneDay, sessionId, xp }
+export function updateTask(id, patch) {
+  store.updateTask(id, patch);
+}
+
+// also drops the task from any session picks
+export function deleteTask(id) {
+  store.deleteTask(id);
+}
+
+// status: "open" | "done"; oldest first
+export function listTasks(guildId, userId, status = "open") {
+  return store.listTasks(guildId, userId, status);
+}
+
+// tasks completed on fromDay or later (the member's days), latest first
+export function listDoneTasks(guildId, userId, fromDay) {
+  return store.listDoneTasks(guildId, userId, fromDay);
+}
+
+// replaces the member's picks for the session ([] clears them)
+export function setSessionTasks(sessionId, userId, taskIds) {
+  store.setSessionTasks(sessionId, userId, taskIds);
+}
+
+// [{ taskId, userId }] of every member
+export function listSessionTasks(sessionId) {
+  return store.listSessionTasks(sessionId);
+}
@@ -0,0 +1,61 @@
+// src/store/users.js — per-user XP, streak and infraction records
+import { EventEmitter } from "events";
+import { store } from "./index.js";
+
+const xpChanges = new EventEmitter();
+
+export function getUser(id) {
+  return store.getUser(id);
+}
+
+export function ensureUser(id) {
+  return store.ensureUser(id);
+}
+
+export function updateUser(id, patch) {
+  return store.updateUser(id, patch);
+}
+
+export function listUsers() {
+  return store.listUsers();
+}
+
+// a member's XP in one guild (earned there, minus what was spent there)
+export function getGuildXP(guildId, userId) {
+  return store.getGuildXP(guildId, userId);
+}
+
+// [{ userId, value }] — every member's XP in the guild
+export function listGuildXP(guildId) {
+  return store.listGuildXP(guildId);
+}
+
+// details: { guildId, reason, ref } — kept as an XP transaction
+export function addXP(userId, amount, details = {}) {
+  const guildId = details.guildId || null;
+  const xpNow = () =>
+    guildId
+      ? store.getGuildXP(guildId, userId)
+      : store.getUser(userId)?.xp || 0;
+  const before = xpNow();
+  const user = store.addXP({ reason: "other", ...details, userId, amount });
+  xpChanges.emit("change", {
+    userId,
+    guildId,
+    reason: details.reason || "other",
+    before,
+    after: xpNow(),
+  });
+  return user;
+}
+
+// listener({ userId, guildId, reason, before, after }) runs after every addXP;
+// before / after are the member's XP in that guild
+export function onXPChange(listener) {
+  xpChanges.on("change", listener);
+}
+
+// details: { guildId, reason, sessionId, voiceChannelId, action }
+export function addInfraction(userId, details = {}) {
+  return store.addInfraction({ reason: "other", ...details, userId });
+}
@@ -0,0 +1,24 @@
+// src/store/voiceTime.js — time spent in focus rooms (open intervals + per-day totals)
+import { store } from "./index.js";
+
+export function openVoiceInterval(interval) {
+  return store.openVoiceInterval(interval);
+}
+
+// patch: { creditedUntil, endedAt, seconds, xp }
+export function updateVoiceInterval(id, patch) {
+  store.updateVoiceInterval(id, patch);
+}
+
+export function listOpenVoiceIntervals() {
+  return store.listOpenVoiceIntervals();
+}
+
+// { seconds, xp } focused on `day` (YYYY-MM-DD), zeros when nothing was recorded
+export function getFocusDay(guildId, userId, day) {
+  return store.getFocusDay(guildId, userId, day) || { seconds: 0, xp: 0 };
+}
+
+export function addFocusDay(totals) {
+  store.addFocusDay(totals);
+}
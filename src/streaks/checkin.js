@@ -0,0 +1,197 @@
+// src/streaks/checkin.js — daily check-ins: streaks, freeze tokens and the reminder panel
+import { EventEmitter } from "events";
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from "discord.js";
+import { store } from "../store/index.js";
+import {
+  addCheckin,
+  countCheckins,
+  getMemberStreak,
+  updateMemberStreak,
+} from "../store/checkins.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import { addXP, getGuildXP } from "../store/users.js";
+import { dayKey, nextMidnight, timeZoneFor, zonedTime } from "../timezones.js";
+
+export const CHECKIN_PREFIX = "checkin_";
+const CHECKIN_BUTTON_ID = `${CHECKIN_PREFIX}button`;
+// guildId -> pending panel refresh (clicks are batched into one edit)
+const pendingRefresh = new Map();
+const REFRESH_DELAY_MS = 2000;
+const checkins = new EventEmitter();
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+}
+
+// Records today's check-in in the guild (in the member's time zone). Each guild keeps
+// its own streak. Missed days are covered by freeze tokens when the member holds
+// enough of them; otherwise the streak restarts.
+// returns { already, streak, longest, freezesUsed, freezeEarned, freezes, reward }
+export function recordCheckin(guildId, userId) {
+  const today = dayKey(Date.now(), timeZoneFor(guildId, userId));
+  const { streaks, xp } = getGuildSettings(guildId);
+  const result = store.transaction(() => {
+    const s = getMemberStreak(guildId, userId) || {};
+    // (a later date only happens after switching to a zone that is behind)
+    if (s.lastCheckinDate && s.lastCheckinDate >= today) {
+      return {
+        already: true,
+        streak: s.streak || 0,
+        longest: Math.max(s.longestStreak || 0, s.streak || 0),
+        freezes: s.streakFreezes || 0,
+      };
+    }
+
+    let freezes = s.streakFreezes || 0;
+    let freezesUsed = 0;
+    let streak = 1;
+    if (s.lastCheckinDate) {
+      const missed = daysBetween(s.lastCheckinDate, today) - 1;
+      if (missed === 0) streak = (s.streak || 0) + 1;
+      else if (missed <= freezes) {
+        freezesUsed = missed;
+        freezes -= missed;
+        streak = (s.streak || 0) + 1;
+      }
+    }
+    let freezeEarned = false;
+    if (
+      streaks.freezeEvery > 0 &&
+      streak % streaks.freezeEvery === 0 &&
+      freezes < streaks.maxFreezes
+    ) {
+      freezes++;
+      freezeEarned = true;
+    }
+    const longest = Math.max(s.longestStreak || 0, streak);
+    updateMemberStreak(guildId, userId, {
+      streak,
+      longestStreak: longest,
+      lastCheckinDate: today,
+      streakFreezes: freezes,
+    });
+    addCheckin({ guildId, userId, day: today });
+    if (xp.checkin > 0) {
+      addXP(userId, xp.checkin, { guildId, reason: "checkin" });
+    }
+    return {
+      already: false,
+      streak,
+      longest,
+      freezesUsed,
+      freezeEarned,
+      freezes,
+      reward: xp.checkin,
+    };
+  });
+  if (!result.already) checkins.emit("checkin", { guildId, userId, ...result });
+  return result;
+}
+
+// listener({ guildId, userId, streak, ... }) runs after every new check-in
+export function onCheckin(listener) {
+  checkins.on("checkin", listener);
+}
+
+// the reply shown after a check-in (command or button)
+export function checkinMessage(result) {
+  if (result.already) return "✅ أنت سجلت حضورك لهذا اليوم بالفعل.";
+  let text = `✅ تم تسجيل حضورك. ستريك الحالي: **${result.streak}** يوم.`;
+  if (result.reward > 0) text += ` (+${result.reward} XP)`;
+  if (result.freezesUsed > 0)
+    text += `\n🧊 استعملنا ${result.freezesUsed} Streak Freeze باش ما يضيعش الستريك ديالك.`;
+  if (result.freezeEarned)
+    text += `\n🎁 ربحتي Streak Freeze! (عندك دابا ${result.freezes})`;
+  if (result.streak === result.longest && result.streak > 1)
+    text += "\n🏆 هادا أطول ستريك عندك!";
+  return text;
+}
+
+// Spends XP on a freeze token for the guild's streak; returns { error } or { freezes, cost }
+export function buyStreakFreeze(guildId, userId) {
+  const { streaks } = getGuildSettings(guildId);
+  return store.transaction(() => {
+    const xp = getGuildXP(guildId, userId);
+    const freezes = getMemberStreak(guildId, userId)?.streakFreezes || 0;
+    if (freezes >= streaks.maxFreezes)
+      return {
+        error: `عندك ${freezes} Streak Freeze، وهادا هو الماكسيموم.`,
+      };
+    if (xp < streaks.freezeCost)
+      return {
+        error: `خاصك **${streaks.freezeCost} XP** باش تشري Streak Freeze (عندك ${
+          xp
+        }).`,
+      };
+    addXP(userId, -streaks.freezeCost, { guildId, reason: "streak_freeze" });
+    updateMemberStreak(guildId, userId, { streakFreezes: freezes + 1 });
+    return { freezes: freezes + 1, cost: streaks.freezeCost };
+  });
+}
+
+// --- reminder panel (Check-in button + live counter)
+
+// check-ins recorded in the guild since midnight in its time zone
+export function countTodaysCheckins(guildId) {
+  const { timezone } = getGuildSettings(guildId);
+  const now = Date.now();
+  const from = zonedTime(dayKey(now, timezone), 0, 0, timezone);
+  return countCheckins(guildId, from, nextMidnight(now, timezone));
+}
+
+export function checkinPanel(count) {
+  const button = new ButtonBuilder()
+    .setCustomId(CHECKIN_BUTTON_ID)
+    .setLabel("✅ Check-in")
+    .setStyle(ButtonStyle.Success);
+  return {
+    content: `📅 **Daily Check-in** — اضغط الزر (ولا \`/checkin\`) لتسجل حضورك اليومي!\n👥 سجلو اليوم: **${count}**`,
+    components: [new ActionRowBuilder().addComponents(button)],
+  };
+}
+
+const panelsKey = (guildId) => `checkinPanels:${guildId}`;
+
+// remembers today's reminder messages so the counter can be edited in place
+export function saveCheckinPanels(guildId, day, messages) {
+  store.setMeta(panelsKey(guildId), {
+    day,
+    messages: messages.map((m) => ({
+      channelId: m.channelId,
+      messageId: m.id,
+    })),
+  });
+}
+
+async function editPanels(guild) {
+  const saved = store.getMeta(panelsKey(guild.id));
+  const { timezone } = getGuildSettings(guild.id);
+  // yesterday's reminder keeps yesterday's count
+  if (!saved || saved.day !== dayKey(Date.now(), timezone)) return;
+  const payload = checkinPanel(countTodaysCheckins(guild.id));
+  for (const { channelId, messageId } of saved.messages) {
+    const ch = guild.channels.cache.get(channelId);
+    if (!ch || !ch.isTextBased()) continue;
+    const msg = await ch.messages.fetch(messageId).catch(() => null);
+    if (msg) await msg.edit(payload).catch(() => {});
+  }
+}
+
+// updates the counter shortly after a check-in (several clicks become one edit)
+export function refreshCheckinPanels(guild) {
+  if (pendingRefresh.has(guild.id)) return;
+  pendingRefresh.set(
+    guild.id,
+    setTimeout(() => {
+      pendingRefresh.delete(guild.id);
+      editPanels(guild).catch((e) =>
+        console.error("[CHECKIN] failed to refresh panel", e)
+      );
+    }, REFRESH_DELAY_MS)
+  );
+}
+
+export function clearCheckinTimers() {
+  for (const [, t] of pendingRefresh) clearTimeout(t);
+  pendingRefresh.clear();
+}
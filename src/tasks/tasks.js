@@ -0,0 +1,145 @@
+// src/tasks/tasks.js — per-member task lists: picking tasks for a focus session, reporting
+// them done when it ends (bonus XP) and the per-day history
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+} from "discord.js";
+import { logDebug } from "../logger.js";
+import { onSessionEnd } from "../focus/sessions.js";
+import { store } from "../store/index.js";
+import { getGuildSettings } from "../store/guildSettings.js";
+import {
+  listDoneTasks,
+  listSessionTasks,
+  setSessionTasks,
+  updateTask,
+} from "../store/tasks.js";
+import { addXP } from "../store/users.js";
+import { addDays, dayKey, timeZoneFor } from "../timezones.js";
+
+export const TASKS_PREFIX = "tasks_";
+// a select menu holds at most 25 options
+export const MAX_OPEN_TASKS = 25;
+export const MAX_TITLE_LENGTH = 100;
+
+// the Present message's button opening the member's task picker
+export function tasksButton(vcId) {
+  return new ButtonBuilder()
+    .setCustomId(`${TASKS_PREFIX}open_${vcId}`)
+    .setLabel("📝 Tasks")
+    .setStyle(ButtonStyle.Secondary);
+}
+
+function taskOptions(tasks, selected = []) {
+  return tasks.map((t) => ({
+    label: t.title.slice(0, 100),
+    value: String(t.id),
+    default: selected.includes(t.id),
+  }));
+}
+
+// the ephemeral picker: up to `max` of the member's open tasks for this session
+export function pickMenu(session, tasks, picked, max) {
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(
+      `${TASKS_PREFIX}pick_${session.voiceChannelId}_${session.sessionId}`
+    )
+    .setPlaceholder("Pick your tasks for this session")
+    .setMinValues(0)
+    .setMaxValues(Math.min(max, tasks.length))
+    .addOptions(taskOptions(tasks, picked));
+  return {
+    content: `📝 Pick up to ${max} tasks to work on this session. When it ends you'll be asked which ones you finished.`,
+    components: [new ActionRowBuilder().addComponents(menu)],
+  };
+}
+
+// the ephemeral report: which of the picked tasks got finished
+export function reportMenu(sessionId, tasks) {
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`${TASKS_PREFIX}done_${sessionId}`)
+    .setPlaceholder("What did you finish?")
+    .setMinValues(1)
+    .setMaxValues(tasks.length + 1)
+    .addOptions(...taskOptions(tasks), {
+      label: "None of them",
+      value: "none",
+    });
+  return {
+    content: "✅ Pick the tasks you finished this session:",
+    components: [new ActionRowBuilder().addComponents(menu)],
+  };
+}
+
+// Marks the tasks done on the member's today; tasks reported after a session pay the
+// guild's task XP each. Returns the XP awarded.
+export function completeTasks(guildId, userId, tasks, sessionId = null) {
+  const now = Date.now();
+  const doneDay = dayKey(now, timeZoneFor(guildId, userId));
+  const xp = sessionId ? getGuildSettings(guildId).tasks.xp : 0;
+  store.transaction(() => {
+    for (const task of tasks) {
+      updateTask(task.id, {
+        status: "done",
+        doneAt: now,
+        doneDay,
+        sessionId,
+        xp,
+      });
+      if (xp > 0) addXP(userId, xp, { guildId, reason: "task", ref: task.id });
+    }
+  });
+  logDebug(
+    `[TASKS] ${userId} finished ${tasks.length} task(s) in ${guildId} (+${
+      xp * tasks.length
+    } XP)`
+  );
+  return xp * tasks.length;
+}
+
+// completed tasks of the last `days` days (the member's today included), latest day first
+export function tasksByDay(guildId, userId, days) {
+  const today = dayKey(Date.now(), timeZoneFor(guildId, userId));
+  const byDay = new Map();
+  for (const task of listDoneTasks(guildId, userId, addDays(today, 1 - days))) {
+    if (!byDay.has(task.doneDay)) byDay.set(task.doneDay, []);
+    byDay.get(task.doneDay).push(task);
+  }
+  return [...byDay].map(([day, tasks]) => ({ day, tasks }));
+}
+
+// When a session ends, members who were present and picked tasks are asked which they
+// finished; picks of the others are dropped
+export function watchTasks(client) {
+  onSessionEnd(async (session, status, attendance) => {
+    if (!session.sessionId) return;
+    const picks = listSessionTasks(session.sessionId);
+    if (!picks.length) return;
+    const present = new Set(
+      attendance.filter((a) => a.status === "present").map((a) => a.userId)
+    );
+    const asked = [];
+    for (const userId of new Set(picks.map((p) => p.userId))) {
+      if (present.has(userId)) asked.push(userId);
+      else setSessionTasks(session.sessionId, userId, []);
+    }
+    if (!asked.length) return;
+    const ch = client.channels.cache.get(session.notifyChannelId);
+    if (!ch || !ch.isTextBased()) return;
+    const button = new ButtonBuilder()
+      .setCustomId(`${TASKS_PREFIX}report_${session.sessionId}`)
+      .setLabel("✅ Report finished tasks")
+      .setStyle(ButtonStyle.Success);
+    await ch
+      .send({
+        content: `📝 The session in <#${session.voiceChannelId}> ended — ${asked
+          .map((id) => `<@${id}>`)
+          .join(" ")}, which of your tasks did you finish?`,
+        components: [new ActionRowBuilder().addComponents(button)],
+        allowedMentions: { users: asked },
+      })
+      .catch(() => {});
+  });
+}
@@ -0,0 +1,109 @@
+// src/timezones.js — calendar days and wall-clock times in IANA time zones (Intl only)
+import { getGuildSettings } from "./store/guildSettings.js";
+import { getUser } from "./store/users.js";
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function zonedParts(ts, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(ts)) {
+    parts[type] = value;
+  }
+  return parts;
+}
+
+// "YYYY-MM-DD" of `ts` in the time zone
+export function dayKey(ts, timeZone) {
+  const p = zonedParts(ts, timeZone);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+export function addDays(day, n) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// 0 = Sunday … 6 = Saturday
+export function weekdayOf(day) {
+  return new Date(`${day}T00:00:00Z`).getUTCDay();
+}
+
+// milliseconds the zone is ahead of UTC at `ts`
+function zoneOffset(ts, timeZone) {
+  const p = zonedParts(ts, timeZone);
+  const asUtc = Date.UTC(
+    Number(p.year),
+    Number(p.month) - 1,
+    Number(p.day),
+    Number(p.hour),
+    Number(p.minute),
+    Number(p.second)
+  );
+  return asUtc - Math.floor(ts / 1000) * 1000;
+}
+
+// minutes the zone is ahead of UTC at `ts`
+export function utcOffsetMinutes(timeZone, ts = Date.now()) {
+  return Math.round(zoneOffset(ts, timeZone) / 60000);
+}
+
+// the instant the zone's clock shows `hour:minute` on `day`. The offset is checked
+// twice so times next to a DST change land on the right side; a time skipped by a
+// spring-forward gap is pushed forward by the gap's length.
+export function zonedTime(day, hour, minute, timeZone) {
+  const wall = Date.parse(`${day}T00:00:00Z`) + (hour * 60 + minute) * 60000;
+  let ts = wall - zoneOffset(wall, timeZone);
+  ts = wall - zoneOffset(ts, timeZone);
+  return ts;
+}
+
+// first instant strictly after `now` at which the zone's clock shows `hour:minute`
+export function nextOccurrence(hour, minute, timeZone, now = Date.now()) {
+  const today = dayKey(now, timeZone);
+  for (let i = 0; i < 3; i++) {
+    const ts = zonedTime(addDays(today, i), hour, minute, timeZone);
+    if (ts > now) return ts;
+  }
+  return zonedTime(addDays(today, 1), hour, minute, timeZone);
+}
+
+// start of the day after `ts` in the zone
+export function nextMidnight(ts, timeZone) {
+  return zonedTime(addDays(dayKey(ts, timeZone), 1), 0, 0, timeZone);
+}
+
+// the member's own time zone, else the guild's
+export function timeZoneFor(guildId, userId) {
+  const own = userId ? getUser(userId)?.timezone : null;
+  if (own && isValidTimeZone(own)) return own;
+  return getGuildSettings(guildId).timezone;
+}